@@ -5,7 +5,10 @@
  */
 
 import apiUtils from '../utils/api-utils.js';
+import storageUtils from '../utils/storage-utils.js';
+import credentialVault from './credential-vault.js';
 import storageManager from './storage-manager.js';
+import eventBus from './event-bus.js';
 
 /**
  * API configuration settings
@@ -78,20 +81,37 @@ const API_CONFIG = {
   }
 };
 
+/**
+ * Session storage key of the OAuth tokens, so they outlive the service worker
+ */
+const AUTH_TOKENS_KEY = 'api.authTokens';
+
+/**
+ * Prefix of the alarms refreshing OAuth tokens; the API ID follows
+ */
+const TOKEN_REFRESH_ALARM_PREFIX = 'api-token-refresh:';
+
+/**
+ * Where earlier versions kept API keys in plain text: a setting, and a
+ * chrome.storage.local key
+ */
+const LEGACY_KEYS_SETTING = 'apiKeys';
+const LEGACY_KEYS_STORAGE_KEY = 'apiKeys';
+
 /**
  * API Manager class
  */
 class ApiManager {
   constructor() {
     this.initialized = false;
-    this.apiKeys = {};
+    this.initPromise = null;
     this.usageStats = {};
     this.authTokens = {};
-    this.refreshTimers = {};
     this.settingsPath = 'api';
     
     // Bind methods
     this.handleApiError = this.handleApiError.bind(this);
+    this.handleAlarm = this.handleAlarm.bind(this);
   }
   
   /**
@@ -101,34 +121,42 @@ class ApiManager {
   async initialize() {
     if (this.initialized) return;
     
+    // Prevent multiple concurrent initializations
+    if (this.initPromise) {
+      return this.initPromise;
+    }
+    
+    this.initPromise = this._performInitialization();
+    
+    try {
+      await this.initPromise;
+    } finally {
+      this.initPromise = null;
+    }
+  }
+  
+  /**
+   * Perform the actual initialization
+   * @private
+   * @return {Promise<void>}
+   */
+  async _performInitialization() {
     try {
       console.log('Initializing API manager...');
       
-      // Ensure storage manager is initialized
-      if (!storageManager.initialized) {
-        console.log('Waiting for storage manager to initialize...');
-        await new Promise(resolve => {
-          const handler = () => {
-            document.removeEventListener('storage:ready', handler);
-            resolve();
-          };
-          document.addEventListener('storage:ready', handler);
-          
-          // Safety timeout
-          setTimeout(() => {
-            document.removeEventListener('storage:ready', handler);
-            console.warn('Storage manager initialization timed out');
-            resolve();
-          }, 5000);
-        });
-      }
+      // Usage statistics live in storage, API keys in the vault
+      await storageManager.initialize();
+      await credentialVault.initialize();
       
-      // Initialize API utilities
-      await apiUtils.init();
+      // Move plain-text keys of earlier versions into the vault
+      await this.migrateApiKeys();
       
-      // Load API keys from secure storage
+      // Hand the keys to apiUtils, unless the vault is locked
       await this.loadApiKeys();
       
+      // OAuth tokens obtained before the service worker was stopped
+      this.authTokens = await storageManager.getSessionState(AUTH_TOKENS_KEY, {});
+      
       // Configure API rate limits
       this.configureRateLimits();
       
@@ -140,33 +168,71 @@ class ApiManager {
       
       this.initialized = true;
       console.log('API manager initialized');
-      
-      // Notify that APIs are ready
-      document.dispatchEvent(new CustomEvent('api:ready'));
     } catch (error) {
       console.error('Failed to initialize API manager:', error);
-      document.dispatchEvent(new CustomEvent('api:error', { 
-        detail: { error } 
-      }));
       throw error;
     }
   }
   
   /**
-   * Load API keys from storage
-   * @private
+   * Move API keys stored in plain text by earlier versions into the vault
+   * A vault created for the upgrade has no passphrase yet, so it is unlocked.
+   * Also run after restoring backups, which may come from an earlier version.
+   * @return {Promise<void>}
+   */
+  async migrateApiKeys() {
+    try {
+      const stored = await storageUtils.chrome.get(LEGACY_KEYS_STORAGE_KEY);
+      const setting = storageManager.getSetting(`${this.settingsPath}.${LEGACY_KEYS_SETTING}`);
+      if (!stored[LEGACY_KEYS_STORAGE_KEY] && setting === undefined) {
+        return;
+      }
+      
+      const legacyKeys = { ...stored[LEGACY_KEYS_STORAGE_KEY], ...setting };
+      const apiIds = Object.keys(legacyKeys).filter(apiId => API_CONFIG[apiId] && legacyKeys[apiId]);
+      
+      if (credentialVault.isLocked()) {
+        console.warn('Plain-text API keys are left in place until the vault is unlocked');
+        return;
+      }
+      
+      for (const apiId of apiIds) {
+        if (!credentialVault.hasSecret(apiId)) {
+          await credentialVault.setSecret(apiId, legacyKeys[apiId]);
+        }
+      }
+      
+      const apiSettings = { ...storageManager.getSetting(this.settingsPath, {}) };
+      delete apiSettings[LEGACY_KEYS_SETTING];
+      await storageManager.setSetting(this.settingsPath, apiSettings);
+      await storageUtils.chrome.remove(LEGACY_KEYS_STORAGE_KEY);
+      
+      console.log(`Moved ${apiIds.length} API keys into the vault`);
+    } catch (error) {
+      console.error('Failed to move API keys into the vault:', error);
+    }
+  }
+  
+  /**
+   * Hand the API keys in the vault to apiUtils
+   * While the vault is locked, apiUtils has no keys.
    * @return {Promise<void>}
    */
   async loadApiKeys() {
     try {
-      // Get API keys from storage
-      const apiKeys = storageManager.getSetting(`${this.settingsPath}.apiKeys`, {});
-      
-      // Set API keys in apiUtils
-      for (const [apiId, apiKey] of Object.entries(apiKeys)) {
-        if (apiKey) {
-          apiUtils.request.setApiKey(apiId, apiKey);
-          this.apiKeys[apiId] = apiKey;
+      for (const apiId of Object.keys(API_CONFIG)) {
+        apiUtils.request.setApiKey(apiId, null);
+      }
+      
+      if (credentialVault.isLocked()) {
+        console.log('API keys not loaded: the vault is locked');
+        return;
+      }
+      
+      const secrets = await credentialVault.getSecrets();
+      for (const apiId of Object.keys(API_CONFIG)) {
+        if (secrets[apiId]) {
+          apiUtils.request.setApiKey(apiId, secrets[apiId]);
         }
       }
       
@@ -227,6 +293,7 @@ class ApiManager {
   
   /**
    * Set API key for a service
+   * The key is stored in the vault, which must be unlocked.
    * @param {string} apiId - API identifier
    * @param {string} apiKey - API key
    * @return {Promise<boolean>} Success status
@@ -244,17 +311,12 @@ class ApiManager {
         // Continue anyway as validation is just a best-effort check
       }
       
+      // Save to the vault
+      await credentialVault.setSecret(apiId, apiKey);
+      
       // Set key in api-utils
       apiUtils.request.setApiKey(apiId, apiKey);
       
-      // Store in memory
-      this.apiKeys[apiId] = apiKey;
-      
-      // Save to storage
-      const apiKeys = storageManager.getSetting(`${this.settingsPath}.apiKeys`, {});
-      apiKeys[apiId] = apiKey;
-      await storageManager.setSetting(`${this.settingsPath}.apiKeys`, apiKeys);
-      
       console.log(`API key for ${apiId} set successfully`);
       return true;
     } catch (error) {
@@ -301,13 +363,8 @@ class ApiManager {
       // Remove from api-utils
       apiUtils.request.setApiKey(apiId, null);
       
-      // Remove from memory
-      delete this.apiKeys[apiId];
-      
-      // Remove from storage
-      const apiKeys = storageManager.getSetting(`${this.settingsPath}.apiKeys`, {});
-      delete apiKeys[apiId];
-      await storageManager.setSetting(`${this.settingsPath}.apiKeys`, apiKeys);
+      // Remove from the vault
+      await credentialVault.removeSecret(apiId);
       
       console.log(`API key for ${apiId} removed`);
       return true;
@@ -319,11 +376,12 @@ class ApiManager {
   
   /**
    * Check if API key is configured for a service
+   * Also true while the vault is locked and the key can't be used.
    * @param {string} apiId - API identifier
    * @return {boolean} Whether API key is set
    */
   hasApiKey(apiId) {
-    return !!this.apiKeys[apiId];
+    return credentialVault.hasSecret(apiId);
   }
   
   /**
@@ -394,12 +452,13 @@ class ApiManager {
       
       // Store the token with expiration
       this.authTokens[apiId] = {
-        token,
+        token: token.access_token,
         expiresAt: Date.now() + (token.expires_in || 3600) * 1000
       };
+      await storageManager.setSessionState(AUTH_TOKENS_KEY, this.authTokens);
       
       // Set up token refresh if needed
-      this.setupTokenRefresh(apiId);
+      await this.setupTokenRefresh(apiId);
       
       return token.access_token;
     } catch (error) {
@@ -462,14 +521,14 @@ class ApiManager {
   
   /**
    * Set up token refresh for OAuth
+   * An alarm, unlike a timer, still fires after the service worker was stopped.
    * @private
    * @param {string} apiId - API identifier
+   * @return {Promise<void>}
    */
-  setupTokenRefresh(apiId) {
-    // Clear existing timer
-    if (this.refreshTimers[apiId]) {
-      clearTimeout(this.refreshTimers[apiId]);
-    }
+  async setupTokenRefresh(apiId) {
+    const alarmName = TOKEN_REFRESH_ALARM_PREFIX + apiId;
+    await chrome.alarms.clear(alarmName);
     
     const token = this.authTokens[apiId];
     if (!token) return;
@@ -478,12 +537,28 @@ class ApiManager {
     const timeUntilExpiry = token.expiresAt - Date.now();
     const refreshTime = timeUntilExpiry * 0.9;
     
-    // Set timer to refresh token
-    this.refreshTimers[apiId] = setTimeout(() => {
-      this.authenticate(apiId).catch(error => {
-        console.error(`Failed to refresh token for ${apiId}:`, error);
-      });
-    }, refreshTime);
+    await chrome.alarms.create(alarmName, { when: Date.now() + refreshTime });
+  }
+  
+  /**
+   * Handle alarms (OAuth token refreshes)
+   * @param {Object} alarm - Alarm that fired
+   * @return {Promise<void>}
+   */
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(TOKEN_REFRESH_ALARM_PREFIX)) return;
+    
+    const apiId = alarm.name.slice(TOKEN_REFRESH_ALARM_PREFIX.length);
+    
+    // Drop the token first, or authenticate would return it while it's still valid
+    delete this.authTokens[apiId];
+    
+    try {
+      await this.authenticate(apiId);
+    } catch (error) {
+      console.error(`Failed to refresh token for ${apiId}:`, error);
+      await storageManager.setSessionState(AUTH_TOKENS_KEY, this.authTokens);
+    }
   }
   
   /**
@@ -580,6 +655,10 @@ class ApiManager {
       // Clear credentials if authentication failed
       if (API_CONFIG[apiId].authType === 'oauth') {
         delete this.authTokens[apiId];
+        storageManager.setSessionState(AUTH_TOKENS_KEY, this.authTokens).catch((sessionError) => {
+          console.error(`Failed to forget the token for ${apiId}:`, sessionError);
+        });
+        chrome.alarms.clear(TOKEN_REFRESH_ALARM_PREFIX + apiId);
       }
     }
     
@@ -721,6 +800,11 @@ class ApiManager {
       return { available: false, reason: 'API key not configured' };
     }
     
+    // Check that the key can be read
+    if (API_CONFIG[apiId].authType === 'apiKey' && credentialVault.isLocked()) {
+      return { available: false, reason: 'API keys are locked' };
+    }
+    
     // Check if API has been rate limited recently
     const rateLimited = this.isRateLimited(apiId);
     if (rateLimited) {
@@ -816,15 +900,12 @@ class ApiManager {
 // Create singleton instance
 const apiManager = new ApiManager();
 
-// Handle API manager initialization event
-document.addEventListener('api:initialize', async () => {
-  await apiManager.initialize();
-});
-
 // Handle service worker restart
-document.addEventListener('background:restore', async () => {
-  await apiManager.handleRestart();
-});
+eventBus.on('background:restore', () => apiManager.handleRestart());
+
+// Keys can only be used while the vault is unlocked
+eventBus.on('vault:unlocked', () => apiManager.loadApiKeys());
+eventBus.on('vault:locked', () => apiManager.loadApiKeys());
 
 // Export the singleton
 export default apiManager;
\ No newline at end of file
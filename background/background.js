@@ -6,17 +6,45 @@
  * Handles lifecycle events and coordinates between components.
  */
 
-// Import background modules - these will be implemented separately
-import './storage-manager.js';
-import './feature-manager.js';
-import './api-manager.js';
-import './command-processor.js';
+// Import background modules
+import eventBus from './event-bus.js';
+import storageManager from './storage-manager.js';
+import featureManager from './feature-manager.js';
+import jobScheduler from './job-scheduler.js';
+import apiManager from './api-manager.js';
+import credentialVault from './credential-vault.js';
+import commandProcessor from './command-processor.js';
+import omniboxManager from './omnibox-manager.js';
+import contextMenuManager from './context-menu-manager.js';
+import siteRuleManager from './site-rule-manager.js';
+import pluginManager from './plugin-manager.js';
+import rpcRouter from './rpc-router.js';
 
 // State tracking for service worker
 let isInitialized = false;
 let initializationPromise = null;
 let restartCount = 0;
 
+/**
+ * Session storage key of the service worker's lifecycle state
+ */
+const WORKER_STATE_KEY = 'background.worker';
+
+/**
+ * Owner of the extension's own maintenance jobs (see job-scheduler.js)
+ */
+const MAINTENANCE_JOB_OWNER = 'maintenance';
+
+/**
+ * Maintenance jobs, keyed by name: when they run and what they do
+ */
+const MAINTENANCE_JOBS = {
+  'cache-cleanup': {
+    schedule: { type: 'interval', periodInMinutes: 6 * 60 },
+    run: () => storageManager.clearExpiredCache()
+  }
+};
+
 /**
  * Initialize background components in the correct sequence
  * @return {Promise<void>} Promise resolving when initialization is complete
@@ -73,24 +101,59 @@ async function initialize() {
  * @return {Promise<void>} Promise resolving when initialization is complete
  */
 async function performInitialization() {
+  // 0. Find out whether this worker replaces one Chrome stopped
+  await trackRestarts();
+  
   // 1. Initialize storage first - other components depend on it
   await initializeStorage();
   
-  // 2. Initialize API manager for external services
+  // 2. Initialize the job scheduler before features schedule their jobs
+  await initializeScheduler();
+  
+  // 3. Initialize API manager for external services (and the credential vault)
   await initializeApiManager();
   
-  // 3. Initialize feature manager
+  // 4. Initialize feature manager
   await initializeFeatureManager();
   
-  // 4. Initialize command processor last as it depends on features
+  // 5. Register the features of approved plugins
+  await initializePlugins();
+  
+  // 6. Initialize command processor as it depends on features
   await initializeCommandProcessor();
   
-  // 5. Restore state if this is a restart
+  // 7. Build the context menu from the enabled features' commands
+  await initializeContextMenus();
+  
+  // 8. Restore state if this is a restart
   if (restartCount > 0) {
     await restoreState();
   }
 }
 
+/**
+ * Count service worker restarts within the browser session
+ * Session storage outlives the worker but not the browser, so state left there
+ * by an earlier worker means Chrome stopped it and this one took over.
+ * @private
+ * @return {Promise<void>}
+ */
+async function trackRestarts() {
+  try {
+    const previous = await storageManager.getSessionState(WORKER_STATE_KEY, null);
+    restartCount = previous ? previous.restartCount + 1 : 0;
+    
+    await storageManager.setSessionState(WORKER_STATE_KEY, {
+      restartCount,
+      startedAt: Date.now()
+    });
+  }
+  catch (error) {
+    console.error('Failed to track service worker restarts:', error);
+    // Continue as a fresh start - state restoration is skipped
+  }
+}
+
 /**
  * Initialize storage manager
  * @private
@@ -98,31 +161,43 @@ async function performInitialization() {
  */
 async function initializeStorage() {
   try {
-    // This will be implemented in storage-manager.js
-    // For now, dispatch event for the module to handle
-    const event = new CustomEvent('storage:initialize');
-    document.dispatchEvent(event);
+    await storageManager.initialize();
+  }
+  catch (error) {
+    console.error('Storage initialization failed:', error);
+    // Continue without storage - some features may not work
+  }
+}
+
+/**
+ * Initialize the job scheduler and schedule the maintenance jobs
+ * @private
+ * @return {Promise<void>} Promise resolving when jobs are scheduled
+ */
+async function initializeScheduler() {
+  try {
+    await jobScheduler.initialize();
     
-    // Wait for confirmation that storage is ready
-    return new Promise((resolve) => {
-      const handleReady = () => {
-        document.removeEventListener('storage:ready', handleReady);
-        resolve();
-      };
+    jobScheduler.setHandler(MAINTENANCE_JOB_OWNER, async (job) => {
+      const maintenance = MAINTENANCE_JOBS[job.name];
       
-      document.addEventListener('storage:ready', handleReady);
+      // Left over from an earlier version
+      if (!maintenance) {
+        await jobScheduler.cancel(MAINTENANCE_JOB_OWNER, job.name);
+        return;
+      }
       
-      // Safety timeout in case the event never fires
-      setTimeout(() => {
-        document.removeEventListener('storage:ready', handleReady);
-        console.warn('Storage initialization timed out');
-        resolve();
-      }, 5000);
+      await maintenance.run();
     });
+    
+    // Jobs that are already scheduled keep their next run
+    for (const [name, { schedule }] of Object.entries(MAINTENANCE_JOBS)) {
+      await jobScheduler.schedule(MAINTENANCE_JOB_OWNER, name, schedule);
+    }
   }
   catch (error) {
-    console.error('Storage initialization failed:', error);
-    // Continue without storage - some features may not work
+    console.error('Job scheduler initialization failed:', error);
+    // Continue without scheduled jobs - features still run on demand
   }
 }
 
@@ -133,27 +208,7 @@ async function initializeStorage() {
  */
 async function initializeApiManager() {
   try {
-    // This will be implemented in api-manager.js
-    // For now, dispatch event for the module to handle
-    const event = new CustomEvent('api:initialize');
-    document.dispatchEvent(event);
-    
-    // Wait for confirmation that APIs are ready
-    return new Promise((resolve) => {
-      const handleReady = () => {
-        document.removeEventListener('api:ready', handleReady);
-        resolve();
-      };
-      
-      document.addEventListener('api:ready', handleReady);
-      
-      // Safety timeout in case the event never fires
-      setTimeout(() => {
-        document.removeEventListener('api:ready', handleReady);
-        console.warn('API initialization timed out');
-        resolve();
-      }, 5000);
-    });
+    await apiManager.initialize();
   }
   catch (error) {
     console.error('API initialization failed:', error);
@@ -168,27 +223,7 @@ async function initializeApiManager() {
  */
 async function initializeFeatureManager() {
   try {
-    // This will be implemented in feature-manager.js
-    // For now, dispatch event for the module to handle
-    const event = new CustomEvent('features:initialize');
-    document.dispatchEvent(event);
-    
-    // Wait for confirmation that features are ready
-    return new Promise((resolve) => {
-      const handleReady = () => {
-        document.removeEventListener('features:ready', handleReady);
-        resolve();
-      };
-      
-      document.addEventListener('features:ready', handleReady);
-      
-      // Safety timeout in case the event never fires
-      setTimeout(() => {
-        document.removeEventListener('features:ready', handleReady);
-        console.warn('Feature initialization timed out');
-        resolve();
-      }, 5000);
-    });
+    await featureManager.initialize();
   }
   catch (error) {
     console.error('Feature initialization failed:', error);
@@ -203,27 +238,7 @@ async function initializeFeatureManager() {
  */
 async function initializeCommandProcessor() {
   try {
-    // This will be implemented in command-processor.js
-    // For now, dispatch event for the module to handle
-    const event = new CustomEvent('commands:initialize');
-    document.dispatchEvent(event);
-    
-    // Wait for confirmation that command processor is ready
-    return new Promise((resolve) => {
-      const handleReady = () => {
-        document.removeEventListener('commands:ready', handleReady);
-        resolve();
-      };
-      
-      document.addEventListener('commands:ready', handleReady);
-      
-      // Safety timeout in case the event never fires
-      setTimeout(() => {
-        document.removeEventListener('commands:ready', handleReady);
-        console.warn('Command processor initialization timed out');
-        resolve();
-      }, 5000);
-    });
+    await commandProcessor.initialize();
   }
   catch (error) {
     console.error('Command processor initialization failed:', error);
@@ -231,6 +246,36 @@ async function initializeCommandProcessor() {
   }
 }
 
+/**
+ * Initialize plugins
+ * @private
+ * @return {Promise<void>} Promise resolving when plugin features are registered
+ */
+async function initializePlugins() {
+  try {
+    await pluginManager.initialize();
+  }
+  catch (error) {
+    console.error('Plugin initialization failed:', error);
+    // Continue without plugins - built-in features are unaffected
+  }
+}
+
+/**
+ * Initialize context menus
+ * @private
+ * @return {Promise<void>} Promise resolving when the menu is built
+ */
+async function initializeContextMenus() {
+  try {
+    await contextMenuManager.initialize();
+  }
+  catch (error) {
+    console.error('Context menu initialization failed:', error);
+    // Continue without context menus - the palette still runs every command
+  }
+}
+
 /**
  * Restore state after service worker restart
  * @private
@@ -240,11 +285,8 @@ async function restoreState() {
   console.log(`Restoring state after restart (count: ${restartCount})`);
   
   try {
-    // Notify components to restore their state
-    document.dispatchEvent(new CustomEvent('background:restore'));
-    
-    // Restore any active features
-    document.dispatchEvent(new CustomEvent('features:restore'));
+    // Let components restore their state
+    await eventBus.emit('background:restore', { restartCount });
     
     // Reconnect to any active content scripts
     await reconnectContentScripts();
@@ -352,12 +394,6 @@ function isSignificantUpdate(oldVersion, newVersion) {
 function handleStartup() {
   console.log('Extension starting up');
   
-  // Track restarts for state restoration
-  chrome.storage.local.get('restartCount', (data) => {
-    restartCount = (data.restartCount || 0) + 1;
-    chrome.storage.local.set({ restartCount });
-  });
-  
   // Initialize extension
   initialize();
 }
@@ -371,27 +407,18 @@ function handleUncaughtError(error) {
   console.error('Uncaught error in background script:', error);
   
   // Log to persistent storage for diagnostics
-  chrome.storage.local.get('errorLog', (data) => {
-    const errorLog = data.errorLog || [];
-    
-    errorLog.push({
-      timestamp: Date.now(),
-      message: error.message,
-      stack: error.stack,
-      restartCount
-    });
-    
-    // Limit log size
-    while (errorLog.length > 50) {
-      errorLog.shift();
-    }
-    
-    chrome.storage.local.set({ errorLog });
+  storageManager.logError({
+    source: 'background',
+    message: error.message,
+    stack: error.stack,
+    restartCount
   });
 }
 
 /**
- * Handle messages from content scripts and popup
+ * Handle calls from content scripts and extension pages (see rpc-router.js)
+ * Pages call as they load, which may wake the service worker, so this
+ * listener is registered up front and waits for initialization.
  * @param {Object} message - Message data
  * @param {Object} sender - Sender information
  * @param {Function} sendResponse - Function to send response
@@ -399,38 +426,41 @@ function handleUncaughtError(error) {
  * @private
  */
 function handleMessage(message, sender, sendResponse) {
-  // Check if message is for background script
-  if (message.target !== 'background') {
+  if (!message || typeof message.route !== 'string') {
     return false;
   }
   
-  console.log('Background received message:', message.type);
-  
-  // Handle different message types
-  switch (message.type) {
-    case 'isInitialized':
-      sendResponse({ initialized: isInitialized });
-      return false;
-      
-    case 'initialize':
-      initialize()
-        .then(() => sendResponse({ success: true }))
-        .catch((error) => sendResponse({ 
-          success: false, 
-          error: error.message 
-        }));
-      return true;
-      
-    case 'getState':
-      sendResponse({
-        initialized: isInitialized,
-        restartCount
-      });
-      return false;
+  initialize()
+    .then(() => rpcRouter.handleMessage(message, sender))
+    .then(sendResponse)
+    .catch(error => sendResponse({ success: false, error: error.message, code: 'failed' }));
+  return true;
+}
+
+/**
+ * Handle messages from plugin extensions (see plugin-manager.js)
+ * @param {Object} message - Message data
+ * @param {Object} sender - Sender information
+ * @param {Function} sendResponse - Function to send response
+ * @return {boolean} Whether response will be sent asynchronously
+ * @private
+ */
+function handleExternalMessage(message, sender, sendResponse) {
+  if (!message || (typeof message.type !== 'string' && typeof message.route !== 'string')) {
+    return false;
   }
   
-  // Message not handled here, may be handled by specific managers
-  return false;
+  // Route calls are refused unless the route is open to other extensions;
+  // everything else is the plugin protocol
+  const handle = typeof message.route === 'string' ?
+    () => rpcRouter.handleMessage(message, sender) :
+    () => pluginManager.handleExternalMessage(message, sender);
+  
+  initialize()
+    .then(handle)
+    .then(sendResponse)
+    .catch(error => sendResponse({ success: false, error: error.message }));
+  return true;
 }
 
 /**
@@ -452,9 +482,44 @@ function handleCommand(command) {
         });
       }
     });
+  } else if (command === 'undo-page-change' || command === 'redo-page-change') {
+    // The journal lives in the tab's content script
+    const type = command === 'undo-page-change' ? 'page:undo' : 'page:redo';
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (tabs.length > 0) {
+        chrome.tabs.sendMessage(tabs[0].id, { type }).catch(() => {
+          // Ignore errors if content script not ready
+        });
+      }
+    });
   }
 }
 
+/**
+ * Run an event handler once the background is ready
+ * Omnibox and menu events may wake the service worker before commands are indexed.
+ * @param {Function} handler - Event handler
+ * @return {Function} Listener
+ * @private
+ */
+function whenInitialized(handler) {
+  return async (...args) => {
+    try {
+      await initialize();
+      await handler(...args);
+    } catch (error) {
+      console.error('Event handler failed:', error);
+    }
+  };
+}
+
+// Service worker state, for pages checking on the background
+rpcRouter.register('background.getState', () => ({
+  initialized: isInitialized,
+  restartCount,
+  version: chrome.runtime.getManifest().version
+}));
+
 // Set up service worker event listeners
 
 // Installation and updates
@@ -466,9 +531,33 @@ chrome.runtime.onStartup.addListener(handleStartup);
 // Message handling
 chrome.runtime.onMessage.addListener(handleMessage);
 
+// Plugins registering features and answering commands
+chrome.runtime.onMessageExternal.addListener(handleExternalMessage);
+
 // Command shortcuts
 chrome.commands.onCommand.addListener(handleCommand);
 
+// Address bar keyword
+chrome.omnibox.onInputStarted.addListener(omniboxManager.handleInputStarted);
+chrome.omnibox.onInputChanged.addListener(whenInitialized(omniboxManager.handleInputChanged));
+chrome.omnibox.onInputEntered.addListener(whenInitialized(omniboxManager.handleInputEntered));
+
+// Feature content code follows tabs across navigations
+chrome.tabs.onUpdated.addListener(whenInitialized(featureManager.handleTabUpdated));
+chrome.tabs.onRemoved.addListener(featureManager.handleTabRemoved);
+chrome.tabs.onRemoved.addListener(siteRuleManager.handleTabRemoved);
+
+// Context menu clicks
+chrome.contextMenus.onClicked.addListener(whenInitialized(contextMenuManager.handleClick));
+
+// Scheduled jobs: feature timers, profile switches and maintenance
+chrome.alarms.onAlarm.addListener(whenInitialized(jobScheduler.handleAlarm));
+
+// Timers that must outlive the service worker: token refreshes, periodic sync and vault locking
+chrome.alarms.onAlarm.addListener(whenInitialized(apiManager.handleAlarm));
+chrome.alarms.onAlarm.addListener(whenInitialized(storageManager.handleAlarm));
+chrome.alarms.onAlarm.addListener(whenInitialized(credentialVault.handleAlarm));
+
 // Global error handler
 self.addEventListener('error', (event) => {
   handleUncaughtError(event.error || new Error('Unknown error'));
@@ -486,4 +575,9 @@ self.addEventListener('activate', () => {
 });
 
 // Initial startup
-console.log('Background service worker loading...');
\ No newline at end of file
+console.log('Background service worker loading...');
+
+// A worker Chrome started again restores its state right away, whatever event woke it
+initialize().catch(() => {
+  // Already logged and reported by initialize
+});
\ No newline at end of file
@@ -0,0 +1,242 @@
+/**
+ * Command History
+ * Remembers palette commands per domain and ranks them by frecency
+ * (frequency weighted by recency), so commands used often on a site surface first there.
+ */
+
+import storageManager from './storage-manager.js';
+import storageUtils from '../utils/storage-utils.js';
+
+/**
+ * IndexedDB table holding history entries
+ */
+const HISTORY_TABLE = 'commandHistory';
+
+/**
+ * Maximum number of entries kept; the lowest-ranked are pruned first
+ */
+const MAX_ENTRIES = 500;
+
+/**
+ * Number of recent run timestamps kept per entry for recency weighting
+ */
+const MAX_VISITS = 10;
+
+/**
+ * Recency buckets: runs younger than `maxAge` days weigh `weight`
+ */
+const RECENCY_BUCKETS = [
+  { maxAge: 4, weight: 100 },
+  { maxAge: 14, weight: 70 },
+  { maxAge: 31, weight: 50 },
+  { maxAge: 90, weight: 30 },
+  { maxAge: Infinity, weight: 10 }
+];
+
+/**
+ * Weight of entries recorded on other domains relative to the current one
+ */
+const OTHER_DOMAIN_WEIGHT = 0.25;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * History entry interface
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Domain and command signature
+ * @property {string} domain - Hostname the command ran on ('' if none)
+ * @property {string} text - Command text as last typed
+ * @property {Object|null} intent - Executed intent (featureId, action, params), null for pipelines
+ * @property {number} count - Number of runs
+ * @property {number[]} visits - Most recent run timestamps, newest first
+ * @property {number} firstUsed - First run timestamp
+ * @property {number} lastUsed - Last run timestamp
+ */
+
+/**
+ * Get the domain of a URL
+ * @param {string} [url] - Page URL
+ * @return {string} Hostname, or '' for URLs without one
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Command History class
+ */
+class CommandHistory {
+  /**
+   * Check whether history is enabled in privacy settings
+   * @return {boolean} Whether commands may be remembered
+   */
+  isEnabled() {
+    return storageManager.getSetting('privacy.saveHistory', true) !== false;
+  }
+
+  /**
+   * Build the signature identifying a command regardless of how it was typed
+   * @private
+   * @param {string} text - Command text
+   * @param {Object|null} intent - Executed intent
+   * @return {string} Signature
+   */
+  _signature(text, intent) {
+    if (!intent) {
+      return `text:${text.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+    }
+
+    // Sort params so key order doesn't create duplicates
+    const params = Object.keys(intent.params || {}).sort()
+      .map(key => `${key}=${JSON.stringify(intent.params[key])}`)
+      .join('&');
+
+    return `${intent.featureId}.${intent.action}?${params}`;
+  }
+
+  /**
+   * Compute the frecency score of an entry
+   * @param {HistoryEntry} entry - History entry
+   * @param {number} [now=Date.now()] - Reference time
+   * @return {number} Frecency score
+   */
+  frecency(entry, now = Date.now()) {
+    const visits = entry.visits || [];
+    if (visits.length === 0) return 0;
+
+    const total = visits.reduce((sum, timestamp) => {
+      const age = (now - timestamp) / DAY;
+      return sum + RECENCY_BUCKETS.find(bucket => age <= bucket.maxAge).weight;
+    }, 0);
+
+    // Extrapolate the sampled visits to all runs
+    return entry.count * (total / visits.length);
+  }
+
+  /**
+   * Record a command run
+   * @param {Object} command - Executed command
+   * @param {string} command.text - Command text as typed
+   * @param {Object} [command.intent] - Executed intent (omit for pipelines)
+   * @param {string} [url] - URL of the page it ran on
+   * @return {Promise<HistoryEntry|null>} Updated entry, or null if history is disabled
+   */
+  async record({ text, intent = null }, url) {
+    if (!this.isEnabled() || !text || !text.trim()) return null;
+
+    const domain = getDomain(url);
+    const storedIntent = intent ? {
+      featureId: intent.featureId,
+      action: intent.action,
+      params: intent.params || {}
+    } : null;
+    const id = `${domain}|${this._signature(text, storedIntent)}`;
+    const now = Date.now();
+
+    const existing = await storageUtils.db.get(HISTORY_TABLE, id);
+    const entry = existing ? {
+      ...existing,
+      text: text.trim(),
+      count: existing.count + 1,
+      visits: [now, ...existing.visits].slice(0, MAX_VISITS),
+      lastUsed: now
+    } : {
+      id,
+      domain,
+      text: text.trim(),
+      intent: storedIntent,
+      count: 1,
+      visits: [now],
+      firstUsed: now,
+      lastUsed: now
+    };
+
+    await storageUtils.db.put(HISTORY_TABLE, entry);
+
+    if (!existing) {
+      await this._prune();
+    }
+
+    return entry;
+  }
+
+  /**
+   * Drop the lowest-ranked entries beyond MAX_ENTRIES
+   * @private
+   * @return {Promise<void>}
+   */
+  async _prune() {
+    const count = await storageUtils.db.count(HISTORY_TABLE);
+    if (count <= MAX_ENTRIES) return;
+
+    const now = Date.now();
+    const entries = await storageUtils.db.getAll(HISTORY_TABLE);
+    const excess = entries
+      .sort((a, b) => this.frecency(a, now) - this.frecency(b, now))
+      .slice(0, count - MAX_ENTRIES)
+      .map(entry => entry.id);
+
+    await storageUtils.db.deleteMany(HISTORY_TABLE, excess);
+  }
+
+  /**
+   * Get history suggestions for a page, best first
+   * Entries from other domains are included at a lower weight, and the same
+   * command is only listed once.
+   * @param {string} [url] - URL of the current page
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit=20] - Maximum number of entries
+   * @return {Promise<Array<HistoryEntry & {score: number}>>} Ranked entries
+   */
+  async getSuggestions(url, options = {}) {
+    const { limit = 20 } = options;
+
+    if (!this.isEnabled()) return [];
+
+    const domain = getDomain(url);
+    const now = Date.now();
+    const best = new Map();
+
+    for (const entry of await storageUtils.db.getAll(HISTORY_TABLE)) {
+      const weight = entry.domain === domain ? 1 : OTHER_DOMAIN_WEIGHT;
+      const score = this.frecency(entry, now) * weight;
+      const signature = entry.id.slice(entry.id.indexOf('|') + 1);
+      const current = best.get(signature);
+
+      if (!current || score > current.score) {
+        best.set(signature, { ...entry, score });
+      }
+    }
+
+    return [...best.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Delete a history entry
+   * @param {string} id - Entry ID
+   * @return {Promise<void>}
+   */
+  async deleteEntry(id) {
+    await storageUtils.db.delete(HISTORY_TABLE, id);
+  }
+
+  /**
+   * Delete all history
+   * @return {Promise<void>}
+   */
+  async clear() {
+    await storageUtils.db.clear(HISTORY_TABLE);
+  }
+}
+
+// Create singleton instance
+const commandHistory = new CommandHistory();
+
+// Export the singleton
+export default commandHistory;
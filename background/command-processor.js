@@ -0,0 +1,1749 @@
+/**
+ * Command Processor
+ * Natural-language parser for the command palette.
+ * Turns free text into structured intents using the commands declared by each feature.
+ */
+
+import '../lib/compromise.min.js';
+import commandHistory from './command-history.js';
+import featureManager from './feature-manager.js';
+import macroManager from './macro-manager.js';
+import offscreenManager from './offscreen-manager.js';
+import siteRuleManager from './site-rule-manager.js';
+import slotTypes from './slot-types.js';
+import storageManager from './storage-manager.js';
+import siteUtils from '../utils/site-utils.js';
+
+// Ensure compromise is available
+const hasNlp = typeof nlp !== 'undefined';
+if (!hasNlp) {
+  console.warn('Compromise not loaded. Command parsing will use basic tokenization.');
+}
+
+/**
+ * Minimum score a command needs before it is considered a match
+ */
+const MATCH_THRESHOLD = 2;
+
+/**
+ * Score weights used when ranking candidate commands
+ */
+const SCORE_WEIGHTS = {
+  leadingVerb: 4, // Verb is the first word of the command
+  verb: 3, // Verb appears anywhere in the command
+  synonym: 1, // Each matched synonym
+  param: 0.5, // Each parameter extracted from the text
+  systemVerb: 0.25 // Palette command whose verb leads, so it wins ties with features
+};
+
+/**
+ * Pseudo-feature owning the palette's own commands (macros, aliases, ...)
+ */
+const SYSTEM_FEATURE = {
+  id: 'palette',
+  name: 'Command Palette',
+  category: 'system',
+  description: 'Command palette tools'
+};
+
+/**
+ * Maximum nesting of macros running other macros
+ */
+const MAX_MACRO_DEPTH = 3;
+
+/**
+ * Locales with a command grammar in _locales/<locale>/grammar.json
+ * English verbs also come from the feature definitions, so it works without a grammar file.
+ */
+const GRAMMAR_LOCALES = ['en', 'fr', 'es'];
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Pipeline separator words used until grammars are loaded
+ */
+const DEFAULT_SEPARATORS = ['and then', 'then'];
+
+/**
+ * Intent produced by the parser
+ * @typedef {Object} CommandIntent
+ * @property {string} featureId - Feature that owns the command
+ * @property {string} action - Command action identifier
+ * @property {Object} params - Extracted parameter values
+ * @property {string[]} missing - Required parameters that could not be extracted
+ * @property {number} confidence - Match confidence (0-1)
+ * @property {string} text - Original command text
+ * @property {string} locale - Grammar locale the command matched in
+ */
+
+/**
+ * Pipeline of intents whose text output feeds the next stage
+ * @typedef {Object} CommandPipeline
+ * @property {CommandIntent[]} stages - Intents in execution order
+ * @property {string} text - Original command text
+ */
+
+/**
+ * Normalize command text for matching
+ * English text goes through compromise; other languages are accent-folded instead,
+ * and their grammars list conjugated verb forms explicitly.
+ * @param {string} text - Raw command text
+ * @param {string} [locale='en'] - Grammar locale
+ * @return {string} Lowercase text with verbs in infinitive form and numbers as digits
+ */
+function normalizeText(text, locale = DEFAULT_LOCALE) {
+  let normalized = String(text).replace(/["“”][^"“”]*["“”]/g, ' ').trim();
+
+  if (locale !== DEFAULT_LOCALE) {
+    return foldText(normalized);
+  }
+
+  if (hasNlp && normalized) {
+    const doc = nlp(normalized);
+    doc.numbers().toNumber();
+    doc.verbs().toInfinitive();
+    normalized = doc.text();
+  }
+
+  return normalized
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_.-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Lowercase text and strip accents and punctuation ("Résumer l'article" → "resumer l article")
+ * @param {string} text - Text to fold
+ * @return {string} Folded text
+ */
+function foldText(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_.-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Slot type naming a feature by its name or ID ("disable dark mode on this site")
+ * Matched against the text as typed: verb normalization would turn "writing" into "write".
+ * @type {SlotType}
+ */
+const FEATURE_SLOT_TYPE = {
+  prompt: 'Which feature?',
+  extract({ raw }) {
+    const words = text => ` ${foldText(text).replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+    const typed = words(raw);
+    let best = null;
+
+    // Prefer the longest name, so "word counter" doesn't lose to "counter"
+    for (const feature of featureManager.getAllFeatures()) {
+      for (const name of [feature.name, feature.id].map(words)) {
+        if (typed.includes(name) && (!best || name.length > best.length)) {
+          best = { id: feature.id, length: name.length };
+        }
+      }
+    }
+
+    return best ? best.id : undefined;
+  },
+  suggest() {
+    return featureManager.getAllFeatures().map(feature => ({ value: feature.id, label: feature.name }));
+  }
+};
+
+/**
+ * Slot type naming a saved feature profile ("switch profile deep work")
+ * @type {SlotType}
+ */
+const PROFILE_SLOT_TYPE = {
+  prompt: 'Which profile?',
+  extract({ raw }) {
+    const typed = ` ${foldText(raw)} `;
+    let best = null;
+
+    for (const profile of Object.values(featureManager.getProfiles())) {
+      const name = ` ${foldText(profile.name)} `;
+      if (typed.includes(name) && (!best || name.length > best.length)) {
+        best = { name: profile.name, length: name.length };
+      }
+    }
+
+    return best ? best.name : undefined;
+  },
+  suggest() {
+    return Object.values(featureManager.getProfiles()).map(profile => ({
+      value: profile.name,
+      label: profile.name
+    }));
+  }
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @return {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Extract quoted segments from raw command text
+ * @param {string} text - Raw command text
+ * @return {string[]} Quoted segments without quotes
+ */
+function extractQuoted(text) {
+  const quoted = [];
+  const pattern = /["“”]([^"“”]*)["“”]/g;
+  let match;
+
+  while ((match = pattern.exec(String(text))) !== null) {
+    if (match[1].trim()) quoted.push(match[1].trim());
+  }
+
+  return quoted;
+}
+
+/**
+ * Find a (possibly multi-word) phrase in a token list
+ * @param {string[]} tokens - Tokens to search
+ * @param {string} phrase - Phrase to find
+ * @return {number} Index of first token of the phrase, or -1
+ */
+function findPhrase(tokens, phrase) {
+  const words = String(phrase).toLowerCase().split(/\s+/);
+
+  for (let i = 0; i <= tokens.length - words.length; i++) {
+    if (words.every((word, offset) => tokens[i + offset] === word)) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Split command text into pipeline stages
+ * Stages are separated by "|" or a separator word ("summarize then translate to Spanish | copy").
+ * Separators inside quotes are ignored.
+ * @param {string} text - Raw command text
+ * @param {string[]} [separators=DEFAULT_SEPARATORS] - Separator words of all loaded grammars
+ * @return {string[]} Stage texts
+ */
+function splitPipeline(text, separators = DEFAULT_SEPARATORS) {
+  const stages = [];
+  const words = [...separators]
+    .sort((a, b) => b.length - a.length)
+    .map(word => escapeRegExp(word).replace(/\s+/g, '\\s+'));
+  const separator = new RegExp(`^(?:\\s*\\|\\s*|,?\\s+(?:${words.join('|')})\\s+)`, 'iu');
+  let current = '';
+  let inQuotes = false;
+  let i = 0;
+
+  text = String(text);
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '"' || char === '“' || char === '”') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes) {
+      const match = text.slice(i).match(separator);
+      if (match) {
+        stages.push(current.trim());
+        current = '';
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    current += char;
+    i++;
+  }
+
+  stages.push(current.trim());
+  return stages.filter(Boolean);
+}
+
+/**
+ * Pipeline Error class
+ * Identifies the stage of a command pipeline that failed.
+ */
+class PipelineError extends Error {
+  /**
+   * Create a pipeline error
+   * @param {string} message - Error message
+   * @param {number} stageIndex - Zero-based index of the failing stage
+   * @param {string} stageText - Command text of the failing stage
+   * @param {Error} [originalError] - Error thrown by the stage
+   */
+  constructor(message, stageIndex, stageText, originalError = null) {
+    super(message);
+    this.name = 'PipelineError';
+    this.stageIndex = stageIndex;
+    this.stageText = stageText;
+    this.originalError = originalError;
+  }
+}
+
+/**
+ * Command Processor class
+ */
+class CommandProcessor {
+  constructor() {
+    this.initialized = false;
+    this.initPromise = null;
+    this.systemCommands = [];
+    this.grammars = new Map();
+    this.locales = [DEFAULT_LOCALE];
+    this.separators = DEFAULT_SEPARATORS;
+
+    slotTypes.register('feature', FEATURE_SLOT_TYPE, SYSTEM_FEATURE.id);
+    slotTypes.register('profile', PROFILE_SLOT_TYPE, SYSTEM_FEATURE.id);
+    this._registerSystemCommands();
+  }
+
+  /**
+   * Initialize the command processor
+   * @return {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    // Prevent multiple concurrent initializations
+    if (this.initPromise) {
+      return this.initPromise;
+    }
+
+    this.initPromise = this._performInitialization();
+
+    try {
+      await this.initPromise;
+      this.initialized = true;
+      this.initPromise = null;
+
+      console.log('Command processor initialized');
+    } catch (error) {
+      this.initPromise = null;
+      console.error('Failed to initialize command processor:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Perform the actual initialization
+   * @private
+   * @return {Promise<void>}
+   */
+  async _performInitialization() {
+    console.log('Initializing command processor...');
+
+    // Commands are indexed from the registered features
+    await featureManager.initialize();
+
+    await this.loadGrammars();
+
+    console.log(`Command processor indexed ${this.getCommands().length} commands`);
+  }
+
+  /**
+   * Load the per-locale command grammars
+   * The browser's UI language is tried first, then English, then the others.
+   * @return {Promise<void>}
+   */
+  async loadGrammars() {
+    for (const locale of GRAMMAR_LOCALES) {
+      try {
+        const response = await fetch(chrome.runtime.getURL(`_locales/${locale}/grammar.json`));
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        this.grammars.set(locale, this._compileGrammar(await response.json(), locale));
+      } catch (error) {
+        console.warn(`Failed to load "${locale}" command grammar:`, error);
+      }
+    }
+
+    const uiLocale = String(chrome.i18n.getUILanguage() || DEFAULT_LOCALE)
+      .split(/[-_]/)[0]
+      .toLowerCase();
+
+    this.locales = [uiLocale, DEFAULT_LOCALE, ...GRAMMAR_LOCALES].filter((locale, index, all) =>
+      all.indexOf(locale) === index && (locale === DEFAULT_LOCALE || this.grammars.has(locale))
+    );
+
+    this.separators = [...new Set([
+      ...DEFAULT_SEPARATORS,
+      ...[...this.grammars.values()].flatMap(grammar => grammar.separators)
+    ])];
+
+    console.log(`Command grammars: ${this.locales.join(', ')}`);
+  }
+
+  /**
+   * Prepare a grammar file for matching
+   * Phrases of non-English grammars are accent-folded like the text they are matched against.
+   * @private
+   * @param {Object} grammar - Parsed grammar.json
+   * @param {string} locale - Grammar locale
+   * @return {Object} Compiled grammar
+   */
+  _compileGrammar(grammar, locale) {
+    const fold = locale === DEFAULT_LOCALE ? text => String(text).toLowerCase() : foldText;
+    const commands = {};
+
+    for (const [key, entry] of Object.entries(grammar.commands || {})) {
+      commands[key] = {
+        ...entry,
+        verbs: (entry.verbs || []).map(fold),
+        synonyms: (entry.synonyms || []).map(fold)
+      };
+    }
+
+    return {
+      locale,
+      separators: grammar.separators || [],
+      fillers: new Set((grammar.fillers || []).map(fold)),
+      vocabulary: new Map(Object.entries(grammar.vocabulary || {})
+        .map(([word, english]) => [fold(word), english])),
+      commands
+    };
+  }
+
+  /**
+   * Get the verbs and synonyms of a command in a locale
+   * English combines the feature definition with the grammar file; other
+   * locales only know the commands their grammar lists.
+   * @private
+   * @param {string} featureId - Feature ID
+   * @param {CommandDefinition} command - Command definition
+   * @param {string} locale - Grammar locale
+   * @return {{verbs: string[], synonyms: string[]}|null} Vocabulary, or null if the locale
+   *   has no grammar for the command
+   */
+  _commandGrammar(featureId, command, locale) {
+    const grammar = this.grammars.get(locale);
+    const entry = grammar ? grammar.commands[`${featureId}.${command.action}`] : null;
+
+    if (locale === DEFAULT_LOCALE) {
+      return {
+        verbs: [...(command.verbs || []), ...(entry ? entry.verbs : [])],
+        synonyms: [...(command.synonyms || []), ...(entry ? entry.synonyms : [])]
+      };
+    }
+
+    return entry ? { verbs: entry.verbs, synonyms: entry.synonyms } : null;
+  }
+
+  /**
+   * Get a command's title and examples in the UI language
+   * @private
+   * @param {string} featureId - Feature ID
+   * @param {CommandDefinition} command - Command definition
+   * @param {string} title - Default (English) title
+   * @return {{title: string, examples: string[]}} Localized title and examples
+   */
+  _localizeCommand(featureId, command, title) {
+    const grammar = this.grammars.get(this.locales[0]);
+    const entry = grammar ? grammar.commands[`${featureId}.${command.action}`] : null;
+
+    // Keep the English examples so either language finds the command
+    return {
+      title: entry && entry.title ? entry.title : title,
+      examples: [...(entry && entry.examples ? entry.examples : []), ...(command.examples || [])]
+    };
+  }
+
+  /**
+   * Register a command owned by the palette itself rather than a feature
+   * System commands always run in the background and are never recorded in macros.
+   * @param {CommandDefinition} command - Command definition (must provide run)
+   */
+  registerSystemCommand(command) {
+    if (!command.action || typeof command.run !== 'function') {
+      throw new Error('System commands need an action and a run handler');
+    }
+
+    if (this.systemCommands.some(existing => existing.action === command.action)) {
+      throw new Error(`System command "${command.action}" is already registered`);
+    }
+
+    this.systemCommands.push(command);
+  }
+
+  /**
+   * Register the built-in system commands
+   * @private
+   */
+  _registerSystemCommands() {
+    this.registerSystemCommand({
+      action: 'record-macro',
+      title: 'Record macro',
+      description: 'Record the next commands you run as a macro',
+      verbs: ['record macro', 'start recording', 'record'],
+      synonyms: ['macro'],
+      examples: ['record macro'],
+      run: async () => {
+        macroManager.startRecording();
+        return 'Recording macro. Run commands, then "save macro <name>"';
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'save-macro',
+      title: 'Save recorded macro',
+      description: 'Stop recording and save the macro under a name',
+      verbs: ['save macro', 'stop recording', 'finish macro'],
+      synonyms: ['macro', 'recording'],
+      params: {
+        name: { type: 'text', required: true }
+      },
+      examples: ['save macro morning-reading'],
+      run: async ({ name }) => {
+        const macro = await macroManager.stopRecording(name.replace(/\s+/g, '-'));
+        return `Saved macro "${macro.name}" with ${macro.steps.length} step(s)`;
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'cancel-macro',
+      title: 'Cancel macro recording',
+      description: 'Discard the macro being recorded',
+      verbs: ['cancel recording', 'discard recording', 'cancel macro'],
+      synonyms: ['macro', 'recording'],
+      examples: ['cancel recording'],
+      run: async () => {
+        macroManager.cancelRecording();
+        return 'Macro recording discarded';
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'run-macro',
+      title: 'Run macro',
+      description: 'Replay a saved macro on this page',
+      verbs: ['run macro', 'play macro', 'replay macro', 'replay'],
+      synonyms: ['macro'],
+      params: {
+        name: { type: 'text', required: true }
+      },
+      examples: ['run macro morning-reading'],
+      input: 'text',
+      output: 'text',
+      recordHistory: true,
+      run: (params, context) => this.runMacro(params.name.replace(/\s+/g, '-'), context)
+    });
+
+    this.registerSystemCommand({
+      action: 'delete-macro',
+      title: 'Delete macro',
+      description: 'Delete a saved macro',
+      verbs: ['delete macro', 'remove macro', 'forget macro'],
+      synonyms: ['macro'],
+      params: {
+        name: { type: 'text', required: true }
+      },
+      examples: ['delete macro morning-reading'],
+      run: async ({ name }) => {
+        const removed = await macroManager.removeMacro(name.replace(/\s+/g, '-'));
+        if (!removed) throw new Error(`No macro named "${name}"`);
+        return `Deleted macro "${name}"`;
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'set-alias',
+      title: 'Define alias',
+      description: 'Define a short name for a command, e.g. alias tldr = summarize page brief bullets',
+      verbs: ['alias'],
+      prefix: 'alias',
+      examples: ['alias tldr = summarize page brief bullets'],
+      run: async (params, context) => {
+        // Parse the raw text: the expansion must keep its original wording
+        const match = String(context.text || '')
+          .match(/^\s*alias\s+(\S+)\s*(?:=|\bas\b|\bto\b|:)?\s*(.*)$/i);
+
+        if (!match || !match[2].trim()) {
+          throw new Error('Usage: alias <name> = <command>');
+        }
+
+        await macroManager.setAlias(match[1], match[2].replace(/^["“](.*)["”]$/, '$1'));
+        return `"${match[1].toLowerCase()}" now runs "${match[2].trim()}"`;
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'remove-alias',
+      title: 'Remove alias',
+      description: 'Remove a command alias',
+      verbs: ['unalias', 'remove alias', 'delete alias'],
+      synonyms: ['alias'],
+      params: {
+        name: { type: 'text', required: true }
+      },
+      examples: ['remove alias tldr'],
+      run: async ({ name }) => {
+        const removed = await macroManager.removeAlias(name);
+        if (!removed) throw new Error(`No alias named "${name}"`);
+        return `Removed alias "${name}"`;
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'export-library',
+      title: 'Export macros and aliases',
+      description: 'Copy your macros and aliases to the clipboard as JSON',
+      verbs: ['export macros', 'export aliases', 'export'],
+      synonyms: ['macro', 'macros', 'alias', 'aliases', 'library'],
+      examples: ['export macros'],
+      run: async (params, context) => {
+        if (context.tabId === undefined) {
+          throw new Error('Export needs an active tab to reach the clipboard');
+        }
+
+        const response = await chrome.tabs.sendMessage(context.tabId, {
+          type: 'clipboard:write',
+          text: macroManager.exportLibrary()
+        });
+
+        if (!response || !response.success) {
+          throw new Error((response && response.error) || 'Could not write to the clipboard');
+        }
+
+        const macros = Object.keys(macroManager.getMacros()).length;
+        const aliases = Object.keys(macroManager.getAliases()).length;
+        return `Copied ${macros} macro(s) and ${aliases} alias(es) to the clipboard`;
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'import-library',
+      title: 'Import macros and aliases',
+      description: 'Import macros and aliases from JSON on the clipboard',
+      verbs: ['import macros', 'import aliases', 'import'],
+      synonyms: ['macro', 'macros', 'alias', 'aliases', 'library', 'overwrite'],
+      params: {
+        overwrite: { type: 'enum', values: ['overwrite'], aliases: { overwrite: ['replace'] } }
+      },
+      examples: ['import macros', 'import macros overwrite'],
+      run: async (params, context) => {
+        if (context.tabId === undefined) {
+          throw new Error('Import needs an active tab to reach the clipboard');
+        }
+
+        const response = await chrome.tabs.sendMessage(context.tabId, { type: 'clipboard:read' });
+
+        if (!response || !response.success) {
+          throw new Error((response && response.error) || 'Could not read the clipboard');
+        }
+
+        const summary = await macroManager.importLibrary(response.text, {
+          overwrite: params.overwrite === 'overwrite'
+        });
+
+        const skipped = summary.skipped.length > 0 ?
+          ` (skipped ${summary.skipped.length} existing or invalid)` : '';
+        return `Imported ${summary.macros} macro(s) and ${summary.aliases} alias(es)${skipped}`;
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'undo',
+      title: 'Undo last page change',
+      description: 'Reverse the last change a command made to this page',
+      verbs: ['undo', 'revert', 'reverse'],
+      synonyms: ['change', 'last'],
+      examples: ['undo'],
+      run: (params, context) => this.stepJournal(context.tabId, 'undo')
+    });
+
+    this.registerSystemCommand({
+      action: 'redo',
+      title: 'Redo page change',
+      description: 'Apply the last undone page change again',
+      verbs: ['redo', 'reapply'],
+      synonyms: ['change', 'again'],
+      examples: ['redo'],
+      run: (params, context) => this.stepJournal(context.tabId, 'redo')
+    });
+
+    this.registerSystemCommand({
+      action: 'disable-on-site',
+      title: 'Turn feature off on this site',
+      description: 'Keep a feature off on this site, whatever its global state',
+      verbs: ['disable', 'turn off', 'switch off', 'block'],
+      synonyms: ['site', 'this site', 'here', 'website', 'domain'],
+      params: {
+        feature: { type: 'feature', required: true }
+      },
+      examples: ['disable writing assistant on this site'],
+      run: (params, context) => this.setSiteRule(params.feature, false, context)
+    });
+
+    this.registerSystemCommand({
+      action: 'enable-on-site',
+      title: 'Turn feature on on this site',
+      description: 'Always use a feature on this site, even if it is off elsewhere',
+      verbs: ['enable', 'turn on', 'switch on', 'always use'],
+      synonyms: ['site', 'this site', 'here', 'website', 'domain', 'always'],
+      params: {
+        feature: { type: 'feature', required: true }
+      },
+      examples: ['enable dark mode on this site'],
+      run: (params, context) => this.setSiteRule(params.feature, true, context)
+    });
+
+    this.registerSystemCommand({
+      action: 'reset-on-site',
+      title: 'Reset feature on this site',
+      description: 'Forget this site\'s rule for a feature, so it follows the global setting',
+      verbs: ['reset', 'forget', 'use default'],
+      synonyms: ['site', 'this site', 'here', 'website', 'domain', 'rule'],
+      params: {
+        feature: { type: 'feature', required: true }
+      },
+      examples: ['reset dark mode on this site'],
+      run: (params, context) => this.setSiteRule(params.feature, null, context)
+    });
+
+    this.registerSystemCommand({
+      action: 'explain-feature',
+      title: 'Why can\'t a feature run?',
+      description: 'Explain what a feature needs and what stands in its way',
+      verbs: ['why', 'explain', 'why not', 'why can\'t'],
+      synonyms: ['feature', 'activate', 'run', 'work'],
+      params: {
+        feature: { type: 'feature', required: true }
+      },
+      examples: ['why can\'t focus mode run'],
+      run: async ({ feature }) => {
+        const { name } = featureManager.getFeature(feature);
+        const explanation = await featureManager.explainActivation(feature);
+
+        if (explanation.active) return `${name} is active`;
+        if (!explanation.canActivate) {
+          return `${name} can't run: ${explanation.blockers.map(blocker => blocker.message).join('; ')}`;
+        }
+
+        const replaced = [...explanation.replace, ...explanation.ask]
+          .map(id => featureManager.getFeature(id).name);
+        return replaced.length > 0 ?
+          `${name} can run, but will turn off ${replaced.join(', ')}` :
+          `${name} can run`;
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'switch-profile',
+      title: 'Switch profile',
+      description: 'Turn on the features of a saved profile and apply its settings',
+      verbs: ['switch profile', 'use profile', 'activate profile', 'switch workspace', 'use workspace'],
+      synonyms: ['profile', 'workspace'],
+      params: {
+        profile: { type: 'profile', required: true }
+      },
+      examples: ['switch profile research'],
+      run: async ({ profile }) => {
+        const { name, features } = await featureManager.switchProfile(profile);
+        return `Switched to profile "${name}" (${features.length} feature(s) on)`;
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'save-profile',
+      title: 'Save profile',
+      description: 'Save the features that are on right now as a named profile',
+      verbs: ['save profile', 'save workspace', 'create profile'],
+      synonyms: ['profile', 'workspace'],
+      params: {
+        name: { type: 'text', required: true }
+      },
+      examples: ['save profile research'],
+      run: async ({ name }) => {
+        const existing = featureManager.getProfile(name);
+        const profile = await featureManager.saveProfile(name, {
+          features: featureManager.getAllFeatures()
+            .filter(feature => featureManager.isFeatureEnabled(feature.id))
+            .map(feature => feature.id)
+        });
+        return `${existing ? 'Updated' : 'Saved'} profile "${profile.name}" with ${profile.features.length} feature(s)`;
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'delete-profile',
+      title: 'Delete profile',
+      description: 'Forget a saved profile; the features stay as they are',
+      verbs: ['delete profile', 'remove profile', 'forget profile'],
+      synonyms: ['profile', 'workspace'],
+      params: {
+        profile: { type: 'profile', required: true }
+      },
+      examples: ['delete profile research'],
+      run: async ({ profile }) => {
+        await featureManager.deleteProfile(profile);
+        return `Deleted profile "${profile}"`;
+      }
+    });
+
+    this.registerSystemCommand({
+      action: 'clear-history',
+      title: 'Clear command history',
+      description: 'Forget all commands run from the palette',
+      verbs: ['clear history', 'forget history', 'delete history', 'clear command history'],
+      synonyms: ['history'],
+      examples: ['clear command history'],
+      run: async () => {
+        await commandHistory.clear();
+        return 'Command history cleared';
+      }
+    });
+  }
+
+  /**
+   * Get all commands declared by registered features and the palette itself
+   * @return {Object[]} Flattened command list with feature metadata
+   */
+  getCommands() {
+    const commands = this.systemCommands.map(command => ({
+      featureId: SYSTEM_FEATURE.id,
+      featureName: SYSTEM_FEATURE.name,
+      category: SYSTEM_FEATURE.category,
+      action: command.action,
+      description: command.description || SYSTEM_FEATURE.description,
+      ...this._localizeCommand(SYSTEM_FEATURE.id, command, command.title),
+      definition: command
+    }));
+
+    for (const feature of featureManager.getAllFeatures()) {
+      for (const command of feature.commands || []) {
+        commands.push({
+          featureId: feature.id,
+          featureName: feature.name,
+          category: feature.category,
+          action: command.action,
+          description: command.description || feature.description,
+          ...this._localizeCommand(
+            feature.id,
+            command,
+            command.title || `${feature.name}: ${command.action}`
+          ),
+          definition: command
+        });
+      }
+    }
+
+    return commands;
+  }
+
+  /**
+   * Get a command definition
+   * @param {string} featureId - Feature ID
+   * @param {string} action - Command action
+   * @return {CommandDefinition|null} Command definition or null if not found
+   */
+  getCommand(featureId, action) {
+    if (featureId === SYSTEM_FEATURE.id) {
+      return this.systemCommands.find(command => command.action === action) || null;
+    }
+
+    const feature = featureManager.getFeature(featureId);
+    if (!feature || !feature.commands) return null;
+
+    return feature.commands.find(command => command.action === action) || null;
+  }
+
+  /**
+   * Parse command text into an intent
+   * @param {string} text - Command text (e.g. "translate this page to French")
+   * @return {CommandIntent|null} Best matching intent or null if nothing matched
+   */
+  parse(text) {
+    const candidates = this.rank(text);
+    return candidates.length > 0 ? candidates[0] : null;
+  }
+
+  /**
+   * Rank all commands matching the text
+   * Locales are tried in order (UI language first); the first one with matches wins.
+   * @param {string} text - Command text
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit=5] - Maximum number of intents to return
+   * @return {CommandIntent[]} Matching intents, best first
+   */
+  rank(text, options = {}) {
+    const { limit = 5 } = options;
+
+    const prefixCommand = this._findPrefixCommand(text);
+    if (prefixCommand) {
+      return [{ ...this.parseCommand(SYSTEM_FEATURE.id, prefixCommand.action, text), confidence: 1 }];
+    }
+
+    const expanded = this.expandAliases(text);
+    const commands = this.getCommands();
+
+    for (const locale of this.locales) {
+      const context = this._createContext(expanded, locale);
+      if (!context.text) return [];
+
+      const intents = [];
+
+      for (const { featureId, definition } of commands) {
+        const intent = this._matchCommand(featureId, definition, context);
+
+        if (intent) {
+          intents.push(intent);
+        }
+      }
+
+      if (intents.length > 0) {
+        return intents
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit)
+          .map(({ score, ...intent }) => intent);
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Parse command text against one specific command
+   * Used when the user picked a command in the palette, so matching is skipped
+   * and only the parameters are extracted from the text.
+   * @param {string} featureId - Feature ID
+   * @param {string} action - Command action
+   * @param {string} [text=''] - Command text
+   * @return {CommandIntent|null} Intent or null if the command doesn't exist
+   */
+  parseCommand(featureId, action, text = '') {
+    const command = this.getCommand(featureId, action);
+    if (!command) return null;
+
+    const expanded = this.expandAliases(text);
+    let best = null;
+
+    // Use whichever language explains the text best
+    for (const locale of this.locales) {
+      const match = this._matchCommand(
+        featureId,
+        command,
+        this._createContext(expanded, locale),
+        { force: true }
+      );
+
+      if (!best || match.score > best.score) {
+        best = match;
+      }
+    }
+
+    const { score, ...intent } = best;
+    return intent;
+  }
+
+  /**
+   * Find the system command selected by the first word of the text
+   * Their text embeds another command ("alias tldr = summarize page"), which
+   * must neither outrank them nor be split into a pipeline.
+   * @private
+   * @param {string} text - Command text
+   * @return {CommandDefinition|null} System command or null if none has the prefix
+   */
+  _findPrefixCommand(text) {
+    const [first] = String(text || '').trim().toLowerCase().split(/\s+/);
+    return this.systemCommands.find(command => command.prefix && command.prefix === first) || null;
+  }
+
+  /**
+   * Expand user-defined shorthand in command text
+   * A leading alias is replaced by its command, and a bare macro name runs that macro.
+   * @param {string} text - Command text
+   * @return {string} Expanded command text
+   */
+  expandAliases(text) {
+    const trimmed = String(text).trim();
+
+    if (/^\S+$/.test(trimmed) && macroManager.getMacro(trimmed)) {
+      return `run macro "${trimmed.toLowerCase()}"`;
+    }
+
+    return macroManager.expandAlias(trimmed);
+  }
+
+  /**
+   * Create the parse context for command text
+   * Commands are matched against the words as typed (`words`), while slot types see
+   * them translated into the English vocabulary they understand (`tokens`).
+   * @private
+   * @param {string} text - Raw command text
+   * @param {string} [locale='en'] - Grammar locale
+   * @return {Object} Parse context
+   */
+  _createContext(text, locale = DEFAULT_LOCALE) {
+    const grammar = this.grammars.get(locale);
+    const normalized = normalizeText(text, locale);
+    const words = normalized ? normalized.split(' ') : [];
+    const tokens = grammar && grammar.vocabulary.size > 0 ?
+      words.map(word => grammar.vocabulary.get(word) || word) :
+      words;
+
+    return {
+      raw: String(text),
+      locale,
+      text: tokens.join(' '),
+      words,
+      tokens,
+      fillers: grammar ? grammar.fillers : new Set(),
+      quoted: extractQuoted(text),
+      hasPhrase: phrase => findPhrase(tokens, phrase) !== -1
+    };
+  }
+
+  /**
+   * Score a single command against the parsed text
+   * @private
+   * @param {string} featureId - Feature ID
+   * @param {CommandDefinition} command - Command definition
+   * @param {Object} context - Parse context
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.force=false] - Return an intent even below the match threshold
+   * @return {Object|null} Intent with score, or null if below threshold
+   */
+  _matchCommand(featureId, command, context, options = {}) {
+    const { force = false } = options;
+    const { words } = context;
+    let score = 0;
+    let remainderStart = force ? 0 : words.length;
+
+    const grammar = this._commandGrammar(featureId, command, context.locale);
+    const patterns = command.patterns || [];
+    if (!grammar && patterns.length === 0 && !force) return null;
+
+    // Match verbs, preferring longer phrases ("look up" over "look")
+    const verbs = [...(grammar ? grammar.verbs : [])].sort((a, b) => b.length - a.length);
+    for (const verb of verbs) {
+      const index = findPhrase(words, verb);
+      if (index !== -1) {
+        score += index === 0 ? SCORE_WEIGHTS.leadingVerb : SCORE_WEIGHTS.verb;
+        if (index === 0 && featureId === SYSTEM_FEATURE.id) {
+          score += SCORE_WEIGHTS.systemVerb;
+        }
+        remainderStart = index + verb.split(/\s+/).length;
+        break;
+      }
+    }
+
+    // Verb-less phrasings ("20 usd in eur") are the whole command
+    if (score === 0 && patterns.some(pattern => pattern.test(context.raw.trim()))) {
+      score += SCORE_WEIGHTS.leadingVerb;
+      remainderStart = 0;
+    }
+
+    // Match synonyms
+    for (const synonym of grammar ? grammar.synonyms : []) {
+      if (findPhrase(words, synonym) !== -1) {
+        score += SCORE_WEIGHTS.synonym;
+      }
+    }
+
+    if (score === 0 && !force) return null;
+
+    // Extract parameters; free text keeps the user's words minus the locale's fillers
+    const paramContext = {
+      ...context,
+      remainder: words.slice(remainderStart).filter(word => !context.fillers.has(word))
+    };
+    const { params, missing } = this.extractParams(command, paramContext);
+    score += Object.keys(params).length * SCORE_WEIGHTS.param;
+
+    if (score < MATCH_THRESHOLD && !force) return null;
+
+    return {
+      featureId,
+      action: command.action,
+      params,
+      missing,
+      confidence: Math.min(1, score / (SCORE_WEIGHTS.leadingVerb + 2)),
+      text: context.raw,
+      locale: context.locale,
+      score
+    };
+  }
+
+  /**
+   * Extract typed parameters for a command
+   * @param {CommandDefinition} command - Command definition
+   * @param {Object} context - Parse context
+   * @return {{params: Object, missing: string[]}} Extracted values and missing required names
+   */
+  extractParams(command, context) {
+    const params = {};
+    const missing = [];
+
+    for (const [name, param] of Object.entries(command.params || {})) {
+      const type = slotTypes.get(param.type);
+      let value;
+
+      if (type) {
+        try {
+          value = type.extract(context, param);
+        } catch (error) {
+          console.error(`Error extracting parameter "${name}":`, error);
+        }
+      } else {
+        console.warn(`Unknown parameter type "${param.type}" for "${command.action}.${name}"`);
+      }
+
+      if (value === undefined && param.default !== undefined) {
+        value = param.default;
+      }
+
+      if (value !== undefined) {
+        params[name] = value;
+      } else if (param.required) {
+        missing.push(name);
+      }
+    }
+
+    return { params, missing };
+  }
+
+  /**
+   * Describe a missing slot so the palette can prompt for it
+   * @param {CommandIntent} intent - Intent with missing parameters
+   * @param {string} name - Parameter name
+   * @return {Object} Slot name, type, prompt and autocomplete suggestions
+   */
+  describeSlot(intent, name) {
+    const command = this.getCommand(intent.featureId, intent.action);
+    const param = command.params[name];
+
+    return {
+      name,
+      type: param.type,
+      prompt: slotTypes.getPrompt(name, param),
+      suggestions: slotTypes.getSuggestions(param)
+    };
+  }
+
+  /**
+   * Convert a user's answer into a slot value
+   * Suggested values are used as they are; typed answers go through the slot type's extractor.
+   * @param {CommandParameter} param - Parameter definition
+   * @param {any} answer - Picked suggestion value or typed text
+   * @return {any} Slot value, or undefined if the answer isn't valid for the slot
+   */
+  parseSlotValue(param, answer) {
+    const picked = slotTypes.getSuggestions(param).find(suggestion =>
+      String(suggestion.value) === String(answer) ||
+      suggestion.label.toLowerCase() === String(answer).trim().toLowerCase()
+    );
+    if (picked) return picked.value;
+
+    if (typeof answer !== 'string' || !answer.trim()) return undefined;
+    if (param.type === 'text') return answer.trim();
+
+    const type = slotTypes.get(param.type);
+    if (!type) return undefined;
+
+    // The whole answer is the slot, so nothing precedes it as a verb
+    for (const locale of this.locales) {
+      const context = this._createContext(answer, locale);
+
+      try {
+        const value = type.extract({ ...context, remainder: context.words }, param);
+        if (value !== undefined) return value;
+      } catch (error) {
+        console.error(`Error parsing answer for slot type "${param.type}":`, error);
+        return undefined;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Fill missing slots of an intent with the user's answers
+   * @param {CommandIntent} intent - Intent with missing parameters
+   * @param {Object<string, any>} answers - Answers keyed by parameter name
+   * @return {{intent: CommandIntent, invalid: string|null}} Updated intent and the first
+   *   parameter whose answer was rejected
+   */
+  fillSlots(intent, answers) {
+    const command = this.getCommand(intent.featureId, intent.action);
+    const params = { ...intent.params };
+    let missing = [...(intent.missing || [])];
+    let invalid = null;
+
+    for (const [name, answer] of Object.entries(answers || {})) {
+      const param = command && command.params ? command.params[name] : null;
+      if (!param) continue;
+
+      const value = this.parseSlotValue(param, answer);
+
+      if (value === undefined) {
+        invalid = invalid || name;
+        if (!missing.includes(name)) missing.unshift(name);
+        continue;
+      }
+
+      params[name] = value;
+      missing = missing.filter(item => item !== name);
+    }
+
+    return { intent: { ...intent, params, missing }, invalid };
+  }
+
+  /**
+   * Check whether command text describes a pipeline
+   * @param {string} text - Command text
+   * @return {boolean} Whether text has more than one stage
+   */
+  isPipeline(text) {
+    if (this._findPrefixCommand(text)) return false;
+
+    return splitPipeline(this.expandAliases(text), this.separators).length > 1;
+  }
+
+  /**
+   * Parse command text into a pipeline and check the contract between stages
+   * @param {string} text - Command text (e.g. "summarize then translate to Spanish | copy")
+   * @return {CommandPipeline} Parsed pipeline
+   * @throws {PipelineError} If a stage doesn't match a command or can't accept the previous output
+   */
+  parsePipeline(text) {
+    const stageTexts = splitPipeline(this.expandAliases(text), this.separators);
+    const stages = [];
+
+    stageTexts.forEach((stageText, index) => {
+      const label = `Stage ${index + 1} of ${stageTexts.length} ("${stageText}")`;
+      const intent = this.parse(stageText);
+
+      if (!intent) {
+        throw new PipelineError(`${label}: no command matches`, index, stageText);
+      }
+
+      const command = this.getCommand(intent.featureId, intent.action);
+      const input = command.input || 'none';
+      const output = command.output || 'none';
+
+      // Every stage after the first consumes the previous stage's text
+      if (index > 0 && input !== 'text') {
+        throw new PipelineError(
+          `${label}: "${command.title || intent.action}" doesn't accept text from the previous stage`,
+          index,
+          stageText
+        );
+      }
+
+      // Every stage before the last must produce text
+      if (index < stageTexts.length - 1 && output !== 'text') {
+        throw new PipelineError(
+          `${label}: "${command.title || intent.action}" doesn't produce text for the next stage`,
+          index,
+          stageText
+        );
+      }
+
+      stages.push(intent);
+    });
+
+    return { stages, text: String(text) };
+  }
+
+  /**
+   * Execute a pipeline, feeding each stage's text output into the next
+   * @param {CommandPipeline} pipeline - Parsed pipeline
+   * @param {Object} [context] - Execution context (see execute)
+   * @return {Promise<any>} Result of the last stage
+   * @throws {PipelineError} Identifying the stage that failed
+   */
+  async executePipeline(pipeline, context = {}) {
+    const { stages } = pipeline;
+    let input;
+    let result;
+
+    for (let index = 0; index < stages.length; index++) {
+      const stage = stages[index];
+      const label = `Stage ${index + 1} of ${stages.length} ("${stage.text}")`;
+
+      try {
+        result = await this.execute(stage, index === 0 ?
+          { ...context, pipeline: true } :
+          { ...context, pipeline: true, input });
+      } catch (error) {
+        throw new PipelineError(`${label} failed: ${error.message}`, index, stage.text, error);
+      }
+
+      // Pass text on to the next stage
+      if (index < stages.length - 1) {
+        input = typeof result === 'string' ? result :
+          (result && typeof result.text === 'string' ? result.text : null);
+
+        if (!input) {
+          throw new PipelineError(`${label} produced no text`, index, stage.text);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Replay a saved macro
+   * Steps recorded from a single command run with their saved parameters;
+   * steps recorded from pipelines are parsed again.
+   * @param {string} name - Macro name
+   * @param {Object} [context] - Execution context (see execute)
+   * @return {Promise<any>} Result of the last step
+   */
+  async runMacro(name, context = {}) {
+    const macro = macroManager.getMacro(name);
+    if (!macro) {
+      throw new Error(`No macro named "${name}"`);
+    }
+
+    const depth = (context.macroDepth || 0) + 1;
+    if (depth > MAX_MACRO_DEPTH) {
+      throw new Error(`Macro "${macro.name}" nests other macros too deeply`);
+    }
+
+    const stepContext = { ...context, macroDepth: depth };
+    let result;
+
+    for (let index = 0; index < macro.steps.length; index++) {
+      const step = macro.steps[index];
+
+      try {
+        if (step.featureId) {
+          result = await this.execute({
+            featureId: step.featureId,
+            action: step.action,
+            params: step.params || {},
+            missing: [],
+            text: step.text
+          }, stepContext);
+        } else if (this.isPipeline(step.text)) {
+          result = await this.executePipeline(this.parsePipeline(step.text), stepContext);
+        } else {
+          const intent = this.parse(step.text);
+          if (!intent) throw new Error('no command matches');
+          result = await this.execute(intent, stepContext);
+        }
+      } catch (error) {
+        throw new Error(
+          `Macro "${macro.name}" step ${index + 1} ("${step.text}") failed: ${error.message}`
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Force a feature on or off on the issuing tab's site
+   * @param {string} featureId - Feature ID
+   * @param {boolean|null} enabled - Forced state, or null to follow the global state
+   * @param {Object} context - Execution context (see execute)
+   * @return {Promise<string>} Confirmation
+   */
+  async setSiteRule(featureId, enabled, context) {
+    const pattern = context.url ? siteUtils.patterns.forUrl(context.url) : null;
+    if (!pattern) {
+      throw new Error('Site rules need a web page');
+    }
+
+    await siteRuleManager.setRule(pattern, featureId, { enabled });
+
+    const { name } = featureManager.getFeature(featureId);
+    if (enabled === null) {
+      return `${name} follows its global setting for ${pattern} again`;
+    }
+
+    return `${name} is now ${enabled ? 'on' : 'off'} for ${pattern}`;
+  }
+
+  /**
+   * Ask in the issuing tab whether a feature may replace the conflicting active ones
+   * @param {FeatureDefinition} definition - Feature being activated
+   * @param {FeatureDefinition[]} conflicts - Active features in the way
+   * @param {number} [tabId] - Tab ID
+   * @return {Promise<boolean>} Whether the user agreed
+   */
+  async confirmReplace(definition, conflicts, tabId) {
+    if (tabId === undefined) return false;
+
+    const names = conflicts.map(conflict => conflict.name).join(', ');
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, {
+        type: 'page:confirm',
+        message: `${definition.name} can't run alongside ${names}. Turn off ${names}?`
+      });
+      return !!(response && response.confirmed);
+    } catch (error) {
+      // No content script to ask through
+      return false;
+    }
+  }
+
+  /**
+   * Read text from the issuing tab
+   * Page text of tabs without a content script (e.g. discarded background tabs)
+   * is read from the page source instead.
+   * @param {number} tabId - Tab ID
+   * @param {string} [scope='selection'] - 'selection' or 'page'
+   * @return {Promise<string>} Selected text or page text
+   */
+  async readText(tabId, scope = 'selection') {
+    if (tabId === undefined) {
+      throw new Error('No page to read text from');
+    }
+
+    let response;
+    try {
+      response = await chrome.tabs.sendMessage(tabId, { type: 'page:get-text', scope });
+    } catch (error) {
+      if (scope !== 'page') throw error;
+      return await this.readPageSource(tabId);
+    }
+
+    if (!response || !response.text) {
+      throw new Error(scope === 'page' ? 'No text found on this page' : 'No text selected');
+    }
+
+    return response.text;
+  }
+
+  /**
+   * Read the text of a tab's page from its source, parsed in the offscreen document
+   * @param {number} tabId - Tab ID
+   * @return {Promise<string>} Page text
+   */
+  async readPageSource(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.url || !/^https?:/.test(tab.url)) {
+      throw new Error('No text found on this page');
+    }
+
+    const response = await fetch(tab.url);
+    if (!response.ok) {
+      throw new Error(`Could not load the page (HTTP ${response.status})`);
+    }
+
+    const { text } = await offscreenManager.run('extract-content', { html: await response.text() });
+    if (!text) {
+      throw new Error('No text found on this page');
+    }
+
+    return text;
+  }
+
+  /**
+   * Replace the editable selection in the issuing tab, journaling the change for undo
+   * @param {number} tabId - Tab ID
+   * @param {string} text - Replacement text
+   * @param {string} [label] - Description shown when undoing
+   * @return {Promise<boolean>} Whether the selection was editable and got replaced
+   */
+  async replaceSelection(tabId, text, label) {
+    if (tabId === undefined) return false;
+
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, {
+        type: 'page:replace-selection',
+        text,
+        label
+      });
+      return !!(response && response.replaced);
+    } catch (error) {
+      console.warn('Failed to replace selection:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Undo or redo the last page change in a tab
+   * @param {number} tabId - Tab ID
+   * @param {string} direction - 'undo' or 'redo'
+   * @return {Promise<string>} Description of what happened
+   */
+  async stepJournal(tabId, direction) {
+    if (tabId === undefined) {
+      throw new Error(`Nothing to ${direction} outside a page`);
+    }
+
+    const response = await chrome.tabs.sendMessage(tabId, { type: `page:${direction}` });
+
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || `Could not ${direction}`);
+    }
+
+    if (!response.label) {
+      return `Nothing to ${direction}`;
+    }
+
+    return `${direction === 'undo' ? 'Undid' : 'Redid'}: ${response.label}`;
+  }
+
+  /**
+   * Execute a parsed intent
+   * @param {CommandIntent} intent - Intent to execute
+   * @param {Object} [context] - Execution context
+   * @param {number} [context.tabId] - Tab the command was issued from
+   * @param {string} [context.url] - URL of that tab
+   * @param {string} [context.input] - Text output of the previous pipeline stage
+   * @param {boolean} [context.pipeline] - Whether the intent runs as a pipeline stage
+   * @return {Promise<any>} Command result
+   */
+  async execute(intent, context = {}) {
+    const { featureId, action, params = {}, missing = [] } = intent;
+
+    const command = this.getCommand(featureId, action);
+    if (!command) {
+      throw new Error(`Unknown command "${featureId}.${action}"`);
+    }
+
+    if (missing.length > 0) {
+      throw new Error(`Missing parameters for "${action}": ${missing.join(', ')}`);
+    }
+
+    // Palette commands don't belong to a feature
+    if (featureId === SYSTEM_FEATURE.id) {
+      return await command.run(params, {
+        ...context,
+        text: intent.text,
+        readText: scope => this.readText(context.tabId, scope)
+      });
+    }
+
+    // Respect features the user switched off, but activate others on demand;
+    // site rules override the global state on matching pages
+    const site = context.url ? featureManager.getSiteDecision(featureId, context.url) : {};
+    if (site.enabled === false) {
+      throw new Error(`Feature "${featureId}" is disabled on this site`);
+    }
+
+    const disabledFeatures = storageManager.getSetting('features.disabledFeatures', []);
+    if (site.enabled !== true && disabledFeatures.includes(featureId)) {
+      throw new Error(`Feature "${featureId}" is disabled`);
+    }
+
+    const feature = await featureManager.activateFeature(featureId, {
+      confirm: (definition, conflicts) => this.confirmReplace(definition, conflicts, context.tabId)
+    });
+
+    // Run in the background if the command provides a handler
+    if (typeof command.run === 'function') {
+      return await command.run(params, {
+        ...context,
+        feature,
+        settings: featureManager.getFeatureSettings(featureId, context.url),
+        readText: scope => this.readText(context.tabId, scope),
+        replaceSelection: (text, label) => this.replaceSelection(context.tabId, text, label)
+      });
+    }
+
+    // Otherwise forward to the feature's content code in the issuing tab
+    if (context.tabId === undefined) {
+      throw new Error(`Command "${featureId}.${action}" needs an active tab`);
+    }
+
+    await featureManager.injectContent(featureId, context.tabId, context.url);
+
+    const response = await chrome.tabs.sendMessage(context.tabId, {
+      type: 'feature:command',
+      featureId,
+      action,
+      params,
+      input: context.input
+    });
+
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || `Command "${featureId}.${action}" failed on this page`);
+    }
+
+    return response.result;
+  }
+
+  /**
+   * Compute an intent's result without running it
+   * Only commands with a preview handler support this (conversions, calculations, ...).
+   * @param {CommandIntent} intent - Parsed intent
+   * @param {Object} [context] - Execution context (see execute)
+   * @return {Promise<string|null>} Previewed result, or null if there is none
+   */
+  async preview(intent, context = {}) {
+    const command = this.getCommand(intent.featureId, intent.action);
+    if (!command || typeof command.preview !== 'function' || intent.missing.length > 0) {
+      return null;
+    }
+
+    const site = context.url ? featureManager.getSiteDecision(intent.featureId, context.url) : {};
+    const disabledFeatures = storageManager.getSetting('features.disabledFeatures', []);
+    if (site.enabled === false || (site.enabled !== true && disabledFeatures.includes(intent.featureId))) {
+      return null;
+    }
+
+    try {
+      const result = await command.preview(intent.params, context);
+      return typeof result === 'string' && result ? result : null;
+    } catch (error) {
+      console.warn(`Preview of "${intent.featureId}.${intent.action}" failed:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Parse and run a command request from any entry point (palette, omnibox, ...)
+   * Never throws; failures are reported in the response.
+   * @param {Object} request - What to run
+   * @param {string} [request.text] - Command text; pipelines are only run from free text
+   * @param {CommandIntent} [request.intent] - Already parsed intent
+   * @param {string} [request.featureId] - Run this feature's command on the text
+   * @param {string} [request.action] - Command action, with featureId
+   * @param {Object} [request.slots] - Answers for missing slots, keyed by parameter name
+   * @param {Object} [context] - Execution context (see execute)
+   * @return {Promise<Object>} Response with success, intent or pipeline, result, error,
+   *   stageIndex (failed pipeline stage), needsInput (slot to prompt for) and
+   *   needsPermission (feature to ask permissions for)
+   */
+  async run(request, context = {}) {
+    const { text, featureId, action, slots } = request;
+
+    if (!request.intent && !featureId && this.isPipeline(text)) {
+      try {
+        const result = await this.executePipeline(this.parsePipeline(text), context);
+        macroManager.recordStep({ text });
+        this._recordHistory({ text }, context.url);
+        return { success: true, pipeline: true, result };
+      } catch (error) {
+        return { success: false, pipeline: true, stageIndex: error.stageIndex, error: error.message };
+      }
+    }
+
+    let intent = request.intent || (featureId ?
+      this.parseCommand(featureId, action, text) :
+      this.parse(text));
+    if (!intent) {
+      return {
+        success: false,
+        error: featureId ?
+          `Unknown command "${featureId}.${action}"` :
+          `No command matches "${text}"`
+      };
+    }
+
+    // Apply answers the palette collected for missing slots
+    let invalid = null;
+    if (slots) {
+      ({ intent, invalid } = this.fillSlots(intent, slots));
+    }
+
+    // Ask for missing slots instead of failing
+    if (intent.missing && intent.missing.length > 0 && this.getCommand(intent.featureId, intent.action)) {
+      const slot = this.describeSlot(intent, invalid || intent.missing[0]);
+      if (invalid) {
+        slot.error = `"${slots[invalid]}" isn't a valid answer. ${slot.prompt}`;
+      }
+
+      return { success: false, intent, needsInput: slot };
+    }
+
+    try {
+      const result = await this.execute(intent, context);
+      this._recordIntent(intent, text, context.url);
+      return { success: true, intent, result };
+    } catch (error) {
+      // Only a click can grant permissions, so the palette offers to ask for them
+      const needsPermission = error.name === 'FeaturePermissionError' ? error.featureId : undefined;
+      return { success: false, intent, error: error.message, needsPermission };
+    }
+  }
+
+  /**
+   * Show the response of a command run from outside the palette in the tab's palette
+   * Used by the omnibox and context menus; the palette also prompts for missing slots.
+   * Commands without a text result (e.g. switching tabs) leave nothing to show.
+   * @param {number} tabId - Tab to show the outcome in
+   * @param {string} text - Command text that was run
+   * @param {Object} response - Response of run()
+   * @return {Promise<void>}
+   */
+  async showOutcome(tabId, text, response) {
+    const { result } = response;
+    const hasText = typeof result === 'string' || (result && typeof result.text === 'string');
+    if (response.success && !hasText) return;
+
+    const command = response.intent ?
+      this.getCommand(response.intent.featureId, response.intent.action) : null;
+
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'command:show-outcome',
+        text,
+        title: command && command.title ? command.title : text,
+        intent: response.intent,
+        needsInput: response.needsInput,
+        needsPermission: response.needsPermission,
+        result,
+        error: response.error
+      });
+    } catch (error) {
+      // Pages without the content script (e.g. chrome://) can't show the palette
+      console.warn('Could not show command outcome:', error);
+    }
+  }
+
+  /**
+   * Add an executed intent to the history and the macro being recorded
+   * @private
+   * @param {CommandIntent} intent - Executed intent
+   * @param {string} [text] - Text typed in the palette
+   * @param {string} [url] - URL of the page it ran on
+   */
+  _recordIntent(intent, text, url) {
+    const commandText = text || intent.text || intent.action;
+
+    if (intent.featureId === SYSTEM_FEATURE.id) {
+      // Palette commands only go into history if they opt in (e.g. running a macro)
+      const command = this.getCommand(intent.featureId, intent.action);
+      if (command && command.recordHistory) {
+        this._recordHistory({ text: commandText, intent }, url);
+      }
+      return;
+    }
+
+    this._recordHistory({ text: commandText, intent }, url);
+
+    if (macroManager.isRecording()) {
+      macroManager.recordStep({
+        text: commandText,
+        featureId: intent.featureId,
+        action: intent.action,
+        params: intent.params
+      });
+    }
+  }
+
+  /**
+   * Remember a command in the palette history
+   * @private
+   * @param {Object} command - Executed command (see commandHistory.record)
+   * @param {string} [url] - URL of the page it ran on
+   */
+  _recordHistory(command, url) {
+    commandHistory.record(command, url).catch((error) => {
+      console.error('Failed to record command history:', error);
+    });
+  }
+}
+
+// Create singleton instance
+const commandProcessor = new CommandProcessor();
+
+// Export the singleton
+export default commandProcessor;
@@ -0,0 +1,233 @@
+/**
+ * Context Menu Manager
+ * Builds the page context menu from the menu entries declared by enabled features.
+ * Menu items run feature commands through the command processor.
+ */
+
+import commandProcessor from './command-processor.js';
+import featureManager from './feature-manager.js';
+import storageManager from './storage-manager.js';
+
+/**
+ * Delay before rebuilding, so a burst of setting changes rebuilds once
+ */
+const REBUILD_DELAY = 100;
+
+/**
+ * Separator between the parts of a menu item ID (feature, entry, child, ...)
+ */
+const ID_SEPARATOR = '/';
+
+/**
+ * Menu contexts entries may appear in
+ */
+const MENU_CONTEXTS = ['selection', 'link', 'image', 'page', 'editable'];
+
+/**
+ * Context menu entry interface
+ * @typedef {Object} ContextMenuEntry
+ * @property {string} id - Identifier, unique among its siblings
+ * @property {string} title - Menu title; "%s" is replaced with the selected text
+ * @property {string[]} [contexts=['selection']] - Where the entry appears: 'selection',
+ *   'link', 'image', 'page' or 'editable'; children inherit their parent's contexts
+ * @property {ContextMenuEntry[]} [children] - Submenu entries
+ * @property {Object} [command] - Command run when the entry is clicked (leaf entries only)
+ * @property {string} command.action - Action of one of the feature's commands
+ * @property {Object} [command.params] - Parameters, overriding those the command would parse
+ * @property {string} [input] - Click info passed to the command as its text input:
+ *   'selectionText', 'linkUrl', 'srcUrl' or 'pageUrl'; by default commands read the page
+ */
+
+/**
+ * Context Menu Manager class
+ */
+class ContextMenuManager {
+  constructor() {
+    this.initialized = false;
+    this.rebuildTimer = null;
+    this.rebuildPromise = Promise.resolve();
+
+    // Bind methods
+    this.handleClick = this.handleClick.bind(this);
+    this.scheduleRebuild = this.scheduleRebuild.bind(this);
+  }
+
+  /**
+   * Initialize the context menu manager
+   * @return {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    // Enabling, disabling and configuring features all change feature settings
+    storageManager.addChangeListener('features', this.scheduleRebuild);
+    storageManager.addChangeListener('settings', this.scheduleRebuild);
+
+    await this.rebuild();
+    this.initialized = true;
+
+    console.log('Context menu manager initialized');
+  }
+
+  /**
+   * Rebuild the menu shortly, coalescing repeated changes
+   */
+  scheduleRebuild() {
+    clearTimeout(this.rebuildTimer);
+    this.rebuildTimer = setTimeout(() => {
+      this.rebuild().catch((error) => {
+        console.error('Failed to rebuild context menu:', error);
+      });
+    }, REBUILD_DELAY);
+  }
+
+  /**
+   * Remove all menu items and create those of the enabled features again
+   * Rebuilds run one after another so items are never created twice.
+   * @return {Promise<void>}
+   */
+  rebuild() {
+    this.rebuildPromise = this.rebuildPromise
+      .catch(() => {})
+      .then(() => this._rebuild());
+
+    return this.rebuildPromise;
+  }
+
+  /**
+   * Perform the actual rebuild
+   * @private
+   * @return {Promise<void>}
+   */
+  async _rebuild() {
+    await chrome.contextMenus.removeAll();
+
+    let count = 0;
+
+    for (const feature of featureManager.getAllFeatures()) {
+      if (!feature.contextMenu || !this.isShown(feature.id)) continue;
+
+      for (const entry of feature.contextMenu) {
+        count += this._createItems(entry, [feature.id], null, ['selection']);
+      }
+    }
+
+    console.log(`Context menu built with ${count} items`);
+  }
+
+  /**
+   * Check whether a feature's entries belong in the menu
+   * Features can be hidden from the menu with their `showInContextMenu` setting.
+   * @param {string} featureId - Feature ID
+   * @return {boolean} Whether the feature's entries are shown
+   */
+  isShown(featureId) {
+    if (!featureManager.isFeatureEnabled(featureId)) return false;
+
+    const settings = featureManager.getFeatureSettings(featureId) || {};
+    return settings.showInContextMenu !== false;
+  }
+
+  /**
+   * Create a menu item and its children
+   * @private
+   * @param {ContextMenuEntry} entry - Menu entry
+   * @param {string[]} path - IDs of the feature and parent entries
+   * @param {string|null} parentId - Menu ID of the parent item
+   * @param {string[]} inheritedContexts - Contexts of the parent item
+   * @return {number} Number of items created
+   */
+  _createItems(entry, path, parentId, inheritedContexts) {
+    const itemPath = [...path, entry.id];
+    const id = itemPath.join(ID_SEPARATOR);
+    const contexts = (entry.contexts || inheritedContexts)
+      .filter(context => MENU_CONTEXTS.includes(context));
+
+    chrome.contextMenus.create({
+      id,
+      title: entry.title,
+      contexts,
+      ...(parentId ? { parentId } : {})
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`Failed to create menu item "${id}":`, chrome.runtime.lastError.message);
+      }
+    });
+
+    let count = 1;
+    for (const child of entry.children || []) {
+      count += this._createItems(child, itemPath, id, contexts);
+    }
+
+    return count;
+  }
+
+  /**
+   * Find the menu entry a menu item was created from
+   * @param {string} menuItemId - Menu item ID
+   * @return {{featureId: string, entry: ContextMenuEntry}|null} Feature and entry, or null
+   */
+  findEntry(menuItemId) {
+    const [featureId, ...ids] = String(menuItemId).split(ID_SEPARATOR);
+    const feature = featureManager.getFeature(featureId);
+    let entries = feature ? feature.contextMenu || [] : [];
+    let entry = null;
+
+    for (const id of ids) {
+      entry = entries.find(candidate => candidate.id === id);
+      if (!entry) return null;
+      entries = entry.children || [];
+    }
+
+    return entry ? { featureId, entry } : null;
+  }
+
+  /**
+   * Run the command of a clicked menu item
+   * @param {Object} info - Click information (menuItemId, selectionText, linkUrl, ...)
+   * @param {chrome.tabs.Tab} [tab] - Tab the menu was opened in
+   * @return {Promise<void>}
+   */
+  async handleClick(info, tab) {
+    const found = this.findEntry(info.menuItemId);
+    if (!found || !found.entry.command) return;
+
+    const { featureId, entry } = found;
+    const { action, params = {} } = entry.command;
+
+    // Start from what the command parses out of nothing (defaults, missing slots)
+    const parsed = commandProcessor.parseCommand(featureId, action, '');
+    if (!parsed) {
+      console.error(`Menu item "${info.menuItemId}" runs unknown command "${featureId}.${action}"`);
+      return;
+    }
+
+    const intent = {
+      ...parsed,
+      params: { ...parsed.params, ...params },
+      missing: parsed.missing.filter(name => !(name in params)),
+      text: entry.title.replace('%s', info.selectionText || '').trim()
+    };
+
+    const context = { tabId: tab ? tab.id : undefined, url: tab ? tab.url : info.pageUrl };
+    if (entry.input && typeof info[entry.input] === 'string') {
+      context.input = info[entry.input];
+    }
+
+    const response = await commandProcessor.run({ intent }, context);
+
+    if (!response.success && !response.needsInput) {
+      console.warn(`Menu command "${featureId}.${action}" failed:`, response.error);
+    }
+
+    if (tab) {
+      await commandProcessor.showOutcome(tab.id, intent.text, response);
+    }
+  }
+}
+
+// Create singleton instance
+const contextMenuManager = new ContextMenuManager();
+
+// Export the singleton
+export default contextMenuManager;
@@ -0,0 +1,632 @@
+/**
+ * Credential Vault
+ * Keeps API keys and other secrets encrypted in chrome.storage.local, with
+ * AES-GCM under a key derived by PBKDF2. With a passphrase, the vault locks
+ * after a while and secrets can't be read until the user unlocks it again.
+ * Without one, the key is derived from a random secret stored next to the
+ * vault: secrets don't appear in plain text (in settings, backups or sync),
+ * but anyone who can read the extension's storage can decrypt them.
+ *
+ * Which secrets exist is stored in clear, so services can tell they have a
+ * key while the vault is locked. Secrets never leave the vault unencrypted:
+ * backups only get them through exportSecrets, under a passphrase.
+ */
+
+import eventBus from './event-bus.js';
+import storageManager from './storage-manager.js';
+import storageUtils from '../utils/storage-utils.js';
+
+/**
+ * chrome.storage.local key of the vault (never synced, see storage-utils.js)
+ */
+const VAULT_KEY = 'credentialVault';
+
+/**
+ * Session storage key of the unlocked vault's key, so unlocking outlives
+ * service worker restarts; session storage is never written to disk
+ */
+const SESSION_KEY = 'vault.key';
+
+/**
+ * Alarm locking the vault once it wasn't used for a while
+ */
+const LOCK_ALARM = 'vault-lock';
+
+/**
+ * Minutes without use before the vault locks, when settings don't say
+ */
+const DEFAULT_LOCK_TIMEOUT = 15;
+
+/**
+ * PBKDF2 iterations for new keys, and salt and IV sizes in bytes
+ */
+const KDF_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * PBKDF2 iterations for the random device secret: it is too long to guess, so
+ * stretching it would only slow every service worker start down
+ */
+const DEVICE_SECRET_ITERATIONS = 1;
+
+/**
+ * Shortest passphrase accepted
+ */
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Stored vault
+ * @typedef {Object} VaultRecord
+ * @property {number} version - Format version
+ * @property {boolean} protected - Whether the key is derived from a passphrase
+ * @property {string} salt - PBKDF2 salt (base64)
+ * @property {number} iterations - PBKDF2 iterations
+ * @property {string} [deviceSecret] - Random secret the key is derived from when
+ *   not protected (base64)
+ * @property {string[]} ids - IDs of the stored secrets
+ * @property {{iv: string, data: string}} secrets - Secrets by ID, encrypted
+ */
+
+/**
+ * Vault error
+ * `code` is 'locked', 'wrong-passphrase' or 'invalid'.
+ */
+class VaultError extends Error {
+  /**
+   * Create a vault error
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'VaultError';
+    this.code = code;
+  }
+}
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @return {string} Base64
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64
+ * @return {Uint8Array} Bytes
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Generate random bytes
+ * @param {number} length - Number of bytes
+ * @return {Uint8Array} Bytes
+ */
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * The key is extractable so an unlocked vault can be kept in session storage.
+ * @param {string} passphrase - Passphrase
+ * @param {string} salt - Salt (base64)
+ * @param {number} iterations - PBKDF2 iterations
+ * @return {Promise<CryptoKey>} Key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {CryptoKey} key - Key
+ * @param {any} value - Value
+ * @return {Promise<{iv: string, data: string}>} Encrypted value
+ */
+async function encrypt(key, value) {
+  const iv = randomBytes(IV_BYTES);
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt a value encrypted by encrypt()
+ * AES-GCM authenticates the data, so a wrong key fails instead of returning garbage.
+ * @param {CryptoKey} key - Key
+ * @param {{iv: string, data: string}} encrypted - Encrypted value
+ * @return {Promise<any>} Value
+ * @throws {VaultError} If the key is wrong or the data was changed
+ */
+async function decrypt(key, encrypted) {
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(encrypted.iv) }, key, fromBase64(encrypted.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch (error) {
+    throw new VaultError('wrong-passphrase', 'Wrong passphrase');
+  }
+}
+
+/**
+ * Check a new passphrase
+ * @param {string} passphrase - Passphrase
+ * @throws {VaultError} If it is too short
+ */
+function assertPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new VaultError('invalid', `The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`);
+  }
+}
+
+/**
+ * Credential Vault class
+ */
+class CredentialVault {
+  constructor() {
+    this.initialized = false;
+    this.initPromise = null;
+    this.record = null;
+    this.key = null;
+    this.secrets = null;
+
+    // Bind methods
+    this.handleAlarm = this.handleAlarm.bind(this);
+  }
+
+  /**
+   * Initialize the vault
+   * @return {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    // Prevent multiple concurrent initializations
+    if (this.initPromise) {
+      return this.initPromise;
+    }
+
+    this.initPromise = this._performInitialization();
+
+    try {
+      await this.initPromise;
+    } finally {
+      this.initPromise = null;
+    }
+  }
+
+  /**
+   * Perform the actual initialization
+   * @private
+   * @return {Promise<void>}
+   */
+  async _performInitialization() {
+    // The lock timeout is a setting
+    await storageManager.initialize();
+
+    const stored = await storageUtils.chrome.get(VAULT_KEY);
+    this.record = stored[VAULT_KEY] || null;
+
+    if (!this.record) {
+      await this._create();
+    } else if (!this.record.protected) {
+      await this._open(await deriveKey(this.record.deviceSecret, this.record.salt, this.record.iterations));
+    } else {
+      await this._restoreSessionKey();
+    }
+
+    this.initialized = true;
+    console.log(`Credential vault initialized (${this.isLocked() ? 'locked' : 'unlocked'})`);
+  }
+
+  /**
+   * Create an empty vault without passphrase
+   * @private
+   * @return {Promise<void>}
+   */
+  async _create() {
+    const deviceSecret = toBase64(randomBytes(32));
+    const salt = toBase64(randomBytes(SALT_BYTES));
+    const key = await deriveKey(deviceSecret, salt, DEVICE_SECRET_ITERATIONS);
+
+    this.record = {
+      version: 1,
+      protected: false,
+      salt,
+      iterations: DEVICE_SECRET_ITERATIONS,
+      deviceSecret,
+      ids: [],
+      secrets: await encrypt(key, {})
+    };
+    await this._saveRecord();
+
+    this.key = key;
+    this.secrets = {};
+  }
+
+  /**
+   * Decrypt the secrets with a key, unlocking the vault
+   * @private
+   * @param {CryptoKey} key - Key
+   * @return {Promise<void>}
+   * @throws {VaultError} If the key is wrong
+   */
+  async _open(key) {
+    const secrets = await decrypt(key, this.record.secrets);
+
+    // Secrets removed while the vault was locked
+    this.secrets = Object.fromEntries(
+      Object.entries(secrets).filter(([id]) => this.record.ids.includes(id))
+    );
+    this.key = key;
+  }
+
+  /**
+   * Unlock with the key kept by an earlier service worker, if it is still valid
+   * @private
+   * @return {Promise<void>}
+   */
+  async _restoreSessionKey() {
+    const raw = await storageManager.getSessionState(SESSION_KEY, null);
+    if (!raw) return;
+
+    try {
+      const key = await crypto.subtle.importKey(
+        'raw', fromBase64(raw), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']
+      );
+      await this._open(key);
+    } catch (error) {
+      // The passphrase changed in the meantime
+      await storageManager.removeSessionState(SESSION_KEY);
+    }
+  }
+
+  /**
+   * Whether a passphrase protects the vault
+   * @return {boolean} Whether it is protected
+   */
+  isProtected() {
+    return !!(this.record && this.record.protected);
+  }
+
+  /**
+   * Whether secrets can't be read until the vault is unlocked
+   * @return {boolean} Whether it is locked
+   */
+  isLocked() {
+    return this.key === null;
+  }
+
+  /**
+   * Check whether a secret is stored, even while locked
+   * @param {string} id - Secret ID
+   * @return {boolean} Whether it is stored
+   */
+  hasSecret(id) {
+    return !!(this.record && this.record.ids.includes(id));
+  }
+
+  /**
+   * Describe the vault, without secrets
+   * @return {{protected: boolean, locked: boolean, ids: string[], lockTimeout: number}} Status;
+   *   `lockTimeout` is in minutes, 0 when the vault doesn't lock by itself
+   */
+  getStatus() {
+    return {
+      protected: this.isProtected(),
+      locked: this.isLocked(),
+      ids: this.record ? [...this.record.ids] : [],
+      lockTimeout: this._getLockTimeout()
+    };
+  }
+
+  /**
+   * Get a secret
+   * Reading a secret counts as use, so it postpones locking.
+   * @param {string} id - Secret ID
+   * @return {Promise<string|null>} Secret, or null if none is stored
+   * @throws {VaultError} If the vault is locked
+   */
+  async getSecret(id) {
+    this._assertUnlocked();
+    await this._scheduleLock();
+    return this.secrets[id] !== undefined ? this.secrets[id] : null;
+  }
+
+  /**
+   * Get every secret
+   * @return {Promise<Object<string, string>>} Secrets by ID
+   * @throws {VaultError} If the vault is locked
+   */
+  async getSecrets() {
+    this._assertUnlocked();
+    await this._scheduleLock();
+    return { ...this.secrets };
+  }
+
+  /**
+   * Store a secret
+   * @param {string} id - Secret ID
+   * @param {string} value - Secret
+   * @return {Promise<void>}
+   * @throws {VaultError} If the vault is locked
+   */
+  async setSecret(id, value) {
+    this._assertUnlocked();
+    await this._saveSecrets({ ...this.secrets, [id]: value });
+    await this._scheduleLock();
+  }
+
+  /**
+   * Remove a secret
+   * Works while locked, so a key can be dropped without the passphrase.
+   * @param {string} id - Secret ID
+   * @return {Promise<void>}
+   */
+  async removeSecret(id) {
+    if (!this.hasSecret(id)) return;
+
+    if (this.isLocked()) {
+      // The secret stays in the encrypted data until the next unlocked write,
+      // but nothing reads it once its ID is gone
+      this.record.ids = this.record.ids.filter(existing => existing !== id);
+      await this._saveRecord();
+      return;
+    }
+
+    const secrets = { ...this.secrets };
+    delete secrets[id];
+    await this._saveSecrets(secrets);
+  }
+
+  /**
+   * Unlock the vault
+   * @param {string} passphrase - Passphrase
+   * @return {Promise<void>}
+   * @throws {VaultError} If the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    if (!this.isLocked()) return;
+
+    const key = await deriveKey(passphrase, this.record.salt, this.record.iterations);
+    await this._open(key);
+
+    await storageManager.setSessionState(SESSION_KEY, toBase64(await crypto.subtle.exportKey('raw', key)));
+    await this._scheduleLock();
+
+    console.log('Credential vault unlocked');
+    await eventBus.emit('vault:unlocked');
+  }
+
+  /**
+   * Lock the vault, forgetting the key and secrets until it is unlocked again
+   * A vault without passphrase can't be locked.
+   * @return {Promise<boolean>} Whether it was locked
+   */
+  async lock() {
+    if (!this.isProtected() || this.isLocked()) {
+      return false;
+    }
+
+    this.key = null;
+    this.secrets = null;
+    await storageManager.removeSessionState(SESSION_KEY);
+    await chrome.alarms.clear(LOCK_ALARM);
+
+    console.log('Credential vault locked');
+    await eventBus.emit('vault:locked');
+    return true;
+  }
+
+  /**
+   * Set, change or remove the passphrase
+   * @param {string|null} current - Current passphrase; ignored when there is none
+   * @param {string|null} next - New passphrase, or null to remove it
+   * @return {Promise<void>}
+   * @throws {VaultError} If the current passphrase is wrong or the new one too short
+   */
+  async setPassphrase(current, next) {
+    if (next !== null) {
+      assertPassphrase(next);
+    }
+
+    const wasLocked = this.isLocked();
+
+    // Asking for the current passphrase, even when unlocked, keeps someone
+    // at an unlocked browser from taking the vault over
+    if (this.isProtected()) {
+      await this._open(await deriveKey(current || '', this.record.salt, this.record.iterations));
+    }
+
+    const salt = toBase64(randomBytes(SALT_BYTES));
+    const deviceSecret = next === null ? toBase64(randomBytes(32)) : undefined;
+    const iterations = next === null ? DEVICE_SECRET_ITERATIONS : KDF_ITERATIONS;
+    const key = await deriveKey(next === null ? deviceSecret : next, salt, iterations);
+
+    this.record = {
+      version: 1,
+      protected: next !== null,
+      salt,
+      iterations,
+      ...(deviceSecret ? { deviceSecret } : {}),
+      ids: this.record.ids,
+      secrets: await encrypt(key, this.secrets)
+    };
+    await this._saveRecord();
+    this.key = key;
+
+    if (this.isProtected()) {
+      await storageManager.setSessionState(SESSION_KEY, toBase64(await crypto.subtle.exportKey('raw', key)));
+      await this._scheduleLock();
+    } else {
+      await storageManager.removeSessionState(SESSION_KEY);
+      await chrome.alarms.clear(LOCK_ALARM);
+    }
+
+    console.log(`Credential vault passphrase ${next === null ? 'removed' : 'set'}`);
+
+    if (wasLocked) {
+      await eventBus.emit('vault:unlocked');
+    }
+  }
+
+  /**
+   * Export the secrets encrypted under a passphrase, e.g. for a backup
+   * @param {string} passphrase - Passphrase to encrypt them with
+   * @return {Promise<Object>} Encrypted secrets, for importSecrets
+   * @throws {VaultError} If the vault is locked or the passphrase too short
+   */
+  async exportSecrets(passphrase) {
+    assertPassphrase(passphrase);
+    this._assertUnlocked();
+
+    const salt = toBase64(randomBytes(SALT_BYTES));
+    const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+
+    return {
+      version: 1,
+      salt,
+      iterations: KDF_ITERATIONS,
+      ...await encrypt(key, this.secrets)
+    };
+  }
+
+  /**
+   * Import secrets exported by exportSecrets, replacing those with the same ID
+   * @param {Object} exported - Encrypted secrets
+   * @param {string} passphrase - Passphrase they were exported with
+   * @return {Promise<string[]>} IDs of the imported secrets
+   * @throws {VaultError} If the vault is locked, the export invalid or the passphrase wrong
+   */
+  async importSecrets(exported, passphrase) {
+    this._assertUnlocked();
+
+    if (!exported || !exported.salt || !exported.iv || !exported.data || !exported.iterations) {
+      throw new VaultError('invalid', 'The exported secrets are invalid');
+    }
+
+    const key = await deriveKey(passphrase || '', exported.salt, exported.iterations);
+    const imported = await decrypt(key, exported);
+
+    await this._saveSecrets({ ...this.secrets, ...imported });
+    return Object.keys(imported);
+  }
+
+  /**
+   * Handle alarms (locking after the timeout)
+   * @param {Object} alarm - Alarm that fired
+   * @return {Promise<void>}
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== LOCK_ALARM) return;
+
+    await this.lock();
+  }
+
+  /**
+   * Handle service worker restart
+   * An earlier worker may have unlocked the vault.
+   * @return {Promise<void>}
+   */
+  async handleRestart() {
+    if (!this.initialized) {
+      await this.initialize();
+    } else if (this.isLocked()) {
+      await this._restoreSessionKey();
+    }
+  }
+
+  /**
+   * Throw if the vault is locked
+   * @private
+   * @throws {VaultError} If it is locked
+   */
+  _assertUnlocked() {
+    if (this.isLocked()) {
+      throw new VaultError('locked', 'The credential vault is locked');
+    }
+  }
+
+  /**
+   * Get the lock timeout setting
+   * @private
+   * @return {number} Minutes, 0 for never
+   */
+  _getLockTimeout() {
+    return storageManager.getSetting('api.vaultLockTimeout', DEFAULT_LOCK_TIMEOUT);
+  }
+
+  /**
+   * (Re)start the lock countdown of a protected vault
+   * @private
+   * @return {Promise<void>}
+   */
+  async _scheduleLock() {
+    if (!this.isProtected()) return;
+
+    const timeout = this._getLockTimeout();
+    if (timeout > 0) {
+      await chrome.alarms.create(LOCK_ALARM, { delayInMinutes: Math.max(timeout, 0.5) });
+    } else {
+      await chrome.alarms.clear(LOCK_ALARM);
+    }
+  }
+
+  /**
+   * Encrypt and store the secrets
+   * @private
+   * @param {Object<string, string>} secrets - Secrets by ID
+   * @return {Promise<void>}
+   */
+  async _saveSecrets(secrets) {
+    this.record = {
+      ...this.record,
+      ids: Object.keys(secrets),
+      secrets: await encrypt(this.key, secrets)
+    };
+    await this._saveRecord();
+    this.secrets = secrets;
+  }
+
+  /**
+   * Store the vault
+   * @private
+   * @return {Promise<void>}
+   */
+  async _saveRecord() {
+    await storageUtils.chrome.set({ [VAULT_KEY]: this.record });
+  }
+}
+
+// Create singleton instance
+const credentialVault = new CredentialVault();
+
+// Pick up the unlocked key of the previous worker
+eventBus.on('background:restore', () => credentialVault.handleRestart());
+
+// Export the singleton
+export default credentialVault;
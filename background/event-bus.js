@@ -0,0 +1,117 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe for the background managers. Replaces the
+ * `document` CustomEvents of earlier versions: a service worker has no
+ * `document`. Only plain JavaScript is used, so the bus also runs in Node.
+ *
+ * Readiness is not an event here: every manager's `initialize()` returns a
+ * shared promise, so components await the managers they depend on directly.
+ */
+
+/**
+ * Events and their payloads
+ * @typedef {Object} BusEvents
+ * @property {void} vault:unlocked - Credential vault unlocked; secrets can be read
+ * @property {void} vault:locked - Credential vault locked; secrets read before must be forgotten
+ * @property {{restartCount: number}} background:restore - Service worker restarted;
+ *   managers restore their state
+ */
+
+/**
+ * Known event names (see BusEvents), so a typo fails loudly instead of never firing
+ */
+const EVENT_NAMES = new Set([
+  'vault:unlocked',
+  'vault:locked',
+  'background:restore'
+]);
+
+/**
+ * Check an event name
+ * @param {string} event - Event name
+ * @throws {Error} If the event is unknown
+ */
+function assertKnownEvent(event) {
+  if (!EVENT_NAMES.has(event)) {
+    throw new Error(`Unknown event "${event}"`);
+  }
+}
+
+/**
+ * Event Bus class
+ */
+class EventBus {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name (see BusEvents)
+   * @param {Function} listener - Called with the payload; may be async
+   * @return {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    assertKnownEvent(event);
+
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to `on`
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * Wait for the next occurrence of an event
+   * @param {string} event - Event name (see BusEvents)
+   * @return {Promise<any>} Payload
+   */
+  once(event) {
+    return new Promise((resolve) => {
+      const unsubscribe = this.on(event, (payload) => {
+        unsubscribe();
+        resolve(payload);
+      });
+    });
+  }
+
+  /**
+   * Publish an event and wait for its listeners
+   * A failing listener is logged and doesn't stop the others.
+   * @param {string} event - Event name (see BusEvents)
+   * @param {any} [payload] - Event payload
+   * @return {Promise<void>}
+   */
+  async emit(event, payload) {
+    assertKnownEvent(event);
+
+    const listeners = [...(this.listeners.get(event) || [])];
+
+    await Promise.all(listeners.map(async (listener) => {
+      try {
+        await listener(payload);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    }));
+  }
+}
+
+// Create singleton instance
+const eventBus = new EventBus();
+
+// Export the singleton
+export default eventBus;
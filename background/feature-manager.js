@@ -4,7 +4,16 @@
  * Handles feature dependencies, conflict resolution, and state tracking.
  */
 
+import eventBus from './event-bus.js';
+import jobScheduler from './job-scheduler.js';
+import offscreenManager from './offscreen-manager.js';
 import storageManager from './storage-manager.js';
+import slotTypes from './slot-types.js';
+import apiUtils from '../utils/api-utils.js';
+import textUtils from '../utils/text-utils.js';
+import unitUtils from '../utils/unit-utils.js';
+import siteUtils from '../utils/site-utils.js';
+import schemaUtils from '../utils/schema-utils.js';
 
 /**
  * Feature registry - will be populated with all available features
@@ -18,6 +27,113 @@ const featureRegistry = new Map();
  */
 const activeFeatures = new Map();
 
+/**
+ * Tabs each feature's content code has been injected into
+ * @type {Map<string, Set<number>>}
+ */
+const injectedTabs = new Map();
+
+/**
+ * Descriptor listing every shipped feature
+ */
+const FEATURE_DESCRIPTOR = 'features/features.json';
+
+/**
+ * Settings holding the profiles and the active profile's name
+ */
+const PROFILES_SETTING = 'features.profiles';
+const ACTIVE_PROFILE_SETTING = 'features.activeProfile';
+
+/**
+ * Owner of the jobs switching profiles on a schedule (see job-scheduler.js);
+ * each job is named after the profile's key
+ */
+const PROFILE_JOB_OWNER = 'profiles';
+
+/**
+ * Valid profile names: letters, digits, spaces, dashes and underscores
+ */
+const PROFILE_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _-]{0,39}$/u;
+
+/**
+ * Session storage key of the snapshot of active and pending features and their state
+ */
+const SESSION_KEY = 'features.session';
+
+/**
+ * Setting holding each feature's recent failures and quarantine state
+ */
+const HEALTH_SETTING = 'features.health';
+
+/**
+ * Error budget: a feature whose hooks fail this often within the window is quarantined
+ */
+const ERROR_BUDGET = {
+  failures: 3,
+  window: 24 * 60 * 60 * 1000 // 1 day in ms
+};
+
+/**
+ * What to do when a feature conflicts with an active one:
+ * 'refuse' to activate, 'replace' the active feature, or 'ask' the user first
+ */
+const CONFLICT_STRATEGIES = ['refuse', 'replace', 'ask'];
+
+/**
+ * Feature conflict error
+ * `strategy` is 'ask' when the user may still agree to replace the conflicting
+ * features: activate again with `{onConflict: 'replace'}` once they do.
+ */
+class FeatureConflictError extends Error {
+  /**
+   * Create a feature conflict error
+   * @param {string} featureId - Feature being activated
+   * @param {string[]} conflicts - Active features in the way
+   * @param {string} strategy - 'refuse' or 'ask'
+   */
+  constructor(featureId, conflicts, strategy) {
+    super(`Feature "${featureId}" conflicts with active feature${conflicts.length > 1 ? 's' : ''} ` +
+      conflicts.map(id => `"${id}"`).join(', '));
+    this.name = 'FeatureConflictError';
+    this.featureId = featureId;
+    this.conflicts = conflicts;
+    this.strategy = strategy;
+  }
+}
+
+/**
+ * Get a feature's declared conflicts with their strategies
+ * @param {FeatureDefinition} definition - Feature definition
+ * @return {{id: string, strategy: string}[]} Conflicts
+ */
+function getConflictEntries(definition) {
+  return (definition.conflicts || []).map(entry => (
+    typeof entry === 'string' ? { id: entry, strategy: 'refuse' } : { strategy: 'refuse', ...entry }
+  ));
+}
+
+/**
+ * Feature permission error
+ * Chrome only asks the user for permissions in answer to a click, so the
+ * background never requests them: callers show `missing` to the user and ask
+ * for it from the popup (see permission-broker.js), then activate again.
+ */
+class FeaturePermissionError extends Error {
+  /**
+   * Create a feature permission error
+   * @param {string} featureId - Feature missing the permissions
+   * @param {PermissionSet} missing - Permissions and hosts that aren't granted
+   * @param {string} [message] - Error message; names the missing permissions by default
+   */
+  constructor(featureId, missing, message) {
+    super(message || `Feature "${featureId}" needs permission to use ` +
+      [...missing.permissions, ...missing.origins].join(', '));
+    this.name = 'FeaturePermissionError';
+    this.featureId = featureId;
+    this.missing = missing;
+  }
+}
+
 /**
  * Features pending activation (waiting for permissions)
  * @type {Map<string, {resolve: Function, reject: Function}>}
@@ -36,6 +152,140 @@ const CATEGORIES = {
   UTILITIES: 'utilities'
 };
 
+/**
+ * Case converter methods, keyed by case name
+ */
+const CASE_METHODS = {
+  title: 'toTitleCase',
+  sentence: 'toSentenceCase',
+  upper: 'toUpperCase',
+  lower: 'toLowerCase',
+  camel: 'toCamelCase',
+  pascal: 'toPascalCase',
+  snake: 'toSnakeCase',
+  kebab: 'toKebabCase'
+};
+
+/**
+ * Load a feature's content module in a page and activate it
+ * Injected with chrome.scripting into the content script world, so it must be
+ * self-contained. Modules are kept per page, so injecting twice is harmless.
+ * @param {string} featureId - Feature ID
+ * @param {string} moduleUrl - URL of the content module
+ * @param {Object} settings - Feature settings
+ * @return {Promise<boolean>} Resolves once the module is active
+ */
+function loadFeatureContent(featureId, moduleUrl, settings) {
+  const modules = window.__aioFeatureModules || (window.__aioFeatureModules = new Map());
+
+  if (!modules.has(featureId)) {
+    modules.set(featureId, import(moduleUrl)
+      .then(async (module) => {
+        const feature = module.default || {};
+        if (typeof feature.activate === 'function') {
+          await feature.activate(settings);
+        }
+        return feature;
+      })
+      .catch((error) => {
+        modules.delete(featureId);
+        throw error;
+      }));
+  }
+
+  return modules.get(featureId).then(() => true);
+}
+
+/**
+ * Check whether a URL can run injected content code
+ * @param {string} [url] - Tab URL
+ * @return {boolean} Whether the page is a regular web page
+ */
+function isInjectableUrl(url) {
+  return /^(https?|file):/.test(url || '');
+}
+
+/**
+ * Get the text a command should work on
+ * Pipeline input takes precedence over the page, so "summarize then translate"
+ * translates the summary rather than the selection.
+ * @param {Object} params - Command parameters
+ * @param {Object} context - Command execution context
+ * @return {Promise<string>} Input text
+ */
+async function getInputText(params, context) {
+  if (typeof context.input === 'string') {
+    return context.input;
+  }
+
+  return await context.readText(params.scope);
+}
+
+/**
+ * Verb-less conversion phrasing shared by the unit and currency converters ("20 usd in eur")
+ */
+const CONVERSION_PATTERN = /^-?\d+(?:\.\d+)?\s*\S+\s+(?:in|to|into|as)\s+\S+$/i;
+
+/**
+ * Bare arithmetic ("12 * (3 + 4)")
+ */
+const EXPRESSION_PATTERN = /^[\d\s.()]+[-+*/%^×÷][\d\s.+\-*/%^()×÷]+$/;
+
+/**
+ * Find the open tab that best matches a query
+ * Titles count more than URLs; every word of the query has to match one or the other.
+ * @param {string} query - Search query (e.g. "github pulls")
+ * @return {Promise<chrome.tabs.Tab|null>} Best matching tab or null
+ */
+async function findTab(query) {
+  const tabs = await chrome.tabs.query({});
+  const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  let best = null;
+  let bestScore = 0;
+
+  for (const tab of tabs) {
+    let score = 0;
+
+    for (const word of words) {
+      const title = textUtils.compare.fuzzyMatch(word, tab.title || '');
+      const url = textUtils.compare.fuzzyMatch(word, tab.url || '');
+
+      if (!title && !url) {
+        score = 0;
+        break;
+      }
+
+      score += Math.max(title ? title.score * 2 : 0, url ? url.score : 0);
+    }
+
+    if (score > bestScore) {
+      best = tab;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Write a command's result back over the selection it read
+ * Only editable selections (text fields, contenteditable) are replaced, and the
+ * change is journaled in the tab so it can be undone. Pipeline stages never
+ * write back; their output flows to the next stage instead.
+ * @param {Object} params - Command parameters
+ * @param {Object} context - Command execution context
+ * @param {string} text - Replacement text
+ * @param {string} label - Description shown when undoing
+ * @return {Promise<boolean>} Whether the selection was replaced
+ */
+async function writeBackSelection(params, context, text, label) {
+  if (context.pipeline || typeof context.input === 'string' || params.scope !== 'selection') {
+    return false;
+  }
+
+  return await context.replaceSelection(text, label);
+}
+
 /**
  * Feature definition interface
  * @typedef {Object} FeatureDefinition
@@ -43,15 +293,74 @@ const CATEGORIES = {
  * @property {string} name - Display name
  * @property {string} description - Feature description
  * @property {string} category - Feature category
+ * @property {string} [path] - Directory of the feature's files under features/
+ * @property {Object} [content] - Content-side code, injected into a tab when first used there
+ * @property {string} [content.script] - Content module, relative to path; may export
+ *   default `{activate(settings), deactivate(), handleCommand(action, params, context)}`
+ * @property {string} [content.style] - Stylesheet, relative to path
+ * @property {string} [content.injectOn='command'] - 'command' to inject when a command runs
+ *   in the tab, or 'load' to inject into every page while the feature is active
  * @property {string[]} [permissions] - Required permissions
  * @property {string[]} [optionalPermissions] - Optional permissions
  * @property {string[]} [hostPermissions] - Required host permissions
- * @property {string[]} [dependencies] - Required feature dependencies
- * @property {string[]} [conflicts] - Features that conflict with this one
+ * @property {Object<string, string>} [permissionReasons] - Why the feature needs each
+ *   permission or host, keyed by name; shown when the user is asked for them
+ * @property {string[]} [dependencies] - Features activated before this one (in dependency
+ *   order); cycles are rejected at registration
+ * @property {Array<string|{id: string, strategy: string}>} [conflicts] - Features that can't be
+ *   active alongside this one, with what to do when they are: 'refuse' (default), 'replace'
+ *   or 'ask'. Conflicts go both ways; the strategy of the feature being activated wins
  * @property {Function} [onActivate] - Function called when feature is activated
  * @property {Function} [onDeactivate] - Function called when feature is deactivated
+ * @property {Object<string, Function>} [jobs] - Handlers of the feature's scheduled jobs, keyed
+ *   by job name and called with (job, feature); jobs are scheduled with `feature.scheduleJob`
  * @property {boolean} [defaultEnabled] - Whether feature is enabled by default
- * @property {Object} [defaultSettings] - Default feature settings
+ * @property {SettingsSchema} [settingsSchema] - Typed settings with labels, ranges and
+ *   defaults (see schema-utils.js); updates are validated against it
+ * @property {Object} [defaultSettings] - Default feature settings; derived from the schema
+ *   when the feature has one
+ * @property {CommandDefinition[]} [commands] - Natural-language commands exposed to the command palette
+ * @property {ContextMenuEntry[]} [contextMenu] - Context menu entries running the feature's
+ *   commands (see context-menu-manager.js); hidden when the `showInContextMenu` setting is false
+ * @property {Object<string, SlotType>} [slotTypes] - Parameter types this feature adds; once
+ *   registered, any feature's commands can use them
+ */
+
+/**
+ * Command definition interface
+ * @typedef {Object} CommandDefinition
+ * @property {string} action - Action identifier, unique within the feature
+ * @property {string} [title] - Display title in the command palette
+ * @property {string} [description] - Command description
+ * @property {string[]} verbs - Verbs that trigger the command (e.g. "translate", "look up")
+ * @property {RegExp[]} [patterns] - Patterns for verb-less phrasings, tested against the text as
+ *   typed (e.g. "20 usd in eur"); a match scores like a leading verb
+ * @property {string[]} [synonyms] - Other words that point to the command (e.g. "language")
+ * @property {string} [prefix] - System commands only: a first word that selects the command
+ *   outright, bypassing aliases, pipelines and ranking (e.g. "alias", whose text embeds a command)
+ * @property {Object<string, CommandParameter>} [params] - Typed parameters, keyed by name
+ * @property {string[]} [examples] - Example phrasings shown in the palette
+ * @property {string} [input='none'] - What the command consumes in a pipeline: 'text' or 'none'
+ * @property {string} [output='none'] - What the command produces in a pipeline: 'text' or 'none'
+ * @property {Function} [run] - Background handler, called with (params, context); the context
+ *   holds the feature's `settings` for the issuing page (site rules applied). Commands
+ *   without one are forwarded to the content script as `feature:command`
+ * @property {Function} [preview] - Computes the result without side effects, called with
+ *   (params, context); shown as the omnibox suggestion before the command runs
+ */
+
+/**
+ * Command parameter interface
+ * @typedef {Object} CommandParameter
+ * @property {string} type - Slot type: 'language', 'case', 'scope', 'number', 'duration',
+ *   'currency', 'enum', 'text' or a type declared by a feature (see slot-types.js)
+ * @property {boolean} [required] - Whether the command needs this parameter
+ * @property {string} [prompt] - Question asked in the palette when the parameter is missing
+ * @property {any} [default] - Value used when the text doesn't mention the parameter
+ * @property {string[]} [values] - Allowed values for 'enum' parameters
+ * @property {Object<string, string[]>} [aliases] - Alternative words for 'enum' values
+ * @property {number} [position=0] - Which mention to use when the text names several values
+ *   of the type (e.g. 1 for the target in "20 usd in eur")
  */
 
 /**
@@ -61,9 +370,541 @@ const CATEGORIES = {
  * @property {FeatureDefinition} definition - Feature definition
  * @property {boolean} active - Whether feature is active
  * @property {Object} settings - Feature-specific settings
+ * @property {Object} state - In-flight state (e.g. when a running timer ends); restored
+ *   when the service worker was stopped while the feature was active
+ * @property {boolean} restored - Whether `state` comes from such a snapshot
+ * @property {Function} saveState - Snapshot `state` to session storage; call after changing it
+ * @property {string[]} missingPermissions - Optional permissions the user hasn't granted
+ * @property {boolean} degraded - Whether the feature runs without some optional permissions
+ * @property {function(string): boolean} hasPermission - Whether an optional permission is granted;
+ *   features check it before using what it unlocks
+ * @property {function(string, JobSchedule, any=): Promise<Job>} scheduleJob - Schedule one of
+ *   the feature's `jobs` by name (see job-scheduler.js); jobs are cancelled on deactivation
+ * @property {function(string): Promise<boolean>} cancelJob - Cancel a scheduled job by name
  * @property {Function} deactivate - Function to deactivate the feature
  */
 
+/**
+ * Permissions and hosts, as passed to chrome.permissions
+ * @typedef {Object} PermissionSet
+ * @property {string[]} permissions - API permissions (e.g. "tabs")
+ * @property {string[]} origins - Host patterns (e.g. "<all_urls>")
+ */
+
+/**
+ * Feature profile interface
+ * @typedef {Object} FeatureProfile
+ * @property {string} name - Display name (profiles are looked up case-insensitively)
+ * @property {string[]} features - IDs of the features enabled while the profile is active;
+ *   all others are disabled
+ * @property {Object<string, Object>} settings - Settings overrides keyed by feature ID,
+ *   layered over the stored settings while the profile is active
+ * @property {Object} [schedule] - When to switch to the profile automatically
+ * @property {number[]} [schedule.days] - Days of the week (0 = Sunday); every day if omitted
+ * @property {string} schedule.time - Local time of day, "HH:MM"
+ * @property {number} created - Creation timestamp
+ * @property {number} updated - Last update timestamp
+ */
+
+/**
+ * Get the cron expression of a profile schedule (see job-scheduler.js)
+ * @param {Object} schedule - Profile schedule
+ * @return {string|null} Cron expression, or null if the schedule is invalid
+ */
+function getProfileCron(schedule) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(schedule.time || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  
+  const days = schedule.days && schedule.days.length > 0 ? schedule.days : null;
+  if (days && !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) return null;
+  
+  return `${Number(match[2])} ${Number(match[1])} * * ${days ? days.join(',') : '*'}`;
+}
+
+/**
+ * Background behavior of built-in features, keyed by feature ID
+ * Merged onto the feature's entry in features/features.json when it is registered.
+ * @type {Object<string, Object>}
+ */
+const FEATURE_BEHAVIORS = {
+  'case-converter': {
+    commands: [{
+      action: 'convert',
+      title: 'Convert text case',
+      verbs: ['convert', 'change', 'make', 'transform', 'turn'],
+      synonyms: ['case', 'uppercase', 'lowercase', 'capitalize'],
+      params: {
+        targetCase: { type: 'case', required: true },
+        scope: { type: 'scope', default: 'selection' }
+      },
+      input: 'text',
+      output: 'text',
+      examples: ['convert selection to snake case', 'make this title case'],
+      async run(params, context) {
+        const text = await getInputText(params, context);
+        const converted = textUtils.case[CASE_METHODS[params.targetCase]](text);
+
+        await writeBackSelection(params, context, converted, 'Convert case');
+        return converted;
+      }
+    }],
+    contextMenu: [{
+      id: 'convert',
+      title: 'Convert case',
+      contexts: ['selection'],
+      children: [
+        { id: 'title', title: 'Title Case', command: { action: 'convert', params: { targetCase: 'title' } } },
+        { id: 'sentence', title: 'Sentence case', command: { action: 'convert', params: { targetCase: 'sentence' } } },
+        { id: 'upper', title: 'UPPERCASE', command: { action: 'convert', params: { targetCase: 'upper' } } },
+        { id: 'lower', title: 'lowercase', command: { action: 'convert', params: { targetCase: 'lower' } } },
+        { id: 'camel', title: 'camelCase', command: { action: 'convert', params: { targetCase: 'camel' } } },
+        { id: 'snake', title: 'snake_case', command: { action: 'convert', params: { targetCase: 'snake' } } },
+        { id: 'kebab', title: 'kebab-case', command: { action: 'convert', params: { targetCase: 'kebab' } } }
+      ]
+    }]
+  },
+
+  'word-counter': {
+    commands: [{
+      action: 'count',
+      title: 'Count words and characters',
+      verbs: ['count', 'measure'],
+      synonyms: ['words', 'characters', 'word count', 'statistics', 'stats'],
+      params: {
+        scope: { type: 'scope', default: 'selection' }
+      },
+      input: 'text',
+      output: 'text',
+      examples: ['count words in selection', 'word count for this page'],
+      async run(params, context) {
+        const text = await getInputText(params, context);
+        const { settings } = context;
+        const stats = textUtils.analyze.getTextStatistics(text);
+        const readingTime = textUtils.analyze.estimateReadingTime(text, {
+          wordsPerMinute: settings.readingSpeed
+        });
+
+        return `${stats.wordCount} words, ${stats.charCount} characters, ` +
+          `${stats.sentenceCount} sentences, ~${readingTime} min read`;
+      }
+    }],
+    contextMenu: [{
+      id: 'count',
+      title: 'Count words',
+      contexts: ['selection'],
+      command: { action: 'count' }
+    }]
+  },
+
+  'translator': {
+    commands: [{
+      action: 'translate',
+      title: 'Translate',
+      verbs: ['translate'],
+      synonyms: ['translation', 'language'],
+      params: {
+        targetLanguage: { type: 'language', required: true },
+        scope: { type: 'scope', default: 'selection' }
+      },
+      input: 'text',
+      output: 'text',
+      examples: ['translate this page to French', 'translate selection into German'],
+      async run(params, context) {
+        // Without tabs, the translator still works on selections
+        if (params.scope === 'page' && !context.feature.hasPermission('tabs')) {
+          throw new FeaturePermissionError('translator', { permissions: ['tabs'], origins: [] },
+            'Translating whole pages needs access to your tabs');
+        }
+
+        const text = await getInputText(params, context);
+        const response = await apiUtils.services.translate.translateText(
+          text,
+          params.targetLanguage
+        );
+
+        const translated = response.data.translations[0].translatedText;
+
+        await writeBackSelection(params, context, translated, 'Translate');
+        return translated;
+      }
+    }],
+    contextMenu: [{
+      id: 'translate-selection',
+      title: 'Translate "%s"',
+      contexts: ['selection'],
+      command: { action: 'translate', params: { scope: 'selection' } }
+    }, {
+      id: 'translate-page',
+      title: 'Translate page',
+      contexts: ['page'],
+      command: { action: 'translate', params: { scope: 'page' } }
+    }]
+  },
+
+  'dictionary': {
+    commands: [{
+      action: 'define',
+      title: 'Look up a word',
+      verbs: ['define', 'look up', 'lookup'],
+      synonyms: ['definition', 'meaning', 'dictionary', 'synonyms'],
+      params: {
+        word: { type: 'text' }
+      },
+      input: 'text',
+      output: 'text',
+      examples: ['define serendipity', 'look up "ephemeral"'],
+      async run(params, context) {
+        const word = params.word || (await getInputText(params, context)).trim();
+        const entries = await apiUtils.services.dictionary.getDefinition(word);
+        const [entry] = entries;
+
+        const definitions = entry.meanings.map(meaning =>
+          `(${meaning.partOfSpeech}) ${meaning.definitions[0].definition}`
+        );
+
+        return `${entry.word}: ${definitions.join(' ')}`;
+      }
+    }],
+    contextMenu: [{
+      id: 'define',
+      title: 'Define "%s"',
+      contexts: ['selection'],
+      command: { action: 'define' },
+      input: 'selectionText'
+    }]
+  },
+
+  'writing-assistant': {
+    commands: [{
+      action: 'check',
+      title: 'Check writing',
+      verbs: ['check', 'proofread', 'review'],
+      synonyms: ['grammar', 'spelling', 'style', 'readability', 'writing'],
+      params: {
+        scope: { type: 'scope', default: 'selection' }
+      },
+      examples: ['check grammar', 'proofread selection']
+    }]
+  },
+
+  'page-summarizer': {
+    commands: [{
+      action: 'summarize',
+      title: 'Summarize page',
+      verbs: ['summarize', 'summarise', 'sum up', 'tldr', 'digest'],
+      synonyms: ['summary', 'key points', 'overview'],
+      params: {
+        length: {
+          type: 'enum',
+          values: ['brief', 'medium', 'comprehensive'],
+          aliases: {
+            brief: ['short', 'quick'],
+            comprehensive: ['long', 'detailed', 'full']
+          }
+        },
+        style: {
+          type: 'enum',
+          values: ['standard', 'simplified', 'academic', 'explanatory'],
+          aliases: {
+            simplified: ['simple', 'plain', 'eli5'],
+            explanatory: ['explain']
+          }
+        },
+        scope: { type: 'scope', default: 'page' }
+      },
+      input: 'text',
+      output: 'text',
+      examples: ['summarize this page', 'brief summary of the article'],
+      async run(params, context) {
+        const text = await getInputText(params, context);
+        const { settings } = context;
+        const response = await apiUtils.services.claude.summarize(text, {
+          style: params.style || settings.summaryStyle,
+          length: params.length || settings.summaryLength,
+          humanize: settings.humanize
+        });
+
+        return response.completion.trim();
+      }
+    }],
+    contextMenu: [{
+      id: 'summarize',
+      title: 'Summarize',
+      contexts: ['page', 'selection'],
+      children: [
+        { id: 'page', title: 'This page', contexts: ['page'], command: { action: 'summarize', params: { scope: 'page' } } },
+        { id: 'selection', title: 'Selected text', contexts: ['selection'], command: { action: 'summarize', params: { scope: 'selection' } } }
+      ]
+    }]
+  },
+
+  'text-to-speech': {
+    commands: [{
+      action: 'read',
+      title: 'Read aloud',
+      verbs: ['read aloud', 'read out', 'speak', 'say', 'read'],
+      synonyms: ['aloud', 'speech', 'voice', 'tts'],
+      params: {
+        scope: { type: 'scope', default: 'selection' }
+      },
+      input: 'text',
+      examples: ['read this page aloud', 'read selection aloud'],
+      async run(params, context) {
+        const text = await getInputText(params, context);
+        const { settings } = context;
+
+        // Speech plays in the offscreen document, so it goes on when the user switches tabs;
+        // the command returns as soon as it starts
+        offscreenManager.run('speak', {
+          text,
+          voice: settings.voice,
+          rate: settings.rate,
+          pitch: settings.pitch
+        }).catch((error) => {
+          console.error('Reading aloud failed:', error);
+        });
+      }
+    }, {
+      action: 'stop',
+      title: 'Stop reading aloud',
+      verbs: ['stop reading', 'stop speaking', 'be quiet'],
+      synonyms: ['silence', 'mute'],
+      examples: ['stop reading'],
+      async run() {
+        if (await offscreenManager.hasDocument()) {
+          await offscreenManager.run('stop-audio');
+        }
+      }
+    }],
+    contextMenu: [{
+      id: 'read-selection',
+      title: 'Read "%s" aloud',
+      contexts: ['selection'],
+      command: { action: 'read', params: { scope: 'selection' } }
+    }, {
+      id: 'read-page',
+      title: 'Read page aloud',
+      contexts: ['page'],
+      command: { action: 'read', params: { scope: 'page' } }
+    }]
+  },
+
+  'clipboard-manager': {
+    commands: [{
+      action: 'copy',
+      title: 'Copy to clipboard',
+      verbs: ['copy'],
+      synonyms: ['clipboard'],
+      params: {
+        scope: { type: 'scope', default: 'selection' }
+      },
+      input: 'text',
+      output: 'text',
+      examples: ['copy selection', 'summarize then copy'],
+      async run(params, context) {
+        const text = await getInputText(params, context);
+
+        // The clipboard is only reachable from the page
+        const response = await chrome.tabs.sendMessage(context.tabId, {
+          type: 'clipboard:write',
+          text
+        });
+
+        if (!response || !response.success) {
+          throw new Error(response ? response.error : 'Clipboard is not available on this page');
+        }
+
+        // Pass the text through so copying can sit mid-pipeline
+        return text;
+      }
+    }],
+    contextMenu: [{
+      id: 'copy-link',
+      title: 'Copy link address',
+      contexts: ['link'],
+      command: { action: 'copy' },
+      input: 'linkUrl'
+    }, {
+      id: 'copy-image',
+      title: 'Copy image address',
+      contexts: ['image'],
+      command: { action: 'copy' },
+      input: 'srcUrl'
+    }]
+  },
+
+  'unit-converter': {
+    slotTypes: {
+      unit: {
+        prompt: 'Which unit?',
+        extract({ tokens }, param) {
+          const units = tokens.filter(token => unitUtils.convert.findUnit(token));
+          return units[param.position || 0];
+        }
+      },
+      expression: {
+        prompt: 'What should I calculate?',
+        extract({ raw }) {
+          // Operators don't survive normalization, so read the text as typed
+          const expression = raw
+            .replace(/^\s*(?:calculate|calc|compute|evaluate|what is|what's)\s*/i, '')
+            .replace(/[=?]\s*$/, '')
+            .trim();
+          return unitUtils.math.isExpression(expression) ? expression : undefined;
+        }
+      }
+    },
+    commands: [{
+      action: 'convert-currency',
+      title: 'Convert currency',
+      verbs: ['convert', 'exchange'],
+      synonyms: ['currency', 'rate', 'exchange rate'],
+      patterns: [CONVERSION_PATTERN],
+      params: {
+        amount: { type: 'number', default: 1 },
+        from: { type: 'currency', required: true, prompt: 'Convert from which currency?' },
+        to: { type: 'currency', position: 1, required: true, prompt: 'Convert to which currency?' }
+      },
+      output: 'text',
+      examples: ['20 usd in eur', 'convert 100 euros to yen'],
+      async run(params) {
+        return await this.preview(params);
+      },
+      async preview({ amount, from, to }) {
+        const conversion = await apiUtils.services.exchangeRates.convertCurrency(amount, from, to);
+        return `${unitUtils.math.format(amount, 2)} ${from} = ` +
+          `${unitUtils.math.format(conversion.result, 2)} ${to}`;
+      }
+    }, {
+      action: 'convert-units',
+      title: 'Convert units',
+      verbs: ['convert'],
+      synonyms: ['units'],
+      patterns: [CONVERSION_PATTERN],
+      params: {
+        amount: { type: 'number', default: 1 },
+        from: { type: 'unit', required: true, prompt: 'Convert from which unit?' },
+        to: { type: 'unit', position: 1, required: true, prompt: 'Convert to which unit?' }
+      },
+      output: 'text',
+      examples: ['5 km in miles', 'convert 72 f to c'],
+      async run(params) {
+        return await this.preview(params);
+      },
+      async preview({ amount, from, to }) {
+        const { value } = unitUtils.convert.convert(amount, from, to);
+        return `${unitUtils.math.format(amount)} ${from} = ${unitUtils.math.format(value)} ${to}`;
+      }
+    }, {
+      action: 'calculate',
+      title: 'Calculate',
+      verbs: ['calculate', 'calc', 'compute', 'evaluate'],
+      synonyms: ['math', 'sum'],
+      patterns: [EXPRESSION_PATTERN],
+      params: {
+        expression: { type: 'expression', required: true }
+      },
+      output: 'text',
+      examples: ['12 * (3 + 4)', 'calculate 2 ^ 10'],
+      async run(params) {
+        return await this.preview(params);
+      },
+      async preview({ expression }) {
+        return `${expression} = ${unitUtils.math.format(unitUtils.math.evaluate(expression))}`;
+      }
+    }]
+  },
+
+  'pomodoro': {
+    commands: [{
+      action: 'start',
+      title: 'Start a timer',
+      verbs: ['set timer', 'set a timer', 'start timer', 'start a timer', 'start pomodoro', 'pomodoro', 'timer'],
+      synonyms: ['focus', 'countdown'],
+      params: {
+        duration: { type: 'duration', required: true, prompt: 'How long should the timer run?' }
+      },
+      examples: ['set timer 25 minutes', 'start pomodoro 50 minutes'],
+      async run({ duration }, { feature, tabId }) {
+        const endsAt = Date.now() + duration;
+        await feature.scheduleJob('timer-end', { type: 'once', when: endsAt }, { duration, tabId });
+
+        feature.state.timer = { duration, endsAt };
+        feature.saveState();
+
+        const time = new Date(endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `Timer running until ${time}`;
+      }
+    }, {
+      action: 'stop',
+      title: 'Stop the timer',
+      verbs: ['stop timer', 'cancel timer', 'stop pomodoro', 'cancel pomodoro'],
+      examples: ['stop timer'],
+      async run(params, { feature }) {
+        const cancelled = await feature.cancelJob('timer-end');
+
+        delete feature.state.timer;
+        feature.saveState();
+
+        return cancelled ? 'Timer stopped' : 'No timer is running';
+      }
+    }],
+    jobs: {
+      async 'timer-end'(job, feature) {
+        delete feature.state.timer;
+        feature.saveState();
+
+        if (feature.hasPermission('notifications')) {
+          chrome.notifications.create('pomodoro-timer-end', {
+            type: 'basic',
+            iconUrl: 'assets/icons/extension/icon128.png',
+            title: 'Time is up',
+            message: 'Your timer has ended. Take a break!'
+          });
+          return;
+        }
+
+        // Without notifications, tell the tab that started the timer in its palette
+        if (job.payload && job.payload.tabId !== undefined) {
+          await chrome.tabs.sendMessage(job.payload.tabId, {
+            type: 'command:show-outcome',
+            title: 'Timer',
+            result: 'Time is up. Take a break!'
+          }).catch((error) => {
+            console.warn('Could not show the end of the timer:', error);
+          });
+        }
+      }
+    }
+  },
+
+  'tab-manager': {
+    commands: [{
+      action: 'search',
+      title: 'Switch to tab',
+      verbs: ['tabs', 'tab', 'switch to', 'go to tab', 'find tab'],
+      synonyms: ['window'],
+      params: {
+        query: { type: 'text', required: true, prompt: 'Which tab?' }
+      },
+      examples: ['tabs github', 'switch to calendar'],
+      async run({ query }) {
+        const tab = await findTab(query);
+        if (!tab) {
+          throw new Error(`No open tab matches "${query}"`);
+        }
+
+        await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
+      },
+      async preview({ query }) {
+        const tab = await findTab(query);
+        return tab ? `Switch to: ${tab.title}` : null;
+      }
+    }]
+  }
+};
+
 /**
  * Feature Manager class
  */
@@ -73,9 +914,15 @@ class FeatureManager {
     this.initPromise = null;
     this.activationQueue = [];
     this.restoreInProgress = false;
+    this.sessionWrite = Promise.resolve();
+    this.restoredStates = {};
     
     // Bind methods
-    this.handlePermissionChange = this.handlePermissionChange.bind(this);
+    this.handlePermissionsAdded = permissions => this.handlePermissionChange(permissions, true);
+    this.handlePermissionsRemoved = permissions => this.handlePermissionChange(permissions, false);
+    this.handleTabUpdated = this.handleTabUpdated.bind(this);
+    this.handleTabRemoved = this.handleTabRemoved.bind(this);
+    this.handleProfileJob = this.handleProfileJob.bind(this);
   }
   
   /**
@@ -98,15 +945,9 @@ class FeatureManager {
       this.initPromise = null;
       
       console.log('Feature manager initialized');
-      
-      // Notify that features are ready
-      document.dispatchEvent(new CustomEvent('features:ready'));
     } catch (error) {
       this.initPromise = null;
       console.error('Failed to initialize feature manager:', error);
-      document.dispatchEvent(new CustomEvent('features:error', { 
-        detail: { error } 
-      }));
       throw error;
     }
   }
@@ -119,132 +960,65 @@ class FeatureManager {
   async _performInitialization() {
     console.log('Initializing feature manager...');
     
-    // Ensure storage manager is initialized
-    if (!storageManager.initialized) {
-      console.log('Waiting for storage manager to initialize...');
-      await new Promise(resolve => {
-        const handler = () => {
-          document.removeEventListener('storage:ready', handler);
-          resolve();
-        };
-        document.addEventListener('storage:ready', handler);
-        
-        // Safety timeout
-        setTimeout(() => {
-          document.removeEventListener('storage:ready', handler);
-          console.warn('Storage manager initialization timed out');
-          resolve();
-        }, 5000);
-      });
-    }
+    // Feature state and settings live in storage; features schedule jobs as they activate
+    await storageManager.initialize();
+    await jobScheduler.initialize();
     
     // Register all features - this will be populated by individual features
-    this.registerBuiltinFeatures();
+    await this.registerBuiltinFeatures();
     
-    // Set up permission change listener
-    chrome.permissions.onAdded.addListener(this.handlePermissionChange);
-    chrome.permissions.onRemoved.addListener(this.handlePermissionChange);
+    // Set up permission change listeners
+    chrome.permissions.onAdded.addListener(this.handlePermissionsAdded);
+    chrome.permissions.onRemoved.addListener(this.handlePermissionsRemoved);
     
-    // Process any pending feature activations from service worker restart
-    await this.processActivationQueue();
+    // Snapshot taken before the service worker was stopped (none in a new browser
+    // session); read it first, as restoring features overwrites it
+    const session = await storageManager.getSessionState(SESSION_KEY, null);
+    this.restoredStates = (session && session.states) || {};
     
     // Restore previously enabled features
     await this.restoreEnabledFeatures();
+    
+    // Then those activated on demand or still waiting for activation
+    if (session) {
+      await this.restoreSessionFeatures(session);
+    }
+    
+    this.updateHealthBadge();
+    
+    // Schedule profiles again whenever they are saved, deleted or restored from a backup
+    jobScheduler.setHandler(PROFILE_JOB_OWNER, this.handleProfileJob);
+    await this.scheduleProfiles();
+    storageManager.addChangeListener(PROFILES_SETTING, () => {
+      this.scheduleProfiles().catch((error) => {
+        console.error('Failed to schedule profiles:', error);
+      });
+    });
   }
   
   /**
    * Register all built-in features
-   * This will be populated dynamically as features are implemented
+   * Features are listed in features/features.json; the ones with palette commands or
+   * menu entries get their background behavior from FEATURE_BEHAVIORS. Content-side
+   * code is only injected into a tab once the feature is used there (see injectContent).
    * @private
+   * @return {Promise<void>}
    */
-  registerBuiltinFeatures() {
-    // Text Tools category
-    this.registerFeature({
-      id: 'case-converter',
-      name: 'Text Case Converter',
-      description: 'Transform selected text between multiple case formats',
-      category: CATEGORIES.TEXT_TOOLS,
-      defaultEnabled: true,
-      defaultSettings: {
-        defaultCase: 'title',
-        autoCopyToClipboard: false,
-        showInContextMenu: true
-      }
-    });
-    
-    this.registerFeature({
-      id: 'word-counter',
-      name: 'Character/Word Counter',
-      description: 'Provide detailed statistics about selected text',
-      category: CATEGORIES.TEXT_TOOLS,
-      defaultEnabled: true,
-      defaultSettings: {
-        displayMode: 'mini',
-        autoActivateOnTextFields: true,
-        readingSpeed: 200,
-        speakingRate: 150
-      }
-    });
-    
-    this.registerFeature({
-      id: 'translator',
-      name: 'Translator',
-      description: 'Translate selected text or entire webpages',
-      category: CATEGORIES.TEXT_TOOLS,
-      optionalPermissions: ['tabs'],
-      hostPermissions: ['<all_urls>'],
-      defaultEnabled: false,
-      defaultSettings: {
-        defaultTargetLanguage: 'en',
-        translationStyle: 'formal',
-        alwaysTranslateDomains: []
-      }
-    });
-    
-    this.registerFeature({
-      id: 'dictionary',
-      name: 'Dictionary Lookup',
-      description: 'Provide definitions, synonyms, and usage examples for selected words',
-      category: CATEGORIES.TEXT_TOOLS,
-      defaultEnabled: false,
-      defaultSettings: {
-        primaryDictionary: 'english',
-        enableDoubleClickLookup: true,
-        displayStyle: 'tooltip'
-      }
-    });
-    
-    this.registerFeature({
-      id: 'writing-assistant',
-      name: 'Writing Assistant',
-      description: 'Check grammar, style, and readability of written content',
-      category: CATEGORIES.TEXT_TOOLS,
-      defaultEnabled: false,
-      defaultSettings: {
-        writingStyle: 'formal',
-        strictnessLevel: 'moderate',
-        autoCheck: true
-      }
-    });
-    
-    // Content Analysis category
-    this.registerFeature({
-      id: 'page-summarizer',
-      name: 'AI Page Summarizer',
-      description: 'Generate concise summaries of web articles and long content',
-      category: CATEGORIES.CONTENT_ANALYSIS,
-      optionalPermissions: ['tabs'],
-      hostPermissions: ['<all_urls>'],
-      defaultEnabled: false,
-      defaultSettings: {
-        summaryStyle: 'standard',
-        summaryLength: 'medium',
-        humanize: true
-      }
-    });
-    
-    // More features would be registered here...
-    
+  async registerBuiltinFeatures() {
+    const response = await fetch(chrome.runtime.getURL(FEATURE_DESCRIPTOR));
+    if (!response.ok) {
+      throw new Error(`Failed to load ${FEATURE_DESCRIPTOR}: HTTP ${response.status}`);
+    }
+
+    const { features } = await response.json();
+
+    for (const descriptor of features) {
+      this.registerFeature({
+        ...descriptor,
+        ...(FEATURE_BEHAVIORS[descriptor.id] || {})
+      });
+    }
+
     console.log(`Registered ${featureRegistry.size} features`);
   }
   
@@ -265,25 +1039,82 @@ class FeatureManager {
       console.error(`Feature with ID "${definition.id}" already registered`);
       return false;
     }
+
+    // Refuse features that would close a dependency cycle
+    const cycle = this._findDependencyCycle(definition);
+    if (cycle) {
+      console.error(`Feature "${definition.id}" has a dependency cycle: ${cycle.join(' → ')}`);
+      return false;
+    }
+
+    for (const { id, strategy } of getConflictEntries(definition)) {
+      if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        console.warn(`Unknown conflict strategy "${strategy}" between "${definition.id}" and "${id}"`);
+      }
+
+      if ((definition.dependencies || []).includes(id)) {
+        console.warn(`Feature "${definition.id}" both depends and conflicts on "${id}"`);
+      }
+    }
+
+    // Register the slot types this feature declares
+    for (const [name, type] of Object.entries(definition.slotTypes || {})) {
+      slotTypes.register(name, type, definition.id);
+    }
+    
+    // Warn about commands using unknown slot types
+    for (const command of definition.commands || []) {
+      for (const [name, param] of Object.entries(command.params || {})) {
+        if (!slotTypes.has(param.type)) {
+          console.warn(`Unknown slot type "${param.type}" for "${definition.id}.${command.action}.${name}"`);
+        }
+      }
+    }
+    
+    if (!Object.values(CATEGORIES).includes(definition.category)) {
+      console.warn(`Unknown category "${definition.category}" for feature "${definition.id}"`);
+    }
+    
+    if (definition.settingsSchema) {
+      for (const problem of schemaUtils.schema.check(definition.settingsSchema)) {
+        console.warn(`Settings schema of "${definition.id}": ${problem}`);
+      }
+      
+      // Menu entries can be hidden, so every feature with some gets the setting
+      if (definition.contextMenu && !definition.settingsSchema.showInContextMenu) {
+        definition.settingsSchema = {
+          ...definition.settingsSchema,
+          showInContextMenu: { type: 'boolean', label: 'Show in context menu', default: true }
+        };
+      }
+      
+      definition.defaultSettings = definition.defaultSettings ||
+        schemaUtils.schema.getDefaults(definition.settingsSchema);
+    }
     
     // Register feature
     featureRegistry.set(definition.id, definition);
     
     // Store default settings if provided
     if (definition.defaultSettings) {
-      const currentSettings = storageManager.getSetting(
+      const storedSettings = storageManager.getSetting(
         `features.featureSettings.${definition.id}`, 
         {}
       );
       
-      // Merge with existing settings to ensure defaults
+      // Keep stored values that still fit the schema, defaults for the rest
+      const currentSettings = schemaUtils.validation.repair(
+        this.getSettingsSchema(definition.id),
+        storedSettings
+      );
+      
       const mergedSettings = {
         ...definition.defaultSettings,
         ...currentSettings
       };
       
       // Only save if different from current settings
-      if (JSON.stringify(currentSettings) !== JSON.stringify(mergedSettings)) {
+      if (JSON.stringify(storedSettings) !== JSON.stringify(mergedSettings)) {
         storageManager.setSetting(
           `features.featureSettings.${definition.id}`, 
           mergedSettings,
@@ -312,8 +1143,9 @@ class FeatureManager {
       this.deactivateFeature(featureId);
     }
     
-    // Unregister feature
+    // Unregister feature and the slot types it declared
     featureRegistry.delete(featureId);
+    slotTypes.unregisterOwner(featureId);
     return true;
   }
   
@@ -379,9 +1211,10 @@ class FeatureManager {
   /**
    * Enable a feature (persists across sessions)
    * @param {string} featureId - Feature ID
+   * @param {Object} [options] - Activation options (see activateFeature)
    * @return {Promise<boolean>} Success status
    */
-  async enableFeature(featureId) {
+  async enableFeature(featureId, options = {}) {
     // Check if feature exists
     if (!featureRegistry.has(featureId)) {
       console.error(`Feature with ID "${featureId}" not found`);
@@ -408,7 +1241,7 @@ class FeatureManager {
     // Try to activate feature if it's not already active
     if (!activeFeatures.has(featureId)) {
       try {
-        await this.activateFeature(featureId);
+        await this.activateFeature(featureId, options);
       } catch (error) {
         console.error(`Failed to activate feature "${featureId}":`, error);
         // Feature remains enabled but not active
@@ -458,25 +1291,28 @@ class FeatureManager {
   /**
    * Update feature settings
    * @param {string} featureId - Feature ID
-   * @param {Object} settings - New settings
+   * @param {Object} settings - Settings to change
    * @return {Promise<boolean>} Success status
+   * @throws {SettingsValidationError} If a value doesn't fit the feature's settings schema
    */
   async updateFeatureSettings(featureId, settings) {
     // Check if feature exists
-    if (!featureRegistry.has(featureId)) {
+    const featureDefinition = featureRegistry.get(featureId);
+    if (!featureDefinition) {
       console.error(`Feature with ID "${featureId}" not found`);
       return false;
     }
     
-    // Get current settings
-    const currentSettings = storageManager.getSetting(
-      `features.featureSettings.${featureId}`, 
-      {}
+    // Reject the whole update if any value is invalid
+    schemaUtils.validation.assertValid(
+      this.getSettingsSchema(featureId),
+      settings,
+      `"${featureDefinition.name}"`
     );
     
-    // Merge with new settings
+    // Merge with current settings
     const newSettings = {
-      ...currentSettings,
+      ...this.getFeatureSettings(featureId),
       ...settings
     };
     
@@ -496,7 +1332,7 @@ class FeatureManager {
         try {
           activeFeature.onSettingsChange(newSettings);
         } catch (error) {
-          console.error(`Error in onSettingsChange for feature "${featureId}":`, error);
+          await this.recordFailure(featureId, 'onSettingsChange', error);
         }
       }
     }
@@ -505,15 +1341,250 @@ class FeatureManager {
   }
   
   /**
-   * Activate a feature
+   * Get the features a feature needs, in activation order
+   * Dependencies come before the features that need them; the feature itself is last.
    * @param {string} featureId - Feature ID
-   * @return {Promise<FeatureInstance>} Activated feature instance
+   * @return {string[]} Feature IDs
+   * @throws {Error} If a dependency is missing or the dependencies form a cycle
    */
-  async activateFeature(featureId) {
-    // Check if feature exists
-    const featureDefinition = featureRegistry.get(featureId);
-    if (!featureDefinition) {
-      throw new Error(`Feature with ID "${featureId}" not found`);
+  getActivationOrder(featureId) {
+    const { order, blockers } = this._resolveDependencies(featureId);
+    if (blockers.length > 0) {
+      throw new Error(blockers[0].message);
+    }
+    
+    return order;
+  }
+  
+  /**
+   * Walk a feature's dependency graph depth-first
+   * @private
+   * @param {string} featureId - Feature ID
+   * @return {{order: string[], blockers: Object[]}} Activation order and the problems found
+   */
+  _resolveDependencies(featureId) {
+    const order = [];
+    const blockers = [];
+    const visited = new Set();
+    
+    const visit = (id, path) => {
+      if (visited.has(id)) return;
+      
+      if (path.includes(id)) {
+        blockers.push({
+          reason: 'dependency-cycle',
+          featureId: id,
+          message: `Dependency cycle: ${[...path.slice(path.indexOf(id)), id].join(' → ')}`
+        });
+        return;
+      }
+      
+      const definition = featureRegistry.get(id);
+      if (!definition) {
+        blockers.push({
+          reason: 'missing-dependency',
+          featureId: id,
+          message: path.length > 0 ?
+            `Dependency "${id}" not found for feature "${path[path.length - 1]}"` :
+            `Feature with ID "${id}" not found`
+        });
+        return;
+      }
+      
+      for (const dependencyId of definition.dependencies || []) {
+        visit(dependencyId, [...path, id]);
+      }
+      
+      visited.add(id);
+      order.push(id);
+    };
+    
+    visit(featureId, []);
+    return { order, blockers };
+  }
+  
+  /**
+   * Find the dependency cycle a new feature would close
+   * @private
+   * @param {FeatureDefinition} definition - Feature about to be registered
+   * @return {string[]|null} Cycle (first and last IDs are the same), or null if there is none
+   */
+  _findDependencyCycle(definition) {
+    const lookup = id => (id === definition.id ? definition : featureRegistry.get(id));
+    
+    const visit = (id, path) => {
+      if (path.includes(id)) return [...path.slice(path.indexOf(id)), id];
+      
+      const feature = lookup(id);
+      for (const dependencyId of (feature && feature.dependencies) || []) {
+        const cycle = visit(dependencyId, [...path, id]);
+        if (cycle) return cycle;
+      }
+      
+      return null;
+    };
+    
+    return visit(definition.id, []);
+  }
+  
+  /**
+   * Get the features that can't be active alongside a feature
+   * Conflicts declared by either side count.
+   * @param {string} featureId - Feature ID
+   * @return {string[]} Feature IDs
+   */
+  getConflicts(featureId) {
+    const definition = featureRegistry.get(featureId);
+    const conflicts = new Set(definition ? getConflictEntries(definition).map(entry => entry.id) : []);
+    
+    for (const other of featureRegistry.values()) {
+      if (getConflictEntries(other).some(entry => entry.id === featureId)) {
+        conflicts.add(other.id);
+      }
+    }
+    
+    conflicts.delete(featureId);
+    return [...conflicts];
+  }
+  
+  /**
+   * Get the strategy for a conflict
+   * The feature being activated decides; a conflict only the other side declares uses its strategy.
+   * @param {string} featureId - Feature being activated
+   * @param {string} otherId - Conflicting feature
+   * @return {string} 'refuse', 'replace' or 'ask'
+   */
+  getConflictStrategy(featureId, otherId) {
+    for (const [fromId, toId] of [[featureId, otherId], [otherId, featureId]]) {
+      const definition = featureRegistry.get(fromId);
+      const entry = definition && getConflictEntries(definition).find(candidate => candidate.id === toId);
+      if (entry) return entry.strategy;
+    }
+    
+    return 'refuse';
+  }
+  
+  /**
+   * Work out what activating a feature involves
+   * @private
+   * @param {string} featureId - Feature ID
+   * @param {string} [onConflict] - Strategy overriding the declared ones
+   * @return {Object} Activation order, features to replace or ask about, and blockers
+   */
+  _planActivation(featureId, onConflict) {
+    const { order, blockers } = this._resolveDependencies(featureId);
+    const pending = order.filter(id => !activeFeatures.has(id));
+    const replace = new Set();
+    const ask = new Set();
+    
+    for (const id of pending) {
+      if (this.isQuarantined(id)) {
+        blockers.push({
+          reason: 'quarantined',
+          featureId: id,
+          message: `${id === featureId ? 'Feature' : 'Dependency'} "${id}" is quarantined after repeated failures`
+        });
+      }
+      
+      for (const otherId of this.getConflicts(id)) {
+        // Reported from the feature's own side, which names the dependency
+        if (otherId === featureId) continue;
+        
+        if (order.includes(otherId)) {
+          blockers.push({
+            reason: 'conflict',
+            featureId: otherId,
+            message: `"${id}" conflicts with "${otherId}", which "${featureId}" depends on`
+          });
+          continue;
+        }
+        
+        if (!activeFeatures.has(otherId)) continue;
+        
+        const strategy = onConflict || this.getConflictStrategy(id, otherId);
+        if (strategy === 'replace') {
+          replace.add(otherId);
+        } else if (strategy === 'ask') {
+          ask.add(otherId);
+        } else {
+          blockers.push({
+            reason: 'conflict',
+            featureId: otherId,
+            message: `"${id}" conflicts with active feature "${otherId}"`
+          });
+        }
+      }
+    }
+    
+    return { order, pending, replace: [...replace], ask: [...ask], blockers };
+  }
+  
+  /**
+   * Explain whether a feature can be activated, and if not, why
+   * @param {string} featureId - Feature ID
+   * @return {Promise<Object>} Explanation: `canActivate`, the activation `order`, the active
+   *   features it would `replace` or `ask` about, `blockers` with a reason and message each,
+   *   and the features that would run `degraded` for want of optional permissions
+   */
+  async explainActivation(featureId) {
+    const plan = this._planActivation(featureId);
+    const blockers = [...plan.blockers];
+    const degraded = [];
+    const disabledFeatures = storageManager.getSetting('features.disabledFeatures', []);
+    
+    for (const id of plan.pending) {
+      if (disabledFeatures.includes(id)) {
+        blockers.push({
+          reason: 'disabled',
+          featureId: id,
+          message: id === featureId ? `"${id}" is turned off` : `Dependency "${id}" is turned off`
+        });
+      }
+      
+      const missing = await this.getMissingPermissions(id);
+      const required = [...missing.required.permissions, ...missing.required.origins];
+      if (required.length > 0) {
+        blockers.push({
+          reason: 'permissions',
+          featureId: id,
+          missing: missing.required,
+          message: `"${id}" requires permissions: ${required.join(', ')}`
+        });
+      }
+      
+      if (missing.optional.permissions.length > 0) {
+        degraded.push({ featureId: id, permissions: missing.optional.permissions });
+      }
+    }
+    
+    return {
+      featureId,
+      active: activeFeatures.has(featureId),
+      canActivate: blockers.length === 0,
+      order: plan.order,
+      replace: plan.replace,
+      ask: plan.ask,
+      blockers,
+      degraded
+    };
+  }
+  
+  /**
+   * Activate a feature and the features it depends on
+   * @param {string} featureId - Feature ID
+   * @param {Object} [options] - Activation options
+   * @param {string} [options.onConflict] - Strategy for every conflict, overriding the declared ones
+   * @param {Function} [options.confirm] - Called with the feature and the conflicting feature
+   *   definitions for 'ask' conflicts; resolves to true to replace them. Without it,
+   *   'ask' conflicts throw a FeatureConflictError the caller can confirm and retry.
+   * @return {Promise<FeatureInstance>} Activated feature instance
+   * @throws {FeatureConflictError} If conflicting features are active and may not be replaced
+   */
+  async activateFeature(featureId, options = {}) {
+    // Check if feature exists
+    const featureDefinition = featureRegistry.get(featureId);
+    if (!featureDefinition) {
+      throw new Error(`Feature with ID "${featureId}" not found`);
     }
     
     // Check if already active
@@ -533,12 +1604,14 @@ class FeatureManager {
     // Create new pending activation
     const activationPromise = new Promise((resolve, reject) => {
       pendingActivations.set(featureId, {
-        promises: [{ resolve, reject }]
+        promises: [{ resolve, reject }],
+        options
       });
     });
     
     // Queue activation to be processed
     this.activationQueue.push(featureId);
+    this.saveSession();
     
     // Process queue
     if (!this.processingQueue) {
@@ -567,7 +1640,7 @@ class FeatureManager {
         
         try {
           // Process this feature activation
-          const feature = await this._activateFeature(featureId);
+          const feature = await this._activateFeature(featureId, pendingActivations.get(featureId).options);
           
           // Resolve all pending promises
           const pending = pendingActivations.get(featureId);
@@ -582,6 +1655,8 @@ class FeatureManager {
           pending.promises.forEach(({ reject }) => reject(error));
         }
       }
+      
+      this.saveSession();
     } finally {
       this.processingQueue = false;
     }
@@ -589,102 +1664,112 @@ class FeatureManager {
   
   /**
    * Internal feature activation implementation
+   * Resolves conflicts for the feature and its inactive dependencies up front, then
+   * activates them in dependency order.
    * @private
    * @param {string} featureId - Feature ID
+   * @param {Object} [options] - Activation options (see activateFeature)
    * @return {Promise<FeatureInstance>} Activated feature instance
    */
-  async _activateFeature(featureId) {
-    console.log(`Activating feature: ${featureId}`);
+  async _activateFeature(featureId, options = {}) {
+    if (activeFeatures.has(featureId)) {
+      return activeFeatures.get(featureId);
+    }
     
-    const featureDefinition = featureRegistry.get(featureId);
+    const plan = this._planActivation(featureId, options.onConflict);
     
-    // Check feature dependencies
-    if (featureDefinition.dependencies && featureDefinition.dependencies.length > 0) {
-      for (const dependencyId of featureDefinition.dependencies) {
-        // Check if dependency exists
-        if (!featureRegistry.has(dependencyId)) {
-          throw new Error(`Dependency "${dependencyId}" not found for feature "${featureId}"`);
-        }
-        
-        // Activate dependency if not already active
-        if (!activeFeatures.has(dependencyId)) {
-          try {
-            await this.activateFeature(dependencyId);
-          } catch (error) {
-            throw new Error(`Failed to activate dependency "${dependencyId}" for feature "${featureId}": ${error.message}`);
-          }
-        }
-      }
+    const conflicts = plan.blockers.filter(blocker => blocker.reason === 'conflict');
+    if (conflicts.length > 0 && conflicts.length === plan.blockers.length) {
+      throw new FeatureConflictError(featureId, conflicts.map(blocker => blocker.featureId), 'refuse');
     }
     
-    // Check for conflicts
-    if (featureDefinition.conflicts && featureDefinition.conflicts.length > 0) {
-      for (const conflictId of featureDefinition.conflicts) {
-        if (activeFeatures.has(conflictId)) {
-          throw new Error(`Feature "${featureId}" conflicts with active feature "${conflictId}"`);
-        }
-      }
+    if (plan.blockers.length > 0) {
+      throw new Error(plan.blockers.map(blocker => blocker.message).join('; '));
     }
     
-    // Check required permissions
-    if (featureDefinition.permissions && featureDefinition.permissions.length > 0) {
-      const hasPermissions = await chrome.permissions.contains({
-        permissions: featureDefinition.permissions
-      });
+    if (plan.ask.length > 0) {
+      const confirmed = typeof options.confirm === 'function' && await options.confirm(
+        featureRegistry.get(featureId),
+        plan.ask.map(id => featureRegistry.get(id))
+      );
       
-      if (!hasPermissions) {
-        throw new Error(`Feature "${featureId}" requires permissions: ${featureDefinition.permissions.join(', ')}`);
+      if (!confirmed) {
+        throw new FeatureConflictError(featureId, plan.ask, 'ask');
       }
+      
+      plan.replace.push(...plan.ask);
     }
     
-    // Check optional permissions
-    if (featureDefinition.optionalPermissions && featureDefinition.optionalPermissions.length > 0) {
-      const hasPermissions = await chrome.permissions.contains({
-        permissions: featureDefinition.optionalPermissions
-      });
+    // Replaced features are switched off, so they don't come back on the next start
+    for (const id of plan.replace) {
+      console.log(`Replacing feature "${id}" with "${featureId}"`);
       
-      if (!hasPermissions) {
-        // Request optional permissions
-        const granted = await chrome.permissions.request({
-          permissions: featureDefinition.optionalPermissions
-        });
-        
-        if (!granted) {
-          throw new Error(`User denied optional permissions for feature "${featureId}"`);
-        }
+      if (this.isFeatureEnabled(id)) {
+        await this.disableFeature(id);
+      } else {
+        await this.deactivateFeature(id);
       }
     }
     
-    // Check host permissions
-    if (featureDefinition.hostPermissions && featureDefinition.hostPermissions.length > 0) {
-      const hasHostPermissions = await chrome.permissions.contains({
-        origins: featureDefinition.hostPermissions
-      });
-      
-      if (!hasHostPermissions) {
-        // Request host permissions
-        const granted = await chrome.permissions.request({
-          origins: featureDefinition.hostPermissions
-        });
-        
-        if (!granted) {
-          throw new Error(`User denied host permissions for feature "${featureId}"`);
-        }
+    let featureInstance = null;
+    for (const id of plan.pending) {
+      try {
+        featureInstance = await this._startFeature(id);
+      } catch (error) {
+        if (id === featureId) throw error;
+        throw new Error(`Failed to activate dependency "${id}" for feature "${featureId}": ${error.message}`);
       }
     }
     
+    return featureInstance;
+  }
+  
+  /**
+   * Start a single feature whose dependencies are active
+   * @private
+   * @param {string} featureId - Feature ID
+   * @return {Promise<FeatureInstance>} Activated feature instance
+   */
+  async _startFeature(featureId) {
+    console.log(`Activating feature: ${featureId}`);
+    
+    const featureDefinition = featureRegistry.get(featureId);
+    
+    // Missing optional permissions only switch off what they unlock
+    const missing = await this.getMissingPermissions(featureId);
+    if (missing.required.permissions.length > 0 || missing.required.origins.length > 0) {
+      throw new FeaturePermissionError(featureId, missing.required);
+    }
+    
     // Get feature settings
     const settings = storageManager.getSetting(
       `features.featureSettings.${featureId}`, 
       featureDefinition.defaultSettings || {}
     );
     
+    // State snapshots are only restored once, by the first activation after a restart
+    const restoredState = this.restoredStates[featureId];
+    delete this.restoredStates[featureId];
+    
     // Create feature instance
     const featureInstance = {
       id: featureId,
       definition: featureDefinition,
       active: true,
       settings,
+      state: restoredState || {},
+      restored: !!restoredState,
+      saveState: () => this.saveSession(),
+      missingPermissions: missing.optional.permissions,
+      degraded: missing.optional.permissions.length > 0,
+      hasPermission: name => !featureInstance.missingPermissions.includes(name),
+      scheduleJob: (name, schedule, payload) => {
+        if (!featureDefinition.jobs || typeof featureDefinition.jobs[name] !== 'function') {
+          return Promise.reject(new Error(`Feature "${featureId}" has no job "${name}"`));
+        }
+        return jobScheduler.schedule(featureId, name, schedule, payload);
+      },
+      cancelJob: name => jobScheduler.cancel(featureId, name),
       deactivate: () => this.deactivateFeature(featureId)
     };
     
@@ -693,13 +1778,27 @@ class FeatureManager {
       try {
         await featureDefinition.onActivate(featureInstance);
       } catch (error) {
-        console.error(`Error in onActivate for feature "${featureId}":`, error);
+        await jobScheduler.cancelAll(featureId);
+        await this.recordFailure(featureId, 'onActivate', error);
         throw new Error(`Failed to initialize feature "${featureId}": ${error.message}`);
       }
     }
     
     // Add to active features
     activeFeatures.set(featureId, featureInstance);
+    this.saveSession();
+    
+    // Jobs scheduled before a restart run again once the feature is back
+    if (featureDefinition.jobs) {
+      jobScheduler.setHandler(featureId, job => this.runFeatureJob(featureInstance, job));
+    }
+    
+    // Page-level features apply to the tabs that are already open
+    if (featureDefinition.content && featureDefinition.content.injectOn === 'load') {
+      this.injectIntoOpenTabs(featureId).catch((error) => {
+        console.error(`Failed to inject feature "${featureId}" into open tabs:`, error);
+      });
+    }
     
     // Broadcast activation event
     chrome.runtime.sendMessage({
@@ -709,7 +1808,11 @@ class FeatureManager {
       // Ignore errors if no listeners
     });
     
-    console.log(`Feature activated: ${featureId}`);
+    if (featureInstance.degraded) {
+      console.log(`Feature activated without ${featureInstance.missingPermissions.join(', ')}: ${featureId}`);
+    } else {
+      console.log(`Feature activated: ${featureId}`);
+    }
     return featureInstance;
   }
   
@@ -744,13 +1847,19 @@ class FeatureManager {
       try {
         await featureInstance.definition.onDeactivate(featureInstance);
       } catch (error) {
-        console.error(`Error in onDeactivate for feature "${featureId}":`, error);
+        await this.recordFailure(featureId, 'onDeactivate', error);
         // Continue deactivation despite error
       }
     }
     
     // Remove from active features
     activeFeatures.delete(featureId);
+    this.saveSession();
+    
+    jobScheduler.removeHandler(featureId);
+    await jobScheduler.cancelAll(featureId);
+    
+    await this.removeContent(featureId);
     
     // Broadcast deactivation event
     chrome.runtime.sendMessage({
@@ -765,92 +1874,270 @@ class FeatureManager {
   }
   
   /**
-   * Request permissions for a feature
+   * Run one of a feature's scheduled jobs
+   * Failures count against the feature's error budget like those of its other hooks.
+   * @private
+   * @param {FeatureInstance} featureInstance - Active feature
+   * @param {Job} job - Job that is due
+   * @return {Promise<void>}
+   * @throws {Error} If the job fails, so the scheduler records it
+   */
+  async runFeatureJob(featureInstance, job) {
+    const handler = (featureInstance.definition.jobs || {})[job.name];
+    if (typeof handler !== 'function') {
+      throw new Error(`Feature "${featureInstance.id}" has no job "${job.name}"`);
+    }
+    
+    try {
+      await handler(job, featureInstance);
+    } catch (error) {
+      await this.recordFailure(featureInstance.id, `job:${job.name}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Inject a feature's content code into a tab, unless it is there already
    * @param {string} featureId - Feature ID
-   * @return {Promise<boolean>} Whether permissions were granted
+   * @param {number} tabId - Tab ID
+   * @param {string} [url] - Page URL, for site-specific settings
+   * @return {Promise<boolean>} Whether the feature has content code in the tab
    */
-  async requestFeaturePermissions(featureId) {
-    // Check if feature exists
-    const featureDefinition = featureRegistry.get(featureId);
-    if (!featureDefinition) {
-      throw new Error(`Feature with ID "${featureId}" not found`);
+  async injectContent(featureId, tabId, url) {
+    const definition = featureRegistry.get(featureId);
+    if (!definition || !definition.content || tabId === undefined) {
+      return false;
     }
     
-    const permissions = [];
-    const origins = [];
+    const tabs = injectedTabs.get(featureId) || new Set();
+    if (tabs.has(tabId)) {
+      return true;
+    }
     
-    // Collect required permissions
-    if (featureDefinition.permissions) {
-      permissions.push(...featureDefinition.permissions);
+    const { script, style } = definition.content;
+    const base = `features/${definition.path}`;
+    const target = { tabId };
+    
+    if (style) {
+      await chrome.scripting.insertCSS({ target, files: [`${base}/${style}`] });
     }
     
-    // Collect optional permissions
-    if (featureDefinition.optionalPermissions) {
-      permissions.push(...featureDefinition.optionalPermissions);
+    if (script) {
+      await chrome.scripting.executeScript({
+        target,
+        func: loadFeatureContent,
+        args: [featureId, chrome.runtime.getURL(`${base}/${script}`), this.getFeatureSettings(featureId, url)]
+      });
     }
     
-    // Collect host permissions
-    if (featureDefinition.hostPermissions) {
-      origins.push(...featureDefinition.hostPermissions);
+    tabs.add(tabId);
+    injectedTabs.set(featureId, tabs);
+    console.log(`Injected "${featureId}" into tab ${tabId}`);
+    return true;
+  }
+  
+  /**
+   * Inject a page-level feature into every open web page
+   * @param {string} featureId - Feature ID
+   * @return {Promise<void>}
+   */
+  async injectIntoOpenTabs(featureId) {
+    const tabs = await chrome.tabs.query({});
+    
+    for (const tab of tabs) {
+      if (!isInjectableUrl(tab.url)) continue;
+      if (this.getSiteDecision(featureId, tab.url).enabled === false) continue;
+      
+      try {
+        await this.injectContent(featureId, tab.id, tab.url);
+      } catch (error) {
+        // Restricted pages (e.g. the Web Store) refuse injection
+        console.warn(`Could not inject "${featureId}" into tab ${tab.id}:`, error.message);
+      }
     }
+  }
+  
+  /**
+   * Remove a feature's content code from every tab it was injected into
+   * @param {string} featureId - Feature ID
+   * @return {Promise<void>}
+   */
+  async removeContent(featureId) {
+    const tabs = injectedTabs.get(featureId);
+    if (!tabs) return;
     
-    // No permissions to request
-    if (permissions.length === 0 && origins.length === 0) {
-      return true;
+    for (const tabId of [...tabs]) {
+      await this.removeContentFromTab(featureId, tabId);
     }
     
-    // Request permissions
-    return await chrome.permissions.request({
-      permissions,
-      origins
-    });
+    injectedTabs.delete(featureId);
   }
   
   /**
-   * Handle permission changes
-   * @param {Object} permissions - Permission changes
-   * @private
+   * Remove a feature's content code from one tab
+   * @param {string} featureId - Feature ID
+   * @param {number} tabId - Tab ID
+   * @return {Promise<void>}
    */
-  handlePermissionChange(permissions) {
-    // When permissions change, we need to check active features
-    // to see if any need to be deactivated due to lost permissions
+  async removeContentFromTab(featureId, tabId) {
+    const definition = featureRegistry.get(featureId);
+    const tabs = injectedTabs.get(featureId);
+    if (!definition || !tabs || !tabs.has(tabId)) return;
     
-    this.getAllFeatures().forEach(async (feature) => {
-      // Skip features that aren't active
-      if (!activeFeatures.has(feature.id)) {
-        return;
-      }
+    tabs.delete(tabId);
+    
+    try {
+      await chrome.tabs.sendMessage(tabId, { type: 'feature:deactivate', featureId });
       
-      // Check if feature requires any of the changed permissions
-      const requiresPermissions = feature.permissions && 
-        feature.permissions.some(p => permissions.permissions.includes(p));
+      if (definition.content.style) {
+        await chrome.scripting.removeCSS({
+          target: { tabId },
+          files: [`features/${definition.path}/${definition.content.style}`]
+        });
+      }
+    } catch (error) {
+      // Tab was closed or navigated away
+    }
+  }
+  
+  /**
+   * Track navigation so features are injected again into new pages
+   * @param {number} tabId - Tab ID
+   * @param {Object} changeInfo - Changed tab properties
+   * @param {chrome.tabs.Tab} tab - Updated tab
+   * @return {Promise<void>}
+   */
+  async handleTabUpdated(tabId, changeInfo, tab) {
+    if (changeInfo.status === 'loading') {
+      // The new page starts without any feature code
+      for (const tabs of injectedTabs.values()) {
+        tabs.delete(tabId);
+      }
+      return;
+    }
+    
+    if (changeInfo.status !== 'complete' || !isInjectableUrl(tab.url)) return;
+    
+    for (const [featureId, instance] of activeFeatures) {
+      const { content } = instance.definition;
+      if (!content || content.injectOn !== 'load') continue;
       
-      const requiresOrigins = feature.hostPermissions && 
-        feature.hostPermissions.some(o => permissions.origins.includes(o));
+      // Sites that turn the feature off keep it out; the content script
+      // reports which features the site turns on (see siteRuleManager)
+      if (this.getSiteDecision(featureId, tab.url).enabled === false) continue;
       
-      if (requiresPermissions || requiresOrigins) {
-        // Check if we still have the required permissions
-        let hasRequiredPermissions = true;
-        
-        if (feature.permissions && feature.permissions.length > 0) {
-          hasRequiredPermissions = await chrome.permissions.contains({
-            permissions: feature.permissions
-          });
+      try {
+        await this.injectContent(featureId, tabId, tab.url);
+      } catch (error) {
+        console.warn(`Could not inject "${featureId}" into tab ${tabId}:`, error.message);
+      }
+    }
+  }
+  
+  /**
+   * Forget a closed tab
+   * @param {number} tabId - Tab ID
+   */
+  handleTabRemoved(tabId) {
+    for (const tabs of injectedTabs.values()) {
+      tabs.delete(tabId);
+    }
+  }
+  
+  /**
+   * Find the permissions of a feature that aren't granted
+   * @param {string} featureId - Feature ID
+   * @return {Promise<{required: PermissionSet, optional: PermissionSet}>} Missing permissions:
+   *   `required` ones block activation, `optional` ones leave the feature degraded
+   * @throws {Error} If the feature doesn't exist
+   */
+  async getMissingPermissions(featureId) {
+    const featureDefinition = featureRegistry.get(featureId);
+    if (!featureDefinition) {
+      throw new Error(`Feature with ID "${featureId}" not found`);
+    }
+    
+    // Checked one at a time: contains() only tells whether all of them are granted
+    const filterMissing = async (names, key) => {
+      const missing = [];
+      for (const name of names || []) {
+        if (!await chrome.permissions.contains({ [key]: [name] })) {
+          missing.push(name);
         }
+      }
+      return missing;
+    };
+    
+    return {
+      required: {
+        permissions: await filterMissing(featureDefinition.permissions, 'permissions'),
+        origins: await filterMissing(featureDefinition.hostPermissions, 'origins')
+      },
+      optional: {
+        permissions: await filterMissing(featureDefinition.optionalPermissions, 'permissions'),
+        origins: []
+      }
+    };
+  }
+  
+  /**
+   * Handle permission changes
+   * Active features that lost a required permission are deactivated and the others
+   * learn which optional permissions they have now. When permissions are granted,
+   * enabled features they were blocking are activated again.
+   * @private
+   * @param {PermissionSet} permissions - Permissions added or removed
+   * @param {boolean} granted - Whether they were added
+   * @return {Promise<void>}
+   */
+  async handlePermissionChange(permissions, granted) {
+    const changed = permissions.permissions || [];
+    const changedOrigins = permissions.origins || [];
+    
+    // Host patterns may be reported in another form than declared, so any host change counts
+    const isAffected = definition => (
+      [...(definition.permissions || []), ...(definition.optionalPermissions || [])]
+        .some(name => changed.includes(name)) ||
+      (changedOrigins.length > 0 && (definition.hostPermissions || []).length > 0)
+    );
+    
+    for (const [featureId, featureInstance] of [...activeFeatures]) {
+      if (!activeFeatures.has(featureId) || !isAffected(featureInstance.definition)) continue;
+      
+      try {
+        const missing = await this.getMissingPermissions(featureId);
         
-        if (hasRequiredPermissions && feature.hostPermissions && feature.hostPermissions.length > 0) {
-          hasRequiredPermissions = await chrome.permissions.contains({
-            origins: feature.hostPermissions
-          });
+        if (missing.required.permissions.length > 0 || missing.required.origins.length > 0) {
+          console.log(`Deactivating feature "${featureId}" due to permission changes`);
+          await this.deactivateFeature(featureId);
+          continue;
         }
         
-        // Deactivate feature if permissions were lost
-        if (!hasRequiredPermissions) {
-          console.log(`Deactivating feature "${feature.id}" due to permission changes`);
-          this.deactivateFeature(feature.id);
-        }
+        featureInstance.missingPermissions = missing.optional.permissions;
+        featureInstance.degraded = missing.optional.permissions.length > 0;
+      } catch (error) {
+        console.error(`Failed to update permissions of feature "${featureId}":`, error);
       }
-    });
+    }
+    
+    if (!granted) return;
+    
+    const enabledFeatures = storageManager.getSetting('features.enabledFeatures', []);
+    for (const featureId of enabledFeatures) {
+      const featureDefinition = featureRegistry.get(featureId);
+      if (!featureDefinition || activeFeatures.has(featureId) ||
+          !isAffected(featureDefinition) || this.isQuarantined(featureId)) {
+        continue;
+      }
+      
+      // Never switch off other enabled features for one that comes back
+      try {
+        await this.activateFeature(featureId, { onConflict: 'refuse' });
+        console.log(`Feature "${featureId}" reactivated after permissions were granted`);
+      } catch (error) {
+        console.warn(`Feature "${featureId}" still can't be activated:`, error.message);
+      }
+    }
   }
   
   /**
@@ -876,8 +2163,15 @@ class FeatureManager {
           continue;
         }
         
+        // Quarantined features wait for the user to retry them
+        if (this.isQuarantined(featureId)) {
+          console.warn(`Not restoring quarantined feature "${featureId}"`);
+          continue;
+        }
+        
+        // Never switch off other enabled features while restoring
         try {
-          await this.activateFeature(featureId);
+          await this.activateFeature(featureId, { onConflict: 'refuse' });
           restoredFeatures.push(featureId);
         } catch (error) {
           console.error(`Failed to restore feature "${featureId}":`, error);
@@ -902,12 +2196,74 @@ class FeatureManager {
     }
   }
   
+  /**
+   * Activate the features that were active or waiting for activation when the
+   * service worker was stopped, unless the user disabled them since
+   * @private
+   * @param {Object} session - Snapshot written by saveSession
+   * @return {Promise<void>}
+   */
+  async restoreSessionFeatures(session) {
+    const disabledFeatures = storageManager.getSetting('features.disabledFeatures', []);
+    const entries = [
+      ...(session.active || []).map(featureId => ({ featureId, onConflict: 'refuse' })),
+      ...(session.pending || [])
+    ];
+    
+    for (const { featureId, onConflict } of entries) {
+      if (!featureRegistry.has(featureId) || activeFeatures.has(featureId) ||
+          disabledFeatures.includes(featureId) || this.isQuarantined(featureId)) {
+        continue;
+      }
+      
+      // Nobody can be asked about conflicts now, so only an earlier 'replace' replaces
+      try {
+        await this.activateFeature(featureId, { onConflict: onConflict || 'refuse' });
+      } catch (error) {
+        console.warn(`Could not restore feature "${featureId}" after a restart:`, error.message);
+      }
+    }
+  }
+  
+  /**
+   * Snapshot the active and pending features and their state to session storage
+   * Writes are chained, so the most recent snapshot is the one kept.
+   * @return {Promise<void>}
+   */
+  saveSession() {
+    const states = {};
+    for (const [featureId, instance] of activeFeatures) {
+      if (Object.keys(instance.state).length > 0) {
+        states[featureId] = instance.state;
+      }
+    }
+    
+    const snapshot = {
+      active: [...activeFeatures.keys()],
+      pending: [...pendingActivations].map(([featureId, { options }]) => ({
+        featureId,
+        onConflict: options.onConflict || null
+      })),
+      states
+    };
+    
+    this.sessionWrite = this.sessionWrite
+      .then(() => storageManager.setSessionState(SESSION_KEY, snapshot))
+      .catch((error) => {
+        console.error('Failed to save the feature session:', error);
+      });
+    
+    return this.sessionWrite;
+  }
+  
   /**
    * Get feature settings
    * @param {string} featureId - Feature ID
+   * @param {string} [url] - Page URL; site rules matching it override the stored settings
+   *   and those of the active profile
    * @return {Object} Feature settings
    */
-  getFeatureSettings(featureId) {
+  getFeatureSettings(featureId, url) {
     // Get feature definition
     const featureDefinition = featureRegistry.get(featureId);
     if (!featureDefinition) {
@@ -916,10 +2272,384 @@ class FeatureManager {
     }
     
     // Get settings
-    return storageManager.getSetting(
+    const settings = storageManager.getSetting(
       `features.featureSettings.${featureId}`, 
       featureDefinition.defaultSettings || {}
     );
+    
+    // The active profile's overrides come next, then the page's site rules
+    const profile = this.getActiveProfile();
+    const profileSettings = profile && profile.settings[featureId];
+    const layered = profileSettings ? { ...settings, ...profileSettings } : settings;
+    
+    if (!url) return layered;
+    
+    return { ...layered, ...this.getSiteDecision(featureId, url).settings };
+  }
+  
+  /**
+   * Get a feature's settings schema
+   * Features without a schema get one inferred from their default settings,
+   * so their settings keep their types.
+   * @param {string} featureId - Feature ID
+   * @return {SettingsSchema} Settings schema (empty for unknown features)
+   */
+  getSettingsSchema(featureId) {
+    const featureDefinition = featureRegistry.get(featureId);
+    if (!featureDefinition) return {};
+    if (featureDefinition.settingsSchema) return featureDefinition.settingsSchema;
+    
+    const inferred = {};
+    for (const [name, value] of Object.entries(featureDefinition.defaultSettings || {})) {
+      let type = typeof value;
+      if (Array.isArray(value)) type = 'list';
+      else if (type === 'object') type = 'map';
+      
+      inferred[name] = { type, label: name, default: value };
+    }
+    
+    return inferred;
+  }
+  
+  /**
+   * Get what the site rules decide for a feature on a page
+   * @param {string} featureId - Feature ID
+   * @param {string} url - Page URL
+   * @return {SiteDecision} Forced state (if any) and settings overrides
+   */
+  getSiteDecision(featureId, url) {
+    const rules = storageManager.getSetting('features.siteRules', []);
+    return siteUtils.rules.resolve(rules, url)[featureId] || { settings: {} };
+  }
+  
+  /**
+   * Get all profiles
+   * @return {Object<string, FeatureProfile>} Profiles keyed by lowercase name
+   */
+  getProfiles() {
+    return storageManager.getSetting(PROFILES_SETTING, {});
+  }
+  
+  /**
+   * Get a profile
+   * @param {string} name - Profile name (case-insensitive)
+   * @return {FeatureProfile|null} Profile or null if not found
+   */
+  getProfile(name) {
+    return this.getProfiles()[String(name).trim().toLowerCase()] || null;
+  }
+  
+  /**
+   * Get the active profile
+   * @return {FeatureProfile|null} Active profile, or null when none is active
+   */
+  getActiveProfile() {
+    const name = storageManager.getSetting(ACTIVE_PROFILE_SETTING, null);
+    return name ? this.getProfile(name) : null;
+  }
+  
+  /**
+   * Create or update a profile
+   * Without a feature list, the profile captures the features enabled right now.
+   * @param {string} name - Profile name
+   * @param {Object} [options] - Profile contents
+   * @param {string[]} [options.features] - IDs of the features to enable
+   * @param {Object<string, Object>} [options.settings] - Settings overrides keyed by feature ID
+   * @param {Object|null} [options.schedule] - Schedule, or null to remove it
+   * @return {Promise<FeatureProfile>} Saved profile
+   * @throws {SettingsValidationError} If a settings override doesn't fit its feature's schema
+   */
+  async saveProfile(name, options = {}) {
+    const displayName = String(name || '').trim().replace(/\s+/g, ' ');
+    if (!PROFILE_NAME_PATTERN.test(displayName)) {
+      throw new Error(`Invalid profile name "${displayName}": use up to 40 letters, digits, spaces, dashes or underscores`);
+    }
+    
+    const key = displayName.toLowerCase();
+    const existing = this.getProfiles()[key];
+    
+    const features = options.features ||
+      (existing ? existing.features : this.getAllFeatures()
+        .filter(feature => this.isFeatureEnabled(feature.id))
+        .map(feature => feature.id));
+    
+    const unknown = features.filter(featureId => !featureRegistry.has(featureId));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown features in profile "${displayName}": ${unknown.join(', ')}`);
+    }
+    
+    const settings = options.settings || (existing ? existing.settings : {});
+    for (const [featureId, overrides] of Object.entries(settings)) {
+      const feature = featureRegistry.get(featureId);
+      if (!feature) {
+        throw new Error(`Unknown feature "${featureId}" in profile "${displayName}" settings`);
+      }
+      
+      schemaUtils.validation.assertValid(
+        this.getSettingsSchema(featureId),
+        overrides,
+        `"${feature.name}" profile`
+      );
+    }
+    
+    let schedule = existing ? existing.schedule : undefined;
+    if (options.schedule === null) {
+      schedule = undefined;
+    } else if (options.schedule) {
+      if (getProfileCron(options.schedule) === null) {
+        throw new Error(`Invalid schedule for profile "${displayName}": expected a time like "09:00"`);
+      }
+      schedule = options.schedule;
+    }
+    
+    const now = Date.now();
+    const profile = {
+      name: displayName,
+      features: [...new Set(features)],
+      settings,
+      ...(schedule ? { schedule } : {}),
+      created: existing ? existing.created : now,
+      updated: now
+    };
+    
+    await storageManager.setSetting(PROFILES_SETTING, { ...this.getProfiles(), [key]: profile });
+    return profile;
+  }
+  
+  /**
+   * Delete a profile
+   * Deleting the active profile leaves the features as they are, without its settings overrides.
+   * @param {string} name - Profile name
+   * @return {Promise<boolean>} Whether the profile existed
+   */
+  async deleteProfile(name) {
+    const key = String(name).trim().toLowerCase();
+    const profiles = { ...this.getProfiles() };
+    if (!profiles[key]) return false;
+    
+    delete profiles[key];
+    await storageManager.setSetting(PROFILES_SETTING, profiles);
+    
+    const active = storageManager.getSetting(ACTIVE_PROFILE_SETTING, null);
+    if (active && active.toLowerCase() === key) {
+      await storageManager.setSetting(ACTIVE_PROFILE_SETTING, null);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Switch to a profile: enable its features, disable the others and apply its settings
+   * @param {string} name - Profile name
+   * @return {Promise<FeatureProfile>} Activated profile
+   */
+  async switchProfile(name) {
+    const profile = this.getProfile(name);
+    if (!profile) {
+      throw new Error(`No profile named "${name}"`);
+    }
+    
+    await storageManager.setSetting(ACTIVE_PROFILE_SETTING, profile.name);
+    
+    // Switch features off first, so they don't conflict with the ones switched on
+    const features = this.getAllFeatures().filter(feature =>
+      profile.features.includes(feature.id) !== this.isFeatureEnabled(feature.id)
+    );
+    
+    for (const feature of features.filter(candidate => !profile.features.includes(candidate.id))) {
+      await this.disableFeature(feature.id);
+    }
+    
+    for (const feature of features.filter(candidate => profile.features.includes(candidate.id))) {
+      await this.enableFeature(feature.id, { onConflict: 'replace' });
+    }
+    
+    // Features that stay on pick up the profile's settings overrides
+    for (const [featureId, instance] of activeFeatures) {
+      instance.settings = this.getFeatureSettings(featureId);
+    }
+    
+    chrome.runtime.sendMessage({
+      type: 'profile:switched',
+      profile: profile.name
+    }).catch(() => {
+      // Ignore errors if no listeners
+    });
+    
+    console.log(`Switched to profile: ${profile.name}`);
+    return profile;
+  }
+  
+  /**
+   * Schedule a job for every scheduled profile, replacing the old ones
+   * @return {Promise<void>}
+   */
+  async scheduleProfiles() {
+    const profiles = this.getProfiles();
+    
+    for (const job of jobScheduler.getJobs(PROFILE_JOB_OWNER)) {
+      if (!profiles[job.name] || !profiles[job.name].schedule) {
+        await jobScheduler.cancel(PROFILE_JOB_OWNER, job.name);
+      }
+    }
+    
+    for (const [key, profile] of Object.entries(profiles)) {
+      if (!profile.schedule) continue;
+      
+      const expression = getProfileCron(profile.schedule);
+      if (expression !== null) {
+        await jobScheduler.schedule(PROFILE_JOB_OWNER, key, { type: 'cron', expression });
+      }
+    }
+  }
+  
+  /**
+   * Switch to a profile when its scheduled job runs
+   * @param {Job} job - Job named after the profile's key
+   * @return {Promise<void>}
+   */
+  async handleProfileJob(job) {
+    const profile = this.getProfiles()[job.name];
+    if (!profile) return;
+    
+    await this.switchProfile(profile.name);
+  }
+  
+  /**
+   * Get a feature's health
+   * @param {string} featureId - Feature ID
+   * @return {Object} Health: `status` ('ok', 'failing' or 'quarantined'), recent `failures`
+   *   against the `budget`, and the `lastError`
+   */
+  getFeatureHealth(featureId) {
+    const health = storageManager.getSetting(`${HEALTH_SETTING}.${featureId}`, null) || {};
+    const since = Date.now() - ERROR_BUDGET.window;
+    const failures = (health.failures || []).filter(time => time > since).length;
+    
+    let status = 'ok';
+    if (health.quarantined) {
+      status = 'quarantined';
+    } else if (failures > 0) {
+      status = 'failing';
+    }
+    
+    return {
+      featureId,
+      status,
+      failures,
+      budget: ERROR_BUDGET.failures,
+      lastError: health.lastError || null,
+      quarantinedAt: health.quarantinedAt || null
+    };
+  }
+  
+  /**
+   * Check if a feature is quarantined
+   * @param {string} featureId - Feature ID
+   * @return {boolean} Whether the feature is quarantined
+   */
+  isQuarantined(featureId) {
+    return !!storageManager.getSetting(`${HEALTH_SETTING}.${featureId}.quarantined`, false);
+  }
+  
+  /**
+   * Record a failure of a feature's hook, quarantining the feature once it exceeds its error budget
+   * @param {string} featureId - Feature ID
+   * @param {string} phase - What failed ('onActivate', 'onDeactivate', 'onSettingsChange',
+   *   or 'job:' and the job name)
+   * @param {Error} error - Error thrown
+   * @return {Promise<void>}
+   */
+  async recordFailure(featureId, phase, error) {
+    console.error(`Error in ${phase} for feature "${featureId}":`, error);
+    
+    storageManager.logError({
+      source: 'feature',
+      featureId,
+      phase,
+      message: error.message,
+      stack: error.stack
+    });
+    
+    const path = `${HEALTH_SETTING}.${featureId}`;
+    const health = storageManager.getSetting(path, null) || {};
+    const now = Date.now();
+    const failures = [...(health.failures || []).filter(time => time > now - ERROR_BUDGET.window), now];
+    const quarantine = !health.quarantined && failures.length >= ERROR_BUDGET.failures;
+    
+    await storageManager.setSetting(path, {
+      ...health,
+      failures,
+      lastError: { phase, message: error.message, timestamp: now },
+      ...(quarantine ? { quarantined: true, quarantinedAt: now } : {})
+    });
+    
+    if (!quarantine) return;
+    
+    console.warn(`Feature "${featureId}" quarantined after ${failures.length} failures`);
+    
+    // A feature failing to deactivate is on its way out already
+    if (phase !== 'onDeactivate' && activeFeatures.has(featureId)) {
+      await this.deactivateFeature(featureId);
+    }
+    
+    this.updateHealthBadge();
+    
+    chrome.runtime.sendMessage({
+      type: 'feature:quarantined',
+      featureId
+    }).catch(() => {
+      // Ignore errors if no listeners
+    });
+  }
+  
+  /**
+   * Lift a feature's quarantine and activate it again if it is enabled
+   * @param {string} featureId - Feature ID
+   * @param {Object} [options] - Retry options
+   * @param {boolean} [options.resetSettings=false] - Restore default settings first
+   * @return {Promise<Object>} Health after the retry (see getFeatureHealth)
+   */
+  async retryFeature(featureId, { resetSettings = false } = {}) {
+    if (!featureRegistry.has(featureId)) {
+      throw new Error(`Feature with ID "${featureId}" not found`);
+    }
+    
+    if (resetSettings) {
+      await this.resetFeatureSettings(featureId);
+    }
+    
+    const health = { ...storageManager.getSetting(HEALTH_SETTING, {}) };
+    delete health[featureId];
+    await storageManager.setSetting(HEALTH_SETTING, health);
+    this.updateHealthBadge();
+    
+    if (this.isFeatureEnabled(featureId) && !activeFeatures.has(featureId)) {
+      try {
+        await this.activateFeature(featureId);
+      } catch (error) {
+        console.error(`Retrying feature "${featureId}" failed:`, error);
+      }
+    }
+    
+    return this.getFeatureHealth(featureId);
+  }
+  
+  /**
+   * Flag quarantined features on the toolbar icon
+   */
+  updateHealthBadge() {
+    const quarantined = this.getAllFeatures().some(feature => this.isQuarantined(feature.id));
+    
+    chrome.action.setBadgeText({ text: quarantined ? '!' : '' }).catch(() => {
+      // Badge is cosmetic
+    });
+    
+    if (quarantined) {
+      chrome.action.setBadgeBackgroundColor({ color: '#d1242f' }).catch(() => {
+        // Badge is cosmetic
+      });
+    }
   }
   
   /**
@@ -969,15 +2699,8 @@ class FeatureManager {
 // Create singleton instance
 const featureManager = new FeatureManager();
 
-// Handle feature manager initialization event
-document.addEventListener('features:initialize', async () => {
-  await featureManager.initialize();
-});
-
 // Handle service worker restart
-document.addEventListener('background:restore', async () => {
-  await featureManager.handleRestart();
-});
+eventBus.on('background:restore', () => featureManager.handleRestart());
 
 // Export the singleton
 export default featureManager;
\ No newline at end of file
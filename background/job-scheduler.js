@@ -0,0 +1,479 @@
+/**
+ * Job Scheduler
+ * Timed work that survives the service worker being stopped: one-shot,
+ * interval and cron-like jobs, each backed by a chrome.alarms alarm. Jobs are
+ * persisted through storageManager user data; their handlers only live in
+ * memory, so owners set them again whenever the worker starts (features do so
+ * on activation, see feature-manager.js).
+ *
+ * Every job has an owner, a feature ID or a part of the extension such as
+ * 'profiles', and a name unique for that owner.
+ */
+
+import storageManager from './storage-manager.js';
+
+/**
+ * User data key of the jobs
+ */
+const JOBS_KEY = 'scheduledJobs';
+
+/**
+ * Prefix of the alarms running jobs, followed by the job ID
+ */
+const JOB_ALARM_PREFIX = 'job:';
+
+/**
+ * Shortest interval Chrome runs alarms at (minutes)
+ */
+const MIN_PERIOD = 0.5;
+
+/**
+ * How far ahead to look for the next run of a cron expression (days);
+ * four years, so jobs on 29 February are still found
+ */
+const CRON_LOOKAHEAD_DAYS = 4 * 366;
+
+/**
+ * Fields of a cron expression, in order, with their allowed range
+ */
+const CRON_FIELDS = [
+  { key: 'minutes', label: 'minute', min: 0, max: 59 },
+  { key: 'hours', label: 'hour', min: 0, max: 23 },
+  { key: 'days', label: 'day of month', min: 1, max: 31 },
+  { key: 'months', label: 'month', min: 1, max: 12 },
+  { key: 'weekdays', label: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * When a job runs
+ * @typedef {Object} JobSchedule
+ * @property {string} type - 'once', 'interval' or 'cron'
+ * @property {number} [when] - Timestamp of the run ('once'), or of the first run ('interval')
+ * @property {number} [periodInMinutes] - Time between runs ('interval'), at least 0.5
+ * @property {string} [expression] - Cron expression ('cron'): minute, hour, day of month,
+ *   month and day of week (0 or 7 = Sunday), each `*`, a value, a range `a-b` or a
+ *   list of them, optionally stepped with `/n` (e.g. "0 9 * * 1-5")
+ */
+
+/**
+ * Scheduled job
+ * @typedef {Object} Job
+ * @property {string} id - `owner/name`
+ * @property {string} owner - Feature ID or part of the extension running the job
+ * @property {string} name - Job name, unique for the owner
+ * @property {JobSchedule} schedule - When the job runs
+ * @property {any} [payload] - Data passed to the handler
+ * @property {number} nextRun - Timestamp of the next run
+ * @property {number|null} lastRun - Timestamp of the last run
+ * @property {string|null} lastError - Error of the last run, if it failed
+ * @property {number} runCount - Number of runs
+ * @property {number} created - Creation timestamp
+ */
+
+/**
+ * Parse one field of a cron expression
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition from CRON_FIELDS
+ * @return {number[]} Sorted values
+ * @throws {Error} If the field is invalid
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${field.label} "${part}"`);
+    }
+
+    const start = match[1] === '*' ? field.min : Number(match[2]);
+    const end = match[1] === '*' ? field.max :
+      (match[3] !== undefined ? Number(match[3]) : (match[4] ? field.max : start));
+    const step = match[4] ? Number(match[4]) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`Invalid ${field.label} "${part}": use ${field.min}-${field.max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression (see JobSchedule)
+ * @return {Object} Allowed values keyed by field, and whether the day fields are restricted
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected ${CRON_FIELDS.length} fields`);
+  }
+
+  const cron = {};
+  CRON_FIELDS.forEach((field, index) => {
+    cron[field.key] = parseCronField(parts[index], field);
+  });
+
+  // 7 is Sunday too
+  cron.weekdays = [...new Set(cron.weekdays.map(day => day % 7))];
+
+  // As in cron, restricting both day fields means either may match; a field
+  // starting with * (including */1) doesn't restrict
+  cron.anyDay = parts[2].startsWith('*');
+  cron.anyWeekday = parts[4].startsWith('*');
+  return cron;
+}
+
+/**
+ * Check whether a cron expression runs on a date
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Date (time is ignored)
+ * @return {boolean} Whether it runs that day
+ */
+function matchesCronDay(cron, date) {
+  if (!cron.months.includes(date.getMonth() + 1)) return false;
+
+  const day = cron.days.includes(date.getDate());
+  const weekday = cron.weekdays.includes(date.getDay());
+
+  if (cron.anyDay) return weekday;
+  if (cron.anyWeekday) return day;
+  return day || weekday;
+}
+
+/**
+ * Get the next time a cron expression fires, in local time
+ * @param {Object} cron - Parsed expression
+ * @param {number} now - Reference time
+ * @return {number|null} Timestamp, or null if it never fires (e.g. "0 0 31 2 *")
+ */
+function getNextCronTime(cron, now) {
+  const start = new Date(now);
+  start.setSeconds(0, 0);
+  start.setMinutes(start.getMinutes() + 1);
+
+  for (let offset = 0; offset < CRON_LOOKAHEAD_DAYS; offset++) {
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+    if (!matchesCronDay(cron, day)) continue;
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute).getTime();
+        if (candidate >= start.getTime()) {
+          return candidate;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a schedule
+ * @param {JobSchedule} schedule - Schedule
+ * @throws {Error} If it is invalid
+ */
+function validateSchedule(schedule) {
+  switch (schedule && schedule.type) {
+    case 'once':
+      if (!Number.isFinite(schedule.when)) {
+        throw new Error('One-shot jobs need a `when` timestamp');
+      }
+      break;
+
+    case 'interval':
+      if (!Number.isFinite(schedule.periodInMinutes) || schedule.periodInMinutes < MIN_PERIOD) {
+        throw new Error(`Interval jobs need a \`periodInMinutes\` of at least ${MIN_PERIOD}`);
+      }
+      break;
+
+    case 'cron':
+      parseCron(schedule.expression);
+      break;
+
+    default:
+      throw new Error('Schedule type must be "once", "interval" or "cron"');
+  }
+}
+
+/**
+ * Get the next run of a schedule
+ * @param {JobSchedule} schedule - Valid schedule
+ * @param {number|null} lastRun - Timestamp of the last run, or null before the first
+ * @param {number} [now=Date.now()] - Reference time
+ * @return {number|null} Timestamp, or null if the job is done
+ */
+function getNextRun(schedule, lastRun, now = Date.now()) {
+  switch (schedule.type) {
+    case 'once':
+      return lastRun === null ? schedule.when : null;
+
+    case 'interval':
+      if (lastRun === null && Number.isFinite(schedule.when)) {
+        return schedule.when;
+      }
+      return now + schedule.periodInMinutes * 60 * 1000;
+
+    case 'cron':
+      return getNextCronTime(parseCron(schedule.expression), now);
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Job Scheduler class
+ */
+class JobScheduler {
+  constructor() {
+    this.initialized = false;
+    this.initPromise = null;
+    this.jobs = {};
+    this.handlers = new Map();
+
+    // Bind methods
+    this.handleAlarm = this.handleAlarm.bind(this);
+  }
+
+  /**
+   * Initialize the scheduler
+   * @return {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    // Prevent multiple concurrent initializations
+    if (this.initPromise) {
+      return this.initPromise;
+    }
+
+    this.initPromise = this._performInitialization();
+
+    try {
+      await this.initPromise;
+      this.initialized = true;
+      this.initPromise = null;
+
+      console.log('Job scheduler initialized');
+    } catch (error) {
+      this.initPromise = null;
+      console.error('Failed to initialize job scheduler:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Perform the actual initialization
+   * Alarms don't survive browser restarts reliably, so missing ones are created
+   * again; jobs that were due while the browser was closed run right away.
+   * @private
+   * @return {Promise<void>}
+   */
+  async _performInitialization() {
+    await storageManager.initialize();
+
+    this.jobs = JSON.parse(JSON.stringify(storageManager.getUserData(JOBS_KEY, {})));
+
+    const alarms = new Set((await chrome.alarms.getAll()).map(alarm => alarm.name));
+    for (const job of Object.values(this.jobs)) {
+      if (!alarms.has(JOB_ALARM_PREFIX + job.id)) {
+        await this._createAlarm(job);
+      }
+    }
+  }
+
+  /**
+   * Set the handler running an owner's jobs
+   * @param {string} owner - Job owner
+   * @param {function(Job): (Promise<void>|void)} handler - Called with the job when it is due
+   */
+  setHandler(owner, handler) {
+    this.handlers.set(owner, handler);
+  }
+
+  /**
+   * Remove the handler of an owner's jobs
+   * Jobs that come due without a handler are skipped.
+   * @param {string} owner - Job owner
+   */
+  removeHandler(owner) {
+    this.handlers.delete(owner);
+  }
+
+  /**
+   * Schedule a job, replacing the owner's job of the same name
+   * Scheduling a job again with the same schedule keeps its next run, so owners can
+   * schedule their jobs every time the service worker starts.
+   * @param {string} owner - Job owner
+   * @param {string} name - Job name
+   * @param {JobSchedule} schedule - When the job runs
+   * @param {any} [payload] - Data passed to the handler
+   * @return {Promise<Job>} Scheduled job
+   * @throws {Error} If the schedule is invalid or never fires
+   */
+  async schedule(owner, name, schedule, payload) {
+    validateSchedule(schedule);
+
+    const id = `${owner}/${name}`;
+    const existing = this.jobs[id];
+
+    if (existing && JSON.stringify(existing.schedule) === JSON.stringify(schedule)) {
+      existing.payload = payload;
+      await this._save();
+      return existing;
+    }
+
+    const nextRun = getNextRun(schedule, null);
+    if (nextRun === null) {
+      throw new Error(`Job "${id}" would never run`);
+    }
+
+    const job = {
+      id,
+      owner,
+      name,
+      schedule,
+      payload,
+      nextRun,
+      lastRun: null,
+      lastError: null,
+      runCount: 0,
+      created: Date.now()
+    };
+
+    this.jobs[id] = job;
+    await this._save();
+    await this._createAlarm(job);
+
+    return job;
+  }
+
+  /**
+   * Cancel a job
+   * @param {string} owner - Job owner
+   * @param {string} name - Job name
+   * @return {Promise<boolean>} Whether the job existed
+   */
+  async cancel(owner, name) {
+    const id = `${owner}/${name}`;
+    if (!this.jobs[id]) return false;
+
+    delete this.jobs[id];
+    await chrome.alarms.clear(JOB_ALARM_PREFIX + id);
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Cancel all jobs of an owner
+   * @param {string} owner - Job owner
+   * @return {Promise<number>} Number of jobs cancelled
+   */
+  async cancelAll(owner) {
+    const jobs = Object.values(this.jobs).filter(job => job.owner === owner);
+
+    for (const job of jobs) {
+      delete this.jobs[job.id];
+      await chrome.alarms.clear(JOB_ALARM_PREFIX + job.id);
+    }
+
+    if (jobs.length > 0) {
+      await this._save();
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Get the jobs, soonest first
+   * @param {string} [owner] - Only this owner's jobs
+   * @return {Array<Job & {hasHandler: boolean}>} Jobs, with whether a handler is set for them
+   */
+  getJobs(owner) {
+    return Object.values(this.jobs)
+      .filter(job => !owner || job.owner === owner)
+      .sort((a, b) => a.nextRun - b.nextRun)
+      .map(job => ({ ...job, hasHandler: this.handlers.has(job.owner) }));
+  }
+
+  /**
+   * Run a job when its alarm fires, then schedule its next run
+   * @param {chrome.alarms.Alarm} alarm - Fired alarm
+   * @return {Promise<void>}
+   */
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(JOB_ALARM_PREFIX)) return;
+
+    const job = this.jobs[alarm.name.slice(JOB_ALARM_PREFIX.length)];
+    if (!job) {
+      // Cancelled while the alarm was pending
+      await chrome.alarms.clear(alarm.name);
+      return;
+    }
+
+    const handler = this.handlers.get(job.owner);
+
+    if (!handler) {
+      console.warn(`No handler for job "${job.id}", skipping this run`);
+      job.lastError = `Skipped: "${job.owner}" wasn't running`;
+    } else {
+      try {
+        await handler(job);
+        job.lastError = null;
+      } catch (error) {
+        console.error(`Job "${job.id}" failed:`, error);
+        job.lastError = error.message;
+      }
+      job.runCount++;
+    }
+
+    job.lastRun = Date.now();
+
+    // The handler may have cancelled or replaced its own job
+    if (this.jobs[job.id] !== job) return;
+
+    const nextRun = getNextRun(job.schedule, job.lastRun);
+    if (nextRun === null) {
+      delete this.jobs[job.id];
+    } else {
+      job.nextRun = nextRun;
+      await this._createAlarm(job);
+    }
+
+    await this._save();
+  }
+
+  /**
+   * Create the alarm of a job, replacing any previous one
+   * @private
+   * @param {Job} job - Job
+   * @return {Promise<void>}
+   */
+  async _createAlarm(job) {
+    // Runs that were due while the browser was closed happen right away
+    await chrome.alarms.create(JOB_ALARM_PREFIX + job.id, { when: Math.max(job.nextRun, Date.now()) });
+  }
+
+  /**
+   * Persist the jobs
+   * @private
+   * @return {Promise<void>}
+   */
+  async _save() {
+    // A copy, as jobs change in place and user data is only saved when it differs
+    await storageManager.setUserData(JOBS_KEY, JSON.parse(JSON.stringify(this.jobs)));
+  }
+}
+
+// Create singleton instance
+const jobScheduler = new JobScheduler();
+
+// Export the singleton
+export default jobScheduler;
@@ -0,0 +1,366 @@
+/**
+ * Macro Manager
+ * User-defined command aliases and recorded command macros.
+ * Persists through storageManager user data and supports JSON import/export for sharing.
+ */
+
+import storageManager from './storage-manager.js';
+
+/**
+ * User data keys
+ */
+const ALIASES_KEY = 'commandAliases';
+const MACROS_KEY = 'commandMacros';
+
+/**
+ * Format identifier for exported libraries
+ */
+const LIBRARY_FORMAT = 'aio-command-library';
+const LIBRARY_VERSION = 1;
+
+/**
+ * Valid alias and macro names: letters, digits, dashes and underscores
+ */
+const NAME_PATTERN = /^[\p{L}\p{N}_-]{1,40}$/u;
+
+/**
+ * Macro step interface
+ * @typedef {Object} MacroStep
+ * @property {string} text - Command text as typed in the palette
+ * @property {string} [featureId] - Feature of the executed command (absent for pipelines)
+ * @property {string} [action] - Action of the executed command
+ * @property {Object} [params] - Parameters the command ran with
+ */
+
+/**
+ * Macro interface
+ * @typedef {Object} Macro
+ * @property {string} name - Macro name
+ * @property {MacroStep[]} steps - Recorded steps in order
+ * @property {number} created - Creation timestamp
+ * @property {number} updated - Last update timestamp
+ */
+
+/**
+ * Macro Manager class
+ */
+class MacroManager {
+  constructor() {
+    this.recording = null;
+  }
+
+  /**
+   * Normalize and validate a name
+   * @private
+   * @param {string} name - Alias or macro name
+   * @return {string} Normalized name
+   */
+  _normalizeName(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+
+    if (!NAME_PATTERN.test(normalized)) {
+      throw new Error(`Invalid name "${name}": use letters, digits, "-" or "_"`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Get all aliases
+   * @return {Object<string, string>} Alias name to command text
+   */
+  getAliases() {
+    return { ...storageManager.getUserData(ALIASES_KEY, {}) };
+  }
+
+  /**
+   * Define or replace an alias
+   * @param {string} name - Alias name (e.g. "tldr")
+   * @param {string} expansion - Command text it expands to
+   * @return {Promise<void>}
+   */
+  async setAlias(name, expansion) {
+    const aliasName = this._normalizeName(name);
+    const text = String(expansion || '').trim();
+
+    if (!text) {
+      throw new Error(`Alias "${aliasName}" needs a command to expand to`);
+    }
+
+    const aliases = this.getAliases();
+    aliases[aliasName] = text;
+    await storageManager.setUserData(ALIASES_KEY, aliases);
+  }
+
+  /**
+   * Remove an alias
+   * @param {string} name - Alias name
+   * @return {Promise<boolean>} Whether the alias existed
+   */
+  async removeAlias(name) {
+    const aliases = this.getAliases();
+    const aliasName = String(name).trim().toLowerCase();
+
+    if (!aliases[aliasName]) return false;
+
+    delete aliases[aliasName];
+    await storageManager.setUserData(ALIASES_KEY, aliases);
+    return true;
+  }
+
+  /**
+   * Expand a leading alias in command text
+   * Only the first word is considered, so "tldr then copy" expands the "tldr" stage.
+   * @param {string} text - Command text
+   * @return {string} Expanded text, or the original if no alias matched
+   */
+  expandAlias(text) {
+    const match = String(text).trim().match(/^(\S+)(.*)$/s);
+    if (!match) return String(text);
+
+    const expansion = this.getAliases()[match[1].toLowerCase()];
+    return expansion ? `${expansion}${match[2]}` : String(text);
+  }
+
+  /**
+   * Get all macros
+   * @return {Object<string, Macro>} Macros keyed by name
+   */
+  getMacros() {
+    return { ...storageManager.getUserData(MACROS_KEY, {}) };
+  }
+
+  /**
+   * Get a macro by name
+   * @param {string} name - Macro name
+   * @return {Macro|null} Macro or null if not found
+   */
+  getMacro(name) {
+    return this.getMacros()[String(name).trim().toLowerCase()] || null;
+  }
+
+  /**
+   * Save a macro
+   * @param {string} name - Macro name
+   * @param {MacroStep[]} steps - Steps to save
+   * @return {Promise<Macro>} Saved macro
+   */
+  async saveMacro(name, steps) {
+    const macroName = this._normalizeName(name);
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error(`Macro "${macroName}" has no steps`);
+    }
+
+    const macros = this.getMacros();
+    const now = Date.now();
+
+    macros[macroName] = {
+      name: macroName,
+      steps: steps.map(step => this._sanitizeStep(step)),
+      created: macros[macroName] ? macros[macroName].created : now,
+      updated: now
+    };
+
+    await storageManager.setUserData(MACROS_KEY, macros);
+    return macros[macroName];
+  }
+
+  /**
+   * Remove a macro
+   * @param {string} name - Macro name
+   * @return {Promise<boolean>} Whether the macro existed
+   */
+  async removeMacro(name) {
+    const macros = this.getMacros();
+    const macroName = String(name).trim().toLowerCase();
+
+    if (!macros[macroName]) return false;
+
+    delete macros[macroName];
+    await storageManager.setUserData(MACROS_KEY, macros);
+    return true;
+  }
+
+  /**
+   * Keep only the known fields of a step
+   * @private
+   * @param {Object} step - Step to sanitize
+   * @return {MacroStep} Sanitized step
+   */
+  _sanitizeStep(step) {
+    if (!step || typeof step.text !== 'string' || !step.text.trim()) {
+      throw new Error('Macro steps need command text');
+    }
+
+    const sanitized = { text: step.text.trim() };
+
+    if (step.featureId && step.action) {
+      sanitized.featureId = String(step.featureId);
+      sanitized.action = String(step.action);
+      sanitized.params = step.params && typeof step.params === 'object' ?
+        JSON.parse(JSON.stringify(step.params)) : {};
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Start recording a macro
+   */
+  startRecording() {
+    if (this.recording) {
+      throw new Error('Already recording a macro');
+    }
+
+    this.recording = { steps: [], started: Date.now() };
+  }
+
+  /**
+   * Check whether a macro is being recorded
+   * @return {boolean} Recording status
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+
+  /**
+   * Record an executed command
+   * @param {MacroStep} step - Executed command
+   */
+  recordStep(step) {
+    if (!this.recording) return;
+
+    try {
+      this.recording.steps.push(this._sanitizeStep(step));
+    } catch (error) {
+      console.warn('Skipping macro step:', error);
+    }
+  }
+
+  /**
+   * Stop recording and save the macro
+   * @param {string} name - Macro name
+   * @return {Promise<Macro>} Saved macro
+   */
+  async stopRecording(name) {
+    if (!this.recording) {
+      throw new Error('Not recording a macro');
+    }
+
+    // Validate before discarding the recording
+    this._normalizeName(name);
+
+    const macro = await this.saveMacro(name, this.recording.steps);
+    this.recording = null;
+    return macro;
+  }
+
+  /**
+   * Discard the current recording
+   */
+  cancelRecording() {
+    this.recording = null;
+  }
+
+  /**
+   * Export aliases and macros as JSON
+   * @return {string} JSON library
+   */
+  exportLibrary() {
+    return JSON.stringify({
+      format: LIBRARY_FORMAT,
+      version: LIBRARY_VERSION,
+      exported: Date.now(),
+      aliases: this.getAliases(),
+      macros: this.getMacros()
+    }, null, 2);
+  }
+
+  /**
+   * Import aliases and macros from JSON
+   * @param {string|Object} json - JSON library (string or parsed)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.overwrite=false] - Replace existing entries with the same name
+   * @return {Promise<{aliases: number, macros: number, skipped: string[]}>} Import summary
+   */
+  async importLibrary(json, options = {}) {
+    const { overwrite = false } = options;
+
+    let library;
+    try {
+      library = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (error) {
+      throw new Error(`Invalid command library JSON: ${error.message}`);
+    }
+
+    if (!library || library.format !== LIBRARY_FORMAT) {
+      throw new Error('Not a command library export');
+    }
+
+    if (library.version > LIBRARY_VERSION) {
+      throw new Error(`Unsupported command library version: ${library.version}`);
+    }
+
+    const aliases = this.getAliases();
+    const macros = this.getMacros();
+    const summary = { aliases: 0, macros: 0, skipped: [] };
+
+    for (const [name, expansion] of Object.entries(library.aliases || {})) {
+      try {
+        const aliasName = this._normalizeName(name);
+
+        if (aliases[aliasName] && !overwrite) {
+          summary.skipped.push(`alias:${aliasName}`);
+          continue;
+        }
+
+        if (typeof expansion !== 'string' || !expansion.trim()) {
+          throw new Error('empty expansion');
+        }
+
+        aliases[aliasName] = expansion.trim();
+        summary.aliases++;
+      } catch (error) {
+        summary.skipped.push(`alias:${name}`);
+      }
+    }
+
+    for (const [name, macro] of Object.entries(library.macros || {})) {
+      try {
+        const macroName = this._normalizeName(name);
+
+        if (macros[macroName] && !overwrite) {
+          summary.skipped.push(`macro:${macroName}`);
+          continue;
+        }
+
+        if (!macro || !Array.isArray(macro.steps) || macro.steps.length === 0) {
+          throw new Error('no steps');
+        }
+
+        const now = Date.now();
+        macros[macroName] = {
+          name: macroName,
+          steps: macro.steps.map(step => this._sanitizeStep(step)),
+          created: now,
+          updated: now
+        };
+        summary.macros++;
+      } catch (error) {
+        summary.skipped.push(`macro:${name}`);
+      }
+    }
+
+    await storageManager.setUserData(ALIASES_KEY, aliases);
+    await storageManager.setUserData(MACROS_KEY, macros);
+
+    return summary;
+  }
+}
+
+// Create singleton instance
+const macroManager = new MacroManager();
+
+// Export the singleton
+export default macroManager;
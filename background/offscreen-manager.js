@@ -0,0 +1,191 @@
+/**
+ * Offscreen Manager
+ * Runs jobs that need a DOM or a page to play sound in, which the service
+ * worker lacks, in an offscreen document (see offscreen/offscreen.js). The
+ * document is created for the first job and closed once no job has come in
+ * for a while and nothing is playing. Chrome allows one offscreen document per
+ * extension, so it is created with every reason any job needs.
+ */
+
+import eventBus from './event-bus.js';
+
+/**
+ * Offscreen document page
+ */
+const OFFSCREEN_URL = 'offscreen/offscreen.html';
+
+/**
+ * Reasons given to Chrome for the document, and why it needs them
+ */
+const OFFSCREEN_REASONS = ['DOM_PARSER', 'AUDIO_PLAYBACK'];
+const OFFSCREEN_JUSTIFICATION = 'Read and sanitize page HTML, convert markdown and read text aloud';
+
+/**
+ * Time without jobs before the document is closed (ms)
+ */
+const IDLE_TIMEOUT = 30 * 1000;
+
+/**
+ * Job types the document runs, and their parameters and results
+ * - extract-content: {html} → {title, text}
+ * - sanitize-html: {html} → {html}
+ * - markdown-to-html: {markdown} → {html} (sanitized)
+ * - speak: {text, voice, rate, pitch} → {completed}, once speech ends or is stopped
+ * - play-audio: {url, volume} → {completed}, once playback ends or is stopped
+ * - stop-audio: {} → {}
+ * - status: {} → {playing}
+ */
+
+/**
+ * Offscreen Manager class
+ */
+class OffscreenManager {
+  constructor() {
+    this.creating = null;
+    this.pendingJobs = 0;
+    this.idleTimer = null;
+  }
+
+  /**
+   * Run a job in the offscreen document, creating the document if needed
+   * @param {string} type - Job type (see above)
+   * @param {Object} [params] - Job parameters
+   * @return {Promise<Object>} Job result
+   * @throws {Error} If the document can't be created or the job fails
+   */
+  async run(type, params = {}) {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    this.pendingJobs++;
+
+    try {
+      await this.ensureDocument();
+      return await this._send(type, params);
+    } finally {
+      this.pendingJobs--;
+      if (this.pendingJobs === 0) {
+        this.scheduleClose();
+      }
+    }
+  }
+
+  /**
+   * Check whether the offscreen document is open
+   * It outlives service worker restarts, so Chrome is asked rather than remembered.
+   * @return {Promise<boolean>} Whether it is open
+   */
+  async hasDocument() {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [chrome.runtime.getURL(OFFSCREEN_URL)]
+    });
+
+    return contexts.length > 0;
+  }
+
+  /**
+   * Create the offscreen document unless it is open
+   * Concurrent jobs share one creation, as Chrome refuses a second document.
+   * @return {Promise<void>}
+   */
+  ensureDocument() {
+    if (!this.creating) {
+      this.creating = (async () => {
+        if (await this.hasDocument()) return;
+
+        await chrome.offscreen.createDocument({
+          url: OFFSCREEN_URL,
+          reasons: OFFSCREEN_REASONS,
+          justification: OFFSCREEN_JUSTIFICATION
+        });
+      })().finally(() => {
+        this.creating = null;
+      });
+    }
+
+    return this.creating;
+  }
+
+  /**
+   * Close the document after IDLE_TIMEOUT, unless a job comes in first
+   */
+  scheduleClose() {
+    clearTimeout(this.idleTimer);
+
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      this.closeIfIdle().catch((error) => {
+        console.error('Failed to close the offscreen document:', error);
+      });
+    }, IDLE_TIMEOUT);
+  }
+
+  /**
+   * Close the document if no job is running and nothing is playing
+   * Playback runs on after its job's caller stopped waiting (e.g. across a
+   * service worker restart), so the document is asked before it is closed.
+   * @return {Promise<boolean>} Whether the document was closed
+   */
+  async closeIfIdle() {
+    if (this.pendingJobs > 0 || !await this.hasDocument()) {
+      return false;
+    }
+
+    const { playing } = await this._send('status');
+    if (playing) {
+      this.scheduleClose();
+      return false;
+    }
+
+    // A job may have come in while the document was asked
+    if (this.pendingJobs > 0) {
+      return false;
+    }
+
+    await chrome.offscreen.closeDocument();
+    console.log('Offscreen document closed after being idle');
+    return true;
+  }
+
+  /**
+   * Send a job to the open document
+   * @private
+   * @param {string} type - Job type
+   * @param {Object} [params] - Job parameters
+   * @return {Promise<Object>} Job result
+   * @throws {Error} If the job fails
+   */
+  async _send(type, params = {}) {
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', type, params });
+
+    if (!response) {
+      throw new Error(`No response from the offscreen document to "${type}"`);
+    }
+
+    if (!response.success) {
+      throw new Error(response.error);
+    }
+
+    return response.result;
+  }
+
+  /**
+   * Handle service worker restart
+   * A document left open by the previous worker is closed once it is idle.
+   * @return {Promise<void>}
+   */
+  async handleRestart() {
+    if (this.pendingJobs === 0 && await this.hasDocument()) {
+      this.scheduleClose();
+    }
+  }
+}
+
+// Create singleton instance
+const offscreenManager = new OffscreenManager();
+
+// Close documents left open by the previous worker
+eventBus.on('background:restore', () => offscreenManager.handleRestart());
+
+// Export the singleton
+export default offscreenManager;
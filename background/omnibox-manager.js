@@ -0,0 +1,166 @@
+/**
+ * Omnibox Manager
+ * Runs palette commands from the address bar after the "aio" keyword.
+ * Suggestions come from the command processor; commands run on the active tab.
+ */
+
+import commandProcessor from './command-processor.js';
+
+/**
+ * Maximum number of suggestions shown below the default one
+ */
+const MAX_SUGGESTIONS = 4;
+
+/**
+ * Default suggestion shown before anything matches
+ */
+const DEFAULT_DESCRIPTION = 'Run a command: <match>%s</match>';
+
+/**
+ * Escape text for an omnibox description, which is parsed as XML
+ * @param {string} text - Text to escape
+ * @return {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Omnibox Manager class
+ */
+class OmniboxManager {
+  constructor() {
+    this.latestInput = '';
+    this.topIntent = null;
+    this.suggestionMap = new Map();
+
+    // Bind methods
+    this.handleInputStarted = this.handleInputStarted.bind(this);
+    this.handleInputChanged = this.handleInputChanged.bind(this);
+    this.handleInputEntered = this.handleInputEntered.bind(this);
+  }
+
+  /**
+   * Reset suggestions when the user starts typing after the keyword
+   */
+  handleInputStarted() {
+    this.latestInput = '';
+    this.topIntent = null;
+    this.suggestionMap.clear();
+    chrome.omnibox.setDefaultSuggestion({ description: DEFAULT_DESCRIPTION });
+  }
+
+  /**
+   * Suggest commands for the text typed after the keyword
+   * The best match becomes the default suggestion, so Enter runs it; commands
+   * that can compute their result without side effects show it in the description.
+   * @param {string} text - Text typed after the keyword
+   * @param {Function} suggest - Callback receiving the other suggestions
+   * @return {Promise<void>}
+   */
+  async handleInputChanged(text, suggest) {
+    this.latestInput = text;
+
+    const query = text.trim();
+    if (!query) {
+      this.handleInputStarted();
+      suggest([]);
+      return;
+    }
+
+    let described;
+    if (commandProcessor.isPipeline(query)) {
+      described = [{ intent: null, title: 'Run pipeline', preview: null }];
+    } else {
+      const commands = commandProcessor.getCommands();
+      const intents = commandProcessor.rank(query, { limit: MAX_SUGGESTIONS + 1 });
+
+      described = await Promise.all(intents.map(async (intent) => {
+        const command = commands.find(candidate =>
+          candidate.featureId === intent.featureId && candidate.action === intent.action
+        );
+
+        return {
+          intent,
+          title: command ? command.title : intent.action,
+          preview: await commandProcessor.preview(intent)
+        };
+      }));
+    }
+
+    // Typing went on while previews were computed
+    if (text !== this.latestInput) return;
+
+    this.suggestionMap.clear();
+
+    if (described.length === 0) {
+      this.topIntent = null;
+      chrome.omnibox.setDefaultSuggestion({
+        description: `No command matches <match>${escapeXml(query)}</match>`
+      });
+      suggest([]);
+      return;
+    }
+
+    const [top, ...others] = described;
+    this.topIntent = top.intent;
+    chrome.omnibox.setDefaultSuggestion({ description: this._describe(top) });
+
+    suggest(others.map((entry) => {
+      // Content is what the address bar shows and hands back when the suggestion is picked
+      const content = `${entry.title}: ${query}`;
+      this.suggestionMap.set(content, entry.intent);
+      return { content, description: this._describe(entry) };
+    }));
+  }
+
+  /**
+   * Run the chosen command on the active tab
+   * Results and errors are shown in the tab's palette, which also prompts for missing slots.
+   * @param {string} text - Text of the chosen suggestion (or as typed for the default one)
+   * @return {Promise<void>}
+   */
+  async handleInputEntered(text) {
+    const intent = this.suggestionMap.get(text) ||
+      (text === this.latestInput ? this.topIntent : null);
+    const request = intent ? { intent, text: intent.text } : { text: text.trim() };
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const context = tab ? { tabId: tab.id, url: tab.url } : {};
+
+    const response = await commandProcessor.run(request, context);
+
+    if (!response.success && !response.needsInput) {
+      console.warn('Omnibox command failed:', response.error);
+    }
+
+    if (tab) {
+      await commandProcessor.showOutcome(tab.id, request.text, response);
+    }
+  }
+
+  /**
+   * Build the description of a suggestion
+   * @private
+   * @param {Object} entry - Suggestion with title and preview
+   * @return {string} XML description
+   */
+  _describe(entry) {
+    const title = escapeXml(entry.title);
+
+    return entry.preview ?
+      `<match>${escapeXml(entry.preview)}</match> <dim>${title}</dim>` :
+      `<match>${title}</match>`;
+  }
+}
+
+// Create singleton instance
+const omniboxManager = new OmniboxManager();
+
+// Export the singleton
+export default omniboxManager;
@@ -0,0 +1,133 @@
+/**
+ * Permission Broker
+ * Chrome only asks the user for permissions in answer to a click, which the
+ * service worker never gets. The broker tells extension pages what features
+ * are missing and why, so the popup can ask for everything in one prompt, and
+ * opens the popup for contexts that can't ask themselves, like the palette.
+ */
+
+import featureManager from './feature-manager.js';
+
+/**
+ * What each permission lets the extension do, for permissions without a
+ * feature-specific reason
+ */
+const PERMISSION_DESCRIPTIONS = {
+  tabs: 'Read the titles and addresses of your tabs',
+  webNavigation: 'Know when pages finish loading',
+  declarativeNetRequest: 'Block or change requests to websites',
+  downloads: 'Save files to your downloads',
+  notifications: 'Show notifications',
+  identity: 'Sign in to services with your browser account',
+  alarms: 'Run tasks at set times',
+  '<all_urls>': 'Read and change the pages you visit'
+};
+
+/**
+ * Size of the popup window opened by openPrompt
+ */
+const PROMPT_WINDOW = { width: 380, height: 560 };
+
+/**
+ * Permission needed by a feature
+ * @typedef {Object} PermissionNeed
+ * @property {string} name - Permission or host pattern
+ * @property {string} kind - 'permission' or 'origin'
+ * @property {boolean} granted - Whether the user granted it
+ * @property {string} reason - Why the feature needs it
+ */
+
+/**
+ * Permissions of a feature
+ * @typedef {Object} FeaturePermissions
+ * @property {string} id - Feature ID
+ * @property {string} name - Feature name
+ * @property {boolean} enabled - Whether the user turned the feature on
+ * @property {boolean} active - Whether the feature is running
+ * @property {PermissionNeed[]} required - Permissions the feature can't run without
+ * @property {PermissionNeed[]} optional - Permissions that unlock part of the feature
+ */
+
+/**
+ * Permission Broker class
+ */
+class PermissionBroker {
+  /**
+   * Describe what features need and what is missing
+   * @param {string[]} [featureIds] - Features to describe; all features by default
+   * @return {Promise<{features: FeaturePermissions[], missing: PermissionSet}>} Features
+   *   with permissions, and everything they miss merged into one request
+   */
+  async describe(featureIds) {
+    const ids = featureIds || featureManager.getAllFeatures().map(feature => feature.id);
+    const features = [];
+    const missing = { permissions: new Set(), origins: new Set() };
+
+    for (const featureId of ids) {
+      const definition = featureManager.getFeature(featureId);
+      if (!definition) continue;
+
+      const { required, optional } = await featureManager.getMissingPermissions(featureId);
+      const reasons = definition.permissionReasons || {};
+
+      const describeNeed = (name, kind, missingNames) => ({
+        name,
+        kind,
+        granted: !missingNames.includes(name),
+        reason: reasons[name] || PERMISSION_DESCRIPTIONS[name] || name
+      });
+
+      const needs = {
+        required: [
+          ...(definition.permissions || []).map(name => describeNeed(name, 'permission', required.permissions)),
+          ...(definition.hostPermissions || []).map(name => describeNeed(name, 'origin', required.origins))
+        ],
+        optional: (definition.optionalPermissions || [])
+          .map(name => describeNeed(name, 'permission', optional.permissions))
+      };
+
+      if (needs.required.length === 0 && needs.optional.length === 0) continue;
+
+      for (const need of [...needs.required, ...needs.optional]) {
+        if (!need.granted) {
+          missing[need.kind === 'origin' ? 'origins' : 'permissions'].add(need.name);
+        }
+      }
+
+      features.push({
+        id: featureId,
+        name: definition.name,
+        enabled: featureManager.isFeatureEnabled(featureId),
+        active: featureManager.isFeatureActive(featureId),
+        ...needs
+      });
+    }
+
+    return {
+      features,
+      missing: { permissions: [...missing.permissions], origins: [...missing.origins] }
+    };
+  }
+
+  /**
+   * Open the popup in a window, asking for the permissions of some features
+   * The popup shows what they need and asks for it when the user agrees.
+   * @param {string[]} featureIds - Features to ask permissions for
+   * @return {Promise<void>}
+   */
+  async openPrompt(featureIds) {
+    const query = new URLSearchParams({ grant: featureIds.join(',') });
+
+    await chrome.windows.create({
+      url: chrome.runtime.getURL(`popup/popup.html?${query}`),
+      type: 'popup',
+      ...PROMPT_WINDOW
+    });
+  }
+}
+
+// Create singleton instance
+const permissionBroker = new PermissionBroker();
+
+// Export the singleton
+export default permissionBroker;
@@ -0,0 +1,714 @@
+/**
+ * Plugin Manager
+ * Features contributed by other extensions. An extension registers its features
+ * and commands by messaging this one (chrome.runtime.onMessageExternal); once the
+ * user approves it in the popup, its features join the registry next to the
+ * built-in ones and share their enable, disable and settings lifecycle. Commands
+ * run by messaging the plugin back, within the capabilities it was approved for.
+ *
+ * Messages a plugin can send:
+ *   {type: 'plugin:register', plugin: PluginDescriptor} - Register or update; needs approval
+ *     again when it asks for more capabilities
+ *   {type: 'plugin:unregister'}                        - Remove the plugin and its features
+ *   {type: 'plugin:status'}                            - Get the approval status
+ *   {type: 'plugin:get-settings', featureId}           - Get one of its features' settings
+ *
+ * Messages a plugin receives:
+ *   {type: 'plugin:run', featureId, action, params, input, settings, url?}
+ *     - Answer {success, result, replaceSelection?}
+ *   {type: 'plugin:activated' | 'plugin:deactivated', featureId, settings?}
+ *   {type: 'plugin:settings-changed', featureId, settings}
+ */
+
+import featureManager from './feature-manager.js';
+import slotTypes from './slot-types.js';
+import storageManager from './storage-manager.js';
+import schemaUtils from '../utils/schema-utils.js';
+
+/**
+ * Setting holding the plugins
+ */
+const PLUGINS_SETTING = 'features.plugins';
+
+/**
+ * APIs a plugin may ask for, with the description shown when the user approves it
+ */
+const PLUGIN_APIS = {
+  'page.readText': 'Read the selected text when you run its commands',
+  'page.replaceSelection': 'Replace the selected text on the page',
+  'page.url': 'See the address of the page you run its commands on'
+};
+
+/**
+ * Context menu slots a plugin may place entries in
+ */
+const MENU_SLOTS = ['selection', 'link', 'image', 'page', 'editable'];
+
+/**
+ * Click info a menu entry may pass to its command, by the slot it is available in
+ */
+const MENU_INPUTS = {
+  selectionText: 'selection',
+  linkUrl: 'link',
+  srcUrl: 'image',
+  pageUrl: 'page'
+};
+
+/**
+ * Limits on what a plugin may register
+ */
+const MAX_FEATURES = 10;
+const MAX_COMMANDS = 20;
+const MAX_MENU_DEPTH = 2;
+
+/**
+ * Valid feature and command identifiers
+ */
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+/**
+ * How long a plugin has to answer a command, in milliseconds
+ */
+const PLUGIN_TIMEOUT = 10000;
+
+/**
+ * Plugin descriptor interface, as sent by the plugin
+ * @typedef {Object} PluginDescriptor
+ * @property {string} name - Display name
+ * @property {string} [description] - What the plugin does
+ * @property {string} [version] - Plugin version
+ * @property {Object} [capabilities] - What the plugin asks to use
+ * @property {string[]} [capabilities.apis] - Keys of PLUGIN_APIS
+ * @property {string[]} [capabilities.menus] - Context menu slots (MENU_SLOTS)
+ * @property {Object[]} features - Features, like those in features/features.json with
+ *   `commands` and `contextMenu` (see feature-manager.js); commands have no `run`
+ */
+
+/**
+ * Stored plugin interface
+ * @typedef {Object} Plugin
+ * @property {string} id - Extension ID
+ * @property {string} name - Display name
+ * @property {string} description - What the plugin does
+ * @property {string} [version] - Plugin version
+ * @property {{apis: string[], menus: string[]}} capabilities - Capabilities asked for
+ * @property {Object[]} features - Validated feature descriptors
+ * @property {string} status - 'pending', 'approved' or 'rejected'
+ * @property {number} requested - When the plugin last registered
+ * @property {number} [approved] - When the user approved it
+ */
+
+/**
+ * Send a message to a plugin, giving up after PLUGIN_TIMEOUT
+ * @param {string} extensionId - Plugin extension ID
+ * @param {Object} message - Message
+ * @return {Promise<any>} Response
+ */
+async function sendToPlugin(extensionId, message) {
+  let timer;
+
+  try {
+    return await Promise.race([
+      chrome.runtime.sendMessage(extensionId, message),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Plugin did not answer in time')), PLUGIN_TIMEOUT);
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Tell a plugin about a lifecycle change, ignoring plugins that aren't listening
+ * @param {string} extensionId - Plugin extension ID
+ * @param {Object} message - Message
+ */
+function notifyPlugin(extensionId, message) {
+  chrome.runtime.sendMessage(extensionId, message).catch(() => {
+    // Plugin is disabled, uninstalled or doesn't handle the message
+  });
+}
+
+/**
+ * Check that a value is a list of strings
+ * @param {any} value - Value
+ * @return {boolean} Whether it is
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
+/**
+ * Plugin Manager class
+ */
+class PluginManager {
+  constructor() {
+    this.initialized = false;
+
+    // Bind methods
+    this.handleExternalMessage = this.handleExternalMessage.bind(this);
+  }
+
+  /**
+   * Initialize the plugin manager
+   * Features of approved plugins are registered again, and the enabled ones activated.
+   * @return {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    for (const plugin of Object.values(this.getPlugins())) {
+      if (plugin.status === 'approved') {
+        await this._registerFeatures(plugin);
+      }
+    }
+
+    this.initialized = true;
+    console.log('Plugin manager initialized');
+  }
+
+  /**
+   * Get all plugins
+   * @return {Object<string, Plugin>} Plugins keyed by extension ID
+   */
+  getPlugins() {
+    return storageManager.getSetting(PLUGINS_SETTING, {});
+  }
+
+  /**
+   * Get a plugin
+   * @param {string} extensionId - Extension ID
+   * @return {Plugin|null} Plugin or null if it never registered
+   */
+  getPlugin(extensionId) {
+    return this.getPlugins()[extensionId] || null;
+  }
+
+  /**
+   * Get the registry ID of a plugin feature
+   * @param {string} extensionId - Extension ID
+   * @param {string} featureId - Feature ID within the plugin
+   * @return {string} Feature ID in the registry
+   */
+  getFeatureId(extensionId, featureId) {
+    return `${featureId}@${extensionId}`;
+  }
+
+  /**
+   * Save a plugin
+   * @private
+   * @param {Plugin} plugin - Plugin
+   * @return {Promise<void>}
+   */
+  async _savePlugin(plugin) {
+    await storageManager.setSetting(PLUGINS_SETTING, { ...this.getPlugins(), [plugin.id]: plugin });
+  }
+
+  /**
+   * Register or update a plugin
+   * Approved plugins stay approved unless they ask for capabilities the user hasn't granted.
+   * @param {string} extensionId - Extension ID
+   * @param {PluginDescriptor} descriptor - Plugin descriptor
+   * @return {Promise<Plugin>} Stored plugin
+   * @throws {Error} If the descriptor is invalid
+   */
+  async register(extensionId, descriptor) {
+    const plugin = this._validate(extensionId, descriptor);
+    const existing = this.getPlugin(extensionId);
+
+    if (existing && existing.status === 'rejected') {
+      return existing;
+    }
+
+    const granted = existing && existing.status === 'approved' &&
+      plugin.capabilities.apis.every(api => existing.capabilities.apis.includes(api)) &&
+      plugin.capabilities.menus.every(menu => existing.capabilities.menus.includes(menu));
+
+    if (existing && existing.status === 'approved') {
+      this._unregisterFeatures(existing);
+    }
+
+    plugin.status = granted ? 'approved' : 'pending';
+    if (granted) plugin.approved = existing.approved;
+
+    await this._savePlugin(plugin);
+
+    if (granted) {
+      await this._registerFeatures(plugin);
+    } else {
+      console.log(`Plugin "${plugin.name}" (${extensionId}) is waiting for approval`);
+    }
+
+    return plugin;
+  }
+
+  /**
+   * Approve a plugin and register its features
+   * @param {string} extensionId - Extension ID
+   * @return {Promise<Plugin>} Approved plugin
+   */
+  async approve(extensionId) {
+    const plugin = this.getPlugin(extensionId);
+    if (!plugin) {
+      throw new Error(`No plugin with ID "${extensionId}"`);
+    }
+
+    if (plugin.status === 'approved') return plugin;
+
+    const approved = { ...plugin, status: 'approved', approved: Date.now() };
+    await this._savePlugin(approved);
+    await this._registerFeatures(approved);
+
+    console.log(`Plugin approved: ${plugin.name}`);
+    return approved;
+  }
+
+  /**
+   * Reject a plugin; it can't register again until the user removes it
+   * @param {string} extensionId - Extension ID
+   * @return {Promise<Plugin>} Rejected plugin
+   */
+  async reject(extensionId) {
+    const plugin = this.getPlugin(extensionId);
+    if (!plugin) {
+      throw new Error(`No plugin with ID "${extensionId}"`);
+    }
+
+    this._unregisterFeatures(plugin);
+
+    const rejected = { ...plugin, status: 'rejected' };
+    delete rejected.approved;
+    await this._savePlugin(rejected);
+
+    console.log(`Plugin rejected: ${plugin.name}`);
+    return rejected;
+  }
+
+  /**
+   * Remove a plugin and its features
+   * @param {string} extensionId - Extension ID
+   * @return {Promise<boolean>} Whether the plugin existed
+   */
+  async remove(extensionId) {
+    const plugin = this.getPlugin(extensionId);
+    if (!plugin) return false;
+
+    this._unregisterFeatures(plugin);
+
+    const plugins = { ...this.getPlugins() };
+    delete plugins[extensionId];
+    await storageManager.setSetting(PLUGINS_SETTING, plugins);
+
+    console.log(`Plugin removed: ${plugin.name}`);
+    return true;
+  }
+
+  /**
+   * Validate a plugin descriptor and keep only the fields the contract allows
+   * @private
+   * @param {string} extensionId - Extension ID
+   * @param {PluginDescriptor} descriptor - Plugin descriptor
+   * @return {Plugin} Plugin, not yet approved
+   * @throws {Error} If the descriptor is invalid
+   */
+  _validate(extensionId, descriptor) {
+    if (!descriptor || typeof descriptor !== 'object') {
+      throw new Error('Plugin descriptor is missing');
+    }
+
+    const name = typeof descriptor.name === 'string' ? descriptor.name.trim() : '';
+    if (!name || name.length > 60) {
+      throw new Error('Plugin name must be 1 to 60 characters');
+    }
+
+    const capabilities = descriptor.capabilities || {};
+    const apis = capabilities.apis || [];
+    const menus = capabilities.menus || [];
+
+    const unknownApis = isStringList(apis) ? apis.filter(api => !Object.hasOwn(PLUGIN_APIS, api)) : [String(apis)];
+    if (unknownApis.length > 0) {
+      throw new Error(`Unknown plugin APIs: ${unknownApis.join(', ')}`);
+    }
+
+    const unknownMenus = isStringList(menus) ? menus.filter(menu => !MENU_SLOTS.includes(menu)) : [String(menus)];
+    if (unknownMenus.length > 0) {
+      throw new Error(`Unknown context menu slots: ${unknownMenus.join(', ')}`);
+    }
+
+    const features = descriptor.features;
+    if (!Array.isArray(features) || features.length === 0 || features.length > MAX_FEATURES) {
+      throw new Error(`Plugins must declare 1 to ${MAX_FEATURES} features`);
+    }
+
+    const ids = new Set();
+    const validated = features.map((feature) => {
+      const result = this._validateFeature(feature, { apis, menus });
+      if (ids.has(result.id)) {
+        throw new Error(`Duplicate feature ID "${result.id}"`);
+      }
+      ids.add(result.id);
+      return result;
+    });
+
+    return {
+      id: extensionId,
+      name,
+      description: typeof descriptor.description === 'string' ? descriptor.description.slice(0, 300) : '',
+      ...(typeof descriptor.version === 'string' ? { version: descriptor.version.slice(0, 20) } : {}),
+      capabilities: { apis: [...new Set(apis)], menus: [...new Set(menus)] },
+      features: validated,
+      status: 'pending',
+      requested: Date.now()
+    };
+  }
+
+  /**
+   * Validate one plugin feature
+   * @private
+   * @param {Object} feature - Feature descriptor
+   * @param {{apis: string[], menus: string[]}} capabilities - Capabilities the plugin asks for
+   * @return {Object} Feature descriptor with the allowed fields only
+   * @throws {Error} If the feature is invalid
+   */
+  _validateFeature(feature, capabilities) {
+    if (!feature || !ID_PATTERN.test(feature.id)) {
+      throw new Error(`Invalid feature ID "${feature && feature.id}": use lowercase letters, digits and dashes`);
+    }
+
+    if (typeof feature.name !== 'string' || !feature.name.trim()) {
+      throw new Error(`Feature "${feature.id}" needs a name`);
+    }
+
+    const settingsSchema = feature.settingsSchema || {};
+    const problems = schemaUtils.schema.check(settingsSchema);
+    if (problems.length > 0) {
+      throw new Error(`Settings schema of "${feature.id}": ${problems.join('; ')}`);
+    }
+
+    const commands = feature.commands || [];
+    if (!Array.isArray(commands) || commands.length > MAX_COMMANDS) {
+      throw new Error(`Feature "${feature.id}" may declare up to ${MAX_COMMANDS} commands`);
+    }
+
+    const validatedCommands = commands.map(command => this._validateCommand(feature.id, command));
+    const actions = validatedCommands.map(command => command.action);
+
+    const contextMenu = feature.contextMenu || [];
+    if (!Array.isArray(contextMenu)) {
+      throw new Error(`Context menu of "${feature.id}" must be a list of entries`);
+    }
+
+    if (contextMenu.length > 0 && capabilities.menus.length === 0) {
+      throw new Error(`Feature "${feature.id}" has menu entries but the plugin asks for no menu slots`);
+    }
+
+    return {
+      id: feature.id,
+      name: feature.name.trim().slice(0, 60),
+      description: typeof feature.description === 'string' ? feature.description.slice(0, 300) : '',
+      category: typeof feature.category === 'string' ? feature.category : 'utilities',
+      settingsSchema,
+      commands: validatedCommands,
+      contextMenu: contextMenu.map(entry =>
+        this._validateMenuEntry(feature.id, entry, actions, capabilities, ['selection'], 1)
+      )
+    };
+  }
+
+  /**
+   * Validate a plugin command
+   * @private
+   * @param {string} featureId - Feature ID within the plugin
+   * @param {Object} command - Command definition (without `run`)
+   * @return {Object} Command with the allowed fields only
+   * @throws {Error} If the command is invalid
+   */
+  _validateCommand(featureId, command) {
+    if (!command || !ID_PATTERN.test(command.action)) {
+      throw new Error(`Invalid action "${command && command.action}" in feature "${featureId}"`);
+    }
+
+    const where = `"${featureId}.${command.action}"`;
+
+    if (!isStringList(command.verbs) || command.verbs.length === 0) {
+      throw new Error(`Command ${where} needs at least one verb`);
+    }
+
+    if (command.synonyms !== undefined && !isStringList(command.synonyms)) {
+      throw new Error(`Synonyms of ${where} must be a list of words`);
+    }
+
+    const params = command.params || {};
+    for (const [name, param] of Object.entries(params)) {
+      if (!param || !slotTypes.has(param.type)) {
+        throw new Error(`Parameter "${name}" of ${where} has unknown type "${param && param.type}"`);
+      }
+    }
+
+    for (const key of ['input', 'output']) {
+      if (command[key] !== undefined && !['text', 'none'].includes(command[key])) {
+        throw new Error(`"${key}" of ${where} must be "text" or "none"`);
+      }
+    }
+
+    return {
+      action: command.action,
+      title: typeof command.title === 'string' ? command.title : command.action,
+      description: typeof command.description === 'string' ? command.description : '',
+      verbs: command.verbs,
+      synonyms: command.synonyms || [],
+      params,
+      examples: isStringList(command.examples) ? command.examples : [],
+      input: command.input || 'none',
+      output: command.output || 'none'
+    };
+  }
+
+  /**
+   * Validate a plugin's context menu entry and its children
+   * @private
+   * @param {string} featureId - Feature ID within the plugin
+   * @param {ContextMenuEntry} entry - Menu entry
+   * @param {string[]} actions - Actions of the feature's commands
+   * @param {{apis: string[], menus: string[]}} capabilities - Capabilities the plugin asks for
+   * @param {string[]} inheritedContexts - Contexts of the parent entry
+   * @param {number} depth - Nesting level (1 for top-level entries)
+   * @return {ContextMenuEntry} Entry with the allowed fields only
+   * @throws {Error} If the entry is invalid or uses a slot the plugin didn't ask for
+   */
+  _validateMenuEntry(featureId, entry, actions, capabilities, inheritedContexts, depth) {
+    if (!entry || !ID_PATTERN.test(entry.id) || typeof entry.title !== 'string') {
+      throw new Error(`Invalid menu entry "${entry && entry.id}" in feature "${featureId}"`);
+    }
+
+    if (depth > MAX_MENU_DEPTH) {
+      throw new Error(`Menu entries of "${featureId}" are nested too deeply`);
+    }
+
+    const contexts = entry.contexts || inheritedContexts;
+    if (!isStringList(contexts)) {
+      throw new Error(`Contexts of menu entry "${entry.id}" of "${featureId}" must be a list of slots`);
+    }
+
+    const outside = contexts.filter(context => !capabilities.menus.includes(context));
+    if (outside.length > 0) {
+      throw new Error(`Menu entry "${entry.id}" of "${featureId}" uses slots the plugin didn't ask for: ${outside.join(', ')}`);
+    }
+
+    if (entry.input !== undefined && !contexts.includes(MENU_INPUTS[entry.input])) {
+      throw new Error(`Menu entry "${entry.id}" of "${featureId}" can't pass "${entry.input}"`);
+    }
+
+    // The selection is page text, which only plugins allowed to read it get
+    if (entry.input === 'selectionText' && !capabilities.apis.includes('page.readText')) {
+      throw new Error(`Menu entry "${entry.id}" of "${featureId}" passes the selection but the plugin doesn't ask for page.readText`);
+    }
+
+    if (entry.children !== undefined && !Array.isArray(entry.children)) {
+      throw new Error(`Children of menu entry "${entry.id}" of "${featureId}" must be a list of entries`);
+    }
+
+    if (entry.command && !actions.includes(entry.command.action)) {
+      throw new Error(`Menu entry "${entry.id}" of "${featureId}" runs unknown command "${entry.command.action}"`);
+    }
+
+    return {
+      id: entry.id,
+      title: entry.title.slice(0, 60),
+      contexts,
+      ...(entry.input ? { input: entry.input } : {}),
+      ...(entry.command ? { command: { action: entry.command.action, params: entry.command.params || {} } } : {}),
+      ...(entry.children ? {
+        children: entry.children.map(child =>
+          this._validateMenuEntry(featureId, child, actions, capabilities, contexts, depth + 1)
+        )
+      } : {})
+    };
+  }
+
+  /**
+   * Add a plugin's features to the registry and activate the enabled ones
+   * @private
+   * @param {Plugin} plugin - Approved plugin
+   * @return {Promise<void>}
+   */
+  async _registerFeatures(plugin) {
+    for (const descriptor of plugin.features) {
+      const definition = this._createDefinition(plugin, descriptor);
+      if (!featureManager.registerFeature(definition)) continue;
+
+      if (featureManager.isFeatureEnabled(definition.id)) {
+        try {
+          await featureManager.activateFeature(definition.id, { onConflict: 'refuse' });
+        } catch (error) {
+          console.error(`Failed to activate plugin feature "${definition.id}":`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Remove a plugin's features from the registry
+   * @private
+   * @param {Plugin} plugin - Plugin
+   */
+  _unregisterFeatures(plugin) {
+    for (const descriptor of plugin.features) {
+      const featureId = this.getFeatureId(plugin.id, descriptor.id);
+      if (featureManager.getFeature(featureId)) {
+        featureManager.unregisterFeature(featureId);
+      }
+    }
+  }
+
+  /**
+   * Turn a plugin feature into a feature definition
+   * @private
+   * @param {Plugin} plugin - Approved plugin
+   * @param {Object} descriptor - Validated feature descriptor
+   * @return {FeatureDefinition} Feature definition
+   */
+  _createDefinition(plugin, descriptor) {
+    const notify = (type, instance) => notifyPlugin(plugin.id, {
+      type,
+      featureId: descriptor.id,
+      ...(instance ? { settings: instance.settings } : {})
+    });
+
+    return {
+      ...descriptor,
+      id: this.getFeatureId(plugin.id, descriptor.id),
+      plugin: plugin.id,
+      defaultEnabled: true,
+      commands: descriptor.commands.map(command => ({
+        ...command,
+        run: (params, context) => this.runCommand(plugin.id, descriptor.id, command, params, context)
+      })),
+      onActivate: (instance) => {
+        instance.onSettingsChange = () => notify('plugin:settings-changed', instance);
+        notify('plugin:activated', instance);
+      },
+      onDeactivate: () => notify('plugin:deactivated')
+    };
+  }
+
+  /**
+   * Run a plugin command by messaging the plugin
+   * @param {string} extensionId - Plugin extension ID
+   * @param {string} featureId - Feature ID within the plugin
+   * @param {Object} command - Validated command
+   * @param {Object} params - Command parameters
+   * @param {Object} context - Execution context (see commandProcessor.execute)
+   * @return {Promise<any>} Command result
+   */
+  async runCommand(extensionId, featureId, command, params, context) {
+    const plugin = this.getPlugin(extensionId);
+    if (!plugin || plugin.status !== 'approved') {
+      throw new Error('This plugin is not approved');
+    }
+
+    const { apis } = plugin.capabilities;
+
+    // Only commands reading text get any, and only when allowed to read the page:
+    // the pipeline or menu input, or else the selection
+    let input;
+    if (command.input === 'text' && apis.includes('page.readText')) {
+      input = context.input !== undefined ? context.input : await context.readText('selection');
+    }
+
+    const response = await sendToPlugin(extensionId, {
+      type: 'plugin:run',
+      featureId,
+      action: command.action,
+      params,
+      input,
+      settings: context.settings,
+      ...(apis.includes('page.url') ? { url: context.url } : {})
+    });
+
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || `${plugin.name} did not run "${command.action}"`);
+    }
+
+    if (typeof response.replaceSelection === 'string') {
+      if (!apis.includes('page.replaceSelection')) {
+        throw new Error(`${plugin.name} is not allowed to change the page`);
+      }
+
+      await context.replaceSelection(response.replaceSelection, command.title);
+    }
+
+    return response.result;
+  }
+
+  /**
+   * Describe the plugins for the popup
+   * @return {Object[]} Plugins with their capabilities spelled out
+   */
+  describePlugins() {
+    return Object.values(this.getPlugins()).map(plugin => ({
+      id: plugin.id,
+      name: plugin.name,
+      description: plugin.description,
+      version: plugin.version,
+      status: plugin.status,
+      features: plugin.features.map(feature => feature.name),
+      permissions: [
+        ...plugin.capabilities.apis.map(api => PLUGIN_APIS[api]),
+        ...(plugin.capabilities.menus.length > 0 ?
+          [`Add context menu entries for: ${plugin.capabilities.menus.join(', ')}`] : [])
+      ]
+    }));
+  }
+
+  /**
+   * Handle a message from another extension
+   * @param {Object} message - Message data
+   * @param {Object} sender - Sender information
+   * @return {Promise<Object>} Response
+   */
+  async handleExternalMessage(message, sender) {
+    // Only extensions can message us; web pages would have no extension ID
+    if (!sender.id || sender.id === chrome.runtime.id) {
+      throw new Error('Plugins must be extensions');
+    }
+
+    switch (message.type) {
+      case 'plugin:register': {
+        const plugin = await this.register(sender.id, message.plugin);
+        return { success: true, status: plugin.status };
+      }
+
+      case 'plugin:unregister':
+        return { success: true, removed: await this.remove(sender.id) };
+
+      case 'plugin:status': {
+        const plugin = this.getPlugin(sender.id);
+        return { success: true, status: plugin ? plugin.status : 'unregistered' };
+      }
+
+      case 'plugin:get-settings': {
+        const plugin = this.getPlugin(sender.id);
+        if (!plugin || plugin.status !== 'approved') {
+          throw new Error('This plugin is not approved');
+        }
+
+        const featureId = this.getFeatureId(sender.id, message.featureId);
+        if (!featureManager.getFeature(featureId)) {
+          throw new Error(`Unknown feature "${message.featureId}"`);
+        }
+
+        return { success: true, settings: featureManager.getFeatureSettings(featureId) };
+      }
+    }
+
+    throw new Error(`Unknown plugin request "${message.type}"`);
+  }
+}
+
+// Create singleton instance
+const pluginManager = new PluginManager();
+
+// Export the singleton
+export default pluginManager;
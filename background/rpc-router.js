@@ -0,0 +1,373 @@
+/**
+ * RPC Router
+ * Answers calls from the popup, options page and content scripts on the
+ * routes declared in rpc-utils.js. Each call is checked against its route:
+ * the sender must be allowed to use it and the parameters must match. Routes
+ * marked as streaming send progress reports to the caller while they run.
+ */
+
+import apiManager from './api-manager.js';
+import commandHistory from './command-history.js';
+import commandProcessor from './command-processor.js';
+import credentialVault from './credential-vault.js';
+import featureManager from './feature-manager.js';
+import jobScheduler from './job-scheduler.js';
+import permissionBroker from './permission-broker.js';
+import pluginManager from './plugin-manager.js';
+import siteRuleManager from './site-rule-manager.js';
+import storageManager from './storage-manager.js';
+import rpcUtils from '../utils/rpc-utils.js';
+
+const { RpcError } = rpcUtils;
+
+/**
+ * Call context passed to route handlers
+ * @typedef {Object} RpcContext
+ * @property {Object} sender - Message sender
+ * @property {string} senderKind - Sender kind (see rpcUtils.SENDER_KINDS)
+ * @property {function(Object): void} progress - Report progress (no-op unless the route streams)
+ */
+
+/**
+ * Extension pages with their own sender kind, keyed by path
+ */
+const PAGE_KINDS = {
+  'popup/popup.html': 'popup',
+  'options/options.html': 'options'
+};
+
+/**
+ * Handlers of the manager routes, keyed by route name
+ * Handlers get the validated parameters and an RpcContext and return a result object.
+ */
+const ROUTE_HANDLERS = {
+  'features.list': () => ({
+    features: featureManager.getAllFeatures().map(feature => ({
+      id: feature.id,
+      name: feature.name,
+      description: feature.description,
+      category: feature.category,
+      enabled: featureManager.isFeatureEnabled(feature.id),
+      settingsSchema: featureManager.getSettingsSchema(feature.id),
+      settings: featureManager.getFeatureSettings(feature.id)
+    }))
+  }),
+
+  'features.enable': async ({ featureId, onConflict }) => {
+    if (!await featureManager.enableFeature(featureId, { onConflict })) {
+      throw new Error(`Feature with ID "${featureId}" not found`);
+    }
+    // Enabled features stay enabled when activation fails (e.g. a refused conflict)
+    return { active: featureManager.isFeatureActive(featureId) };
+  },
+
+  'features.disable': async ({ featureId }) => {
+    if (!await featureManager.disableFeature(featureId)) {
+      throw new Error(`Feature with ID "${featureId}" not found`);
+    }
+    return {};
+  },
+
+  'features.explainActivation': ({ featureId }) => featureManager.explainActivation(featureId),
+
+  'features.updateSettings': async ({ featureId, settings }) => {
+    if (!await featureManager.updateFeatureSettings(featureId, settings)) {
+      throw new Error(`Feature with ID "${featureId}" not found`);
+    }
+    return { settings: featureManager.getFeatureSettings(featureId) };
+  },
+
+  'features.resetSettings': async ({ featureId }) => {
+    await featureManager.resetFeatureSettings(featureId);
+    return { settings: featureManager.getFeatureSettings(featureId) };
+  },
+
+  'features.getProfiles': () => {
+    const active = featureManager.getActiveProfile();
+    return { profiles: Object.values(featureManager.getProfiles()), active: active ? active.name : null };
+  },
+
+  'features.saveProfile': async ({ name, profile }) => ({
+    profile: await featureManager.saveProfile(name, profile)
+  }),
+
+  'features.deleteProfile': async ({ name }) => ({
+    deleted: await featureManager.deleteProfile(name)
+  }),
+
+  'features.switchProfile': async ({ name }) => ({
+    profile: await featureManager.switchProfile(name)
+  }),
+
+  'features.getHealth': () => ({
+    features: featureManager.getAllFeatures()
+      .map(feature => ({ ...featureManager.getFeatureHealth(feature.id), name: feature.name }))
+      .filter(health => health.status !== 'ok')
+  }),
+
+  'features.retry': async ({ featureId, resetSettings }) => ({
+    health: await featureManager.retryFeature(featureId, { resetSettings: !!resetSettings })
+  }),
+
+  'permissions.describe': ({ featureIds }) => permissionBroker.describe(featureIds),
+
+  'permissions.openPrompt': async ({ featureIds }) => {
+    await permissionBroker.openPrompt(featureIds);
+    return {};
+  },
+
+  'sites.getRules': () => ({ rules: siteRuleManager.getRules() }),
+
+  'sites.getSiteState': ({ url }) => siteRuleManager.getSiteState(url),
+
+  'sites.setRule': async ({ pattern, featureId, rule }) => ({
+    rule: await siteRuleManager.setRule(pattern, featureId, rule)
+  }),
+
+  'sites.removeRule': async ({ pattern, featureId }) => ({
+    removed: await siteRuleManager.removeRule(pattern, featureId)
+  }),
+
+  'sites.apply': async ({ url, decisions }, { sender }) => {
+    await siteRuleManager.applyToTab(sender.tab.id, url || sender.tab.url, decisions || {});
+    return {};
+  },
+
+  'commands.list': () => ({
+    commands: commandProcessor.getCommands().map(({ definition, ...command }) => command)
+  }),
+
+  'commands.parse': ({ text, limit }) => {
+    if (!commandProcessor.isPipeline(text)) {
+      return { intents: commandProcessor.rank(text, { limit }), pipeline: null };
+    }
+
+    // The palette shows which stage is wrong rather than failing the call
+    try {
+      return { intents: [], pipeline: commandProcessor.parsePipeline(text) };
+    } catch (error) {
+      return { intents: [], pipeline: { error: error.message, stageIndex: error.stageIndex } };
+    }
+  },
+
+  'commands.getHistory': async ({ limit }, { sender }) => ({
+    entries: await commandHistory.getSuggestions(sender.tab.url, { limit })
+  }),
+
+  'commands.deleteHistory': async ({ id }) => {
+    await commandHistory.deleteEntry(id);
+    return {};
+  },
+
+  // Commands act on the page that sent them, never on a tab named in the payload
+  'commands.execute': (request, { sender }) => commandProcessor.run(request, {
+    tabId: sender.tab.id,
+    url: sender.tab.url
+  }),
+
+  'plugins.list': () => ({ plugins: pluginManager.describePlugins() }),
+
+  'plugins.approve': async ({ pluginId }) => {
+    await pluginManager.approve(pluginId);
+    return {};
+  },
+
+  'plugins.reject': async ({ pluginId }) => {
+    await pluginManager.reject(pluginId);
+    return {};
+  },
+
+  'plugins.remove': async ({ pluginId }) => ({
+    removed: await pluginManager.remove(pluginId)
+  }),
+
+  'api.listServices': () => ({ services: apiManager.getApiServices() }),
+
+  'api.setKey': async ({ apiId, apiKey }) => {
+    if (credentialVault.isLocked()) {
+      throw new Error('Unlock the credential vault to store API keys');
+    }
+    if (!await apiManager.setApiKey(apiId, apiKey)) {
+      throw new Error(`Couldn't store the API key of "${apiId}"`);
+    }
+    return {};
+  },
+
+  'api.removeKey': async ({ apiId }) => {
+    if (!await apiManager.removeApiKey(apiId)) {
+      throw new Error(`Couldn't remove the API key of "${apiId}"`);
+    }
+    return {};
+  },
+
+  'api.testConnection': async ({ apiId }, { progress }) => {
+    progress({ stage: 'availability', done: 0, total: 2 });
+    const { available, reason } = await apiManager.checkApiAvailability(apiId);
+
+    if (!available) {
+      return { apiId, success: false, duration: 0, timestamp: Date.now(), error: reason };
+    }
+
+    progress({ stage: 'request', done: 1, total: 2 });
+    const result = await apiManager.testApiConnection(apiId);
+
+    progress({ stage: 'done', done: 2, total: 2 });
+    return result;
+  },
+
+  'vault.status': () => credentialVault.getStatus(),
+
+  'vault.unlock': async ({ passphrase }) => {
+    await credentialVault.unlock(passphrase);
+    return credentialVault.getStatus();
+  },
+
+  'vault.lock': async () => {
+    await credentialVault.lock();
+    return credentialVault.getStatus();
+  },
+
+  'vault.setPassphrase': async ({ current, next }) => {
+    await credentialVault.setPassphrase(current || null, next || null);
+    return credentialVault.getStatus();
+  },
+
+  'scheduler.listJobs': () => ({ jobs: jobScheduler.getJobs() }),
+
+  'storage.createBackup': async ({ secretsPassphrase }, { progress }) => {
+    const backup = await storageManager.createBackup({ onProgress: progress });
+
+    // API keys only leave the vault encrypted
+    if (secretsPassphrase) {
+      backup.secrets = await credentialVault.exportSecrets(secretsPassphrase);
+    }
+
+    return { backup };
+  },
+
+  'storage.restoreBackup': async ({ backup, options, secretsPassphrase }, { progress }) => {
+    await storageManager.restoreFromBackup(backup, { ...options, onProgress: progress });
+
+    // Backups of earlier versions have API keys in their settings
+    await apiManager.migrateApiKeys();
+
+    if (backup.secrets && secretsPassphrase) {
+      await credentialVault.importSecrets(backup.secrets, secretsPassphrase);
+    }
+    await apiManager.loadApiKeys();
+
+    return {};
+  }
+};
+
+/**
+ * Tell what kind of context sent a message
+ * @param {Object} sender - Message sender
+ * @return {string|null} Sender kind, or null if it can't be told
+ */
+function getSenderKind(sender) {
+  if (!sender || sender.id !== chrome.runtime.id) {
+    return 'external';
+  }
+
+  const extensionOrigin = chrome.runtime.getURL('');
+  if (sender.url && sender.url.startsWith(extensionOrigin)) {
+    const path = sender.url.slice(extensionOrigin.length).split(/[?#]/)[0];
+    return PAGE_KINDS[path] || 'page';
+  }
+
+  return sender.tab ? 'content' : null;
+}
+
+/**
+ * Send a progress report to the caller of a streaming route
+ * @param {Object} sender - Message sender
+ * @param {string} senderKind - Sender kind
+ * @param {string} requestId - Request ID chosen by the caller
+ * @param {Object} progress - Progress report
+ */
+function sendProgress(sender, senderKind, requestId, progress) {
+  const message = { type: rpcUtils.PROGRESS_MESSAGE, requestId, progress };
+
+  // Extension pages receive runtime messages; content scripts only tab messages
+  const sent = senderKind === 'content' ?
+    chrome.tabs.sendMessage(sender.tab.id, message, { frameId: sender.frameId }) :
+    chrome.runtime.sendMessage(message);
+
+  sent.catch(() => {
+    // Ignore errors if the caller went away
+  });
+}
+
+/**
+ * RPC Router class
+ */
+class RpcRouter {
+  constructor() {
+    this.handlers = new Map();
+
+    for (const [name, handler] of Object.entries(ROUTE_HANDLERS)) {
+      this.register(name, handler);
+    }
+  }
+
+  /**
+   * Bind a handler to a route
+   * @param {string} name - Route name, declared in rpc-utils.js
+   * @param {function(Object, RpcContext): Promise<Object>|Object} handler - Route handler
+   * @throws {Error} If the route isn't declared
+   */
+  register(name, handler) {
+    if (!rpcUtils.routes.get(name)) {
+      throw new Error(`Route "${name}" is not declared in rpc-utils.js`);
+    }
+
+    this.handlers.set(name, handler);
+  }
+
+  /**
+   * Answer a call
+   * @param {Object} message - Call message (route, params and requestId)
+   * @param {Object} sender - Message sender
+   * @return {Promise<Object>} Response: {success: true, result} or {success: false, error, code, errors}
+   */
+  async handleMessage(message, sender) {
+    const { route: name, params = {}, requestId } = message;
+
+    try {
+      const route = rpcUtils.routes.get(name);
+      if (!route || !this.handlers.has(name)) {
+        throw new RpcError('unknown-route', `Unknown route "${name}"`);
+      }
+
+      const senderKind = getSenderKind(sender);
+      if (!route.senders.includes(senderKind)) {
+        throw new RpcError('forbidden', `"${name}" can't be called from ${senderKind || 'this context'}`);
+      }
+
+      rpcUtils.validation.assertValid(name, params);
+
+      const progress = route.stream && requestId ?
+        report => sendProgress(sender, senderKind, requestId, report) :
+        () => {};
+
+      const result = await this.handlers.get(name)(params, { sender, senderKind, progress });
+      return { success: true, result: result || {} };
+    } catch (error) {
+      // Settings validation errors carry messages per field for forms
+      const code = error instanceof RpcError ? error.code : (error.errors ? 'invalid-params' : 'failed');
+
+      if (code === 'failed') {
+        console.error(`Call to "${name}" failed:`, error);
+      }
+
+      return { success: false, error: error.message, code, errors: error.errors };
+    }
+  }
+}
+
+// Create singleton instance
+const rpcRouter = new RpcRouter();
+
+// Export the singleton
+export default rpcRouter;
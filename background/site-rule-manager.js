@@ -0,0 +1,214 @@
+/**
+ * Site Rule Manager
+ * Per-site feature rules: force features on or off and override their settings
+ * on pages matching a URL pattern. Rules are stored in `features.siteRules`; the
+ * content script evaluates them on every navigation and asks the background to
+ * inject or remove feature code accordingly.
+ */
+
+import featureManager from './feature-manager.js';
+import storageManager from './storage-manager.js';
+import schemaUtils from '../utils/schema-utils.js';
+import siteUtils from '../utils/site-utils.js';
+
+/**
+ * Setting holding the rules
+ */
+const RULES_SETTING = 'features.siteRules';
+
+/**
+ * Site Rule Manager class
+ */
+class SiteRuleManager {
+  constructor() {
+    // Decisions last applied to each tab, to undo them when the page changes
+    this.tabDecisions = new Map();
+
+    // Bind methods
+    this.handleTabRemoved = this.handleTabRemoved.bind(this);
+  }
+
+  /**
+   * Get all site rules
+   * @return {SiteRule[]} Rules
+   */
+  getRules() {
+    return storageManager.getSetting(RULES_SETTING, []);
+  }
+
+  /**
+   * Get the rule for a pattern and feature
+   * @param {string} pattern - URL pattern
+   * @param {string} featureId - Feature ID
+   * @return {SiteRule|null} Rule or null if there is none
+   */
+  getRule(pattern, featureId) {
+    const normalized = siteUtils.patterns.normalize(pattern);
+
+    return this.getRules().find(rule =>
+      rule.featureId === featureId && siteUtils.patterns.normalize(rule.pattern) === normalized
+    ) || null;
+  }
+
+  /**
+   * Create or update the rule for a pattern and feature
+   * Changes are merged into an existing rule; `enabled: null` clears the forced state.
+   * @param {string} pattern - URL pattern
+   * @param {string} featureId - Feature ID
+   * @param {Object} changes - Rule changes
+   * @param {boolean|null} [changes.enabled] - Force the feature on or off
+   * @param {Object} [changes.settings] - Settings overrides to merge
+   * @return {Promise<SiteRule|null>} Updated rule, or null if nothing is left of it
+   * @throws {SettingsValidationError} If a settings override doesn't fit the feature's schema
+   */
+  async setRule(pattern, featureId, { enabled, settings } = {}) {
+    if (!siteUtils.patterns.isValid(pattern)) {
+      throw new Error(`"${pattern}" is not a valid site pattern`);
+    }
+
+    const feature = featureManager.getFeature(featureId);
+    if (!feature) {
+      throw new Error(`Feature with ID "${featureId}" not found`);
+    }
+
+    if (settings) {
+      schemaUtils.validation.assertValid(
+        featureManager.getSettingsSchema(featureId),
+        settings,
+        `"${feature.name}" site`
+      );
+    }
+
+    const normalized = siteUtils.patterns.normalize(pattern);
+    const existing = this.getRule(normalized, featureId);
+    const rule = { pattern: normalized, featureId, ...existing };
+
+    if (enabled === null) {
+      delete rule.enabled;
+    } else if (typeof enabled === 'boolean') {
+      rule.enabled = enabled;
+    }
+
+    if (settings) {
+      rule.settings = { ...rule.settings, ...settings };
+    }
+
+    const keep = typeof rule.enabled === 'boolean' ||
+      (rule.settings && Object.keys(rule.settings).length > 0);
+
+    const rules = this.getRules().filter(candidate => candidate !== existing);
+    if (keep) rules.push(rule);
+
+    await this._saveRules(rules);
+    return keep ? rule : null;
+  }
+
+  /**
+   * Remove the rule for a pattern and feature
+   * @param {string} pattern - URL pattern
+   * @param {string} featureId - Feature ID
+   * @return {Promise<boolean>} Whether the rule existed
+   */
+  async removeRule(pattern, featureId) {
+    const existing = this.getRule(pattern, featureId);
+    if (!existing) return false;
+
+    await this._saveRules(this.getRules().filter(rule => rule !== existing));
+    return true;
+  }
+
+  /**
+   * Save the rules and let open pages evaluate them again
+   * @private
+   * @param {SiteRule[]} rules - All rules
+   * @return {Promise<void>}
+   */
+  async _saveRules(rules) {
+    await storageManager.setSetting(RULES_SETTING, rules);
+
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+      chrome.tabs.sendMessage(tab.id, { type: 'sites:rules-changed' }).catch(() => {
+        // Tab has no content script (e.g. browser pages)
+      });
+    }
+  }
+
+  /**
+   * Describe how each feature behaves on a page, for the popup
+   * @param {string} url - Page URL
+   * @return {Object} Site pattern and per-feature state
+   */
+  getSiteState(url) {
+    const pattern = siteUtils.patterns.forUrl(url);
+    const decisions = siteUtils.rules.resolve(this.getRules(), url);
+
+    return {
+      pattern,
+      features: featureManager.getAllFeatures().map((feature) => {
+        const decision = decisions[feature.id] || { settings: {} };
+        const rule = pattern ? this.getRule(pattern, feature.id) : null;
+
+        return {
+          id: feature.id,
+          name: feature.name,
+          category: feature.category,
+          enabled: featureManager.isFeatureEnabled(feature.id),
+          siteEnabled: decision.enabled,
+          rule
+        };
+      })
+    };
+  }
+
+  /**
+   * Bring a tab's feature code in line with the site rules of its page
+   * Page-level features forced on are injected with their site settings; features
+   * forced off are removed, and features whose rule no longer applies fall back
+   * to their global state.
+   * @param {number} tabId - Tab ID
+   * @param {string} url - Page URL
+   * @param {Object<string, SiteDecision>} decisions - Decisions resolved for the page
+   * @return {Promise<void>}
+   */
+  async applyToTab(tabId, url, decisions) {
+    const previous = this.tabDecisions.get(tabId) || {};
+    this.tabDecisions.set(tabId, decisions);
+
+    const featureIds = new Set([...Object.keys(previous), ...Object.keys(decisions)]);
+
+    for (const featureId of featureIds) {
+      const feature = featureManager.getFeature(featureId);
+      if (!feature || !feature.content) continue;
+
+      const { enabled } = decisions[featureId] || {};
+      const pageLevel = feature.content.injectOn === 'load';
+      const wanted = pageLevel &&
+        (enabled !== undefined ? enabled : featureManager.isFeatureActive(featureId));
+
+      try {
+        if (wanted) {
+          await featureManager.injectContent(featureId, tabId, url);
+        } else if (enabled === false || pageLevel) {
+          await featureManager.removeContentFromTab(featureId, tabId);
+        }
+      } catch (error) {
+        console.warn(`Could not apply site rules for "${featureId}" in tab ${tabId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Forget a closed tab
+   * @param {number} tabId - Tab ID
+   */
+  handleTabRemoved(tabId) {
+    this.tabDecisions.delete(tabId);
+  }
+}
+
+// Create singleton instance
+const siteRuleManager = new SiteRuleManager();
+
+// Export the singleton
+export default siteRuleManager;
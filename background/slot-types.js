@@ -0,0 +1,419 @@
+/**
+ * Slot Types
+ * Registry of typed command parameters ("slots") shared by all features.
+ * Each type knows how to extract a value from command text and which values
+ * it accepts, so the palette can prompt with autocomplete when a slot is missing.
+ */
+
+/**
+ * Filler words stripped from free-text parameters
+ */
+const FILLER_WORDS = ['the', 'a', 'an', 'this', 'that', 'word', 'of', 'for', 'me', 'please'];
+
+/**
+ * Language names mapped to ISO 639-1 codes
+ */
+const LANGUAGES = {
+  arabic: 'ar',
+  chinese: 'zh',
+  czech: 'cs',
+  danish: 'da',
+  dutch: 'nl',
+  english: 'en',
+  finnish: 'fi',
+  french: 'fr',
+  german: 'de',
+  greek: 'el',
+  hebrew: 'he',
+  hindi: 'hi',
+  hungarian: 'hu',
+  indonesian: 'id',
+  italian: 'it',
+  japanese: 'ja',
+  korean: 'ko',
+  norwegian: 'no',
+  polish: 'pl',
+  portuguese: 'pt',
+  romanian: 'ro',
+  russian: 'ru',
+  spanish: 'es',
+  swedish: 'sv',
+  thai: 'th',
+  turkish: 'tr',
+  ukrainian: 'uk',
+  vietnamese: 'vi'
+};
+
+/**
+ * Text case names and the words that refer to them
+ */
+const CASES = {
+  title: ['title'],
+  sentence: ['sentence'],
+  upper: ['upper', 'uppercase', 'caps', 'capitals'],
+  lower: ['lower', 'lowercase'],
+  camel: ['camel', 'camelcase'],
+  pascal: ['pascal', 'pascalcase'],
+  snake: ['snake', 'snake_case', 'underscore'],
+  kebab: ['kebab', 'kebab-case', 'dash', 'hyphen']
+};
+
+/**
+ * Words that select what a command acts on
+ */
+const SCOPES = {
+  selection: ['selection', 'selected', 'highlighted', 'highlight'],
+  page: ['page', 'article', 'site', 'website', 'tab', 'document']
+};
+
+/**
+ * Duration units in milliseconds
+ */
+const DURATION_UNITS = {
+  s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+  m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+  h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000
+};
+
+/**
+ * Durations offered when a duration slot is missing (ms)
+ */
+const COMMON_DURATIONS = [60000, 300000, 600000, 900000, 1500000, 1800000, 3600000, 7200000];
+
+/**
+ * ISO 4217 currency codes with their names and the words that refer to them
+ */
+const CURRENCIES = {
+  USD: { name: 'US Dollar', words: ['dollar', 'dollars', 'usd', 'bucks'] },
+  EUR: { name: 'Euro', words: ['euro', 'euros', 'eur'] },
+  GBP: { name: 'British Pound', words: ['pound', 'pounds', 'sterling', 'gbp'] },
+  JPY: { name: 'Japanese Yen', words: ['yen', 'jpy'] },
+  CNY: { name: 'Chinese Yuan', words: ['yuan', 'renminbi', 'rmb', 'cny'] },
+  INR: { name: 'Indian Rupee', words: ['rupee', 'rupees', 'inr'] },
+  CAD: { name: 'Canadian Dollar', words: ['cad'] },
+  AUD: { name: 'Australian Dollar', words: ['aud'] },
+  NZD: { name: 'New Zealand Dollar', words: ['nzd'] },
+  CHF: { name: 'Swiss Franc', words: ['franc', 'francs', 'chf'] },
+  SEK: { name: 'Swedish Krona', words: ['sek'] },
+  NOK: { name: 'Norwegian Krone', words: ['nok'] },
+  DKK: { name: 'Danish Krone', words: ['dkk'] },
+  PLN: { name: 'Polish Zloty', words: ['zloty', 'pln'] },
+  CZK: { name: 'Czech Koruna', words: ['czk'] },
+  HUF: { name: 'Hungarian Forint', words: ['forint', 'huf'] },
+  TRY: { name: 'Turkish Lira', words: ['lira', 'try'] },
+  MXN: { name: 'Mexican Peso', words: ['mxn'] },
+  BRL: { name: 'Brazilian Real', words: ['real', 'reais', 'brl'] },
+  KRW: { name: 'South Korean Won', words: ['won', 'krw'] },
+  SGD: { name: 'Singapore Dollar', words: ['sgd'] },
+  HKD: { name: 'Hong Kong Dollar', words: ['hkd'] },
+  ZAR: { name: 'South African Rand', words: ['rand', 'zar'] }
+};
+
+/**
+ * Currency words that are also everyday English ("try", "won", ...); they only name a
+ * currency after an amount or "to"/"in"/"into"/"from", or as a whole answer
+ */
+const AMBIGUOUS_CURRENCY_WORDS = ['try', 'real', 'won', 'rand'];
+const CURRENCY_LEAD_WORDS = ['to', 'in', 'into', 'from'];
+
+/**
+ * Capitalize the first letter of a word
+ * @param {string} word - Word
+ * @return {string} Capitalized word
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @return {string} Human-readable duration (e.g. "1 hour 30 minutes")
+ */
+function formatDuration(ms) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.round((ms % 60000) / 1000);
+  const parts = [];
+
+  if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+  if (minutes) parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+  if (seconds || parts.length === 0) parts.push(`${seconds} second${seconds === 1 ? '' : 's'}`);
+
+  return parts.join(' ');
+}
+
+/**
+ * Slot type interface
+ * @typedef {Object} SlotType
+ * @property {Function} extract - Called with (context, param); returns the value found in
+ *   the command text, or undefined. The context holds the `raw` text as typed, the
+ *   normalized `text`, its `tokens`, `quoted` segments, the `remainder` after the verb
+ *   and `hasPhrase(phrase)`.
+ * @property {Function} [suggest] - Called with (param); returns the values the slot accepts
+ *   as `{value, label}` objects, used for autocomplete
+ * @property {string} [prompt] - Question shown when the slot is missing
+ */
+
+/**
+ * Built-in slot types
+ * @type {Object<string, SlotType>}
+ */
+const BUILTIN_TYPES = {
+  language: {
+    prompt: 'Which language?',
+    extract({ text }) {
+      // Prefer an explicit target ("to French", "into es")
+      const target = text.match(/\b(?:to|into|in)\s+([a-z]{2,})\b/);
+      if (target) {
+        if (LANGUAGES[target[1]]) return LANGUAGES[target[1]];
+        if (Object.values(LANGUAGES).includes(target[1])) return target[1];
+      }
+
+      // Fall back to any language name or bare code in the text
+      const name = Object.keys(LANGUAGES).find(language =>
+        new RegExp(`\\b${language}\\b`).test(text)
+      );
+      if (name) return LANGUAGES[name];
+
+      return Object.values(LANGUAGES).includes(text) ? text : undefined;
+    },
+    suggest() {
+      return Object.entries(LANGUAGES).map(([name, code]) => ({
+        value: code,
+        label: `${capitalize(name)} (${code})`
+      }));
+    }
+  },
+
+  case: {
+    prompt: 'Which case?',
+    extract({ tokens }) {
+      for (const [caseName, words] of Object.entries(CASES)) {
+        if (words.some(word => tokens.includes(word))) {
+          return caseName;
+        }
+      }
+      return undefined;
+    },
+    suggest() {
+      return Object.keys(CASES).map(caseName => ({
+        value: caseName,
+        label: `${capitalize(caseName)} case`
+      }));
+    }
+  },
+
+  scope: {
+    prompt: 'Selection or whole page?',
+    extract({ tokens }) {
+      for (const [scope, words] of Object.entries(SCOPES)) {
+        if (words.some(word => tokens.includes(word))) {
+          return scope;
+        }
+      }
+      return undefined;
+    },
+    suggest() {
+      return [
+        { value: 'selection', label: 'Selected text' },
+        { value: 'page', label: 'Whole page' }
+      ];
+    }
+  },
+
+  number: {
+    prompt: 'Enter a number',
+    extract({ text }) {
+      const match = text.match(/-?\d+(?:\.\d+)?/);
+      return match ? parseFloat(match[0]) : undefined;
+    }
+  },
+
+  duration: {
+    prompt: 'How long?',
+    extract({ text }) {
+      const pattern = /(\d+(?:\.\d+)?)\s*(seconds?|secs?|s|minutes?|mins?|m|hours?|hrs?|h)\b/g;
+      let total = 0;
+      let match;
+
+      // Sum all parts so "1 hour 30 minutes" works
+      while ((match = pattern.exec(text)) !== null) {
+        total += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+      }
+
+      // A bare number in an answer means minutes
+      if (total === 0 && /^\d+(?:\.\d+)?$/.test(text)) {
+        total = parseFloat(text) * DURATION_UNITS.minutes;
+      }
+
+      return total > 0 ? total : undefined;
+    },
+    suggest() {
+      return COMMON_DURATIONS.map(ms => ({ value: ms, label: formatDuration(ms) }));
+    }
+  },
+
+  currency: {
+    prompt: 'Which currency?',
+    extract({ tokens }, param) {
+      const codes = [];
+
+      // Collect mentions in the order they were typed, so "20 usd in eur" has a source and a target
+      tokens.forEach((token, index) => {
+        const code = Object.keys(CURRENCIES).find(key => CURRENCIES[key].words.includes(token));
+        if (!code) return;
+
+        if (AMBIGUOUS_CURRENCY_WORDS.includes(token) && tokens.length > 1) {
+          const previous = tokens[index - 1] || '';
+          if (!/^\d/.test(previous) && !CURRENCY_LEAD_WORDS.includes(previous)) return;
+        }
+
+        codes.push(code);
+      });
+
+      return codes[param.position || 0];
+    },
+    suggest() {
+      return Object.entries(CURRENCIES).map(([code, { name }]) => ({
+        value: code,
+        label: `${code} – ${name}`
+      }));
+    }
+  },
+
+  enum: {
+    prompt: 'Choose an option',
+    extract({ text, hasPhrase }, param) {
+      const values = param.values || [];
+      const aliases = param.aliases || {};
+
+      for (const value of values) {
+        const words = [value, ...(aliases[value] || [])];
+        if (words.some(word => hasPhrase(word) || text === word)) {
+          return value;
+        }
+      }
+      return undefined;
+    },
+    suggest(param) {
+      return (param.values || []).map(value => ({ value, label: capitalize(value) }));
+    }
+  },
+
+  text: {
+    prompt: 'Enter text',
+    extract({ quoted, remainder }) {
+      if (quoted.length > 0) return quoted[0];
+
+      // Use what follows the verb, minus filler words
+      const words = remainder.filter(word => !FILLER_WORDS.includes(word));
+      return words.length > 0 ? words.join(' ') : undefined;
+    }
+  }
+};
+
+/**
+ * Slot Type Registry class
+ */
+class SlotTypeRegistry {
+  constructor() {
+    this.types = new Map();
+    this.owners = new Map();
+
+    for (const [name, type] of Object.entries(BUILTIN_TYPES)) {
+      this.register(name, type);
+    }
+  }
+
+  /**
+   * Register a slot type
+   * @param {string} name - Type name referenced by `CommandParameter.type`
+   * @param {SlotType} type - Type definition
+   * @param {string} [owner] - Feature that declared the type
+   * @return {boolean} Success status
+   */
+  register(name, type, owner = null) {
+    if (!type || typeof type.extract !== 'function') {
+      console.error(`Invalid slot type "${name}": extract() is required`);
+      return false;
+    }
+
+    if (this.types.has(name)) {
+      const existingOwner = this.owners.get(name);
+      console.error(`Slot type "${name}" is already registered${existingOwner ? ` by ${existingOwner}` : ''}`);
+      return false;
+    }
+
+    this.types.set(name, type);
+    if (owner) this.owners.set(name, owner);
+    return true;
+  }
+
+  /**
+   * Remove the slot types a feature declared
+   * @param {string} owner - Feature ID
+   */
+  unregisterOwner(owner) {
+    for (const [name, typeOwner] of this.owners) {
+      if (typeOwner === owner) {
+        this.types.delete(name);
+        this.owners.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Get a slot type
+   * @param {string} name - Type name
+   * @return {SlotType|null} Type definition or null if not registered
+   */
+  get(name) {
+    return this.types.get(name) || null;
+  }
+
+  /**
+   * Check whether a slot type is registered
+   * @param {string} name - Type name
+   * @return {boolean} Whether the type exists
+   */
+  has(name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * Get the question to ask when a slot is missing
+   * @param {string} name - Parameter name
+   * @param {CommandParameter} param - Parameter definition
+   * @return {string} Prompt text
+   */
+  getPrompt(name, param) {
+    if (param.prompt) return param.prompt;
+
+    const type = this.get(param.type);
+    return type && type.prompt ? type.prompt : `Enter ${name}`;
+  }
+
+  /**
+   * Get the values a parameter accepts
+   * @param {CommandParameter} param - Parameter definition
+   * @return {Array<{value: any, label: string}>} Suggestions (empty for free-form types)
+   */
+  getSuggestions(param) {
+    const type = this.get(param.type);
+    if (!type || typeof type.suggest !== 'function') return [];
+
+    try {
+      return type.suggest(param) || [];
+    } catch (error) {
+      console.error(`Error listing values for slot type "${param.type}":`, error);
+      return [];
+    }
+  }
+}
+
+// Create singleton instance
+const slotTypes = new SlotTypeRegistry();
+
+// Export the singleton
+export default slotTypes;
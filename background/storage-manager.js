@@ -4,6 +4,7 @@
  * Builds on storage-utils.js to provide higher-level storage management.
  */
 
+import eventBus from './event-bus.js';
 import storageUtils from '../utils/storage-utils.js';
 
 /**
@@ -14,7 +15,12 @@ const DEFAULT_SETTINGS = {
   features: {
     enabledFeatures: [], // IDs of enabled features
     disabledFeatures: [], // IDs of disabled features
-    featureSettings: {} // Feature-specific settings
+    featureSettings: {}, // Feature-specific settings
+    siteRules: [], // Per-site overrides (see utils/site-utils.js)
+    profiles: {}, // Named feature setups, keyed by lowercase name
+    activeProfile: null, // Name of the active profile
+    plugins: {}, // Features registered by other extensions, keyed by extension ID
+    health: {} // Recent failures and quarantine state, keyed by feature ID
   },
   
   // UI settings
@@ -36,24 +42,38 @@ const DEFAULT_SETTINGS = {
   
   // API settings
   api: {
-    // API keys are stored separately for security
+    // API keys are stored encrypted in the credential vault
+    vaultLockTimeout: 15, // Minutes without use before a passphrase-protected vault locks, 0 for never
     offlineMode: false,
     cacheResults: true,
     cacheDuration: 60 * 60 * 1000 // 1 hour in ms
   }
 };
 
+/**
+ * Key and size of the diagnostics error log in chrome.storage.local
+ */
+const ERROR_LOG_KEY = 'errorLog';
+const ERROR_LOG_LIMIT = 50;
+
+/**
+ * Alarm running the periodic sync, and its period in minutes
+ */
+const SYNC_ALARM = 'storage-sync';
+const SYNC_PERIOD = 5;
+
 /**
  * Storage Manager
  */
 class StorageManager {
   constructor() {
     this.initialized = false;
+    this.initPromise = null;
     this.settings = null;
     this.userData = null;
     this.syncInProgress = false;
-    this.syncInterval = null;
     this.changeListeners = new Map();
+    this.errorLogWrite = Promise.resolve();
     this.pendingWrites = new Map();
     this.writeDebounceTimers = new Map();
     
@@ -64,12 +84,16 @@ class StorageManager {
       'ui.layoutDensity',
       'ui.quickAccessFeatures',
       'features.enabledFeatures',
-      'features.featureSettings'
+      'features.featureSettings',
+      'features.siteRules',
+      'features.profiles',
+      'features.activeProfile'
     ];
     
     // Bind methods
     this.handleStorageChange = this.handleStorageChange.bind(this);
     this.syncSettings = this.syncSettings.bind(this);
+    this.handleAlarm = this.handleAlarm.bind(this);
   }
   
   /**
@@ -79,6 +103,26 @@ class StorageManager {
   async initialize() {
     if (this.initialized) return;
     
+    // Prevent multiple concurrent initializations
+    if (this.initPromise) {
+      return this.initPromise;
+    }
+    
+    this.initPromise = this._performInitialization();
+    
+    try {
+      await this.initPromise;
+    } finally {
+      this.initPromise = null;
+    }
+  }
+  
+  /**
+   * Perform the actual initialization
+   * @private
+   * @return {Promise<void>}
+   */
+  async _performInitialization() {
     try {
       console.log('Initializing storage manager...');
       
@@ -96,19 +140,15 @@ class StorageManager {
       
       // Set up periodic sync if enabled
       if (this.settings.privacy.syncEnabled) {
-        this.setupSync();
+        await this.setupSync();
+      } else {
+        await chrome.alarms.clear(SYNC_ALARM);
       }
       
       this.initialized = true;
       console.log('Storage manager initialized');
-      
-      // Notify that storage is ready
-      document.dispatchEvent(new CustomEvent('storage:ready'));
     } catch (error) {
       console.error('Failed to initialize storage manager:', error);
-      document.dispatchEvent(new CustomEvent('storage:error', { 
-        detail: { error } 
-      }));
       throw error;
     }
   }
@@ -199,20 +239,31 @@ class StorageManager {
   
   /**
    * Set up periodic sync
+   * An alarm outlives the service worker, so it is only created when missing:
+   * recreating it on every wake-up would keep postponing the next sync.
+   * @return {Promise<void>}
    */
-  setupSync() {
-    // Clear any existing sync interval
-    if (this.syncInterval) {
-      clearInterval(this.syncInterval);
+  async setupSync() {
+    const existing = await chrome.alarms.get(SYNC_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_PERIOD });
     }
     
-    // Set up new sync interval (every 5 minutes)
-    this.syncInterval = setInterval(this.syncSettings, 5 * 60 * 1000);
-    
     // Do an initial sync
     this.syncSettings();
   }
   
+  /**
+   * Handle alarms (the periodic sync)
+   * @param {Object} alarm - Alarm that fired
+   * @return {Promise<void>}
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== SYNC_ALARM) return;
+    
+    await this.syncSettings();
+  }
+  
   /**
    * Sync settings across devices
    * @return {Promise<void>}
@@ -267,8 +318,9 @@ class StorageManager {
         setNestedProp(syncedSettings, path, value);
       }
       
-      // Save synced settings to chrome.storage.sync
-      await storageUtils.chrome.set({ syncedSettings }, { sync: true });
+      // Save synced settings to chrome.storage.sync, compressed to make the
+      // most of its quota and split if they don't fit in one item
+      await storageUtils.chrome.set({ syncedSettings }, { sync: true, compress: true });
       
       // Load synced settings from other devices
       const syncData = await storageUtils.chrome.get('syncedSettings', { sync: true });
@@ -550,21 +602,110 @@ class StorageManager {
     }
   }
   
+  /**
+   * Get a value kept for this browser session
+   * Session storage survives the service worker being stopped, but not the browser closing.
+   * @param {string} key - Key
+   * @param {any} [defaultValue] - Value returned when nothing is stored
+   * @return {Promise<any>} Stored value
+   */
+  async getSessionState(key, defaultValue) {
+    const stored = await chrome.storage.session.get(key);
+    return stored[key] !== undefined ? stored[key] : defaultValue;
+  }
+  
+  /**
+   * Keep a value for this browser session
+   * @param {string} key - Key
+   * @param {any} value - JSON-serializable value
+   * @return {Promise<void>}
+   */
+  async setSessionState(key, value) {
+    await chrome.storage.session.set({ [key]: value });
+  }
+  
+  /**
+   * Forget a session value
+   * @param {string} key - Key
+   * @return {Promise<void>}
+   */
+  async removeSessionState(key) {
+    await chrome.storage.session.remove(key);
+  }
+  
+  /**
+   * Append an entry to the diagnostics error log
+   * Writes are chained, so errors reported together don't overwrite each other.
+   * @param {Object} entry - Entry (message, stack and what failed)
+   * @return {Promise<void>}
+   */
+  logError(entry) {
+    this.errorLogWrite = this.errorLogWrite
+      .catch(() => {})
+      .then(async () => {
+        const stored = await storageUtils.chrome.get(ERROR_LOG_KEY);
+        const errorLog = stored[ERROR_LOG_KEY] || [];
+        
+        errorLog.push({ timestamp: Date.now(), ...entry });
+        
+        // Keep the most recent entries
+        await storageUtils.chrome.set({ [ERROR_LOG_KEY]: errorLog.slice(-ERROR_LOG_LIMIT) });
+      })
+      .catch((error) => {
+        console.error('Failed to write the error log:', error);
+      });
+    
+    return this.errorLogWrite;
+  }
+  
+  /**
+   * Get the diagnostics error log
+   * @param {string} [featureId] - Only entries about this feature
+   * @return {Promise<Object[]>} Entries, oldest first
+   */
+  async getErrorLog(featureId) {
+    const stored = await storageUtils.chrome.get(ERROR_LOG_KEY);
+    const errorLog = stored[ERROR_LOG_KEY] || [];
+    return featureId ? errorLog.filter(entry => entry.featureId === featureId) : errorLog;
+  }
+  
   /**
    * Create backup of all storage data
+   * @param {Object} [options] - Backup options
+   * @param {Function} [options.onProgress] - Called with {stage, done, total} as each part is read
    * @return {Promise<Object>} Backup object
    */
-  async createBackup() {
+  async createBackup({ onProgress = () => {} } = {}) {
     try {
       // Gather data from different storage sources
-      const settings = this.settings;
+      const settings = JSON.parse(JSON.stringify(this.settings));
       const userData = this.userData;
       
+      // Plain-text API keys of earlier versions; the vault exports keys encrypted
+      if (settings.api) {
+        delete settings.api.apiKeys;
+      }
+      
       // Get feature data
+      onProgress({ stage: 'features', done: 0, total: 2 });
       const features = await storageUtils.db.getAll('features');
       
       // Get notes
+      onProgress({ stage: 'notes', done: 1, total: 2 });
       const notes = await storageUtils.db.getAll('notes');
+      onProgress({ stage: 'done', done: 2, total: 2 });
+      
+      // Command aliases and macros, so they can be restored on their own
+      const commands = {
+        aliases: this.getUserData('commandAliases', {}),
+        macros: this.getUserData('commandMacros', {})
+      };
+      
+      // Feature profiles, so they can be restored without the other settings
+      const profiles = {
+        profiles: this.getSetting('features.profiles', {}),
+        activeProfile: this.getSetting('features.activeProfile', null)
+      };
       
       // Create backup object
       const backup = {
@@ -573,7 +714,9 @@ class StorageManager {
         settings,
         userData,
         features,
-        notes
+        notes,
+        commands,
+        profiles
       };
       
       return backup;
@@ -591,6 +734,9 @@ class StorageManager {
    * @param {boolean} [options.userData=true] - Restore user data
    * @param {boolean} [options.features=true] - Restore feature data
    * @param {boolean} [options.notes=true] - Restore notes
+   * @param {boolean} [options.commands=true] - Restore command aliases and macros
+   * @param {boolean} [options.profiles=true] - Restore feature profiles
+   * @param {Function} [options.onProgress] - Called with {stage, done, total} before each part
    * @return {Promise<void>}
    */
   async restoreFromBackup(backup, options = {}) {
@@ -598,7 +744,10 @@ class StorageManager {
       settings = true,
       userData = true,
       features = true,
-      notes = true
+      notes = true,
+      commands = true,
+      profiles = true,
+      onProgress = () => {}
     } = options;
     
     try {
@@ -607,19 +756,25 @@ class StorageManager {
         throw new Error('Invalid backup format');
       }
       
+      const stages = ['settings', 'userData', 'features', 'notes', 'commands', 'profiles'];
+      const report = stage => onProgress({ stage, done: stages.indexOf(stage), total: stages.length });
+      
       // Restore settings
+      report('settings');
       if (settings && backup.settings) {
         this.settings = backup.settings;
         await this.saveSettings();
       }
       
       // Restore user data
+      report('userData');
       if (userData && backup.userData) {
         this.userData = backup.userData;
         await this.saveUserData();
       }
       
       // Restore features
+      report('features');
       if (features && backup.features) {
         await storageUtils.db.clear('features');
         if (backup.features.length > 0) {
@@ -628,6 +783,7 @@ class StorageManager {
       }
       
       // Restore notes
+      report('notes');
       if (notes && backup.notes) {
         await storageUtils.db.clear('notes');
         if (backup.notes.length > 0) {
@@ -635,6 +791,21 @@ class StorageManager {
         }
       }
       
+      // Restore command aliases and macros
+      report('commands');
+      if (commands && backup.commands) {
+        await this.setUserData('commandAliases', backup.commands.aliases || {});
+        await this.setUserData('commandMacros', backup.commands.macros || {});
+      }
+      
+      // Restore feature profiles
+      report('profiles');
+      if (profiles && backup.profiles) {
+        await this.setSetting('features.profiles', backup.profiles.profiles || {});
+        await this.setSetting('features.activeProfile', backup.profiles.activeProfile || null);
+      }
+      onProgress({ stage: 'done', done: stages.length, total: stages.length });
+      
       console.log('Backup restored successfully');
     } catch (error) {
       console.error('Failed to restore backup:', error);
@@ -642,6 +813,18 @@ class StorageManager {
     }
   }
   
+  /**
+   * Remove expired entries from the cache
+   * @return {Promise<number>} Number of entries removed
+   */
+  async clearExpiredCache() {
+    const cleared = await storageUtils.cache.clearExpired();
+    if (cleared > 0) {
+      console.log(`Cleared ${cleared} expired cache items`);
+    }
+    return cleared;
+  }
+  
   /**
    * Handle storage quota exceeded
    * @param {string} storageType - Type of storage ('local', 'sync', 'indexedDB')
@@ -739,15 +922,8 @@ class StorageManager {
 // Create singleton instance
 const storageManager = new StorageManager();
 
-// Handle storage manager initialization event
-document.addEventListener('storage:initialize', async () => {
-  await storageManager.initialize();
-});
-
 // Handle service worker restart
-document.addEventListener('background:restore', async () => {
-  await storageManager.handleRestart();
-});
+eventBus.on('background:restore', () => storageManager.handleRestart());
 
 // Export the singleton
 export default storageManager;
\ No newline at end of file
@@ -0,0 +1,415 @@
+/**
+ * All-in-One Browser Helper
+ * Content Script
+ *
+ * Entry point injected into every page. Routes messages from the background
+ * and loads UI modules on demand, so pages that never open them pay nothing.
+ */
+
+(() => {
+  // Guard against double injection (e.g. after extension reload)
+  if (window.__aioContentScriptLoaded) {
+    return;
+  }
+  window.__aioContentScriptLoaded = true;
+
+  /**
+   * Lazily loaded UI modules, keyed by path
+   * @type {Map<string, Promise<any>>}
+   */
+  const loadedModules = new Map();
+
+  /**
+   * Load an extension module (content scripts can't use static imports)
+   * @param {string} path - Module path relative to the extension root
+   * @return {Promise<any>} Module default export
+   */
+  function loadModule(path) {
+    if (!loadedModules.has(path)) {
+      const modulePromise = import(chrome.runtime.getURL(path))
+        .then(module => module.default)
+        .catch((error) => {
+          loadedModules.delete(path);
+          throw error;
+        });
+
+      loadedModules.set(path, modulePromise);
+    }
+
+    return loadedModules.get(path);
+  }
+
+  /**
+   * Maximum amount of page text sent to the background (characters)
+   */
+  const MAX_PAGE_TEXT = 100000;
+
+  /**
+   * Selection captured when the palette opened (focusing the palette clears it)
+   */
+  let paletteSelection = '';
+
+  /**
+   * Editable selection captured when the palette opened, for write-back
+   */
+  let paletteTarget = null;
+
+  /**
+   * Check whether an element is a text field with selectable text
+   * @param {Element} element - Element to check
+   * @return {boolean} Whether the element is a text field
+   */
+  function isTextField(element) {
+    return !!element && (element.tagName === 'TEXTAREA' ||
+      (element.tagName === 'INPUT' && /^(text|search|url|email)$/.test(element.type)));
+  }
+
+  /**
+   * Get the current selection, including selections inside text fields
+   * @return {string} Selected text
+   */
+  function getSelectedText() {
+    const active = document.activeElement;
+
+    if (isTextField(active)) {
+      const { selectionStart, selectionEnd, value } = active;
+      if (selectionStart !== selectionEnd) {
+        return value.slice(selectionStart, selectionEnd);
+      }
+    }
+
+    return window.getSelection().toString();
+  }
+
+  /**
+   * Capture the current selection if it can be replaced
+   * @return {Object|null} Text field and offsets, a contenteditable range, or null
+   */
+  function getEditableTarget() {
+    const active = document.activeElement;
+
+    if (isTextField(active) && active.selectionStart !== active.selectionEnd) {
+      return { element: active, start: active.selectionStart, end: active.selectionEnd };
+    }
+
+    const selection = window.getSelection();
+    if (selection.rangeCount > 0 && !selection.isCollapsed) {
+      const range = selection.getRangeAt(0);
+      const container = range.commonAncestorContainer;
+      const element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+
+      if (element && element.isContentEditable) {
+        return { range: range.cloneRange() };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the editable selection and journal the change
+   * @param {string} text - Replacement text
+   * @param {string} [label] - Description shown when undoing
+   * @return {Promise<boolean>} Whether the selection was replaced
+   */
+  async function replaceSelection(text, label) {
+    const target = paletteTarget || getEditableTarget();
+    if (!target) return false;
+
+    const journal = await loadModule('content/undo-journal.js');
+    const replaced = journal.replaceText(target, text, label);
+
+    // Keep the captured selection on the new text for follow-up commands
+    if (replaced && target.element) {
+      target.end = target.start + text.length;
+      paletteSelection = text;
+    } else if (replaced) {
+      paletteTarget = null;
+    }
+
+    return replaced;
+  }
+
+  /**
+   * Get readable text for a scope
+   * @param {string} scope - 'selection' or 'page'
+   * @return {string} Text
+   */
+  function getText(scope) {
+    if (scope === 'page') {
+      const root = document.querySelector('article, main, [role="main"]') || document.body;
+      return root.innerText.replace(/\n{3,}/g, '\n\n').trim().slice(0, MAX_PAGE_TEXT);
+    }
+
+    return getSelectedText().trim() || paletteSelection.trim();
+  }
+
+  /**
+   * Write text to the clipboard
+   * @param {string} text - Text to copy
+   * @return {Promise<void>}
+   */
+  async function writeClipboard(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      // Fall back to execCommand when the async API is blocked (e.g. unfocused document)
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.cssText = 'position:fixed;top:-1000px;opacity:0;';
+      document.documentElement.appendChild(textarea);
+      textarea.select();
+
+      const copied = document.execCommand('copy');
+      textarea.remove();
+
+      if (!copied) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Read text from the clipboard
+   * @return {Promise<string>} Clipboard text
+   */
+  async function readClipboard() {
+    const text = await navigator.clipboard.readText();
+
+    if (!text) {
+      throw new Error('Clipboard is empty');
+    }
+
+    return text;
+  }
+
+  /**
+   * Get a feature's content module, injected by the background when the feature is first used
+   * @param {string} featureId - Feature ID
+   * @return {Promise<Object>|null} Module default export, or null if not injected
+   */
+  function getFeatureModule(featureId) {
+    const modules = window.__aioFeatureModules;
+    return modules && modules.has(featureId) ? modules.get(featureId) : null;
+  }
+
+  /**
+   * Run a command forwarded to a feature's content module
+   * @param {Object} message - Command message (featureId, action, params, input)
+   * @return {Promise<any>} Command result
+   */
+  async function runFeatureCommand({ featureId, action, params, input }) {
+    const modulePromise = getFeatureModule(featureId);
+    if (!modulePromise) {
+      throw new Error(`Feature "${featureId}" is not loaded on this page`);
+    }
+
+    const feature = await modulePromise;
+    if (typeof feature.handleCommand !== 'function') {
+      throw new Error(`Feature "${featureId}" can't run "${action}" on this page`);
+    }
+
+    return await feature.handleCommand(action, params, { input, getText, replaceSelection });
+  }
+
+  /**
+   * Deactivate a feature's content module
+   * @param {string} featureId - Feature ID
+   * @return {Promise<void>}
+   */
+  async function deactivateFeature(featureId) {
+    const modulePromise = getFeatureModule(featureId);
+    if (!modulePromise) return;
+
+    window.__aioFeatureModules.delete(featureId);
+
+    const feature = await modulePromise;
+    if (typeof feature.deactivate === 'function') {
+      await feature.deactivate();
+    }
+  }
+
+  /**
+   * Background route stubs (see utils/rpc-utils.js)
+   * @type {Promise<Object>|null}
+   */
+  let rpcPromise = null;
+
+  /**
+   * Get the background route stubs
+   * @return {Promise<Object>} Stubs, grouped by namespace
+   */
+  function getRpc() {
+    if (!rpcPromise) {
+      rpcPromise = loadModule('utils/rpc-utils.js').then(rpcUtils => rpcUtils.client.create());
+    }
+
+    return rpcPromise;
+  }
+
+  /**
+   * Site rules fetched from the background, dropped when they change
+   * @type {Promise<Object[]>|null}
+   */
+  let siteRulesPromise = null;
+
+  /**
+   * Site decisions last reported for this page (none until a rule matches)
+   */
+  let appliedDecisions = '{}';
+
+  /**
+   * Get the site rules
+   * @return {Promise<Object[]>} Site rules
+   */
+  function getSiteRules() {
+    if (!siteRulesPromise) {
+      siteRulesPromise = getRpc()
+        .then(rpc => rpc.sites.getRules())
+        .then(({ rules }) => rules)
+        .catch((error) => {
+          siteRulesPromise = null;
+          throw error;
+        });
+    }
+
+    return siteRulesPromise;
+  }
+
+  /**
+   * Evaluate the site rules for the current URL and report changed decisions,
+   * so the background can inject or remove feature code
+   * @return {Promise<void>}
+   */
+  async function applySiteRules() {
+    const [siteUtils, rules] = await Promise.all([loadModule('utils/site-utils.js'), getSiteRules()]);
+    const url = location.href;
+    const decisions = siteUtils.rules.resolve(rules, url);
+    const serialized = JSON.stringify(decisions);
+
+    if (serialized === appliedDecisions) return;
+    appliedDecisions = serialized;
+
+    const rpc = await getRpc();
+    await rpc.sites.apply({ url, decisions });
+  }
+
+  /**
+   * Apply site rules, logging failures (e.g. while the extension reloads)
+   */
+  function refreshSiteRules() {
+    applySiteRules().catch((error) => {
+      console.warn('Failed to apply site rules:', error);
+    });
+  }
+
+  /**
+   * Handle messages from the background script
+   * @param {Object} message - Message data
+   * @param {Object} sender - Sender information
+   * @param {Function} sendResponse - Function to send response
+   * @return {boolean} Whether response will be sent asynchronously
+   */
+  function handleMessage(message, sender, sendResponse) {
+    switch (message.type) {
+      case 'command:show-palette':
+        paletteSelection = getSelectedText();
+        paletteTarget = getEditableTarget();
+        loadModule('content/ui/overlay.js')
+          .then(palette => palette.toggle())
+          .then(() => sendResponse({ success: true }))
+          .catch((error) => {
+            console.error('Failed to open command palette:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+
+      case 'command:show-outcome':
+        paletteSelection = getSelectedText();
+        paletteTarget = getEditableTarget();
+        loadModule('content/ui/overlay.js')
+          .then(palette => palette.showOutcome(message))
+          .then(() => sendResponse({ success: true }))
+          .catch((error) => {
+            console.error('Failed to show command outcome:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+
+      case 'page:get-text':
+        sendResponse({ text: getText(message.scope) });
+        return false;
+
+      case 'page:confirm':
+        // Only the top frame asks, so the question shows once
+        if (window !== window.top) return false;
+        sendResponse({ confirmed: window.confirm(message.message) });
+        return false;
+
+      case 'clipboard:write':
+        writeClipboard(message.text)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'clipboard:read':
+        readClipboard()
+          .then(text => sendResponse({ success: true, text }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'page:replace-selection':
+        replaceSelection(message.text, message.label)
+          .then(replaced => sendResponse({ success: true, replaced }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'page:undo':
+      case 'page:redo':
+        loadModule('content/undo-journal.js')
+          .then(journal => sendResponse({
+            success: true,
+            label: message.type === 'page:undo' ? journal.undo() : journal.redo()
+          }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'feature:command':
+        runFeatureCommand(message)
+          .then(result => sendResponse({ success: true, result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'feature:deactivate':
+        deactivateFeature(message.featureId)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'sites:rules-changed':
+        siteRulesPromise = null;
+        refreshSiteRules();
+        sendResponse({ success: true });
+        return false;
+
+      case 'background:reconnect':
+        // Nothing cached from the old worker yet
+        sendResponse({ success: true });
+        return false;
+    }
+
+    return false;
+  }
+
+  chrome.runtime.onMessage.addListener(handleMessage);
+
+  // Evaluate site rules now and whenever the page navigates without reloading
+  refreshSiteRules();
+
+  if (window.navigation) {
+    window.navigation.addEventListener('navigatesuccess', refreshSiteRules);
+  } else {
+    window.addEventListener('popstate', refreshSiteRules);
+    window.addEventListener('hashchange', refreshSiteRules);
+  }
+})();
@@ -0,0 +1,952 @@
+/**
+ * Command Palette Overlay
+ * Keyboard-first command palette rendered inside a shadow root.
+ * Fuzzy-ranks feature commands as the user types and runs them through the command processor.
+ * Recently used commands are listed first, ranked by frecency for the current site.
+ * When a command is missing a parameter, the palette prompts for it with autocomplete.
+ * When it is missing a permission, the palette offers to open the popup to grant it.
+ */
+
+import domUtils from '../../utils/dom-utils.js';
+import rpcUtils from '../../utils/rpc-utils.js';
+import uiUtils from '../../utils/ui-utils.js';
+import textUtils from '../../utils/text-utils.js';
+
+/**
+ * Maximum number of results shown at once
+ */
+const MAX_RESULTS = 8;
+
+/**
+ * Input placeholder outside of slot prompts
+ */
+const DEFAULT_PLACEHOLDER = 'Type a command, e.g. "translate this page to French"';
+
+/**
+ * Maximum number of history entries shown when the query is empty
+ */
+const MAX_HISTORY_RESULTS = 5;
+
+/**
+ * Bonus per order of magnitude of frecency when history matches the query
+ */
+const HISTORY_BOOST = 2;
+
+/**
+ * Delay before asking the command processor to parse the query (ms)
+ */
+const PARSE_DELAY = 120;
+
+/**
+ * Palette styles, scoped to the shadow root
+ * `all: initial` on the host stops page styles from being inherited.
+ */
+const PALETTE_STYLES = `
+  :host {
+    all: initial;
+    position: fixed;
+    inset: 0;
+    z-index: 2147483647;
+    font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+    font-size: 14px;
+    line-height: 1.4;
+    color-scheme: light dark;
+  }
+
+  * {
+    box-sizing: border-box;
+  }
+
+  .backdrop {
+    position: absolute;
+    inset: 0;
+    background: rgba(0, 0, 0, 0.35);
+  }
+
+  .palette {
+    position: absolute;
+    top: 15vh;
+    left: 50%;
+    width: min(640px, calc(100vw - 32px));
+    transform: translateX(-50%);
+    background: #ffffff;
+    color: #1f2328;
+    border-radius: 10px;
+    box-shadow: 0 16px 48px rgba(0, 0, 0, 0.3);
+    overflow: hidden;
+  }
+
+  .input {
+    display: block;
+    width: 100%;
+    padding: 14px 16px;
+    border: 0;
+    border-bottom: 1px solid #d0d7de;
+    outline: none;
+    background: transparent;
+    color: inherit;
+    font: inherit;
+    font-size: 16px;
+  }
+
+  .results {
+    margin: 0;
+    padding: 4px 0;
+    max-height: 360px;
+    overflow-y: auto;
+    list-style: none;
+  }
+
+  .result {
+    display: flex;
+    align-items: baseline;
+    gap: 8px;
+    padding: 8px 16px;
+    cursor: pointer;
+  }
+
+  .result[aria-selected="true"] {
+    background: #0969da;
+    color: #ffffff;
+  }
+
+  .result-title {
+    flex: 1;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+
+  .result-detail {
+    font-size: 12px;
+    opacity: 0.7;
+  }
+
+  .result-delete {
+    padding: 0 4px;
+    border: 0;
+    background: none;
+    color: inherit;
+    font: inherit;
+    opacity: 0.6;
+    cursor: pointer;
+  }
+
+  .result-delete:hover {
+    opacity: 1;
+  }
+
+  mark {
+    background: none;
+    color: inherit;
+    font-weight: 700;
+    text-decoration: underline;
+  }
+
+  .status {
+    padding: 8px 16px;
+    font-size: 12px;
+    border-top: 1px solid #d0d7de;
+    white-space: pre-wrap;
+  }
+
+  .status:empty {
+    display: none;
+  }
+
+  .status.error {
+    color: #cf222e;
+  }
+
+  .status-action {
+    margin-left: 8px;
+    font: inherit;
+  }
+
+  @media (prefers-color-scheme: dark) {
+    .palette {
+      background: #1c2128;
+      color: #e6edf3;
+    }
+
+    .input,
+    .status {
+      border-color: #373e47;
+    }
+
+    .status.error {
+      color: #ff7b72;
+    }
+  }
+`;
+
+/**
+ * Background routes (see rpc-utils.js)
+ */
+const rpc = rpcUtils.client.create();
+
+/**
+ * Command Palette class
+ */
+class CommandPalette {
+  constructor() {
+    this.host = null;
+    this.shadow = null;
+    this.elements = {};
+    this.focusTrap = null;
+    this.commands = [];
+    this.history = [];
+    this.results = [];
+    this.selectedIndex = 0;
+    this.parseTimer = null;
+    this.parsedIntent = null;
+    this.parsedPipeline = null;
+    this.slot = null;
+    this.visible = false;
+
+    // Bind methods
+    this.handleInput = this.handleInput.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Create palette DOM
+   * @private
+   */
+  _render() {
+    const input = domUtils.create('input', {
+      class: 'input',
+      type: 'text',
+      placeholder: DEFAULT_PLACEHOLDER,
+      autocomplete: 'off',
+      spellcheck: 'false',
+      role: 'combobox',
+      'aria-expanded': 'true',
+      'aria-controls': 'aio-palette-results',
+      'aria-autocomplete': 'list'
+    });
+
+    const results = domUtils.create('ul', {
+      class: 'results',
+      id: 'aio-palette-results',
+      role: 'listbox'
+    });
+
+    const status = domUtils.create('div', {
+      class: 'status',
+      role: 'status',
+      'aria-live': 'polite'
+    });
+
+    const palette = domUtils.create('div', {
+      class: 'palette',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-label': 'Command palette'
+    }, [input, results, status]);
+
+    const backdrop = domUtils.create('div', {
+      class: 'backdrop',
+      events: { click: () => this.hide() }
+    });
+
+    const { host, shadow } = domUtils.createIsolatedElement(
+      'div',
+      { id: 'aio-command-palette' },
+      PALETTE_STYLES,
+      [backdrop, palette]
+    );
+
+    domUtils.addEvent(input, 'input', this.handleInput);
+    domUtils.addEvent(input, 'keydown', this.handleKeyDown);
+
+    this.host = host;
+    this.shadow = shadow;
+    this.elements = { input, results, status, palette };
+  }
+
+  /**
+   * Show the palette
+   * @return {Promise<void>}
+   */
+  async show() {
+    if (this.visible) {
+      this.elements.input.focus();
+      return;
+    }
+
+    if (!this.host) {
+      this._render();
+    }
+
+    document.documentElement.appendChild(this.host);
+    this.visible = true;
+
+    // Trap focus inside the palette; Escape closes it
+    this.focusTrap = uiUtils.a11y.createFocusTrap(this.elements.palette, {
+      autoFocus: false,
+      escapeDeactivates: true,
+      onDeactivate: () => this.hide()
+    });
+    this.focusTrap.activate();
+
+    this.elements.input.value = '';
+    this.elements.input.focus();
+    this.setStatus('');
+
+    await Promise.all([this.loadCommands(), this.loadHistory()]);
+    this.updateResults();
+  }
+
+  /**
+   * Hide the palette
+   */
+  hide() {
+    if (!this.visible) return;
+    this.visible = false;
+
+    clearTimeout(this.parseTimer);
+    this.parsedIntent = null;
+    this.parsedPipeline = null;
+    this.exitSlot();
+
+    if (this.focusTrap) {
+      const trap = this.focusTrap;
+      this.focusTrap = null;
+      trap.deactivate();
+    }
+
+    domUtils.remove(this.host);
+  }
+
+  /**
+   * Toggle palette visibility
+   * @return {Promise<void>}
+   */
+  async toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      await this.show();
+    }
+  }
+
+  /**
+   * Show the outcome of a command run from outside the palette (e.g. the omnibox)
+   * Missing slots are prompted for here, so the command can still be completed.
+   * @param {Object} outcome - Command processor response
+   * @param {string} [outcome.text] - Command text that was run
+   * @param {string} [outcome.title] - Title of the command
+   * @param {Object} [outcome.intent] - Intent with missing parameters
+   * @param {Object} [outcome.needsInput] - Slot to prompt for
+   * @param {string} [outcome.needsPermission] - Feature to ask permissions for
+   * @param {any} [outcome.result] - Command result
+   * @param {string} [outcome.error] - Error message
+   * @return {Promise<void>}
+   */
+  async showOutcome(outcome) {
+    await this.show();
+    this.elements.input.value = outcome.text || '';
+
+    if (outcome.needsInput) {
+      this.promptSlot(outcome.intent, outcome.needsInput, outcome.title);
+    } else if (outcome.needsPermission) {
+      this.showPermissionError(outcome.error, outcome.needsPermission);
+    } else if (outcome.error) {
+      this.setStatus(outcome.error, true);
+    } else {
+      this.showResult(outcome.result);
+    }
+  }
+
+  /**
+   * Load available commands from the background
+   * @return {Promise<void>}
+   */
+  async loadCommands() {
+    try {
+      const { commands } = await rpc.commands.list();
+      this.commands = commands;
+    } catch (error) {
+      console.error('Failed to load commands:', error);
+      this.setStatus('Could not reach the extension. Try reloading the page.', true);
+    }
+  }
+
+  /**
+   * Load recently used commands for this site
+   * @return {Promise<void>}
+   */
+  async loadHistory() {
+    try {
+      const { entries } = await rpc.commands.getHistory();
+      this.history = entries;
+    } catch (error) {
+      console.error('Failed to load command history:', error);
+      this.history = [];
+    }
+  }
+
+  /**
+   * Remove an entry from the command history
+   * @param {Object} entry - History entry
+   * @return {Promise<void>}
+   */
+  async deleteHistory(entry) {
+    try {
+      await rpc.commands.deleteHistory({ id: entry.id });
+
+      this.history = this.history.filter(item => item.id !== entry.id);
+      this.updateResults();
+      this.elements.input.focus();
+    } catch (error) {
+      this.setStatus(`Could not remove "${entry.text}": ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Build a result item for a history entry
+   * @private
+   * @param {Object} entry - History entry
+   * @return {Object} Palette item
+   */
+  _historyItem(entry) {
+    return {
+      history: entry,
+      title: entry.text,
+      featureName: entry.count > 1 ? `Recent · ${entry.count}×` : 'Recent',
+      examples: []
+    };
+  }
+
+  /**
+   * Handle query input
+   * @private
+   */
+  handleInput() {
+    this.updateResults();
+
+    // Slot answers are resolved by the command processor when submitted
+    if (this.slot) return;
+
+    // Ask the command processor to parse the full sentence
+    clearTimeout(this.parseTimer);
+    const query = this.elements.input.value.trim();
+
+    if (!query) {
+      this.parsedIntent = null;
+      this.parsedPipeline = null;
+      return;
+    }
+
+    this.parseTimer = setTimeout(async () => {
+      try {
+        const { intents, pipeline } = await rpc.commands.parse({ text: query, limit: 1 });
+
+        // Ignore stale responses
+        if (query !== this.elements.input.value.trim()) return;
+
+        this.parsedIntent = intents.length > 0 ? intents[0] : null;
+        this.parsedPipeline = pipeline;
+        this.updateResults();
+      } catch (error) {
+        console.error('Failed to parse command:', error);
+      }
+    }, PARSE_DELAY);
+  }
+
+  /**
+   * Handle keyboard navigation
+   * @param {KeyboardEvent} event - Keyboard event
+   * @private
+   */
+  handleKeyDown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        this.select(this.selectedIndex + 1);
+        break;
+
+      case 'ArrowUp':
+        event.preventDefault();
+        this.select(this.selectedIndex - 1);
+        break;
+
+      case 'Enter':
+        event.preventDefault();
+        this.runSelected();
+        break;
+
+      case 'Tab':
+        // The input is the only focusable element, keep focus on it
+        event.preventDefault();
+        break;
+
+      case 'Backspace':
+        // Backspace on an empty slot prompt goes back to the command
+        if (this.slot && !this.elements.input.value) {
+          event.preventDefault();
+          const { query } = this.slot;
+          this.exitSlot();
+          this.elements.input.value = query;
+          this.handleInput();
+        }
+        break;
+
+      case 'Delete': {
+        // Shift+Delete removes the selected history entry
+        const selected = this.results[this.selectedIndex];
+        if (event.shiftKey && selected && selected.command.history) {
+          event.preventDefault();
+          this.deleteHistory(selected.command.history);
+        }
+        break;
+      }
+    }
+
+    // Keep page shortcuts from firing while typing
+    if (event.key !== 'Escape') {
+      event.stopPropagation();
+    }
+  }
+
+  /**
+   * Rank commands and history entries against the current query
+   * @return {Object[]} Ranked results
+   */
+  rankCommands() {
+    const query = this.elements.input.value.trim();
+
+    if (this.slot) {
+      return this.rankSlotSuggestions(query);
+    }
+
+    // History view: recent commands first (already sorted by frecency), then everything else
+    if (!query) {
+      return [
+        ...this.history.slice(0, MAX_HISTORY_RESULTS).map(entry => ({
+          command: this._historyItem(entry),
+          score: 0,
+          indices: []
+        })),
+        ...this.commands.map(command => ({ command, score: 0, indices: [] }))
+      ];
+    }
+
+    const ranked = [];
+
+    // Frequently used commands on this site float above equally good matches
+    for (const entry of this.history) {
+      const match = textUtils.compare.fuzzyMatch(query, entry.text);
+
+      if (match) {
+        ranked.push({
+          command: this._historyItem(entry),
+          score: match.score + HISTORY_BOOST * Math.log10(1 + entry.score),
+          indices: match.indices
+        });
+      }
+    }
+
+    for (const command of this.commands) {
+      // Match title first, then feature name and examples at a lower weight
+      const titleMatch = textUtils.compare.fuzzyMatch(query, command.title);
+      const otherScores = [command.featureName, ...command.examples]
+        .map(text => textUtils.compare.fuzzyMatch(query, text))
+        .filter(Boolean)
+        .map(match => match.score * 0.7);
+
+      const score = Math.max(titleMatch ? titleMatch.score : -Infinity, ...otherScores);
+
+      if (score !== -Infinity) {
+        ranked.push({
+          command,
+          score,
+          indices: titleMatch ? titleMatch.indices : []
+        });
+      }
+    }
+
+    return ranked.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Rank the suggestions of the slot being prompted for
+   * @param {string} query - Typed answer
+   * @return {Object[]} Ranked results
+   */
+  rankSlotSuggestions(query) {
+    const { suggestions } = this.slot.needsInput;
+    const ranked = [];
+
+    for (const { value, label } of suggestions) {
+      const match = textUtils.compare.fuzzyMatch(query, label);
+      const valueMatch = query && String(value).toLowerCase() === query.toLowerCase();
+
+      if (match || valueMatch) {
+        ranked.push({
+          command: { slotValue: value, title: label, featureName: '', examples: [] },
+          score: valueMatch ? Infinity : match.score,
+          indices: match ? match.indices : []
+        });
+      }
+    }
+
+    ranked.sort((a, b) => b.score - a.score);
+
+    // Free-form answers are parsed by the slot type (e.g. "1 hour 30 minutes")
+    if (query && !ranked.some(result => result.score === Infinity)) {
+      ranked.push({
+        command: { slotValue: query, title: `Use "${query}"`, featureName: '', examples: [] },
+        score: 0,
+        indices: []
+      });
+    }
+
+    return ranked;
+  }
+
+  /**
+   * Prompt for a missing command parameter
+   * @param {Object} intent - Intent with missing parameters
+   * @param {Object} needsInput - Slot description from the command processor
+   * @param {string} title - Title of the command being run
+   */
+  promptSlot(intent, needsInput, title) {
+    const { input } = this.elements;
+
+    this.slot = {
+      intent,
+      needsInput,
+      title,
+      query: this.slot ? this.slot.query : input.value.trim()
+    };
+
+    clearTimeout(this.parseTimer);
+    this.parsedIntent = null;
+    this.parsedPipeline = null;
+
+    input.value = '';
+    input.placeholder = needsInput.prompt;
+    input.focus();
+
+    this.setStatus(needsInput.error || `${title}: ${needsInput.prompt}`, !!needsInput.error);
+    this.updateResults();
+  }
+
+  /**
+   * Leave slot prompting and go back to command input
+   */
+  exitSlot() {
+    if (!this.slot) return;
+
+    this.slot = null;
+    this.elements.input.placeholder = DEFAULT_PLACEHOLDER;
+    this.setStatus('');
+  }
+
+  /**
+   * Recompute and render results
+   */
+  updateResults() {
+    const results = this.rankCommands().slice(0, MAX_RESULTS);
+
+    // Put the parsed natural-language intent first
+    if (this.parsedIntent) {
+      const { featureId, action } = this.parsedIntent;
+      const index = results.findIndex(result =>
+        result.command.featureId === featureId && result.command.action === action
+      );
+      const command = this.commands.find(item =>
+        item.featureId === featureId && item.action === action
+      );
+
+      if (index !== -1) {
+        results.unshift(results.splice(index, 1)[0]);
+      } else if (command) {
+        results.unshift({ command, score: Infinity, indices: [] });
+        results.length = Math.min(results.length, MAX_RESULTS);
+      }
+    }
+
+    // A pipeline replaces single-command suggestions
+    if (this.parsedPipeline) {
+      results.unshift({ command: this._pipelineItem(this.parsedPipeline), score: Infinity, indices: [] });
+      results.length = Math.min(results.length, MAX_RESULTS);
+    }
+
+    this.results = results;
+    this.selectedIndex = 0;
+    this.renderResults();
+  }
+
+  /**
+   * Build a result item for a parsed pipeline
+   * @private
+   * @param {Object} pipeline - Parsed pipeline or {error, stageIndex}
+   * @return {Object} Palette item
+   */
+  _pipelineItem(pipeline) {
+    if (pipeline.error) {
+      return { pipeline: true, title: 'Run pipeline', featureName: pipeline.error, examples: [] };
+    }
+
+    const titles = pipeline.stages.map(({ featureId, action }) => {
+      const command = this.commands.find(item =>
+        item.featureId === featureId && item.action === action
+      );
+      return command ? command.title : action;
+    });
+
+    return {
+      pipeline: true,
+      title: `Run pipeline: ${titles.join(' → ')}`,
+      featureName: `${titles.length} stages`,
+      examples: []
+    };
+  }
+
+  /**
+   * Render the current results list
+   * @private
+   */
+  renderResults() {
+    const list = this.elements.results;
+    domUtils.empty(list);
+
+    this.results.forEach(({ command, indices }, index) => {
+      const item = domUtils.create('li', {
+        class: 'result',
+        id: `aio-palette-result-${index}`,
+        role: 'option',
+        'aria-selected': String(index === this.selectedIndex),
+        events: {
+          mousemove: () => this.select(index),
+          click: () => {
+            this.select(index);
+            this.runSelected();
+          }
+        }
+      }, [
+        this._highlight(command.title, indices),
+        domUtils.create('span', {
+          class: 'result-detail',
+          text: command.featureName
+        })
+      ]);
+
+      if (command.history) {
+        item.appendChild(domUtils.create('button', {
+          class: 'result-delete',
+          type: 'button',
+          tabindex: '-1',
+          title: 'Remove from history (Shift+Delete)',
+          'aria-label': `Remove "${command.title}" from history`,
+          text: '×',
+          events: {
+            click: (event) => {
+              event.stopPropagation();
+              this.deleteHistory(command.history);
+            }
+          }
+        }));
+      }
+
+      list.appendChild(item);
+    });
+
+    this._updateActiveDescendant();
+  }
+
+  /**
+   * Build a title element with matched characters highlighted
+   * @private
+   * @param {string} text - Title text
+   * @param {number[]} indices - Matched character positions
+   * @return {Element} Title element
+   */
+  _highlight(text, indices) {
+    const title = domUtils.create('span', { class: 'result-title' });
+    const matched = new Set(indices);
+    let buffer = '';
+    let bufferMatched = false;
+
+    const flush = () => {
+      if (!buffer) return;
+      title.appendChild(bufferMatched ?
+        domUtils.create('mark', { text: buffer }) :
+        document.createTextNode(buffer));
+      buffer = '';
+    };
+
+    // Group consecutive characters so each run becomes one node
+    for (let i = 0; i < text.length; i++) {
+      const isMatched = matched.has(i);
+      if (isMatched !== bufferMatched) {
+        flush();
+        bufferMatched = isMatched;
+      }
+      buffer += text[i];
+    }
+    flush();
+
+    return title;
+  }
+
+  /**
+   * Select a result by index (wraps around)
+   * @param {number} index - Result index
+   */
+  select(index) {
+    if (this.results.length === 0) return;
+
+    const count = this.results.length;
+    const nextIndex = ((index % count) + count) % count;
+
+    if (nextIndex === this.selectedIndex) return;
+
+    const items = this.elements.results.children;
+    items[this.selectedIndex].setAttribute('aria-selected', 'false');
+    items[nextIndex].setAttribute('aria-selected', 'true');
+    items[nextIndex].scrollIntoView({ block: 'nearest' });
+
+    this.selectedIndex = nextIndex;
+    this._updateActiveDescendant();
+  }
+
+  /**
+   * Point the combobox at the selected option for screen readers
+   * @private
+   */
+  _updateActiveDescendant() {
+    if (this.results.length > 0) {
+      this.elements.input.setAttribute('aria-activedescendant', `aio-palette-result-${this.selectedIndex}`);
+    } else {
+      this.elements.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Run the selected command with the current query
+   * @return {Promise<void>}
+   */
+  async runSelected() {
+    const selected = this.results[this.selectedIndex];
+    const query = this.elements.input.value.trim();
+
+    if (!selected) {
+      if (query) this.setStatus(`No command matches "${query}"`, true);
+      return;
+    }
+
+    const { featureId, action, title, pipeline, history, slotValue } = selected.command;
+    const runTitle = this.slot ? this.slot.title : title;
+    this.setStatus(`Running ${runTitle}...`);
+
+    let payload;
+    if (this.slot) {
+      // Answer the prompted slot; the processor validates it and may ask for the next one
+      const { intent, needsInput } = this.slot;
+      payload = { intent, text: intent.text, slots: { [needsInput.name]: slotValue } };
+    } else if (history) {
+      // Rerun exactly what ran before; pipelines are parsed again from their text
+      payload = history.intent ?
+        { intent: history.intent, text: history.text } :
+        { text: history.text };
+    } else if (pipeline) {
+      // Pipelines are parsed from the full text
+      payload = { text: query };
+    } else {
+      // Single commands run the picked command
+      payload = { featureId, action, text: query };
+    }
+
+    try {
+      const response = await rpc.commands.execute(payload);
+
+      if (response.needsInput) {
+        this.promptSlot(response.intent, response.needsInput, runTitle);
+        return;
+      }
+
+      this.exitSlot();
+
+      if (response.needsPermission) {
+        this.showPermissionError(response.error, response.needsPermission);
+        return;
+      }
+
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.showResult(response.result);
+    } catch (error) {
+      this.setStatus(error.message, true);
+    }
+  }
+
+  /**
+   * Show a command result, or close the palette if there is nothing to show
+   * @param {any} result - Command result
+   */
+  showResult(result) {
+    const text = typeof result === 'string' ? result :
+      (result && typeof result.text === 'string' ? result.text : null);
+
+    if (text) {
+      this.setStatus(text);
+    } else {
+      this.hide();
+    }
+  }
+
+  /**
+   * Show why a command can't run without a permission, with a button to grant it
+   * Chrome won't show permission prompts over a web page, so the button opens the popup.
+   * @param {string} message - Error message
+   * @param {string} featureId - Feature missing the permission
+   */
+  showPermissionError(message, featureId) {
+    this.setStatus(message, true);
+    this.elements.status.appendChild(domUtils.create('button', {
+      type: 'button',
+      class: 'status-action',
+      text: 'Allow…',
+      events: { click: () => this.requestPermissions(featureId) }
+    }));
+  }
+
+  /**
+   * Open the popup asking for a feature's permissions, and close the palette
+   * @param {string} featureId - Feature ID
+   * @return {Promise<void>}
+   */
+  async requestPermissions(featureId) {
+    try {
+      await rpc.permissions.openPrompt({ featureIds: [featureId] });
+      this.hide();
+    } catch (error) {
+      this.setStatus(`Could not ask for permissions: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Set status line text
+   * @param {string} message - Status message
+   * @param {boolean} [isError=false] - Whether message is an error
+   */
+  setStatus(message, isError = false) {
+    const { status } = this.elements;
+    if (!status) return;
+
+    domUtils.setText(status, message);
+    status.classList.toggle('error', isError);
+  }
+}
+
+// Create singleton instance
+const commandPalette = new CommandPalette();
+
+// Export the singleton
+export default commandPalette;
@@ -0,0 +1,297 @@
+/**
+ * Undo Journal
+ * Per-tab undo/redo stack for commands that change the page.
+ * Every page mutation goes through one of the operations below, which apply
+ * the change and record how to reverse it.
+ */
+
+/**
+ * Maximum number of undoable operations kept
+ */
+const MAX_ENTRIES = 50;
+
+/**
+ * Attribute marking styles injected by the extension
+ */
+const STYLE_ATTRIBUTE = 'data-aio-style';
+
+/**
+ * Journal entry interface
+ * @typedef {Object} JournalEntry
+ * @property {string} label - Human-readable description (e.g. "Convert case")
+ * @property {Function} undo - Reverses the operation; returns false if the page changed since
+ * @property {Function} redo - Applies the operation again; returns false if the page changed since
+ * @property {number} timestamp - When the operation was applied
+ */
+
+/**
+ * Check whether an element is a text field with selectable text
+ * @param {Element} element - Element to check
+ * @return {boolean} Whether the element supports setRangeText
+ */
+function isTextField(element) {
+  return !!element && (element.tagName === 'TEXTAREA' ||
+    (element.tagName === 'INPUT' && /^(text|search|url|email)$/.test(element.type)));
+}
+
+/**
+ * Notify page scripts (frameworks) that a field's value changed
+ * @param {Element} element - Changed field
+ */
+function dispatchInput(element) {
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Undo Journal class
+ */
+class UndoJournal {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Record an operation that has already been applied
+   * @param {string} label - Description shown when undoing
+   * @param {Function} undo - Reverses the operation
+   * @param {Function} redo - Applies the operation again
+   * @return {JournalEntry} Recorded entry
+   */
+  record(label, undo, redo) {
+    const entry = { label, undo, redo, timestamp: Date.now() };
+
+    this.undoStack.push(entry);
+    if (this.undoStack.length > MAX_ENTRIES) {
+      this.undoStack.shift();
+    }
+
+    // A new change invalidates anything that was undone
+    this.redoStack = [];
+
+    return entry;
+  }
+
+  /**
+   * Apply an operation and record it
+   * @param {string} label - Description shown when undoing
+   * @param {Function} apply - Applies the operation
+   * @param {Function} revert - Reverses the operation
+   * @return {JournalEntry} Recorded entry
+   */
+  apply(label, apply, revert) {
+    apply();
+    return this.record(label, revert, apply);
+  }
+
+  /**
+   * Undo the most recent operation
+   * An entry whose target was edited since is dropped instead of overwriting the edit.
+   * @return {string|null} Label of the undone operation, or null if there was nothing to undo
+   */
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    if (entry.undo() === false) return null;
+    this.redoStack.push(entry);
+    return entry.label;
+  }
+
+  /**
+   * Redo the most recently undone operation
+   * @return {string|null} Label of the redone operation, or null if there was nothing to redo
+   */
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    if (entry.redo() === false) return null;
+    this.undoStack.push(entry);
+    return entry.label;
+  }
+
+  /**
+   * Get journal state
+   * @return {{undo: string|null, redo: string|null}} Labels of the next undo and redo
+   */
+  getState() {
+    const lastUndo = this.undoStack[this.undoStack.length - 1];
+    const lastRedo = this.redoStack[this.redoStack.length - 1];
+
+    return {
+      undo: lastUndo ? lastUndo.label : null,
+      redo: lastRedo ? lastRedo.label : null
+    };
+  }
+
+  /**
+   * Forget all operations
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Replace text in a field or an editable region
+   * @param {Object} target - Selection captured before the command ran
+   * @param {Element} [target.element] - Text field
+   * @param {number} [target.start] - Selection start in the field
+   * @param {number} [target.end] - Selection end in the field
+   * @param {Range} [target.range] - Selected range inside a contenteditable element
+   * @param {string} text - Replacement text
+   * @param {string} [label='Replace text'] - Description shown when undoing
+   * @return {boolean} Whether the text was replaced
+   */
+  replaceText(target, text, label = 'Replace text') {
+    if (target && isTextField(target.element) && target.element.isConnected) {
+      const { element, start, end } = target;
+      const oldValue = element.value;
+
+      // Recompute the new value so redo doesn't depend on the current selection
+      const newValue = oldValue.slice(0, start) + text + oldValue.slice(end);
+
+      element.value = newValue;
+      element.setSelectionRange(start, start + text.length);
+      dispatchInput(element);
+
+      // The user may have typed in the field since; never overwrite that
+      this.record(label, () => {
+        if (element.value !== newValue) return false;
+        element.value = oldValue;
+        element.setSelectionRange(start, end);
+        dispatchInput(element);
+      }, () => {
+        if (element.value !== oldValue) return false;
+        element.value = newValue;
+        element.setSelectionRange(start, start + text.length);
+        dispatchInput(element);
+      });
+      return true;
+    }
+
+    if (target && target.range) {
+      const host = target.range.commonAncestorContainer.parentElement &&
+        target.range.commonAncestorContainer.parentElement.closest('[contenteditable=""], [contenteditable="true"], [contenteditable="plaintext-only"]');
+      if (!host) return false;
+
+      const oldHtml = host.innerHTML;
+      target.range.deleteContents();
+      target.range.insertNode(document.createTextNode(text));
+      const newHtml = host.innerHTML;
+      dispatchInput(host);
+
+      this.record(label, () => {
+        if (host.innerHTML !== newHtml) return false;
+        host.innerHTML = oldHtml;
+        dispatchInput(host);
+      }, () => {
+        if (host.innerHTML !== oldHtml) return false;
+        host.innerHTML = newHtml;
+        dispatchInput(host);
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Inject (or replace) a stylesheet identified by an ID
+   * @param {string} id - Style identifier (e.g. 'dark-mode')
+   * @param {string} css - CSS text
+   * @param {string} [label='Apply styles'] - Description shown when undoing
+   * @return {JournalEntry} Recorded entry
+   */
+  injectStyle(id, css, label = 'Apply styles') {
+    const existing = document.querySelector(`style[${STYLE_ATTRIBUTE}="${CSS.escape(id)}"]`);
+    const previousCss = existing ? existing.textContent : null;
+    const style = existing || document.createElement('style');
+    style.setAttribute(STYLE_ATTRIBUTE, id);
+
+    return this.apply(label, () => {
+      style.textContent = css;
+      if (!style.isConnected) document.documentElement.appendChild(style);
+    }, () => {
+      if (previousCss === null) {
+        style.remove();
+      } else {
+        style.textContent = previousCss;
+      }
+    });
+  }
+
+  /**
+   * Remove a stylesheet injected with injectStyle
+   * @param {string} id - Style identifier
+   * @param {string} [label='Remove styles'] - Description shown when undoing
+   * @return {JournalEntry|null} Recorded entry, or null if the style wasn't present
+   */
+  removeStyle(id, label = 'Remove styles') {
+    const style = document.querySelector(`style[${STYLE_ATTRIBUTE}="${CSS.escape(id)}"]`);
+    if (!style) return null;
+
+    const parent = style.parentNode;
+    return this.apply(label, () => style.remove(), () => parent.appendChild(style));
+  }
+
+  /**
+   * Hide elements, keeping their inline display value for undo
+   * @param {string|Element[]} elements - Selector or elements to hide
+   * @param {string} [label='Hide elements'] - Description shown when undoing
+   * @return {number} Number of elements hidden
+   */
+  hideElements(elements, label = 'Hide elements') {
+    const targets = typeof elements === 'string' ?
+      Array.from(document.querySelectorAll(elements)) : Array.from(elements);
+    if (targets.length === 0) return 0;
+
+    const previous = targets.map(element => ({
+      value: element.style.getPropertyValue('display'),
+      priority: element.style.getPropertyPriority('display')
+    }));
+
+    this.apply(label, () => {
+      targets.forEach(element => element.style.setProperty('display', 'none', 'important'));
+    }, () => {
+      targets.forEach((element, index) => {
+        const { value, priority } = previous[index];
+        if (value) {
+          element.style.setProperty('display', value, priority);
+        } else {
+          element.style.removeProperty('display');
+        }
+      });
+    });
+
+    return targets.length;
+  }
+
+  /**
+   * Replace the text of text nodes (e.g. in-page translation)
+   * @param {Array<{node: Text, text: string}>} replacements - Nodes and their new text
+   * @param {string} [label='Replace page text'] - Description shown when undoing
+   * @return {number} Number of nodes changed
+   */
+  replaceTextNodes(replacements, label = 'Replace page text') {
+    const changes = replacements
+      .filter(({ node, text }) => node && node.nodeValue !== text)
+      .map(({ node, text }) => ({ node, oldText: node.nodeValue, text }));
+    if (changes.length === 0) return 0;
+
+    this.apply(label, () => {
+      changes.forEach(({ node, text }) => { node.nodeValue = text; });
+    }, () => {
+      changes.forEach(({ node, oldText }) => { node.nodeValue = oldText; });
+    });
+
+    return changes.length;
+  }
+}
+
+// Create singleton instance
+const undoJournal = new UndoJournal();
+
+// Export the singleton
+export default undoJournal;
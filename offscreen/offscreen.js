@@ -0,0 +1,179 @@
+/**
+ * All-in-One Browser Helper
+ * Offscreen Document
+ *
+ * Runs the background's jobs that need a DOM or a page to play sound in, which
+ * the service worker lacks: reading and sanitizing HTML, converting markdown,
+ * speaking text and playing audio. The background creates this document when
+ * a job comes in and closes it once idle (see offscreen-manager.js).
+ */
+
+import domUtils from '../utils/dom-utils.js';
+import textUtils from '../utils/text-utils.js';
+
+/**
+ * Speech or audio playing right now, with a way to stop it
+ * @type {{stop: Function}|null}
+ */
+let playing = null;
+
+/**
+ * Sanitize HTML with the extension's allowed tags and attributes
+ * @param {string} html - Untrusted HTML
+ * @return {string} Sanitized HTML
+ */
+function sanitizeHtml(html) {
+  // Template content is inert: nothing in it loads or runs
+  const container = document.createElement('template');
+  domUtils.setHTML(container, html);
+  return container.innerHTML;
+}
+
+/**
+ * Forget a playback that ended, unless newer playback replaced it already
+ * @param {Object} handle - Playback handle
+ */
+function release(handle) {
+  if (playing === handle) {
+    playing = null;
+  }
+}
+
+/**
+ * Stop the speech or audio playing, if any
+ */
+function stopAudio() {
+  if (playing) {
+    playing.stop();
+    playing = null;
+  }
+}
+
+/**
+ * Speak text with the browser's speech synthesis
+ * @param {Object} params - Job parameters
+ * @param {string} params.text - Text to speak
+ * @param {string} [params.voice] - Voice name; the default voice if empty or unknown
+ * @param {number} [params.rate=1] - Speed
+ * @param {number} [params.pitch=1] - Pitch
+ * @return {Promise<{completed: boolean}>} Resolves when speech ends or is stopped
+ */
+function speak({ text, voice, rate = 1, pitch = 1 }) {
+  stopAudio();
+
+  return new Promise((resolve, reject) => {
+    const utterance = new SpeechSynthesisUtterance(text);
+    const match = voice && speechSynthesis.getVoices().find(candidate => candidate.name === voice);
+    if (match) utterance.voice = match;
+    utterance.rate = rate;
+    utterance.pitch = pitch;
+
+    const handle = { stop: () => speechSynthesis.cancel() };
+
+    utterance.onend = () => {
+      release(handle);
+      resolve({ completed: true });
+    };
+
+    utterance.onerror = (event) => {
+      release(handle);
+
+      // Stopped by stopAudio or by newer speech
+      if (event.error === 'interrupted' || event.error === 'canceled') {
+        resolve({ completed: false });
+      } else {
+        reject(new Error(`Speech failed: ${event.error}`));
+      }
+    };
+
+    playing = handle;
+    speechSynthesis.speak(utterance);
+  });
+}
+
+/**
+ * Play an audio file
+ * @param {Object} params - Job parameters
+ * @param {string} params.url - Audio URL
+ * @param {number} [params.volume=1] - Volume, 0 to 1
+ * @return {Promise<{completed: boolean}>} Resolves when playback ends or is stopped
+ */
+function playAudio({ url, volume = 1 }) {
+  stopAudio();
+
+  return new Promise((resolve, reject) => {
+    const audio = new Audio(url);
+    audio.volume = volume;
+
+    const handle = {
+      stop: () => {
+        audio.pause();
+        resolve({ completed: false });
+      }
+    };
+
+    audio.onended = () => {
+      release(handle);
+      resolve({ completed: true });
+    };
+
+    audio.onerror = () => {
+      release(handle);
+      reject(new Error(`Could not play "${url}"`));
+    };
+
+    playing = handle;
+    audio.play().catch((error) => {
+      release(handle);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Job handlers, keyed by job type
+ * Handlers get the job parameters and return a result object.
+ */
+const JOB_HANDLERS = {
+  'extract-content': ({ html }) => ({
+    title: textUtils.extract.extractTitle(html),
+    text: textUtils.extract.extractContent(html)
+  }),
+
+  'sanitize-html': ({ html }) => ({ html: sanitizeHtml(html) }),
+
+  'markdown-to-html': ({ markdown }) => ({
+    html: sanitizeHtml(textUtils.format.markdownToHtml(markdown))
+  }),
+
+  'speak': params => speak(params),
+
+  'play-audio': params => playAudio(params),
+
+  'stop-audio': () => {
+    stopAudio();
+    return {};
+  },
+
+  'status': () => ({ playing: playing !== null })
+};
+
+// Jobs are addressed to this document; other runtime messages are for extension pages
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.target !== 'offscreen') {
+    return false;
+  }
+
+  const handler = JOB_HANDLERS[message.type];
+  if (!handler) {
+    sendResponse({ success: false, error: `Unknown offscreen job "${message.type}"` });
+    return false;
+  }
+
+  Promise.resolve()
+    .then(() => handler(message.params || {}))
+    .then(result => sendResponse({ success: true, result }))
+    .catch(error => sendResponse({ success: false, error: error.message }));
+
+  return true;
+});
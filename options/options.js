@@ -0,0 +1,253 @@
+/**
+ * All-in-One Browser Helper
+ * Options Page
+ *
+ * Lists every feature by category with a settings form built from its
+ * settings schema. Updates are validated again by the background, whose
+ * field errors are shown next to the offending inputs.
+ * Below, the credential vault holding API keys can be locked, unlocked and
+ * given a passphrase (see credential-vault.js), and scheduled jobs are listed
+ * for diagnostics (see job-scheduler.js).
+ */
+
+import domUtils from '../utils/dom-utils.js';
+import rpcUtils from '../utils/rpc-utils.js';
+import uiUtils from '../utils/ui-utils.js';
+
+/**
+ * Category headings, in display order
+ */
+const CATEGORY_TITLES = {
+  'text-tools': 'Text tools',
+  'content-analysis': 'Content analysis',
+  'visual-tools': 'Visual tools',
+  productivity: 'Productivity',
+  navigation: 'Navigation',
+  utilities: 'Utilities'
+};
+
+/**
+ * Background routes (see rpc-utils.js)
+ */
+const rpc = rpcUtils.client.create();
+
+/**
+ * Create the settings section of a feature
+ * @param {Object} feature - Feature from `features.list`
+ * @return {Element} Collapsible section
+ */
+function createFeatureSection(feature) {
+  const status = domUtils.create('p', { class: 'status', role: 'status', 'aria-live': 'polite' });
+  const section = domUtils.create('details', { class: 'feature-settings', id: `feature-${feature.id}` }, [
+    domUtils.create('summary', { text: feature.name }),
+    domUtils.create('p', { class: 'feature-description', text: feature.description })
+  ]);
+
+  const renderForm = () => {
+    const existing = section.querySelector('.settings-form');
+    if (existing) existing.remove();
+
+    const form = uiUtils.forms.createSettingsForm(feature.settingsSchema, feature.settings, {
+      idPrefix: feature.id,
+      onSubmit: async (settings) => {
+        try {
+          const response = await rpc.features.updateSettings({
+            featureId: feature.id,
+            settings
+          });
+          feature.settings = response.settings;
+          status.textContent = 'Settings saved.';
+        } catch (error) {
+          uiUtils.forms.showErrors(form, error.errors);
+          status.textContent = error.errors ? '' : `Could not save settings: ${error.message}`;
+        }
+      },
+      onReset: async () => {
+        try {
+          const response = await rpc.features.resetSettings({ featureId: feature.id });
+          feature.settings = response.settings;
+          renderForm();
+          status.textContent = 'Defaults restored.';
+        } catch (error) {
+          status.textContent = `Could not reset settings: ${error.message}`;
+        }
+      }
+    });
+
+    section.insertBefore(form, status);
+  };
+
+  section.appendChild(status);
+
+  if (Object.keys(feature.settingsSchema).length > 0) {
+    renderForm();
+  } else {
+    status.textContent = 'This feature has no settings.';
+  }
+
+  return section;
+}
+
+/**
+ * Render every feature, grouped by category
+ * @return {Promise<void>}
+ */
+async function render() {
+  const { features } = await rpc.features.list();
+  const container = domUtils.getById('feature-settings');
+  domUtils.empty(container);
+
+  for (const [category, title] of Object.entries(CATEGORY_TITLES)) {
+    const inCategory = features.filter(feature => feature.category === category);
+    if (inCategory.length === 0) continue;
+
+    container.appendChild(domUtils.create('h2', { text: title }));
+    for (const feature of inCategory) {
+      container.appendChild(createFeatureSection(feature));
+    }
+  }
+
+  // Open the feature linked from elsewhere (e.g. options.html#feature-dark-mode)
+  const linked = location.hash && document.querySelector(location.hash);
+  if (linked) linked.open = true;
+}
+
+/**
+ * Show the credential vault's state and the controls that apply to it
+ * @param {Object} vault - Status from the `vault.*` routes
+ * @param {string} [message] - Outcome of the last action, shown before the state
+ */
+function showVault(vault, message) {
+  const stored = vault.ids.length === 0 ? 'No API keys are stored.' :
+    `Stored API keys: ${vault.ids.join(', ')}.`;
+
+  let state;
+  if (!vault.protected) {
+    state = 'The vault has no passphrase, so it never locks.';
+  } else if (vault.locked) {
+    state = 'The vault is locked: unlock it to use or change API keys.';
+  } else {
+    state = vault.lockTimeout > 0 ?
+      `The vault is unlocked and locks after ${vault.lockTimeout} min without use.` :
+      'The vault is unlocked.';
+  }
+
+  domUtils.getById('vault-status').textContent = [message, stored, state].filter(Boolean).join(' ');
+  domUtils.getById('vault-unlock').hidden = !vault.locked;
+  domUtils.getById('vault-lock').hidden = !vault.protected || vault.locked;
+  domUtils.getById('vault-current-field').hidden = !vault.protected;
+  domUtils.getById('vault-remove').hidden = !vault.protected;
+  domUtils.getById('vault-set').textContent = vault.protected ? 'Change passphrase' : 'Set passphrase';
+}
+
+/**
+ * Run a vault action and show its outcome
+ * @param {function(): Promise<Object>} action - Calls a `vault.*` route
+ * @param {string} success - Message shown when it succeeds
+ * @return {Promise<void>}
+ */
+async function updateVault(action, success) {
+  try {
+    showVault(await action(), success);
+  } catch (error) {
+    domUtils.getById('vault-status').textContent = error.message;
+  }
+}
+
+/**
+ * Wire the credential vault controls
+ */
+function setUpVault() {
+  const unlockPassphrase = domUtils.getById('vault-unlock-passphrase');
+  const current = domUtils.getById('vault-current');
+  const next = domUtils.getById('vault-next');
+
+  domUtils.getById('vault-unlock').addEventListener('submit', (event) => {
+    event.preventDefault();
+    updateVault(() => rpc.vault.unlock({ passphrase: unlockPassphrase.value }), 'Vault unlocked.');
+    unlockPassphrase.value = '';
+  });
+
+  domUtils.getById('vault-lock').addEventListener('click', () => {
+    updateVault(() => rpc.vault.lock(), 'Vault locked.');
+  });
+
+  domUtils.getById('vault-passphrase').addEventListener('submit', (event) => {
+    event.preventDefault();
+    updateVault(() => rpc.vault.setPassphrase({ current: current.value, next: next.value }), 'Passphrase saved.');
+    current.value = '';
+    next.value = '';
+  });
+
+  domUtils.getById('vault-remove').addEventListener('click', () => {
+    updateVault(() => rpc.vault.setPassphrase({ current: current.value }), 'Passphrase removed.');
+    current.value = '';
+  });
+
+  updateVault(() => rpc.vault.status());
+}
+
+/**
+ * Describe a job schedule
+ * @param {Object} schedule - Schedule from `scheduler.listJobs`
+ * @return {string} Description
+ */
+function describeSchedule(schedule) {
+  switch (schedule.type) {
+    case 'once':
+      return 'Once';
+    case 'interval':
+      return schedule.periodInMinutes >= 60 ?
+        `Every ${schedule.periodInMinutes / 60} h` :
+        `Every ${schedule.periodInMinutes} min`;
+    case 'cron':
+      return `Cron "${schedule.expression}"`;
+    default:
+      return schedule.type;
+  }
+}
+
+/**
+ * Render the scheduled jobs
+ * @return {Promise<void>}
+ */
+async function renderJobs() {
+  const status = domUtils.getById('jobs-status');
+  const rows = domUtils.getById('job-rows');
+
+  try {
+    const { jobs } = await rpc.scheduler.listJobs();
+    domUtils.empty(rows);
+    domUtils.getById('jobs').hidden = jobs.length === 0;
+    status.textContent = jobs.length === 0 ? 'No jobs are scheduled.' : '';
+
+    for (const job of jobs) {
+      const lastRun = job.lastRun ? new Date(job.lastRun).toLocaleString() : 'Never';
+
+      rows.appendChild(domUtils.create('tr', { class: ['job', job.lastError && 'failed'] }, [
+        domUtils.create('td', { text: `${job.owner} / ${job.name}` }),
+        domUtils.create('td', { text: describeSchedule(job.schedule) }),
+        domUtils.create('td', {
+          text: new Date(job.nextRun).toLocaleString() + (job.hasHandler ? '' : ' (owner not running)')
+        }),
+        domUtils.create('td', {
+          text: job.lastError ? `${lastRun}: ${job.lastError}` : `${lastRun} (${job.runCount} runs)`
+        })
+      ]));
+    }
+  } catch (error) {
+    status.textContent = `Could not load scheduled jobs: ${error.message}`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  render().catch((error) => {
+    console.error('Failed to load feature settings:', error);
+    domUtils.getById('options-status').textContent = `Could not load settings: ${error.message}`;
+  });
+
+  setUpVault();
+
+  domUtils.getById('jobs-refresh').addEventListener('click', renderJobs);
+  renderJobs();
+});
@@ -0,0 +1,542 @@
+/**
+ * All-in-One Browser Helper
+ * Popup
+ *
+ * Shows the features of the active tab's site and lets the user force them on
+ * or off there. Rules are stored and applied by the background (see site-rule-manager.js).
+ * Below, a feature's settings can be edited in a form built from its settings schema.
+ * At the top, the user switches between saved feature profiles or saves the current setup as one.
+ * Plugins other extensions registered wait here for the user's approval, and
+ * features that keep failing are listed with a way to retry them.
+ * Features missing permissions say why they need them; one click asks for all
+ * of them, as Chrome only shows permission prompts for a user gesture.
+ */
+
+import domUtils from '../utils/dom-utils.js';
+import rpcUtils from '../utils/rpc-utils.js';
+import uiUtils from '../utils/ui-utils.js';
+
+/**
+ * Site states offered for each feature, keyed by select value
+ */
+const SITE_STATES = {
+  default: { label: 'Default', enabled: null },
+  on: { label: 'On', enabled: true },
+  off: { label: 'Off', enabled: false }
+};
+
+/**
+ * Background routes (see rpc-utils.js)
+ */
+const rpc = rpcUtils.client.create();
+
+/**
+ * Show a status message
+ * @param {string} text - Message, or an empty string to clear it
+ * @param {boolean} [isError=false] - Whether the message reports a failure
+ */
+function setStatus(text, isError = false) {
+  const status = domUtils.getById('site-status');
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Get the select value describing a feature's rule
+ * @param {Object} feature - Feature state from `sites.getSiteState`
+ * @return {string} Key of SITE_STATES
+ */
+function getStateKey(feature) {
+  if (!feature.rule || typeof feature.rule.enabled !== 'boolean') return 'default';
+  return feature.rule.enabled ? 'on' : 'off';
+}
+
+/**
+ * Render the feature list
+ * @param {Object} state - Site state from the background
+ * @param {string} url - Active tab URL
+ */
+function renderFeatures(state, url) {
+  const list = domUtils.getById('site-features');
+  domUtils.empty(list);
+
+  for (const feature of state.features) {
+    const key = getStateKey(feature);
+    const globalLabel = `Default (${feature.enabled ? 'on' : 'off'})`;
+
+    const select = domUtils.create('select', {
+      'aria-label': `${feature.name} on ${state.pattern}`,
+      events: {
+        change: event => updateRule(state.pattern, feature.id, event.target.value, url)
+      }
+    }, Object.entries(SITE_STATES).map(([value, { label }]) => domUtils.create('option', {
+      value,
+      text: value === 'default' ? globalLabel : label,
+      ...(value === key ? { selected: 'selected' } : {})
+    })));
+
+    list.appendChild(domUtils.create('li', {
+      class: ['site-feature', key !== 'default' && 'overridden']
+    }, [
+      domUtils.create('span', { class: 'feature-name', text: feature.name }),
+      select
+    ]));
+  }
+}
+
+/**
+ * Save a feature's rule for the site and refresh the list
+ * @param {string} pattern - Site pattern
+ * @param {string} featureId - Feature ID
+ * @param {string} key - Key of SITE_STATES
+ * @param {string} url - Active tab URL
+ * @return {Promise<void>}
+ */
+async function updateRule(pattern, featureId, key, url) {
+  try {
+    await rpc.sites.setRule({
+      pattern,
+      featureId,
+      rule: { enabled: SITE_STATES[key].enabled }
+    });
+
+    setStatus('');
+    await render(url);
+  } catch (error) {
+    setStatus(`Could not save the rule: ${error.message}`, true);
+  }
+}
+
+/**
+ * Render the panel for a URL
+ * @param {string} url - Active tab URL
+ * @return {Promise<void>}
+ */
+async function render(url) {
+  const state = await rpc.sites.getSiteState({ url });
+
+  if (!state.pattern) {
+    domUtils.getById('site-pattern').textContent = '';
+    setStatus('Site rules are only available on web pages.');
+    return;
+  }
+
+  domUtils.getById('site-pattern').textContent = state.pattern;
+  renderFeatures(state, url);
+}
+
+/**
+ * Show the settings form of a feature
+ * @param {Object} feature - Feature from `features.list`
+ */
+function renderSettings(feature) {
+  const container = domUtils.getById('settings-form');
+  const status = domUtils.getById('settings-status');
+  domUtils.empty(container);
+  status.textContent = '';
+
+  if (Object.keys(feature.settingsSchema).length === 0) {
+    status.textContent = `${feature.name} has no settings.`;
+    return;
+  }
+
+  const form = uiUtils.forms.createSettingsForm(feature.settingsSchema, feature.settings, {
+    idPrefix: feature.id,
+    onSubmit: async (settings) => {
+      try {
+        const response = await rpc.features.updateSettings({
+          featureId: feature.id,
+          settings
+        });
+        feature.settings = response.settings;
+        status.textContent = 'Settings saved.';
+      } catch (error) {
+        uiUtils.forms.showErrors(form, error.errors);
+        status.textContent = error.errors ? '' : `Could not save settings: ${error.message}`;
+      }
+    },
+    onReset: async () => {
+      try {
+        const response = await rpc.features.resetSettings({ featureId: feature.id });
+        feature.settings = response.settings;
+        renderSettings(feature);
+        domUtils.getById('settings-status').textContent = 'Defaults restored.';
+      } catch (error) {
+        status.textContent = `Could not reset settings: ${error.message}`;
+      }
+    }
+  });
+
+  container.appendChild(form);
+}
+
+/**
+ * Fill the feature picker of the settings panel
+ * @return {Promise<void>}
+ */
+async function renderSettingsPanel() {
+  const { features } = await rpc.features.list();
+  const picker = domUtils.getById('settings-feature');
+
+  for (const feature of features) {
+    picker.appendChild(domUtils.create('option', { value: feature.id, text: feature.name }));
+  }
+
+  picker.addEventListener('change', () => {
+    renderSettings(features.find(feature => feature.id === picker.value));
+  });
+
+  if (features.length > 0) {
+    renderSettings(features[0]);
+  }
+}
+
+/**
+ * Show a profile status message
+ * @param {string} text - Message, or an empty string to clear it
+ * @param {boolean} [isError=false] - Whether the message reports a failure
+ */
+function setProfileStatus(text, isError = false) {
+  const status = domUtils.getById('profile-status');
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Fill the profile picker
+ * @return {Promise<void>}
+ */
+async function renderProfiles() {
+  const { profiles, active } = await rpc.features.getProfiles();
+  const picker = domUtils.getById('profile-select');
+  const activeKey = active ? active.toLowerCase() : '';
+  domUtils.empty(picker);
+
+  picker.appendChild(domUtils.create('option', {
+    value: '',
+    disabled: 'disabled',
+    text: profiles.length > 0 ? 'No profile' : 'No saved profiles',
+    ...(activeKey ? {} : { selected: 'selected' })
+  }));
+
+  for (const profile of profiles) {
+    picker.appendChild(domUtils.create('option', {
+      value: profile.name,
+      text: profile.name,
+      ...(profile.name.toLowerCase() === activeKey ? { selected: 'selected' } : {})
+    }));
+  }
+
+  picker.disabled = profiles.length === 0;
+}
+
+/**
+ * Set up the profile panel
+ * @param {string} url - Active tab URL, to refresh the site panel after a switch
+ * @return {Promise<void>}
+ */
+async function renderProfilePanel(url) {
+  const picker = domUtils.getById('profile-select');
+  const form = domUtils.getById('profile-save');
+  const nameInput = domUtils.getById('profile-name');
+
+  picker.addEventListener('change', async () => {
+    try {
+      const { profile } = await rpc.features.switchProfile({ name: picker.value });
+      setProfileStatus(`Switched to ${profile.name}.`);
+      await render(url);
+    } catch (error) {
+      setProfileStatus(`Could not switch profile: ${error.message}`, true);
+      await renderProfiles();
+    }
+  });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    try {
+      const { profile } = await rpc.features.saveProfile({
+        name: nameInput.value,
+        profile: { features: await getEnabledFeatureIds() }
+      });
+      nameInput.value = '';
+      setProfileStatus(`Saved ${profile.name} with ${profile.features.length} feature(s).`);
+      await renderProfiles();
+    } catch (error) {
+      setProfileStatus(`Could not save profile: ${error.message}`, true);
+    }
+  });
+
+  await renderProfiles();
+}
+
+/**
+ * Get the features that are on right now
+ * @return {Promise<string[]>} Feature IDs
+ */
+async function getEnabledFeatureIds() {
+  const { features } = await rpc.features.list();
+  return features.filter(feature => feature.enabled).map(feature => feature.id);
+}
+
+/**
+ * Health badges, keyed by status
+ */
+const HEALTH_BADGES = {
+  failing: health => `Failing (${health.failures}/${health.budget})`,
+  quarantined: () => 'Quarantined'
+};
+
+/**
+ * Render the features that are failing or quarantined; the panel is hidden when all are healthy
+ * @return {Promise<void>}
+ */
+async function renderHealth() {
+  const { features } = await rpc.features.getHealth();
+  const list = domUtils.getById('health-features');
+  domUtils.empty(list);
+  domUtils.getById('health-panel').hidden = features.length === 0;
+
+  for (const health of features) {
+    const error = health.lastError;
+
+    list.appendChild(domUtils.create('li', { class: ['health-feature', health.status] }, [
+      domUtils.create('span', { class: 'feature-name', text: health.name }),
+      domUtils.create('span', { class: 'health-badge', text: HEALTH_BADGES[health.status](health) }),
+      error && domUtils.create('p', { class: 'health-error', text: `${error.phase}: ${error.message}` }),
+      domUtils.create('div', { class: 'health-actions' }, [
+        domUtils.create('button', {
+          type: 'button',
+          text: 'Retry',
+          events: { click: () => retryFeature(health, false) }
+        }),
+        domUtils.create('button', {
+          type: 'button',
+          text: 'Reset settings',
+          events: { click: () => retryFeature(health, true) }
+        })
+      ])
+    ].filter(Boolean)));
+  }
+}
+
+/**
+ * Retry a failing feature and refresh the list
+ * @param {Object} health - Feature health from `getHealth`
+ * @param {boolean} resetSettings - Restore the feature's default settings first
+ * @return {Promise<void>}
+ */
+async function retryFeature(health, resetSettings) {
+  const status = domUtils.getById('health-status');
+
+  try {
+    const response = await rpc.features.retry({ featureId: health.featureId, resetSettings });
+    status.textContent = response.health.status === 'ok' ?
+      `${health.name} is working again.` :
+      `${health.name} failed again.`;
+    await renderHealth();
+  } catch (error) {
+    status.textContent = `Could not retry ${health.name}: ${error.message}`;
+  }
+}
+
+/**
+ * Features to ask permissions for, from the `grant` query parameter: the
+ * palette opens the popup in a window this way (see permission-broker.js)
+ */
+const GRANT_FEATURE_IDS = (new URLSearchParams(location.search).get('grant') || '')
+  .split(',')
+  .filter(Boolean);
+
+/**
+ * Permissions asked for by the Allow button, merged from every listed feature
+ * Kept ready so the request runs straight from the click.
+ * @type {{permissions: string[], origins: string[]}|null}
+ */
+let missingPermissions = null;
+
+/**
+ * Render the enabled features that miss permissions, with why they need them;
+ * the panel is hidden when nothing is missing
+ * @return {Promise<void>}
+ */
+async function renderPermissions() {
+  const featureIds = GRANT_FEATURE_IDS.length > 0 ? GRANT_FEATURE_IDS : await getEnabledFeatureIds();
+  const { features, missing } = await rpc.permissions.describe({ featureIds });
+  const list = domUtils.getById('permission-features');
+  domUtils.empty(list);
+
+  const lacking = features.filter(feature =>
+    [...feature.required, ...feature.optional].some(need => !need.granted));
+  domUtils.getById('permission-panel').hidden = lacking.length === 0;
+  missingPermissions = missing;
+
+  for (const feature of lacking) {
+    const needs = [
+      ...feature.required.filter(need => !need.granted),
+      ...feature.optional.filter(need => !need.granted).map(need => ({ ...need, optional: true }))
+    ];
+
+    list.appendChild(domUtils.create('li', { class: 'permission-feature' }, [
+      domUtils.create('span', { class: 'feature-name', text: feature.name }),
+      domUtils.create('ul', { class: 'permission-needs' }, needs.map(need => domUtils.create('li', {
+        class: ['permission-need', need.optional && 'optional'],
+        title: need.name,
+        text: need.reason
+      })))
+    ]));
+  }
+}
+
+/**
+ * Ask for every missing permission in one prompt
+ * Must be called from the click itself: Chrome ignores requests without a user gesture.
+ * The background activates the features the permissions were holding back.
+ * @return {Promise<void>}
+ */
+async function allowPermissions() {
+  const status = domUtils.getById('permission-status');
+
+  try {
+    if (!await chrome.permissions.request(missingPermissions)) {
+      status.textContent = 'Features stay limited until you allow these permissions.';
+      return;
+    }
+
+    // Opened for the palette: nothing left to do here
+    if (GRANT_FEATURE_IDS.length > 0) {
+      window.close();
+      return;
+    }
+
+    status.textContent = '';
+    await renderPermissions();
+  } catch (error) {
+    status.textContent = `Could not ask for permissions: ${error.message}`;
+  }
+}
+
+/**
+ * Plugin states shown next to the name, keyed by status
+ */
+const PLUGIN_STATES = {
+  pending: 'Waiting for approval',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+/**
+ * Buttons offered for each plugin status: `plugins` route and label
+ */
+const PLUGIN_ACTIONS = {
+  pending: [['approve', 'Approve'], ['reject', 'Reject']],
+  approved: [['remove', 'Remove']],
+  rejected: [['remove', 'Forget']]
+};
+
+/**
+ * Render the plugin list; the panel stays hidden until a plugin registers
+ * @return {Promise<void>}
+ */
+async function renderPlugins() {
+  const { plugins } = await rpc.plugins.list();
+  const list = domUtils.getById('plugins');
+  domUtils.empty(list);
+  domUtils.getById('plugin-panel').hidden = plugins.length === 0;
+
+  for (const plugin of plugins) {
+    // Spell out what a pending plugin asks for, so the user knows what they approve
+    const details = plugin.status === 'pending' ?
+      [...plugin.features.map(name => `Adds ${name}`), ...plugin.permissions] :
+      plugin.features;
+
+    list.appendChild(domUtils.create('li', { class: ['plugin', plugin.status] }, [
+      domUtils.create('span', { class: 'plugin-name', text: plugin.name }),
+      domUtils.create('span', { class: 'plugin-state', text: PLUGIN_STATES[plugin.status] }),
+      domUtils.create('ul', { class: 'plugin-details' },
+        details.map(text => domUtils.create('li', { text }))),
+      domUtils.create('div', { class: 'plugin-actions' },
+        PLUGIN_ACTIONS[plugin.status].map(([action, label]) => domUtils.create('button', {
+          type: 'button',
+          text: label,
+          events: { click: () => updatePlugin(plugin, action) }
+        })))
+    ]));
+  }
+}
+
+/**
+ * Approve, reject or remove a plugin and refresh the list
+ * @param {Object} plugin - Plugin from `plugins.list`
+ * @param {string} action - 'approve', 'reject' or 'remove'
+ * @return {Promise<void>}
+ */
+async function updatePlugin(plugin, action) {
+  const status = domUtils.getById('plugin-status');
+
+  try {
+    await rpc.plugins[action]({ pluginId: plugin.id });
+    status.textContent = '';
+    await renderPlugins();
+  } catch (error) {
+    status.textContent = `Could not update ${plugin.name}: ${error.message}`;
+  }
+}
+
+/**
+ * Initialize the popup
+ * @return {Promise<void>}
+ */
+async function initialize() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  domUtils.getById('open-options').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+
+  domUtils.getById('permission-allow').addEventListener('click', allowPermissions);
+
+  const url = tab ? tab.url || '' : '';
+
+  try {
+    await renderPermissions();
+  } catch (error) {
+    console.error('Failed to load permissions:', error);
+  }
+
+  try {
+    await renderHealth();
+  } catch (error) {
+    console.error('Failed to load feature health:', error);
+  }
+
+  try {
+    await renderProfilePanel(url);
+  } catch (error) {
+    console.error('Failed to load profiles:', error);
+    setProfileStatus(`Could not load profiles: ${error.message}`, true);
+  }
+
+  try {
+    await render(url);
+  } catch (error) {
+    console.error('Failed to load site rules:', error);
+    setStatus(`Could not load site rules: ${error.message}`, true);
+  }
+
+  try {
+    await renderPlugins();
+  } catch (error) {
+    console.error('Failed to load plugins:', error);
+  }
+
+  try {
+    await renderSettingsPanel();
+  } catch (error) {
+    console.error('Failed to load feature settings:', error);
+    domUtils.getById('settings-status').textContent = `Could not load settings: ${error.message}`;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', initialize);
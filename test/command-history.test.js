@@ -0,0 +1,101 @@
+import './helpers/chrome.js';
+import { afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpBackground } from './helpers/background.js';
+import commandHistory from '../background/command-history.js';
+import storageManager from '../background/storage-manager.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 5, 1);
+
+const TRANSLATE = { featureId: 'translator', action: 'translate', params: { to: 'fr', scope: 'page' } };
+
+before(setUpBackground);
+
+afterEach(() => commandHistory.clear());
+
+describe('frecency', () => {
+  it('weighs runs by how recent they are', () => {
+    assert.equal(commandHistory.frecency({ count: 1, visits: [NOW - DAY] }, NOW), 100);
+    assert.equal(commandHistory.frecency({ count: 1, visits: [NOW - 10 * DAY] }, NOW), 70);
+    assert.equal(commandHistory.frecency({ count: 1, visits: [NOW - 400 * DAY] }, NOW), 10);
+  });
+
+  it('extrapolates the sampled visits to every run', () => {
+    const entry = { count: 4, visits: [NOW - DAY, NOW - 20 * DAY] };
+    assert.equal(commandHistory.frecency(entry, NOW), 4 * (100 + 50) / 2);
+  });
+
+  it('scores entries without visits as zero', () => {
+    assert.equal(commandHistory.frecency({ count: 3, visits: [] }, NOW), 0);
+    assert.equal(commandHistory.frecency({ count: 3 }, NOW), 0);
+  });
+
+  it('ranks a command used often recently above one used more long ago', () => {
+    const recent = { count: 3, visits: [NOW - DAY, NOW - 2 * DAY, NOW - 3 * DAY] };
+    const old = { count: 5, visits: [NOW - 100 * DAY, NOW - 120 * DAY, NOW - 150 * DAY] };
+    assert.ok(commandHistory.frecency(recent, NOW) > commandHistory.frecency(old, NOW));
+  });
+});
+
+describe('record', () => {
+  it('counts the same intent once, whatever its params order or wording', async () => {
+    const url = 'https://example.com/a';
+    await commandHistory.record({ text: 'translate page to French', intent: TRANSLATE }, url);
+    const entry = await commandHistory.record({
+      text: 'translate to fr',
+      intent: { ...TRANSLATE, params: { scope: 'page', to: 'fr' } }
+    }, url);
+
+    assert.equal(entry.count, 2);
+    assert.equal(entry.text, 'translate to fr');
+    assert.equal(entry.visits.length, 2);
+    assert.equal((await commandHistory.getSuggestions(url)).length, 1);
+  });
+
+  it('tells pipelines apart by their normalized text', async () => {
+    await commandHistory.record({ text: 'summarize page | copy' });
+    const entry = await commandHistory.record({ text: '  Summarize   PAGE | copy ' });
+    await commandHistory.record({ text: 'summarize page | speak' });
+
+    assert.equal(entry.count, 2);
+    assert.equal((await commandHistory.getSuggestions()).length, 2);
+  });
+
+  it('remembers nothing when history is off', async () => {
+    storageManager.settings.privacy.saveHistory = false;
+    try {
+      assert.equal(await commandHistory.record({ text: 'summarize page' }), null);
+      assert.deepEqual(await commandHistory.getSuggestions(), []);
+    } finally {
+      storageManager.settings.privacy.saveHistory = true;
+    }
+  });
+});
+
+describe('getSuggestions', () => {
+  it('lists a command used on several domains once, with its best score', async () => {
+    await commandHistory.record({ text: 'translate to fr', intent: TRANSLATE }, 'https://other.org/');
+    await commandHistory.record({ text: 'translate to fr', intent: TRANSLATE }, 'https://other.org/');
+    await commandHistory.record({ text: 'translate to fr', intent: TRANSLATE }, 'https://example.com/');
+    await commandHistory.record({ text: 'summarize page' }, 'https://other.org/');
+
+    const suggestions = await commandHistory.getSuggestions('https://example.com/x');
+
+    assert.deepEqual(suggestions.map(entry => entry.text), ['translate to fr', 'summarize page']);
+    assert.equal(suggestions[0].domain, 'example.com');
+    assert.equal(suggestions[0].score, 100);
+    assert.equal(suggestions[1].score, 25);
+  });
+
+  it('keeps the other domain\'s entry when it outranks the current one', async () => {
+    for (let run = 0; run < 5; run++) {
+      await commandHistory.record({ text: 'translate to fr', intent: TRANSLATE }, 'https://other.org/');
+    }
+    await commandHistory.record({ text: 'translate to fr', intent: TRANSLATE }, 'https://example.com/');
+
+    const [suggestion] = await commandHistory.getSuggestions('https://example.com/');
+    assert.equal(suggestion.domain, 'other.org');
+    assert.equal(suggestion.score, 125);
+  });
+});
@@ -0,0 +1,152 @@
+import './helpers/chrome.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpBackground } from './helpers/background.js';
+import commandProcessor from '../background/command-processor.js';
+import macroManager from '../background/macro-manager.js';
+
+before(async () => {
+  await setUpBackground();
+  await commandProcessor.loadGrammars();
+});
+
+describe('parse', () => {
+  it('matches a feature command and extracts its parameters', () => {
+    const intent = commandProcessor.parse('translate this page to French');
+
+    assert.equal(intent.featureId, 'translator');
+    assert.equal(intent.action, 'translate');
+    assert.deepEqual(intent.params, { targetLanguage: 'fr', scope: 'page' });
+    assert.deepEqual(intent.missing, []);
+    assert.equal(intent.locale, 'en');
+  });
+
+  it('takes quoted text as the free-text parameter', () => {
+    const intent = commandProcessor.parse('define "ephemeral"');
+
+    assert.equal(intent.action, 'define');
+    assert.equal(intent.params.word, 'ephemeral');
+  });
+
+  it('reports required parameters it could not extract', () => {
+    const intent = commandProcessor.parse('translate');
+
+    assert.equal(intent.action, 'translate');
+    assert.deepEqual(intent.missing, ['targetLanguage']);
+  });
+
+  it('matches verb-less phrasings by pattern', () => {
+    const intent = commandProcessor.parse('20 usd in eur');
+
+    assert.equal(intent.action, 'convert-currency');
+    assert.deepEqual(intent.params, { amount: 20, from: 'USD', to: 'EUR' });
+  });
+
+  it('falls back to the other grammars', () => {
+    const intent = commandProcessor.parse('traduire la page en anglais');
+
+    assert.equal(intent.action, 'translate');
+    assert.equal(intent.locale, 'fr');
+    assert.deepEqual(intent.params, { targetLanguage: 'en', scope: 'page' });
+  });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(commandProcessor.parse('hello world'), null);
+    assert.equal(commandProcessor.parse('   '), null);
+  });
+});
+
+describe('rank', () => {
+  it('orders candidates by confidence and honours the limit', () => {
+    const intents = commandProcessor.rank('convert 20 usd to eur', { limit: 2 });
+
+    assert.equal(intents.length, 2);
+    assert.equal(intents[0].action, 'convert-currency');
+    assert.ok(intents[0].confidence >= intents[1].confidence);
+  });
+
+  it('prefers palette commands whose verb leads, whatever the command order', t => {
+    const getCommands = commandProcessor.getCommands.bind(commandProcessor);
+    t.mock.method(commandProcessor, 'getCommands', () => getCommands().reverse());
+
+    assert.equal(commandProcessor.parse('unalias word count').action, 'remove-alias');
+    assert.equal(commandProcessor.parse('run macro exchange rate').action, 'run-macro');
+    assert.equal(commandProcessor.parse('count words').featureId, 'word-counter');
+  });
+
+  it('keeps scores out of the intents', () => {
+    for (const intent of commandProcessor.rank('summarize page brief')) {
+      assert.equal(intent.score, undefined);
+      assert.ok(intent.confidence > 0 && intent.confidence <= 1);
+    }
+  });
+});
+
+describe('pipelines', () => {
+  it('splits on each separator', () => {
+    const { stages } = commandProcessor.parsePipeline('summarize page then translate to Spanish | copy');
+
+    assert.deepEqual(stages.map(stage => stage.action), ['summarize', 'translate', 'copy']);
+    assert.equal(stages[1].params.targetLanguage, 'es');
+  });
+
+  it('ignores separators inside quotes', () => {
+    assert.equal(commandProcessor.isPipeline('define "this then that"'), false);
+    assert.equal(commandProcessor.isPipeline('summarize then copy'), true);
+
+    const { stages } = commandProcessor.parsePipeline('define "a | b" and then copy');
+    assert.equal(stages[0].params.word, 'a | b');
+    assert.equal(stages[1].action, 'copy');
+  });
+
+  it('reports the stage that failed to parse', () => {
+    assert.throws(
+      () => commandProcessor.parsePipeline('summarize then blargh'),
+      error => error.name === 'PipelineError' && error.stageIndex === 1 && /Stage 2 of 2/.test(error.message)
+    );
+  });
+});
+
+describe('aliases', () => {
+  for (const [text, name, expansion] of [
+    ['alias shout = convert to upper case', 'shout', 'convert to upper case'],
+    ['alias tldr = summarize page brief bullets', 'tldr', 'summarize page brief bullets']
+  ]) {
+    it(`defines "${name}" whatever its expansion matches`, async () => {
+      const [intent] = commandProcessor.rank(text);
+      assert.equal(intent.featureId, 'palette');
+      assert.equal(intent.action, 'set-alias');
+
+      const response = await commandProcessor.run({ text });
+      assert.equal(response.success, true, response.error);
+      assert.equal(macroManager.getAliases()[name], expansion);
+      assert.equal(commandProcessor.expandAliases(name), expansion);
+    });
+  }
+
+  it("doesn't split the expansion into a pipeline", async () => {
+    assert.equal(commandProcessor.isPipeline('alias digest = summarize page then copy'), false);
+
+    const response = await commandProcessor.run({ text: 'alias digest = summarize page then copy' });
+    assert.equal(response.success, true, response.error);
+    assert.equal(commandProcessor.isPipeline('digest'), true);
+  });
+});
+
+describe('timer', () => {
+  it('asks for the duration when it is missing', () => {
+    const intent = commandProcessor.parse('set timer');
+
+    assert.equal(intent.featureId, 'pomodoro');
+    assert.equal(intent.action, 'start');
+    assert.deepEqual(intent.missing, ['duration']);
+    assert.equal(commandProcessor.describeSlot(intent, 'duration').prompt, 'How long should the timer run?');
+  });
+
+  it('takes the duration from the text', () => {
+    const intent = commandProcessor.parse('set timer 25 minutes');
+
+    assert.equal(intent.action, 'start');
+    assert.deepEqual(intent.params, { duration: 1500000 });
+  });
+});
@@ -0,0 +1,107 @@
+import './helpers/chrome.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpBackground } from './helpers/background.js';
+import credentialVault from '../background/credential-vault.js';
+
+const PASSPHRASE = 'correct horse battery';
+
+/**
+ * Forget the vault's in-memory state, as a new service worker would
+ * @return {Promise<void>}
+ */
+async function restartWorker() {
+  Object.assign(credentialVault, { initialized: false, record: null, key: null, secrets: null });
+  await credentialVault.initialize();
+}
+
+/**
+ * Match a VaultError by code
+ * @param {string} code - Expected code
+ * @return {function(Error): boolean} Assertion
+ */
+function vaultError(code) {
+  return error => error.name === 'VaultError' && error.code === code;
+}
+
+before(async () => {
+  await setUpBackground();
+  await credentialVault.initialize();
+});
+
+describe('credential vault', () => {
+  it('starts unprotected and never stores secrets in clear', async () => {
+    await credentialVault.setSecret('openai', 'sk-secret-key');
+
+    assert.equal(credentialVault.isProtected(), false);
+    assert.equal(await credentialVault.getSecret('openai'), 'sk-secret-key');
+    assert.doesNotMatch(JSON.stringify(chrome.storage.local.store), /sk-secret-key/);
+    assert.equal(await credentialVault.lock(), false);
+  });
+
+  it('refuses short passphrases', async () => {
+    await assert.rejects(credentialVault.setPassphrase(null, 'short'), vaultError('invalid'));
+    assert.equal(credentialVault.isProtected(), false);
+  });
+
+  it('locks once protected and stays locked after a wrong passphrase', async () => {
+    await credentialVault.setPassphrase(null, PASSPHRASE);
+    assert.equal(credentialVault.isProtected(), true);
+    assert.ok(chrome.alarms.store.has('vault-lock'));
+
+    assert.equal(await credentialVault.lock(), true);
+    assert.equal(credentialVault.hasSecret('openai'), true);
+    await assert.rejects(credentialVault.getSecret('openai'), vaultError('locked'));
+
+    await assert.rejects(credentialVault.unlock('wrong passphrase'), vaultError('wrong-passphrase'));
+    assert.equal(credentialVault.isLocked(), true);
+
+    await credentialVault.unlock(PASSPHRASE);
+    assert.equal(await credentialVault.getSecret('openai'), 'sk-secret-key');
+  });
+
+  it('keeps the unlocked key across worker restarts until it locks', async () => {
+    await restartWorker();
+    assert.equal(credentialVault.isLocked(), false);
+
+    await credentialVault.handleAlarm({ name: 'vault-lock' });
+    assert.equal(credentialVault.isLocked(), true);
+
+    await restartWorker();
+    assert.equal(credentialVault.isLocked(), true);
+    await credentialVault.unlock(PASSPHRASE);
+  });
+
+  it('asks for the current passphrase to change it', async () => {
+    await assert.rejects(
+      credentialVault.setPassphrase('wrong passphrase', 'another passphrase'),
+      vaultError('wrong-passphrase')
+    );
+
+    await credentialVault.lock();
+    await assert.rejects(credentialVault.unlock('another passphrase'), vaultError('wrong-passphrase'));
+    await credentialVault.unlock(PASSPHRASE);
+  });
+
+  it('imports exported secrets only with their passphrase', async () => {
+    const exported = await credentialVault.exportSecrets('backup passphrase');
+    await credentialVault.removeSecret('openai');
+
+    await assert.rejects(credentialVault.importSecrets(exported, 'wrong passphrase'), vaultError('wrong-passphrase'));
+    await assert.rejects(credentialVault.importSecrets({ salt: 'x' }, 'backup passphrase'), vaultError('invalid'));
+    assert.equal(credentialVault.hasSecret('openai'), false);
+
+    assert.deepEqual(await credentialVault.importSecrets(exported, 'backup passphrase'), ['openai']);
+    assert.equal(await credentialVault.getSecret('openai'), 'sk-secret-key');
+  });
+
+  it('removes the passphrase', async () => {
+    await credentialVault.setPassphrase(PASSPHRASE, null);
+
+    assert.equal(credentialVault.isProtected(), false);
+    assert.equal(chrome.alarms.store.has('vault-lock'), false);
+
+    await restartWorker();
+    assert.equal(await credentialVault.getSecret('openai'), 'sk-secret-key');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import eventBus from '../background/event-bus.js';
+
+describe('event bus', () => {
+  it('rejects unknown events', async () => {
+    assert.throws(() => eventBus.on('storage:redy', () => {}), /Unknown event "storage:redy"/);
+    await assert.rejects(eventBus.emit('vault:unlock'), /Unknown event "vault:unlock"/);
+  });
+
+  it('passes the payload to every listener', async () => {
+    const received = [];
+    const offFirst = eventBus.on('background:restore', payload => received.push(['first', payload]));
+    const offSecond = eventBus.on('background:restore', async (payload) => {
+      await Promise.resolve();
+      received.push(['second', payload]);
+    });
+
+    await eventBus.emit('background:restore', { restartCount: 2 });
+    offFirst();
+    offSecond();
+
+    assert.deepEqual(received, [['first', { restartCount: 2 }], ['second', { restartCount: 2 }]]);
+  });
+
+  it('resolves once with the next payload only', async () => {
+    const next = eventBus.once('vault:locked');
+
+    await eventBus.emit('vault:locked', 'first');
+    await eventBus.emit('vault:locked', 'second');
+
+    assert.equal(await next, 'first');
+    assert.equal(eventBus.listeners.get('vault:locked').size, 0);
+  });
+
+  it('stops calling a listener after off', async () => {
+    let calls = 0;
+    const listener = () => calls++;
+    eventBus.on('vault:unlocked', listener);
+
+    await eventBus.emit('vault:unlocked');
+    eventBus.off('vault:unlocked', listener);
+    await eventBus.emit('vault:unlocked');
+
+    assert.equal(calls, 1);
+  });
+
+  it('keeps calling the other listeners when one fails', async (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    let called = false;
+    const offFailing = eventBus.on('vault:unlocked', () => {
+      throw new Error('listener failed');
+    });
+    const offOther = eventBus.on('vault:unlocked', () => {
+      called = true;
+    });
+
+    await eventBus.emit('vault:unlocked');
+    offFailing();
+    offOther();
+
+    assert.equal(called, true);
+    assert.equal(logged.mock.callCount(), 1);
+    assert.match(logged.mock.calls[0].arguments[1].message, /listener failed/);
+  });
+});
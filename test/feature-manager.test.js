@@ -0,0 +1,262 @@
+import './helpers/chrome.js';
+import { afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpBackground } from './helpers/background.js';
+import featureManager from '../background/feature-manager.js';
+import storageManager from '../background/storage-manager.js';
+
+const registered = [];
+
+/**
+ * Register a feature for one test
+ * @param {string} id - Feature ID
+ * @param {Object} [fields] - Definition fields
+ * @return {boolean} Whether it was registered
+ */
+function register(id, fields = {}) {
+  const success = featureManager.registerFeature({ id, name: id, category: 'utilities', ...fields });
+  if (success) registered.push(id);
+  return success;
+}
+
+before(setUpBackground);
+
+afterEach(async () => {
+  for (const id of registered.splice(0).reverse()) {
+    await featureManager.deactivateFeature(id);
+    featureManager.unregisterFeature(id);
+  }
+});
+
+describe('dependencies', () => {
+  it('refuses features that would close a cycle', (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    register('cycle-a', { dependencies: ['cycle-b'] });
+    register('cycle-b', { dependencies: ['cycle-c'] });
+
+    assert.equal(register('cycle-c', { dependencies: ['cycle-a'] }), false);
+    assert.equal(register('cycle-self', { dependencies: ['cycle-self'] }), false);
+    assert.equal(featureManager.getFeature('cycle-c'), null);
+    assert.match(logged.mock.calls[0].arguments[0], /cycle-c → cycle-a → cycle-b → cycle-c/);
+  });
+
+  it('activates a shared dependency once, before everything that needs it', async () => {
+    const activated = [];
+    const onActivate = instance => activated.push(instance.id);
+    register('base', { onActivate });
+    register('left', { dependencies: ['base'], onActivate });
+    register('right', { dependencies: ['base'], onActivate });
+    register('top', { dependencies: ['left', 'right'], onActivate });
+
+    assert.deepEqual(featureManager.getActivationOrder('top'), ['base', 'left', 'right', 'top']);
+
+    await featureManager.activateFeature('top');
+    assert.deepEqual(activated, ['base', 'left', 'right', 'top']);
+  });
+
+  it('deactivates the features depending on one being deactivated', async () => {
+    register('base');
+    register('left', { dependencies: ['base'] });
+    register('top', { dependencies: ['left'] });
+    await featureManager.activateFeature('top');
+
+    await featureManager.deactivateFeature('base');
+    assert.equal(featureManager.isFeatureActive('left'), false);
+    assert.equal(featureManager.isFeatureActive('top'), false);
+  });
+
+  it('reports missing dependencies', async () => {
+    register('orphan', { dependencies: ['nowhere'] });
+
+    assert.throws(() => featureManager.getActivationOrder('orphan'),
+      /Dependency "nowhere" not found for feature "orphan"/);
+    await assert.rejects(featureManager.activateFeature('orphan'), /Dependency "nowhere" not found/);
+  });
+});
+
+describe('conflicts', () => {
+  it('refuses to activate next to a conflicting feature by default', async () => {
+    register('reader');
+    register('dimmer', { conflicts: ['reader'] });
+    await featureManager.activateFeature('reader');
+
+    await assert.rejects(featureManager.activateFeature('dimmer'), (error) => {
+      assert.equal(error.name, 'FeatureConflictError');
+      assert.equal(error.strategy, 'refuse');
+      assert.deepEqual(error.conflicts, ['reader']);
+      return true;
+    });
+    assert.equal(featureManager.isFeatureActive('reader'), true);
+    assert.equal(featureManager.isFeatureActive('dimmer'), false);
+  });
+
+  it('applies the strategy of whichever side declares the conflict', async () => {
+    register('reader', { conflicts: [{ id: 'dimmer', strategy: 'replace' }] });
+    register('dimmer');
+    await featureManager.activateFeature('reader');
+
+    assert.equal(featureManager.getConflictStrategy('dimmer', 'reader'), 'replace');
+    await featureManager.activateFeature('dimmer');
+    assert.equal(featureManager.isFeatureActive('reader'), false);
+    assert.equal(featureManager.isFeatureActive('dimmer'), true);
+  });
+
+  it('replaces the conflicting feature', async () => {
+    register('reader');
+    register('dimmer', { conflicts: [{ id: 'reader', strategy: 'replace' }] });
+    await featureManager.activateFeature('reader');
+
+    await featureManager.activateFeature('dimmer');
+    assert.equal(featureManager.isFeatureActive('reader'), false);
+    assert.equal(featureManager.isFeatureActive('dimmer'), true);
+  });
+
+  it('asks before replacing, and replaces once confirmed', async () => {
+    register('reader');
+    register('dimmer', { conflicts: [{ id: 'reader', strategy: 'ask' }] });
+    await featureManager.activateFeature('reader');
+
+    await assert.rejects(featureManager.activateFeature('dimmer'), { name: 'FeatureConflictError', strategy: 'ask' });
+    assert.equal(featureManager.isFeatureActive('reader'), true);
+
+    let asked = null;
+    await featureManager.activateFeature('dimmer', {
+      confirm: (feature, conflicts) => {
+        asked = [feature.id, conflicts.map(conflict => conflict.id)];
+        return true;
+      }
+    });
+    assert.deepEqual(asked, ['dimmer', ['reader']]);
+    assert.equal(featureManager.isFeatureActive('reader'), false);
+  });
+
+  it('lets the caller override the declared strategy', async () => {
+    register('reader');
+    register('dimmer', { conflicts: [{ id: 'reader', strategy: 'replace' }] });
+    await featureManager.activateFeature('reader');
+
+    await assert.rejects(featureManager.activateFeature('dimmer', { onConflict: 'refuse' }),
+      { name: 'FeatureConflictError' });
+    assert.equal(featureManager.isFeatureActive('reader'), true);
+  });
+
+  it('never replaces a feature the one being activated depends on', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    register('reader');
+    register('dimmer', { dependencies: ['reader'], conflicts: [{ id: 'reader', strategy: 'replace' }] });
+
+    const explanation = await featureManager.explainActivation('dimmer');
+    assert.equal(explanation.canActivate, false);
+    assert.match(explanation.blockers[0].message, /conflicts with "reader", which "dimmer" depends on/);
+    await assert.rejects(featureManager.activateFeature('dimmer'), { name: 'FeatureConflictError' });
+  });
+});
+
+describe('error budget', () => {
+  /**
+   * Register a feature whose activation fails while its mode setting is 'broken'
+   * @param {string} id - Feature ID
+   * @return {{attempts: number}} Activation attempts so far
+   */
+  function registerFlaky(id) {
+    const counter = { attempts: 0 };
+    register(id, {
+      defaultEnabled: true,
+      defaultSettings: { mode: 'safe' },
+      onActivate: (instance) => {
+        counter.attempts++;
+        if (instance.settings.mode === 'broken') throw new Error('bad mode');
+      }
+    });
+    return counter;
+  }
+
+  /**
+   * Fail a feature's activation a number of times
+   * @param {string} id - Feature ID
+   * @param {number} times - Number of failed activations
+   * @return {Promise<void>}
+   */
+  async function failActivation(id, times) {
+    for (let attempt = 0; attempt < times; attempt++) {
+      await assert.rejects(featureManager.activateFeature(id), /Failed to initialize feature/);
+    }
+  }
+
+  it('quarantines a feature once it fails as often as the budget allows', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const counter = registerFlaky('flaky-budget');
+    await storageManager.setSetting('features.featureSettings.flaky-budget', { mode: 'broken' });
+
+    await failActivation('flaky-budget', 2);
+    assert.equal(featureManager.isQuarantined('flaky-budget'), false);
+    assert.equal(featureManager.getFeatureHealth('flaky-budget').status, 'failing');
+
+    await failActivation('flaky-budget', 1);
+    const health = featureManager.getFeatureHealth('flaky-budget');
+    assert.equal(featureManager.isQuarantined('flaky-budget'), true);
+    assert.equal(health.status, 'quarantined');
+    assert.equal(health.failures, health.budget);
+    assert.deepEqual({ ...health.lastError, timestamp: 0 }, { phase: 'onActivate', message: 'bad mode', timestamp: 0 });
+
+    // Quarantined features aren't even tried
+    await assert.rejects(featureManager.activateFeature('flaky-budget'), /quarantined after repeated failures/);
+    assert.equal(counter.attempts, 3);
+
+    await featureManager.retryFeature('flaky-budget');
+  });
+
+  it('only counts failures within the budget window', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    registerFlaky('flaky-window');
+    await storageManager.setSetting('features.featureSettings.flaky-window', { mode: 'broken' });
+    const now = Date.now();
+    const clock = t.mock.method(Date, 'now', () => now - 2 * 24 * 60 * 60 * 1000);
+
+    await failActivation('flaky-window', 2);
+    clock.mock.mockImplementation(() => now);
+    await failActivation('flaky-window', 1);
+
+    assert.equal(featureManager.isQuarantined('flaky-window'), false);
+    assert.equal(featureManager.getFeatureHealth('flaky-window').failures, 1);
+
+    await featureManager.retryFeature('flaky-window');
+  });
+
+  it('deactivates an active feature when its jobs use up the budget', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    registerFlaky('flaky-jobs');
+    await featureManager.activateFeature('flaky-jobs');
+
+    for (let run = 0; run < 3; run++) {
+      await featureManager.recordFailure('flaky-jobs', 'job:sync', new Error('offline'));
+    }
+
+    assert.equal(featureManager.isQuarantined('flaky-jobs'), true);
+    assert.equal(featureManager.isFeatureActive('flaky-jobs'), false);
+
+    await featureManager.retryFeature('flaky-jobs');
+  });
+
+  it('releases the feature on retry, resetting its settings if asked', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    registerFlaky('flaky-retry');
+    await storageManager.setSetting('features.featureSettings.flaky-retry', { mode: 'broken' });
+    await failActivation('flaky-retry', 3);
+
+    // Retrying with the same settings fails again, but the quarantine starts over
+    let health = await featureManager.retryFeature('flaky-retry');
+    assert.equal(health.status, 'failing');
+    assert.equal(health.failures, 1);
+    assert.equal(featureManager.isFeatureActive('flaky-retry'), false);
+
+    health = await featureManager.retryFeature('flaky-retry', { resetSettings: true });
+    assert.equal(health.status, 'ok');
+    assert.equal(featureManager.isQuarantined('flaky-retry'), false);
+    assert.equal(featureManager.isFeatureActive('flaky-retry'), true);
+    assert.deepEqual(storageManager.getSetting('features.featureSettings.flaky-retry'), { mode: 'safe' });
+  });
+});
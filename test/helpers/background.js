@@ -0,0 +1,24 @@
+/**
+ * Background fixture: storage manager with default settings, kept in memory
+ * (IndexedDB isn't available), and the built-in features registered.
+ * Import after ./chrome.js.
+ */
+
+import storageManager from '../../background/storage-manager.js';
+import featureManager from '../../background/feature-manager.js';
+
+/**
+ * Set up storage and features once per test file
+ * @return {Promise<void>}
+ */
+export async function setUpBackground() {
+  if (storageManager.initialized) return;
+
+  await storageManager.loadSettings();
+  storageManager.settings.privacy.syncEnabled = false;
+  storageManager.userData = { lastSync: 0, data: {} };
+  storageManager.saveUserData = async () => {};
+  storageManager.initialized = true;
+
+  await featureManager.registerBuiltinFeatures();
+}
@@ -0,0 +1,207 @@
+/**
+ * In-memory stand-ins for the extension APIs the background modules touch,
+ * installed before they are imported. Storage areas keep separate stores and
+ * sync enforces its per-item quota; listeners are recorded, never called.
+ * Extension URLs are fetched from the repository.
+ */
+
+import { readFile } from 'node:fs/promises';
+
+const EXTENSION_ORIGIN = 'chrome-extension://test-extension/';
+const ROOT = new URL('../../', import.meta.url);
+
+/**
+ * Create a storage area
+ * @param {Object} [quota] - Quotas
+ * @param {number} [quota.perItem] - Largest item in UTF-8 bytes (key plus JSON value)
+ * @return {Object} Storage area, with its items in `store`
+ */
+export function createStorageArea({ perItem } = {}) {
+  const store = {};
+
+  return {
+    store,
+    QUOTA_BYTES: 102400,
+    QUOTA_BYTES_PER_ITEM: perItem,
+    async get(keys) {
+      if (keys === null || keys === undefined) return structuredClone(store);
+
+      const result = {};
+      for (const key of [].concat(keys)) {
+        if (key in store) result[key] = structuredClone(store[key]);
+      }
+      return result;
+    },
+    async set(items) {
+      for (const [key, value] of Object.entries(items)) {
+        if (perItem && new TextEncoder().encode(key + JSON.stringify(value)).byteLength > perItem) {
+          throw new Error(`QUOTA_BYTES_PER_ITEM quota exceeded by "${key}"`);
+        }
+      }
+      Object.assign(store, structuredClone(items));
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete store[key];
+    },
+    async clear() {
+      for (const key of Object.keys(store)) delete store[key];
+    },
+    getBytesInUse(keys, callback) {
+      callback(JSON.stringify(store).length);
+    }
+  };
+}
+
+/**
+ * Create an event whose listeners are recorded
+ * @return {Object} Event
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => listeners.splice(listeners.indexOf(listener), 1),
+    hasListener: listener => listeners.includes(listener)
+  };
+}
+
+const alarms = new Map();
+
+globalThis.chrome = {
+  storage: {
+    local: createStorageArea(),
+    sync: createStorageArea({ perItem: 8192 }),
+    session: createStorageArea(),
+    onChanged: createEvent()
+  },
+  runtime: {
+    id: 'test-extension',
+    onMessage: createEvent(),
+    onMessageExternal: createEvent(),
+    onInstalled: createEvent(),
+    onStartup: createEvent(),
+    sendMessage: async () => undefined,
+    getURL: path => EXTENSION_ORIGIN + path,
+    getManifest: () => ({ version: '1.0.0' }),
+    getContexts: async () => []
+  },
+  permissions: {
+    onAdded: createEvent(),
+    onRemoved: createEvent(),
+    contains: async () => true,
+    request: async () => true
+  },
+  tabs: {
+    sendMessage: async () => ({}),
+    query: async () => [],
+    get: async id => ({ id, url: 'https://example.com/' })
+  },
+  i18n: {
+    getUILanguage: () => 'en-US',
+    getMessage: () => ''
+  },
+  alarms: {
+    store: alarms,
+    create: async (name, info) => { alarms.set(name, { name, ...info }); },
+    get: async name => alarms.get(name),
+    getAll: async () => [...alarms.values()],
+    clear: async name => alarms.delete(name),
+    onAlarm: createEvent()
+  },
+  action: {
+    setBadgeText: async () => {},
+    setBadgeBackgroundColor: async () => {}
+  },
+  contextMenus: {
+    create() {},
+    removeAll: async () => {},
+    onClicked: createEvent()
+  }
+};
+
+/**
+ * In-memory table with the part of the Dexie Table API storage-utils uses
+ */
+class MemoryTable {
+  /**
+   * @param {string} primaryKey - Property holding the key
+   */
+  constructor(primaryKey) {
+    this.primaryKey = primaryKey;
+    this.rows = new Map();
+  }
+
+  async get(key) {
+    return structuredClone(this.rows.get(key));
+  }
+
+  async bulkGet(keys) {
+    return keys.map(key => structuredClone(this.rows.get(key)));
+  }
+
+  async put(item) {
+    this.rows.set(item[this.primaryKey], structuredClone(item));
+    return item[this.primaryKey];
+  }
+
+  async bulkPut(items) {
+    return Promise.all(items.map(item => this.put(item)));
+  }
+
+  async delete(key) {
+    this.rows.delete(key);
+  }
+
+  async bulkDelete(keys) {
+    keys.forEach(key => this.rows.delete(key));
+  }
+
+  async clear() {
+    this.rows.clear();
+  }
+
+  async count() {
+    return this.rows.size;
+  }
+
+  async toArray() {
+    return [...this.rows.values()].map(row => structuredClone(row));
+  }
+
+  filter(predicate) {
+    return { toArray: async () => (await this.toArray()).filter(predicate) };
+  }
+}
+
+// IndexedDB isn't available; tables declared in the schema are kept in memory
+globalThis.Dexie = class {
+  version() {
+    const version = {
+      stores: (schema) => {
+        for (const [name, indexes] of Object.entries(schema)) {
+          this[name] = new MemoryTable(indexes.split(',')[0].trim());
+        }
+        return version;
+      },
+      upgrade: () => version
+    };
+    return version;
+  }
+
+  async open() {}
+};
+
+// Extension files (feature descriptors, grammars) come from the repository
+globalThis.fetch = async (url) => {
+  if (!String(url).startsWith(EXTENSION_ORIGIN)) {
+    throw new Error(`Tests can't fetch ${url}`);
+  }
+
+  try {
+    const text = await readFile(new URL(String(url).slice(EXTENSION_ORIGIN.length), ROOT), 'utf8');
+    return { ok: true, status: 200, text: async () => text, json: async () => JSON.parse(text) };
+  } catch (error) {
+    return { ok: false, status: 404, text: async () => '', json: async () => { throw error; } };
+  }
+};
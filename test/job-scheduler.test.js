@@ -0,0 +1,84 @@
+import './helpers/chrome.js';
+import { afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpBackground } from './helpers/background.js';
+import jobScheduler from '../background/job-scheduler.js';
+
+// Wednesday 1 January 2025, 12:00 local time
+const NOW = new Date(2025, 0, 1, 12, 0).getTime();
+
+/**
+ * Schedule a cron job at a given time
+ * @param {Object} t - Test context
+ * @param {string} expression - Cron expression
+ * @param {number} [now=NOW] - Current time
+ * @return {Promise<Date>} Next run
+ */
+async function nextRun(t, expression, now = NOW) {
+  t.mock.method(Date, 'now', () => now);
+  const job = await jobScheduler.schedule('test', 'cron', { type: 'cron', expression });
+  return new Date(job.nextRun);
+}
+
+before(setUpBackground);
+
+afterEach(() => jobScheduler.cancelAll('test'));
+
+describe('cron schedules', () => {
+  it('runs at the next matching minute', async (t) => {
+    assert.deepEqual(await nextRun(t, '30 9-17 * * *'), new Date(2025, 0, 1, 12, 30));
+    await jobScheduler.cancelAll('test');
+    assert.deepEqual(await nextRun(t, '30 9-17 * * *', new Date(2025, 0, 1, 18, 0).getTime()),
+      new Date(2025, 0, 2, 9, 30));
+  });
+
+  it('never runs in the current minute', async (t) => {
+    assert.deepEqual(await nextRun(t, '0 12 * * *'), new Date(2025, 0, 2, 12, 0));
+  });
+
+  it('steps through ranges and lists', async (t) => {
+    assert.deepEqual(await nextRun(t, '*/15 * * * *', new Date(2025, 0, 1, 12, 7).getTime()),
+      new Date(2025, 0, 1, 12, 15));
+    await jobScheduler.cancelAll('test');
+    assert.deepEqual(await nextRun(t, '5-50/20 * * * *', new Date(2025, 0, 1, 12, 26).getTime()),
+      new Date(2025, 0, 1, 12, 45));
+    await jobScheduler.cancelAll('test');
+    assert.deepEqual(await nextRun(t, '0 8,20/2 * * *'), new Date(2025, 0, 1, 20, 0));
+  });
+
+  it('runs when either restricted day field matches', async (t) => {
+    // Monday 6 January comes before the 15th
+    assert.deepEqual(await nextRun(t, '0 9 15 * 1'), new Date(2025, 0, 6, 9, 0));
+  });
+
+  it('ignores a day field that starts with *', async (t) => {
+    assert.deepEqual(await nextRun(t, '0 9 15 * *'), new Date(2025, 0, 15, 9, 0));
+    await jobScheduler.cancelAll('test');
+    assert.deepEqual(await nextRun(t, '0 9 15 * */1'), new Date(2025, 0, 15, 9, 0));
+    await jobScheduler.cancelAll('test');
+    assert.deepEqual(await nextRun(t, '0 9 */1 * 1'), new Date(2025, 0, 6, 9, 0));
+  });
+
+  it('treats 7 as Sunday', async (t) => {
+    assert.deepEqual(await nextRun(t, '0 9 * * 7'), new Date(2025, 0, 5, 9, 0));
+    await jobScheduler.cancelAll('test');
+    assert.deepEqual(await nextRun(t, '0 9 * * 0'), new Date(2025, 0, 5, 9, 0));
+  });
+
+  it('finds 29 February up to four years ahead', async (t) => {
+    assert.deepEqual(await nextRun(t, '0 0 29 2 *'), new Date(2028, 1, 29, 0, 0));
+  });
+
+  it('rejects expressions that never fire', async (t) => {
+    await assert.rejects(nextRun(t, '0 0 31 2 *'), /Job "test\/cron" would never run/);
+    await assert.rejects(nextRun(t, '0 0 30 2 *'), /would never run/);
+  });
+
+  it('rejects invalid expressions', async (t) => {
+    await assert.rejects(nextRun(t, '60 * * * *'), /Invalid minute "60": use 0-59/);
+    await assert.rejects(nextRun(t, '0 0 * * 8'), /Invalid day of week "8"/);
+    await assert.rejects(nextRun(t, '0 5-1 * * *'), /Invalid hour "5-1"/);
+    await assert.rejects(nextRun(t, '*/0 * * * *'), /Invalid minute "\*\/0"/);
+    await assert.rejects(nextRun(t, '0 9 * *'), /expected 5 fields/);
+  });
+});
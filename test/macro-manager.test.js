@@ -0,0 +1,69 @@
+import './helpers/chrome.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpBackground } from './helpers/background.js';
+import macroManager from '../background/macro-manager.js';
+
+/**
+ * Build an export in the library format
+ * @param {Object} entries - aliases and macros
+ * @return {string} Library JSON
+ */
+function library(entries) {
+  return JSON.stringify({ format: 'aio-command-library', version: 1, ...entries });
+}
+
+before(setUpBackground);
+
+describe('importLibrary', () => {
+  it('imports valid entries and skips invalid ones', async () => {
+    const summary = await macroManager.importLibrary(library({
+      aliases: {
+        TLDR: ' summarize page brief ',
+        'bad name': 'summarize page',
+        empty: '   ',
+        number: 42
+      },
+      macros: {
+        morning: { steps: [{ text: 'summarize page', featureId: 'page-summarizer', action: 'summarize' }] },
+        nosteps: { steps: [] },
+        blankstep: { steps: [{ text: '' }] },
+        missing: null
+      }
+    }));
+
+    assert.equal(summary.aliases, 1);
+    assert.equal(summary.macros, 1);
+    assert.deepEqual(summary.skipped.sort(), [
+      'alias:bad name', 'alias:empty', 'alias:number',
+      'macro:blankstep', 'macro:missing', 'macro:nosteps'
+    ]);
+
+    assert.equal(macroManager.getAliases().tldr, 'summarize page brief');
+    assert.deepEqual(macroManager.getMacro('morning').steps, [
+      { text: 'summarize page', featureId: 'page-summarizer', action: 'summarize', params: {} }
+    ]);
+    assert.equal(macroManager.getMacro('nosteps'), null);
+  });
+
+  it('keeps existing entries unless asked to overwrite', async () => {
+    const update = library({ aliases: { tldr: 'summarize page detailed' } });
+
+    const kept = await macroManager.importLibrary(update);
+    assert.deepEqual(kept.skipped, ['alias:tldr']);
+    assert.equal(macroManager.getAliases().tldr, 'summarize page brief');
+
+    const replaced = await macroManager.importLibrary(update, { overwrite: true });
+    assert.equal(replaced.aliases, 1);
+    assert.equal(macroManager.getAliases().tldr, 'summarize page detailed');
+  });
+
+  it('rejects anything but a library export', async () => {
+    await assert.rejects(macroManager.importLibrary('{not json'), /Invalid command library JSON/);
+    await assert.rejects(macroManager.importLibrary({ aliases: {} }), /Not a command library export/);
+    await assert.rejects(
+      macroManager.importLibrary(library({ version: 99 })),
+      /Unsupported command library version: 99/
+    );
+  });
+});
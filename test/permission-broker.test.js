@@ -0,0 +1,105 @@
+import './helpers/chrome.js';
+import { afterEach, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpBackground } from './helpers/background.js';
+import featureManager from '../background/feature-manager.js';
+import permissionBroker from '../background/permission-broker.js';
+
+const revoked = new Set();
+
+/**
+ * Revoke or grant permissions the way Chrome reports it
+ * @param {string[]} permissions - Permissions or host patterns
+ * @param {boolean} granted - Whether they are granted
+ * @return {Promise<void>}
+ */
+async function changePermissions(permissions, granted) {
+  const changed = { permissions: [], origins: [] };
+  for (const name of permissions) {
+    if (granted) revoked.delete(name);
+    else revoked.add(name);
+    changed[name.includes('://') || name === '<all_urls>' ? 'origins' : 'permissions'].push(name);
+  }
+  await featureManager.handlePermissionChange(changed, granted);
+}
+
+/**
+ * Find a permission in a description of the translator
+ * @param {Object} description - Result of permissionBroker.describe
+ * @param {string} name - Permission name
+ * @return {Object} Permission need
+ */
+function need(description, name) {
+  const [translator] = description.features;
+  return [...translator.required, ...translator.optional].find(entry => entry.name === name);
+}
+
+before(setUpBackground);
+
+beforeEach(async (t) => {
+  t.mock.method(chrome.permissions, 'contains', async ({ permissions = [], origins = [] }) => (
+    [...permissions, ...origins].every(name => !revoked.has(name))
+  ));
+  await featureManager.enableFeature('translator');
+});
+
+afterEach(async () => {
+  revoked.clear();
+  await featureManager.disableFeature('translator');
+});
+
+describe('optional permissions', () => {
+  it('keeps the translator running, degraded, without tabs', async () => {
+    await changePermissions(['tabs'], false);
+
+    assert.equal(featureManager.isFeatureActive('translator'), true);
+    const instance = await featureManager.activateFeature('translator');
+    assert.equal(instance.degraded, true);
+    assert.equal(instance.hasPermission('tabs'), false);
+
+    const description = await permissionBroker.describe(['translator']);
+    assert.deepEqual(need(description, 'tabs'), {
+      name: 'tabs',
+      kind: 'permission',
+      granted: false,
+      reason: 'Read the page you ask to translate as a whole'
+    });
+    assert.equal(description.features[0].active, true);
+    assert.deepEqual(description.missing, { permissions: ['tabs'], origins: [] });
+  });
+
+  it('clears the degraded flag once tabs is granted again', async () => {
+    await changePermissions(['tabs'], false);
+    await changePermissions(['tabs'], true);
+
+    // Already active, so this returns the running instance
+    const instance = await featureManager.activateFeature('translator');
+    assert.equal(instance.degraded, false);
+    assert.equal(instance.hasPermission('tabs'), true);
+    assert.deepEqual((await permissionBroker.describe(['translator'])).missing, { permissions: [], origins: [] });
+  });
+
+  it('reports degraded features before activation', async () => {
+    await featureManager.deactivateFeature('translator');
+    revoked.add('tabs');
+
+    const explanation = await featureManager.explainActivation('translator');
+    assert.equal(explanation.canActivate, true);
+    assert.deepEqual(explanation.degraded, [{ featureId: 'translator', permissions: ['tabs'] }]);
+  });
+});
+
+describe('required permissions', () => {
+  it('deactivates the translator without host access and brings it back once granted', async () => {
+    await changePermissions(['<all_urls>'], false);
+
+    assert.equal(featureManager.isFeatureActive('translator'), false);
+    assert.equal(featureManager.isFeatureEnabled('translator'), true);
+    const description = await permissionBroker.describe(['translator']);
+    assert.equal(need(description, '<all_urls>').granted, false);
+    assert.deepEqual(description.missing.origins, ['<all_urls>']);
+
+    await changePermissions(['<all_urls>'], true);
+    assert.equal(featureManager.isFeatureActive('translator'), true);
+  });
+});
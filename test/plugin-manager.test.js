@@ -0,0 +1,146 @@
+import './helpers/chrome.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpBackground } from './helpers/background.js';
+import featureManager from '../background/feature-manager.js';
+import pluginManager from '../background/plugin-manager.js';
+
+const PLUGIN_ID = 'abcdefghijklmnopabcdefghijklmnop';
+
+/**
+ * Build a plugin descriptor
+ * @param {Object} [overrides] - Descriptor fields to replace
+ * @param {Object} [feature] - Feature fields to replace
+ * @return {Object} Descriptor
+ */
+function descriptor(overrides = {}, feature = {}) {
+  return {
+    name: 'Word Tools',
+    capabilities: { apis: ['page.readText'], menus: ['selection'] },
+    features: [{
+      id: 'shout',
+      name: 'Shout',
+      commands: [{ action: 'shout', verbs: ['shout'], input: 'text', output: 'text' }],
+      contextMenu: [{ id: 'shout', title: 'Shout "%s"', input: 'selectionText', command: { action: 'shout' } }],
+      ...feature
+    }],
+    ...overrides
+  };
+}
+
+before(setUpBackground);
+
+describe('descriptor validation', () => {
+  for (const [problem, plugin, message] of [
+    ['a missing name', descriptor({ name: ' ' }), /name must be 1 to 60 characters/],
+    ['unknown APIs', descriptor({ capabilities: { apis: ['tabs.query'] } }), /Unknown plugin APIs: tabs.query/],
+    ['no features', descriptor({ features: [] }), /must declare 1 to 10 features/],
+    ['duplicate features', descriptor({ features: [descriptor().features[0], descriptor().features[0]] }), /Duplicate feature ID "shout"/],
+    ['an invalid feature ID', descriptor({}, { id: 'Shout!' }), /Invalid feature ID "Shout!"/],
+    ['a command without verbs', descriptor({}, { commands: [{ action: 'shout', verbs: [] }] }), /needs at least one verb/],
+    ['an unknown parameter type', descriptor({}, { commands: [{ action: 'shout', verbs: ['shout'], params: { x: { type: 'blob' } } }] }), /unknown type "blob"/],
+    ['a context menu that is not a list', descriptor({}, { contextMenu: { id: 'shout' } }), /Context menu of "shout" must be a list/],
+    ['contexts that are not a list', descriptor({}, { contextMenu: [{ id: 'shout', title: 'Shout', contexts: 'selection' }] }), /Contexts of menu entry "shout"/],
+    ['children that are not a list', descriptor({}, { contextMenu: [{ id: 'shout', title: 'Shout', children: { id: 'x' } }] }), /Children of menu entry "shout"/],
+    ['menu slots it did not ask for', descriptor({}, { contextMenu: [{ id: 'shout', title: 'Shout', contexts: ['link'] }] }), /uses slots the plugin didn't ask for: link/],
+    ['the selection without page.readText', descriptor({ capabilities: { apis: [], menus: ['selection'] } }), /passes the selection but the plugin doesn't ask for page.readText/],
+    ['menu entries without menu slots', descriptor({ capabilities: { apis: ['page.readText'] } }), /asks for no menu slots/]
+  ]) {
+    it(`rejects ${problem}`, () => {
+      assert.throws(() => pluginManager._validate(PLUGIN_ID, plugin), message);
+    });
+  }
+
+  it('keeps only the fields the contract allows', () => {
+    const plugin = pluginManager._validate(PLUGIN_ID, descriptor({ homepage: 'https://example.com' }));
+
+    assert.equal(plugin.homepage, undefined);
+    assert.equal(plugin.status, 'pending');
+    assert.deepEqual(plugin.features[0].contextMenu[0].contexts, ['selection']);
+  });
+});
+
+describe('approval lifecycle', () => {
+  const featureId = pluginManager.getFeatureId(PLUGIN_ID, 'shout');
+
+  it('registers features only once approved', async () => {
+    const plugin = await pluginManager.register(PLUGIN_ID, descriptor());
+    assert.equal(plugin.status, 'pending');
+    assert.equal(featureManager.getFeature(featureId), null);
+
+    await pluginManager.approve(PLUGIN_ID);
+    assert.equal(pluginManager.getPlugin(PLUGIN_ID).status, 'approved');
+    assert.ok(featureManager.getFeature(featureId));
+  });
+
+  it('stays approved on updates within the granted capabilities', async () => {
+    const plugin = await pluginManager.register(PLUGIN_ID, descriptor({ version: '1.1' }));
+
+    assert.equal(plugin.status, 'approved');
+    assert.ok(featureManager.getFeature(featureId));
+  });
+
+  it('needs approval again for new capabilities', async () => {
+    const plugin = await pluginManager.register(PLUGIN_ID, descriptor({
+      capabilities: { apis: ['page.readText', 'page.url'], menus: ['selection'] }
+    }));
+
+    assert.equal(plugin.status, 'pending');
+    assert.equal(featureManager.getFeature(featureId), null);
+    await assert.rejects(
+      pluginManager.runCommand(PLUGIN_ID, 'shout', plugin.features[0].commands[0], {}, {}),
+      /not approved/
+    );
+  });
+
+  it('ignores rejected plugins until they are removed', async () => {
+    await pluginManager.reject(PLUGIN_ID);
+    const plugin = await pluginManager.register(PLUGIN_ID, descriptor());
+    assert.equal(plugin.status, 'rejected');
+
+    assert.equal(await pluginManager.remove(PLUGIN_ID), true);
+    assert.equal(pluginManager.getPlugin(PLUGIN_ID), null);
+    assert.equal(await pluginManager.remove(PLUGIN_ID), false);
+    assert.equal((await pluginManager.register(PLUGIN_ID, descriptor())).status, 'pending');
+  });
+});
+
+describe('runCommand', () => {
+  /**
+   * Run a command of an approved plugin and capture what it was sent
+   * @param {Object} t - Test context
+   * @param {string[]} apis - APIs the plugin was approved for
+   * @param {string} input - Command input kind
+   * @param {Object} context - Execution context
+   * @return {Promise<Object>} Message sent to the plugin
+   */
+  async function run(t, apis, input, context) {
+    await pluginManager.remove(PLUGIN_ID);
+    await pluginManager.register(PLUGIN_ID, descriptor({ capabilities: { apis, menus: [] } }, { contextMenu: [] }));
+    await pluginManager.approve(PLUGIN_ID);
+
+    const send = t.mock.method(chrome.runtime, 'sendMessage', async () => ({ success: true, result: 'ok' }));
+    const command = { action: 'shout', title: 'Shout', input };
+
+    await pluginManager.runCommand(PLUGIN_ID, 'shout', command, {}, {
+      readText: async () => 'selected text',
+      ...context
+    });
+    return send.mock.calls.find(call => call.arguments[1].type === 'plugin:run').arguments[1];
+  }
+
+  it('forwards pipeline input to text commands allowed to read the page', async t => {
+    assert.equal((await run(t, ['page.readText'], 'text', { input: 'stage output' })).input, 'stage output');
+    assert.equal((await run(t, ['page.readText'], 'text', {})).input, 'selected text');
+  });
+
+  it('withholds page text from plugins that may not read it', async t => {
+    assert.equal((await run(t, [], 'text', { input: 'stage output' })).input, undefined);
+    assert.equal((await run(t, ['page.readText'], 'none', { input: 'stage output' })).input, undefined);
+  });
+
+  it('sends the URL only with page.url', async t => {
+    assert.equal((await run(t, [], 'none', { url: 'https://example.com/' })).url, undefined);
+    assert.equal((await run(t, ['page.url'], 'none', { url: 'https://example.com/' })).url, 'https://example.com/');
+  });
+});
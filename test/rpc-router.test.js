@@ -0,0 +1,72 @@
+import './helpers/chrome.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setUpBackground } from './helpers/background.js';
+import commandProcessor from '../background/command-processor.js';
+import rpcRouter from '../background/rpc-router.js';
+
+const TAB = { id: 7, url: 'https://example.com/article' };
+const CONTENT = { id: 'test-extension', tab: TAB, frameId: 0, url: TAB.url };
+const POPUP = { id: 'test-extension', url: 'chrome-extension://test-extension/popup/popup.html' };
+
+/**
+ * Call a route the way background.js does
+ * @param {string} route - Route name
+ * @param {Object} [params] - Parameters
+ * @param {Object} [sender] - Message sender
+ * @return {Promise<Object>} Router response
+ */
+function call(route, params = {}, sender = CONTENT) {
+  return rpcRouter.handleMessage({ route, params }, sender);
+}
+
+before(async () => {
+  await setUpBackground();
+  await commandProcessor.loadGrammars();
+});
+
+describe('commands routes', () => {
+  it('lists commands without their handlers', async () => {
+    const { success, result } = await call('commands.list');
+
+    assert.equal(success, true);
+    assert.ok(result.commands.some(command => command.featureId === 'pomodoro' && command.action === 'start'));
+    assert.ok(result.commands.every(command => command.definition === undefined));
+  });
+
+  it('ranks text, or reports the failing pipeline stage', async () => {
+    const ranked = await call('commands.parse', { text: 'translate to French', limit: 1 });
+    assert.equal(ranked.result.intents.length, 1);
+    assert.equal(ranked.result.pipeline, null);
+
+    const pipeline = await call('commands.parse', { text: 'summarize then blargh' });
+    assert.deepEqual(pipeline.result.intents, []);
+    assert.equal(pipeline.result.pipeline.stageIndex, 1);
+  });
+
+  it('runs commands on the sending tab', async t => {
+    const run = t.mock.method(commandProcessor, 'run', async () => ({ success: true, result: 'done' }));
+
+    const response = await call('commands.execute', { text: 'set timer 5 minutes' });
+
+    assert.deepEqual(response, { success: true, result: { success: true, result: 'done' } });
+    assert.deepEqual(run.mock.calls[0].arguments, [
+      { text: 'set timer 5 minutes' },
+      { tabId: TAB.id, url: TAB.url }
+    ]);
+  });
+
+  it('refuses a tab named in the payload', async () => {
+    const response = await call('commands.execute', { text: 'undo', tabId: 1, url: 'https://bank.example/' });
+
+    assert.equal(response.code, 'invalid-params');
+    assert.equal(response.errors.tabId, 'is not a known parameter');
+  });
+
+  it('only answers content scripts', async () => {
+    for (const route of ['commands.execute', 'commands.getHistory']) {
+      const response = await call(route, {}, POPUP);
+      assert.equal(response.code, 'forbidden');
+    }
+  });
+});
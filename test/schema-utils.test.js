@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import schemaUtils from '../utils/schema-utils.js';
+
+const { schema, validation, SettingsValidationError } = schemaUtils;
+
+const SCHEMA = {
+  enabled: { type: 'boolean', label: 'Enabled', default: true },
+  minutes: { type: 'integer', label: 'Minutes', default: 25, min: 1, max: 180 },
+  opacity: { type: 'number', label: 'Opacity', default: 0.5, min: 0, max: 1 },
+  title: { type: 'string', label: 'Title', default: '', maxLength: 5 },
+  color: { type: 'color', label: 'Color', default: '#1a2b3c' },
+  style: { type: 'enum', label: 'Style', default: 'brief', values: ['brief', 'detailed'] },
+  days: { type: 'list', label: 'Days', default: ['mon'], values: ['mon', 'tue'] },
+  domains: { type: 'list', label: 'Domains', default: [], maxLength: 10 },
+  css: { type: 'map', label: 'CSS', default: {}, maxLength: 20 }
+};
+
+describe('validateField', () => {
+  for (const [name, valid, invalid, message] of [
+    ['enabled', false, 'yes', 'must be true or false'],
+    ['minutes', 180, 2.5, 'must be a whole number'],
+    ['minutes', 1, 0, 'must be at least 1'],
+    ['opacity', 0.25, 1.5, 'must be at most 1'],
+    ['opacity', 1, NaN, 'must be a number'],
+    ['title', 'hello', 'hello!', 'must be at most 5 characters'],
+    ['color', '#ABCDEF', 'red', 'must be a color like #1a2b3c'],
+    ['style', 'detailed', 'long', 'must be one of "brief", "detailed"'],
+    ['days', ['tue', 'mon'], ['sun'], 'can only contain "mon", "tue"'],
+    ['domains', ['a.com'], [42], 'can only contain text'],
+    ['domains', [], ['averylongdomain.com'], 'items must be at most 10 characters'],
+    ['css', { 'example.com': 'body{}' }, ['body{}'], 'must be an object'],
+    ['css', {}, { 'example.com': 1 }, 'can only contain text values']
+  ]) {
+    it(`checks ${name} (${message})`, () => {
+      assert.equal(validation.validateField(SCHEMA[name], valid), null);
+      assert.equal(validation.validateField(SCHEMA[name], invalid), message);
+    });
+  }
+});
+
+describe('validate', () => {
+  it('accepts partial updates and reports every invalid setting', () => {
+    assert.deepEqual(validation.validate(SCHEMA, { minutes: 50 }), { valid: true, errors: {} });
+
+    const { valid, errors } = validation.validate(SCHEMA, { minutes: 500, style: 'long', unknown: 1 });
+    assert.equal(valid, false);
+    assert.deepEqual(Object.keys(errors).sort(), ['minutes', 'style', 'unknown']);
+    assert.equal(errors.unknown, 'is not a known setting');
+  });
+
+  it('requires every setting when not partial', () => {
+    const { errors } = validation.validate(SCHEMA, { enabled: true }, { partial: false });
+    assert.equal(errors.minutes, 'is required');
+    assert.equal(errors.enabled, undefined);
+  });
+
+  it('rejects settings that are not an object', () => {
+    assert.deepEqual(validation.validate(SCHEMA, ['minutes']).errors, { settings: 'must be an object' });
+  });
+
+  it('throws a validation error listing the fields', () => {
+    assert.throws(
+      () => validation.assertValid(SCHEMA, { minutes: 0 }, 'Pomodoro'),
+      error => error instanceof SettingsValidationError &&
+        error.message === 'Invalid Pomodoro settings: minutes must be at least 1' &&
+        error.errors.minutes === 'must be at least 1'
+    );
+  });
+});
+
+describe('repair', () => {
+  it('replaces invalid and unknown values with defaults', () => {
+    const repaired = validation.repair(SCHEMA, { minutes: 50, style: 'long', removed: true });
+
+    assert.equal(repaired.minutes, 50);
+    assert.equal(repaired.style, 'brief');
+    assert.equal('removed' in repaired, false);
+  });
+});
+
+describe('schema', () => {
+  it('finds mistakes in schema definitions', () => {
+    assert.deepEqual(schema.check({
+      size: { type: 'float', default: 1 },
+      mode: { type: 'enum', default: 'a', values: [] },
+      limit: { type: 'integer', default: 0, min: 1 }
+    }), [
+      '"size" has unknown type "float"',
+      '"mode" is an enum without values',
+      '"mode" default must be one of ',
+      '"limit" default must be at least 1'
+    ]);
+  });
+
+  it('copies defaults so callers cannot change the schema', () => {
+    const defaults = schema.getDefaults(SCHEMA);
+    defaults.days.push('tue');
+
+    assert.deepEqual(SCHEMA.days.default, ['mon']);
+    assert.equal(defaults.minutes, 25);
+  });
+
+  it('labels values', () => {
+    assert.equal(schema.getValueLabel({ labels: { mon: 'Monday' } }, 'mon'), 'Monday');
+    assert.equal(schema.getValueLabel({}, 'brief'), 'Brief');
+  });
+
+  it('accepts every built-in feature schema', async () => {
+    const features = JSON.parse(await readFile(new URL('../features/features.json', import.meta.url), 'utf8'));
+
+    for (const feature of [].concat(features.features || features)) {
+      assert.deepEqual(schema.check(feature.settingsSchema), [], feature.id);
+    }
+  });
+});
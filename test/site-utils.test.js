@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import siteUtils from '../utils/site-utils.js';
+
+const { patterns, rules } = siteUtils;
+
+describe('sitePatterns.matches', () => {
+  it('matches a wildcard host and its bare domain, not lookalikes', () => {
+    assert.equal(patterns.matches('*.github.com', 'https://github.com/'), true);
+    assert.equal(patterns.matches('*.github.com', 'https://gist.github.com/x'), true);
+    assert.equal(patterns.matches('*.github.com', 'https://api.eu.github.com/'), true);
+    assert.equal(patterns.matches('*.github.com', 'https://notgithub.com/'), false);
+    assert.equal(patterns.matches('*.github.com', 'https://github.com.evil.io/'), false);
+  });
+
+  it('matches an exact host with or without www.', () => {
+    assert.equal(patterns.matches('example.com', 'https://example.com/page'), true);
+    assert.equal(patterns.matches('example.com', 'http://www.example.com/'), true);
+    assert.equal(patterns.matches('example.com', 'https://shop.example.com/'), false);
+    assert.equal(patterns.matches('www.example.com', 'https://example.com/'), false);
+  });
+
+  it('normalizes what the user typed', () => {
+    assert.equal(patterns.matches('https://Example.com/', 'https://EXAMPLE.com/a'), true);
+    assert.equal(patterns.normalize(' HTTPS://GitHub.com// '), 'github.com');
+  });
+
+  it('matches path prefixes and exact paths', () => {
+    assert.equal(patterns.matches('example.com/blog/*', 'https://example.com/blog/post?id=1'), true);
+    assert.equal(patterns.matches('example.com/blog/*', 'https://www.example.com/Blog/'), true);
+    assert.equal(patterns.matches('example.com/blog/*', 'https://example.com/blogger'), false);
+    assert.equal(patterns.matches('example.com/about', 'https://example.com/about'), true);
+    assert.equal(patterns.matches('example.com/about', 'https://example.com/about/team'), false);
+  });
+
+  it('rejects URLs that don\'t parse', () => {
+    assert.equal(patterns.matches('example.com', 'not a url'), false);
+  });
+});
+
+describe('sitePatterns.specificity', () => {
+  it('ranks paths over hosts, exact hosts over wildcards and deeper hosts over shallower ones', () => {
+    const ranked = ['*.github.com', 'github.com', '*.docs.github.com', 'docs.github.com', 'github.com/org/*']
+      .sort((a, b) => patterns.specificity(a) - patterns.specificity(b));
+
+    assert.deepEqual(ranked, ['*.github.com', 'github.com', '*.docs.github.com', 'docs.github.com', 'github.com/org/*']);
+  });
+});
+
+describe('siteRules.resolve', () => {
+  const siteRuleList = [
+    { pattern: 'github.com', featureId: 'dark-mode', enabled: false },
+    { pattern: '*.github.com', featureId: 'dark-mode', enabled: true, settings: { contrast: 1, tint: 'blue' } },
+    { pattern: 'github.com/settings/*', featureId: 'dark-mode', settings: { contrast: 2 } },
+    { pattern: '*.github.com', featureId: 'reader', enabled: true },
+    { pattern: 'gitlab.com', featureId: 'reader', enabled: false }
+  ];
+
+  it('lets the more specific rule override the broader one', () => {
+    assert.deepEqual(rules.resolve(siteRuleList, 'https://github.com/'), {
+      'dark-mode': { enabled: false, settings: { contrast: 1, tint: 'blue' } },
+      reader: { enabled: true, settings: {} }
+    });
+  });
+
+  it('keeps the broader decision where nothing more specific matches', () => {
+    assert.deepEqual(rules.resolve(siteRuleList, 'https://gist.github.com/')['dark-mode'],
+      { enabled: true, settings: { contrast: 1, tint: 'blue' } });
+  });
+
+  it('merges settings from every matching rule', () => {
+    assert.deepEqual(rules.resolve(siteRuleList, 'https://github.com/settings/profile')['dark-mode'],
+      { enabled: false, settings: { contrast: 2, tint: 'blue' } });
+  });
+
+  it('ignores malformed rules', () => {
+    assert.deepEqual(rules.resolve([null, { pattern: 'github.com' }], 'https://github.com/'), {});
+    assert.deepEqual(rules.resolve(undefined, 'https://github.com/'), {});
+  });
+});
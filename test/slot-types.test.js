@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import slotTypes from '../background/slot-types.js';
+
+/**
+ * Extract a slot value from command text, the way the parser calls slot types
+ * @param {string} type - Slot type name
+ * @param {string} text - Normalized command text
+ * @param {Object} [param] - Parameter definition
+ * @return {any} Extracted value
+ */
+function extract(type, text, param = {}) {
+  const tokens = text.split(' ');
+  const quoted = [...text.matchAll(/"([^"]+)"/g)].map(match => match[1]);
+
+  return slotTypes.get(type).extract({
+    raw: text,
+    text,
+    tokens,
+    quoted,
+    remainder: tokens,
+    hasPhrase: phrase => ` ${text} `.includes(` ${phrase} `)
+  }, { type, ...param });
+}
+
+describe('duration', () => {
+  it('sums every part of the duration', () => {
+    assert.equal(extract('duration', 'set timer 25 minutes'), 1500000);
+    assert.equal(extract('duration', 'start pomodoro 1 hour 30 min'), 5400000);
+    assert.equal(extract('duration', 'timer 90s'), 90000);
+  });
+
+  it('reads a bare number as minutes', () => {
+    assert.equal(extract('duration', '5'), 300000);
+    assert.equal(extract('duration', 'set timer'), undefined);
+  });
+
+  it('suggests common durations', () => {
+    const [first] = slotTypes.getSuggestions({ type: 'duration' });
+    assert.deepEqual(first, { value: 60000, label: '1 minute' });
+  });
+});
+
+describe('currency', () => {
+  it('takes mentions in the order they were typed', () => {
+    assert.equal(extract('currency', '20 usd in eur'), 'USD');
+    assert.equal(extract('currency', '20 usd in eur', { position: 1 }), 'EUR');
+    assert.equal(extract('currency', '20 dollars to pounds', { position: 1 }), 'GBP');
+  });
+
+  for (const [word, code] of [['try', 'TRY'], ['real', 'BRL'], ['won', 'KRW'], ['rand', 'ZAR']]) {
+    it(`reads "${word}" as ${code} only where a currency goes`, () => {
+      assert.equal(extract('currency', `100 ${word} to usd`), code);
+      assert.equal(extract('currency', `20 usd in ${word}`, { position: 1 }), code);
+      assert.equal(extract('currency', word), code);
+
+      assert.equal(extract('currency', `${word} converting 20 usd to eur`), 'USD');
+      assert.equal(extract('currency', `20 usd ${word} eur`, { position: 1 }), 'EUR');
+    });
+  }
+});
+
+describe('language', () => {
+  it('prefers the explicit target', () => {
+    assert.equal(extract('language', 'translate from german to french'), 'fr');
+    assert.equal(extract('language', 'translate into es'), 'es');
+    assert.equal(extract('language', 'spanish'), 'es');
+    assert.equal(extract('language', 'translate page'), undefined);
+  });
+});
+
+describe('enum', () => {
+  it('matches values and their aliases', () => {
+    const param = { values: ['brief', 'comprehensive'], aliases: { brief: ['short'] } };
+
+    assert.equal(extract('enum', 'short summary', param), 'brief');
+    assert.equal(extract('enum', 'comprehensive', param), 'comprehensive');
+    assert.equal(extract('enum', 'medium summary', param), undefined);
+  });
+});
+
+describe('registry', () => {
+  it('keeps types owned by features apart from the built-in ones', () => {
+    const type = { extract: () => 'value' };
+
+    assert.equal(slotTypes.register('duration', type, 'pomodoro'), false);
+    assert.equal(slotTypes.register('test-type', type, 'test-feature'), true);
+    assert.equal(slotTypes.getPrompt('thing', { type: 'test-type' }), 'Enter thing');
+
+    slotTypes.unregisterOwner('test-feature');
+    assert.equal(slotTypes.has('test-type'), false);
+    assert.equal(slotTypes.has('duration'), true);
+  });
+});
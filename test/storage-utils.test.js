@@ -0,0 +1,146 @@
+import './helpers/chrome.js';
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import storageUtils from '../utils/storage-utils.js';
+
+const sync = chrome.storage.sync;
+
+/**
+ * Build a value that gzip can't shrink much
+ * @param {number} length - Approximate JSON length
+ * @return {Object} Value
+ */
+function incompressible(length) {
+  return { notes: randomBytes(Math.ceil(length * 3 / 4)).toString('base64') };
+}
+
+/**
+ * Get the stored piece keys of a value
+ * @param {string} key - Value key
+ * @return {string[]} Piece keys, in order
+ */
+function pieceKeys(key) {
+  return Object.keys(sync.store).filter(stored => stored.startsWith(`${key}__chunk_`)).sort();
+}
+
+beforeEach(() => sync.clear());
+
+describe('processForStorage', () => {
+  it('leaves small values alone', async () => {
+    const items = { settings: { theme: 'dark' } };
+    assert.deepEqual(await storageUtils.chrome.processForStorage(items, { compress: true, chunk: true }), items);
+  });
+
+  it('gzips large values that compress', async () => {
+    const value = { text: 'lorem ipsum '.repeat(2000) };
+    const processed = await storageUtils.chrome.processForStorage({ big: value }, { compress: true });
+
+    assert.equal(processed.big._compressed, true);
+    assert.equal(processed.big.encoding, 'gzip');
+    assert.ok(processed.big.data.length < JSON.stringify(value).length / 10);
+    assert.deepEqual(await storageUtils.chrome.restoreFromStorage(sync, processed), { big: value });
+  });
+
+  it('splits values over the item quota into pieces that fit', async () => {
+    const processed = await storageUtils.chrome.processForStorage({ big: incompressible(30000) }, { chunk: true });
+    const { chunks } = processed.big;
+
+    assert.equal(processed.big._chunked, true);
+    assert.ok(chunks >= 4);
+    for (const [key, value] of Object.entries(processed)) {
+      assert.ok(key.length + JSON.stringify(value).length <= sync.QUOTA_BYTES_PER_ITEM, key);
+    }
+  });
+
+  it('measures the item quota in bytes', async () => {
+    // 3 bytes per character in UTF-8, so about 12,000 bytes in 4,000 characters
+    const value = { text: '漢'.repeat(4000) };
+    const processed = await storageUtils.chrome.processForStorage({ notes: value }, { chunk: true });
+
+    assert.notDeepEqual(processed.notes, value);
+    for (const [key, item] of Object.entries(processed)) {
+      const bytes = new TextEncoder().encode(key + JSON.stringify(item)).byteLength;
+      assert.ok(bytes <= sync.QUOTA_BYTES_PER_ITEM, key);
+    }
+    assert.deepEqual(await storageUtils.chrome.restoreFromStorage(sync, processed), { notes: value });
+  });
+});
+
+describe('restoreFromStorage', () => {
+  it('unwraps values of earlier versions', async () => {
+    const restored = await storageUtils.chrome.restoreFromStorage(sync, {
+      big: { _compressed: false, data: { notes: ['a'] } }
+    });
+    assert.deepEqual(restored, { big: { notes: ['a'] } });
+  });
+
+  it('leaves user objects that merely share the field names alone', async () => {
+    const items = {
+      flags: { _compressed: false, data: 'x', label: 'kept' },
+      other: { _compressed: true, data: 'not encoded' }
+    };
+    assert.deepEqual(await storageUtils.chrome.restoreFromStorage(sync, items), items);
+  });
+});
+
+describe('sync storage round trip', () => {
+  it('restores chunked values as they were set', async () => {
+    const value = incompressible(30000);
+    await storageUtils.chrome.set({ userData: value, small: 1 }, { sync: true, compress: true });
+
+    assert.ok(pieceKeys('userData').length >= 4);
+    assert.deepEqual(await storageUtils.chrome.get(['userData', 'small'], { sync: true }), { userData: value, small: 1 });
+
+    // Reading everything hides the pieces
+    assert.deepEqual(await storageUtils.chrome.get(null, { sync: true }), { userData: value, small: 1 });
+  });
+
+  it('removes stale pieces when a value shrinks', async () => {
+    await storageUtils.chrome.set({ userData: incompressible(40000) }, { sync: true });
+    const before = pieceKeys('userData');
+
+    const smaller = incompressible(20000);
+    await storageUtils.chrome.set({ userData: smaller }, { sync: true });
+    const after = pieceKeys('userData');
+
+    assert.ok(after.length > 0 && after.length < before.length);
+    assert.deepEqual(await storageUtils.chrome.get('userData', { sync: true }), { userData: smaller });
+
+    await storageUtils.chrome.set({ userData: { small: true } }, { sync: true });
+    assert.deepEqual(pieceKeys('userData'), []);
+    assert.deepEqual(sync.store, { userData: { small: true } });
+  });
+
+  it('stores multibyte text over the item quota in bytes', async () => {
+    // About 6,000 characters but 13,000 bytes
+    const value = { text: randomBytes(3000).toString('hex').replace(/[0-9]/g, '漢') };
+    await storageUtils.chrome.set({ notes: value }, { sync: true });
+
+    assert.deepEqual(await storageUtils.chrome.get('notes', { sync: true }), { notes: value });
+  });
+
+  it('removes the pieces with the value', async () => {
+    await storageUtils.chrome.set({ userData: incompressible(30000), other: 'kept' }, { sync: true });
+    await storageUtils.chrome.remove('userData', { sync: true });
+
+    assert.deepEqual(sync.store, { other: 'kept' });
+  });
+
+  it('refuses to read a value whose pieces are missing', async () => {
+    await storageUtils.chrome.set({ userData: incompressible(30000) }, { sync: true });
+    delete sync.store[pieceKeys('userData')[1]];
+
+    await assert.rejects(
+      storageUtils.chrome.get('userData', { sync: true, retries: 0 }),
+      /Chunked storage value "userData" is incomplete/
+    );
+  });
+
+  it('keeps local-only keys out of sync storage', async () => {
+    await assert.rejects(
+      storageUtils.chrome.set({ credentialVault: {} }, { sync: true }),
+      /Refusing to sync local-only storage keys: credentialVault/
+    );
+  });
+});
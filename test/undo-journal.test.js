@@ -0,0 +1,127 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import undoJournal from '../content/undo-journal.js';
+
+/**
+ * Create a stand-in for a <textarea>
+ * @param {string} value - Initial value
+ * @return {Object} Field stub
+ */
+function createField(value) {
+  return {
+    tagName: 'TEXTAREA',
+    value,
+    isConnected: true,
+    inputEvents: 0,
+    setSelectionRange(start, end) {
+      this.selection = [start, end];
+    },
+    dispatchEvent() {
+      this.inputEvents++;
+    }
+  };
+}
+
+/**
+ * Create a contenteditable host with a selected range over part of its text
+ * @param {string} contentEditable - Value of the contenteditable attribute
+ * @param {string} html - Initial markup
+ * @param {string} selected - Selected text inside the markup
+ * @return {{host: Object, range: Object}} Host and range stubs
+ */
+function createEditable(contentEditable, html, selected) {
+  const host = {
+    innerHTML: html,
+    dispatchEvent() {},
+    closest(selector) {
+      return selector.includes(`[contenteditable="${contentEditable}"]`) ? host : null;
+    }
+  };
+  const range = {
+    commonAncestorContainer: { parentElement: host },
+    deleteContents() {
+      host.innerHTML = host.innerHTML.replace(selected, '\u0000');
+    },
+    insertNode(node) {
+      host.innerHTML = host.innerHTML.replace('\u0000', node.textContent);
+    }
+  };
+  return { host, range };
+}
+
+globalThis.document = {
+  createTextNode: text => ({ textContent: text })
+};
+
+afterEach(() => undoJournal.clear());
+
+describe('replaceText in text fields', () => {
+  it('undoes and redoes the replacement', () => {
+    const field = createField('hello world');
+
+    assert.equal(undoJournal.replaceText({ element: field, start: 6, end: 11 }, 'there'), true);
+    assert.equal(field.value, 'hello there');
+
+    assert.equal(undoJournal.undo(), 'Replace text');
+    assert.equal(field.value, 'hello world');
+    assert.deepEqual(field.selection, [6, 11]);
+
+    assert.equal(undoJournal.redo(), 'Replace text');
+    assert.equal(field.value, 'hello there');
+  });
+
+  it('drops the entry instead of overwriting later typing', () => {
+    const field = createField('hello world');
+    undoJournal.replaceText({ element: field, start: 6, end: 11 }, 'there');
+    field.value = 'hello there, friend';
+
+    assert.equal(undoJournal.undo(), null);
+    assert.equal(field.value, 'hello there, friend');
+    assert.deepEqual(undoJournal.getState(), { undo: null, redo: null });
+  });
+
+  it('drops the redo entry once the field changed after undoing', () => {
+    const field = createField('hello world');
+    undoJournal.replaceText({ element: field, start: 6, end: 11 }, 'there');
+    undoJournal.undo();
+    field.value = 'goodbye world';
+
+    assert.equal(undoJournal.redo(), null);
+    assert.equal(field.value, 'goodbye world');
+    assert.deepEqual(undoJournal.getState(), { undo: null, redo: null });
+  });
+});
+
+describe('replaceText in editable regions', () => {
+  it('replaces text in plaintext-only hosts', () => {
+    const { host, range } = createEditable('plaintext-only', 'hello world', 'world');
+
+    assert.equal(undoJournal.replaceText({ range }, 'there'), true);
+    assert.equal(host.innerHTML, 'hello there');
+
+    assert.equal(undoJournal.undo(), 'Replace text');
+    assert.equal(host.innerHTML, 'hello world');
+  });
+
+  it('drops the entry instead of overwriting later edits', () => {
+    const { host, range } = createEditable('true', '<p>hello world</p>', 'world');
+    undoJournal.replaceText({ range }, 'there');
+    host.innerHTML = '<p>hello there</p><p>more</p>';
+
+    assert.equal(undoJournal.undo(), null);
+    assert.equal(host.innerHTML, '<p>hello there</p><p>more</p>');
+  });
+
+  it('keeps undoing older entries after dropping a stale one', () => {
+    const field = createField('one two');
+    undoJournal.replaceText({ element: field, start: 0, end: 3 }, 'three');
+    const { host, range } = createEditable('', 'hello world', 'world');
+    undoJournal.replaceText({ range }, 'there');
+    host.innerHTML = 'edited';
+
+    assert.equal(undoJournal.undo(), null);
+    assert.equal(undoJournal.undo(), 'Replace text');
+    assert.equal(field.value, 'one two');
+    assert.equal(host.innerHTML, 'edited');
+  });
+});
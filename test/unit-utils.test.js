@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import unitUtils from '../utils/unit-utils.js';
+
+const { math } = unitUtils;
+
+describe('math.evaluate', () => {
+  it('follows operator precedence', () => {
+    assert.equal(math.evaluate('2 + 3 * 4'), 14);
+    assert.equal(math.evaluate('(2 + 3) * 4'), 20);
+    assert.equal(math.evaluate('2 * 3 ^ 2'), 18);
+    assert.equal(math.evaluate('2 ^ 3 ^ 2'), 512);
+    assert.equal(math.evaluate('10 - 4 - 3'), 3);
+    assert.equal(math.evaluate('12 ÷ 4 × 3'), 9);
+  });
+
+  it('applies a leading sign after exponentiation', () => {
+    assert.equal(math.evaluate('-2 ^ 2'), -4);
+    assert.equal(math.evaluate('(-2) ^ 2'), 4);
+    assert.equal(math.evaluate('2 ^ -1'), 0.5);
+    assert.equal(math.evaluate('3 * -2'), -6);
+    assert.equal(math.evaluate('--2'), 2);
+    assert.equal(math.evaluate('+.5'), 0.5);
+  });
+
+  it('computes remainders', () => {
+    assert.equal(math.evaluate('10 % 4'), 2);
+    assert.equal(math.evaluate('2 + 10 % 4 * 3'), 8);
+  });
+
+  it('rejects division by zero and malformed input', () => {
+    assert.throws(() => math.evaluate('1 / 0'), /not a finite number/);
+    assert.throws(() => math.evaluate('5 % 0'), /not a finite number/);
+    assert.throws(() => math.evaluate('(1 + 2'), /Missing closing parenthesis/);
+    assert.throws(() => math.evaluate('1 +'), /Unexpected end/);
+    assert.throws(() => math.evaluate('1 2'), /Unexpected "2"/);
+  });
+});
+
+describe('math.isExpression', () => {
+  it('recognises expressions with signed operands', () => {
+    for (const text of ['1 + 2', '3 * -2', '2^-1', '4 - (1)', '12 ÷ 4']) {
+      assert.equal(math.isExpression(text), true, text);
+    }
+  });
+
+  it('rejects plain numbers and words', () => {
+    for (const text of ['42', '-3', '2024-', 'one + two', '']) {
+      assert.equal(math.isExpression(text), false, text);
+    }
+  });
+
+  it('agrees with evaluate on what it accepts', () => {
+    for (const text of ['3 * -2', '-2 ^ 2', '2 ^ -1', '7 % 3', '(1 + 2) * -.5']) {
+      assert.equal(math.isExpression(text), true, text);
+      assert.ok(Number.isFinite(math.evaluate(text)), text);
+    }
+  });
+});
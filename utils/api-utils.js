@@ -308,7 +308,8 @@ const rateLimiter = {
  */
 const apiRequest = {
   /**
-   * Active API keys and credentials
+   * Active API keys and credentials, set by the API manager from the credential
+   * vault while it is unlocked
    * @private
    */
   _apiKeys: {},
@@ -764,26 +765,6 @@ const apiRequest = {
  * API service registry for common services
  */
 const apiServices = {
-  /**
-   * Register API keys from managed storage
-   * @return {Promise<void>}
-   */
-  async initialize() {
-    try {
-      // Get API keys from storage
-      const keys = await storageUtils.chrome.get('apiKeys');
-      
-      if (keys && keys.apiKeys) {
-        Object.entries(keys.apiKeys).forEach(([apiId, apiKey]) => {
-          apiRequest.setApiKey(apiId, apiKey);
-        });
-        console.log('API keys loaded successfully');
-      }
-    } catch (error) {
-      console.error('Error initializing API services:', error);
-    }
-  },
-  
   /**
    * Google Translate API wrapper
    */
@@ -1091,15 +1072,7 @@ const apiUtils = {
   
   // Error handling
   ApiError,
-  ERROR_TYPES,
-  
-  /**
-   * Initialize API utilities
-   * @return {Promise<void>}
-   */
-  async init() {
-    await apiServices.initialize();
-  }
+  ERROR_TYPES
 };
 
 export default apiUtils;
\ No newline at end of file
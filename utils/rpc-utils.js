@@ -0,0 +1,493 @@
+/**
+ * RPC Utilities
+ * Request/response calls from the popup, options page and content scripts to
+ * the background, addressed by namespaced routes such as `features.enable`.
+ * The route table is shared: the background router (see rpc-router.js) checks
+ * senders and payloads against it, and clients get stubs generated from it.
+ */
+
+import schemaUtils from './schema-utils.js';
+
+/**
+ * Parameter definition: a settings field (see schema-utils.js) or an 'object'
+ * @typedef {Object} RpcParam
+ * @property {string} type - Any settings field type, or 'object' for plain objects
+ * @property {boolean} [optional] - Whether the parameter may be left out
+ */
+
+/**
+ * Route definition
+ * @typedef {Object} RpcRoute
+ * @property {string} description - What the route does
+ * @property {string[]} senders - Sender kinds allowed to call it (see SENDER_KINDS)
+ * @property {Object<string, RpcParam>} [params] - Parameters, keyed by name
+ * @property {boolean} [stream] - Whether the route reports progress while it runs
+ */
+
+/**
+ * Progress report of a streaming route
+ * @typedef {Object} RpcProgress
+ * @property {string} stage - Step being worked on
+ * @property {number} [done] - Steps completed
+ * @property {number} [total] - Total steps
+ */
+
+/**
+ * Call options
+ * @typedef {Object} RpcCallOptions
+ * @property {function(RpcProgress): void} [onProgress] - Progress listener for streaming routes
+ */
+
+/**
+ * Kinds of senders, told apart by the background from the message sender
+ * - popup, options: the extension's own pages
+ * - page: any other extension page (e.g. onboarding)
+ * - content: content scripts in web pages
+ * - external: other extensions
+ */
+const SENDER_KINDS = ['popup', 'options', 'page', 'content', 'external'];
+
+/**
+ * Senders allowed to read and change the extension's configuration
+ */
+const EXTENSION_PAGES = ['popup', 'options', 'page'];
+
+/**
+ * Message type of progress reports sent back to the caller
+ */
+const PROGRESS_MESSAGE = 'rpc:progress';
+
+/**
+ * Common parameters
+ */
+const FEATURE_ID = { type: 'string', maxLength: 100 };
+const FEATURE_IDS = { type: 'list', maxLength: 100 };
+const PROFILE_NAME = { type: 'string', maxLength: 100 };
+const PLUGIN_ID = { type: 'string', maxLength: 200 };
+const API_ID = { type: 'string', maxLength: 50 };
+const PAGE_URL = { type: 'string', maxLength: 2048 };
+const PASSPHRASE = { type: 'string', maxLength: 1000 };
+const COMMAND_TEXT = { type: 'string', maxLength: 2000 };
+
+/**
+ * Routes, keyed by `namespace.method`
+ * Results are plain objects; see the background handler of each route.
+ * @type {Object<string, RpcRoute>}
+ */
+const ROUTES = {
+  'background.getState': {
+    description: 'Get the service worker state',
+    senders: [...EXTENSION_PAGES, 'content']
+  },
+
+  'features.list': {
+    description: 'List features with their state, settings and settings schema',
+    senders: EXTENSION_PAGES
+  },
+  'features.enable': {
+    description: 'Enable a feature and activate it',
+    senders: EXTENSION_PAGES,
+    params: {
+      featureId: FEATURE_ID,
+      onConflict: { type: 'enum', values: ['refuse', 'replace'], optional: true }
+    }
+  },
+  'features.disable': {
+    description: 'Disable a feature and deactivate it',
+    senders: EXTENSION_PAGES,
+    params: { featureId: FEATURE_ID }
+  },
+  'features.explainActivation': {
+    description: 'Explain what enabling a feature would activate, replace or be blocked by',
+    senders: EXTENSION_PAGES,
+    params: { featureId: FEATURE_ID }
+  },
+  'features.updateSettings': {
+    description: 'Update a feature\'s settings',
+    senders: EXTENSION_PAGES,
+    params: { featureId: FEATURE_ID, settings: { type: 'object' } }
+  },
+  'features.resetSettings': {
+    description: 'Reset a feature\'s settings to their defaults',
+    senders: EXTENSION_PAGES,
+    params: { featureId: FEATURE_ID }
+  },
+  'features.getProfiles': {
+    description: 'List feature profiles and the active one',
+    senders: EXTENSION_PAGES
+  },
+  'features.saveProfile': {
+    description: 'Create or replace a feature profile',
+    senders: EXTENSION_PAGES,
+    params: { name: PROFILE_NAME, profile: { type: 'object', optional: true } }
+  },
+  'features.deleteProfile': {
+    description: 'Delete a feature profile',
+    senders: EXTENSION_PAGES,
+    params: { name: PROFILE_NAME }
+  },
+  'features.switchProfile': {
+    description: 'Switch to a feature profile',
+    senders: EXTENSION_PAGES,
+    params: { name: PROFILE_NAME }
+  },
+  'features.getHealth': {
+    description: 'List features that failed recently or are quarantined',
+    senders: EXTENSION_PAGES
+  },
+  'features.retry': {
+    description: 'Release a quarantined feature and activate it again',
+    senders: EXTENSION_PAGES,
+    params: { featureId: FEATURE_ID, resetSettings: { type: 'boolean', optional: true } }
+  },
+
+  'permissions.describe': {
+    description: 'Describe the permissions features need, why, and which are missing',
+    senders: EXTENSION_PAGES,
+    params: { featureIds: { ...FEATURE_IDS, optional: true } }
+  },
+  'permissions.openPrompt': {
+    description: 'Open the popup to ask for the permissions of some features',
+    senders: [...EXTENSION_PAGES, 'content'],
+    params: { featureIds: FEATURE_IDS }
+  },
+
+  'sites.getRules': {
+    description: 'Get all site rules',
+    senders: [...EXTENSION_PAGES, 'content']
+  },
+  'sites.getSiteState': {
+    description: 'Get the site pattern of a URL and the state of each feature there',
+    senders: EXTENSION_PAGES,
+    params: { url: PAGE_URL }
+  },
+  'sites.setRule': {
+    description: 'Create or update a site rule',
+    senders: EXTENSION_PAGES,
+    params: { pattern: PAGE_URL, featureId: FEATURE_ID, rule: { type: 'object' } }
+  },
+  'sites.removeRule': {
+    description: 'Remove a site rule',
+    senders: EXTENSION_PAGES,
+    params: { pattern: PAGE_URL, featureId: FEATURE_ID }
+  },
+  'sites.apply': {
+    description: 'Apply the site decisions of the sending page',
+    senders: ['content'],
+    params: { url: { ...PAGE_URL, optional: true }, decisions: { type: 'object', optional: true } }
+  },
+
+  'commands.list': {
+    description: 'List the command palette\'s commands',
+    senders: ['content']
+  },
+  'commands.parse': {
+    description: 'Rank the commands matching palette text, or check it as a pipeline',
+    senders: ['content'],
+    params: { text: COMMAND_TEXT, limit: { type: 'integer', min: 1, max: 50, optional: true } }
+  },
+  'commands.getHistory': {
+    description: 'Suggest recently run commands for the sending page',
+    senders: ['content'],
+    params: { limit: { type: 'integer', min: 1, max: 100, optional: true } }
+  },
+  'commands.deleteHistory': {
+    description: 'Remove a command history entry',
+    senders: ['content'],
+    params: { id: { type: 'string', maxLength: 4096 } }
+  },
+  'commands.execute': {
+    description: 'Run palette text, a picked command or a parsed intent on the sending page',
+    senders: ['content'],
+    params: {
+      text: { ...COMMAND_TEXT, optional: true },
+      intent: { type: 'object', optional: true },
+      featureId: { ...FEATURE_ID, optional: true },
+      action: { type: 'string', maxLength: 100, optional: true },
+      slots: { type: 'object', optional: true }
+    }
+  },
+
+  'plugins.list': {
+    description: 'List registered plugins',
+    senders: EXTENSION_PAGES
+  },
+  'plugins.approve': {
+    description: 'Approve a plugin and register its features',
+    senders: EXTENSION_PAGES,
+    params: { pluginId: PLUGIN_ID }
+  },
+  'plugins.reject': {
+    description: 'Reject a plugin',
+    senders: EXTENSION_PAGES,
+    params: { pluginId: PLUGIN_ID }
+  },
+  'plugins.remove': {
+    description: 'Remove a plugin and its features',
+    senders: EXTENSION_PAGES,
+    params: { pluginId: PLUGIN_ID }
+  },
+
+  'api.listServices': {
+    description: 'List external API services with their key and usage state',
+    senders: EXTENSION_PAGES
+  },
+  'api.setKey': {
+    description: 'Store the API key of a service',
+    senders: EXTENSION_PAGES,
+    params: { apiId: API_ID, apiKey: { type: 'string', maxLength: 500 } }
+  },
+  'api.removeKey': {
+    description: 'Remove the API key of a service',
+    senders: EXTENSION_PAGES,
+    params: { apiId: API_ID }
+  },
+  'api.testConnection': {
+    description: 'Check that a service answers with the stored credentials',
+    senders: EXTENSION_PAGES,
+    params: { apiId: API_ID },
+    stream: true
+  },
+
+  'vault.status': {
+    description: 'Tell whether the credential vault has a passphrase and is locked, and what it holds',
+    senders: EXTENSION_PAGES
+  },
+  'vault.unlock': {
+    description: 'Unlock the credential vault',
+    senders: EXTENSION_PAGES,
+    params: { passphrase: PASSPHRASE }
+  },
+  'vault.lock': {
+    description: 'Lock the credential vault',
+    senders: EXTENSION_PAGES
+  },
+  'vault.setPassphrase': {
+    description: 'Set, change or remove (no `next`) the credential vault passphrase',
+    senders: EXTENSION_PAGES,
+    params: { current: { ...PASSPHRASE, optional: true }, next: { ...PASSPHRASE, optional: true } }
+  },
+
+  'scheduler.listJobs': {
+    description: 'List scheduled jobs with their next and last run, for diagnostics',
+    senders: EXTENSION_PAGES
+  },
+
+  'storage.createBackup': {
+    description: 'Create a backup of settings and data; API keys only when given a passphrase to encrypt them with',
+    senders: EXTENSION_PAGES,
+    params: { secretsPassphrase: { ...PASSPHRASE, optional: true } },
+    stream: true
+  },
+  'storage.restoreBackup': {
+    description: 'Restore settings and data from a backup; its API keys only when given their passphrase',
+    senders: EXTENSION_PAGES,
+    params: {
+      backup: { type: 'object' },
+      options: { type: 'object', optional: true },
+      secretsPassphrase: { ...PASSPHRASE, optional: true }
+    },
+    stream: true
+  }
+};
+
+/**
+ * RPC error
+ * `code` is 'unknown-route', 'forbidden', 'invalid-params', 'failed' or
+ * 'no-response'; for 'invalid-params' and settings validation failures,
+ * `errors` maps fields to messages.
+ */
+class RpcError extends Error {
+  /**
+   * Create an RPC error
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @param {Object<string, string>} [errors] - Messages keyed by field
+   */
+  constructor(code, message, errors) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Route lookup
+ */
+const routes = {
+  /**
+   * Get a route
+   * @param {string} name - Route name
+   * @return {RpcRoute|null} Route, or null if unknown
+   */
+  get(name) {
+    return Object.hasOwn(ROUTES, name) ? ROUTES[name] : null;
+  },
+
+  /**
+   * Get all route names
+   * @return {string[]} Route names
+   */
+  getNames() {
+    return Object.keys(ROUTES);
+  }
+};
+
+/**
+ * Payload validation
+ */
+const validation = {
+  /**
+   * Validate call parameters against a route
+   * @param {RpcRoute} route - Route
+   * @param {Object} [params] - Parameters
+   * @return {Object<string, string>} Messages keyed by parameter (empty when valid)
+   */
+  validateParams(route, params = {}) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      return { params: 'must be an object' };
+    }
+
+    const fields = route.params || {};
+    const errors = {};
+
+    for (const name of Object.keys(params)) {
+      if (!Object.hasOwn(fields, name)) errors[name] = 'is not a known parameter';
+    }
+
+    for (const [name, field] of Object.entries(fields)) {
+      const value = params[name];
+
+      if (value === undefined || value === null) {
+        if (!field.optional) errors[name] = 'is required';
+        continue;
+      }
+
+      const error = field.type === 'object' ?
+        (typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object') :
+        schemaUtils.validation.validateField(field, value);
+
+      if (error) errors[name] = error;
+    }
+
+    return errors;
+  },
+
+  /**
+   * Validate call parameters, throwing on invalid input
+   * @param {string} name - Route name
+   * @param {Object} [params] - Parameters
+   * @return {RpcRoute} Route
+   * @throws {RpcError} If the route is unknown or a parameter is invalid
+   */
+  assertValid(name, params) {
+    const route = routes.get(name);
+    if (!route) {
+      throw new RpcError('unknown-route', `Unknown route "${name}"`);
+    }
+
+    const errors = this.validateParams(route, params);
+    const fields = Object.keys(errors);
+
+    if (fields.length > 0) {
+      throw new RpcError('invalid-params', `Invalid parameters for "${name}": ` +
+        fields.map(field => `${field} ${errors[field]}`).join('; '), errors);
+    }
+
+    return route;
+  }
+};
+
+/**
+ * Counter making request IDs unique within a page
+ */
+let requestCounter = 0;
+
+/**
+ * Client side
+ */
+const client = {
+  /**
+   * Call a route in the background
+   * @param {string} name - Route name
+   * @param {Object} [params] - Parameters
+   * @param {RpcCallOptions} [options] - Call options
+   * @return {Promise<Object>} Route result
+   * @throws {RpcError} If the call is rejected or fails
+   */
+  async call(name, params = {}, { onProgress } = {}) {
+    // Fail before messaging, with the same errors the background would return
+    const route = validation.assertValid(name, params);
+    const requestId = `${Date.now().toString(36)}-${++requestCounter}`;
+
+    const handleProgress = (message) => {
+      if (message && message.type === PROGRESS_MESSAGE && message.requestId === requestId) {
+        onProgress(message.progress);
+      }
+    };
+
+    const streaming = route.stream && typeof onProgress === 'function';
+    if (streaming) {
+      chrome.runtime.onMessage.addListener(handleProgress);
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ route: name, params, requestId });
+
+      if (!response) {
+        throw new RpcError('no-response', 'No response from the background');
+      }
+
+      if (!response.success) {
+        throw new RpcError(response.code || 'failed', response.error, response.errors);
+      }
+
+      return response.result;
+    } finally {
+      if (streaming) {
+        chrome.runtime.onMessage.removeListener(handleProgress);
+      }
+    }
+  },
+
+  /**
+   * Create stubs for every route, grouped by namespace
+   * e.g. `rpc.features.enable({ featureId })` calls `features.enable`.
+   * @return {Object<string, Object<string, function(Object=, RpcCallOptions=): Promise<Object>>>} Stubs
+   */
+  create() {
+    const stubs = {};
+
+    for (const name of routes.getNames()) {
+      const [namespace, method] = name.split('.');
+      stubs[namespace] = stubs[namespace] || {};
+      stubs[namespace][method] = (params, options) => this.call(name, params, options);
+    }
+
+    return stubs;
+  }
+};
+
+/**
+ * Combined RPC utilities
+ */
+const rpcUtils = {
+  // Route lookup
+  routes,
+
+  // Payload validation
+  validation,
+
+  // Client side
+  client,
+
+  // Error class
+  RpcError,
+
+  // Constants
+  SENDER_KINDS,
+  PROGRESS_MESSAGE
+};
+
+export default rpcUtils;
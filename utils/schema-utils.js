@@ -0,0 +1,273 @@
+/**
+ * Schema Utilities
+ * Typed settings schemas: validation, defaults and labels. Shared by the
+ * background, which validates every settings update, and the extension pages,
+ * which build their settings forms from the same schemas.
+ */
+
+/**
+ * Settings schema field interface
+ * @typedef {Object} SettingField
+ * @property {string} type - 'boolean', 'number', 'integer', 'string', 'color', 'enum',
+ *   'list' (array of strings or enum values) or 'map' (object of strings, e.g. CSS per site)
+ * @property {string} label - Form label
+ * @property {string} [description] - Help text shown below the field
+ * @property {any} default - Default value
+ * @property {number} [min] - Minimum for numbers
+ * @property {number} [max] - Maximum for numbers
+ * @property {number} [step] - Form step for numbers
+ * @property {number} [maxLength] - Maximum length for strings, list items and map values
+ * @property {string[]} [values] - Allowed values for 'enum' fields and 'list' items
+ * @property {Object<string, string>} [labels] - Display labels for `values`
+ */
+
+/**
+ * Settings schema, keyed by setting name
+ * @typedef {Object<string, SettingField>} SettingsSchema
+ */
+
+/**
+ * Supported field types
+ */
+const FIELD_TYPES = ['boolean', 'number', 'integer', 'string', 'color', 'enum', 'list', 'map'];
+
+/**
+ * Settings validation error
+ * `errors` maps each invalid setting to a message suitable for its form field.
+ */
+class SettingsValidationError extends Error {
+  /**
+   * Create a settings validation error
+   * @param {Object<string, string>} errors - Messages keyed by setting name
+   * @param {string} [context] - What was being validated (e.g. a feature name)
+   */
+  constructor(errors, context) {
+    const fields = Object.keys(errors);
+    super(`Invalid ${context ? `${context} ` : ''}settings: ` +
+      fields.map(field => `${field} ${errors[field]}`).join('; '));
+    this.name = 'SettingsValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Format a value list for messages
+ * @param {string[]} values - Allowed values
+ * @return {string} Quoted, comma-separated values
+ */
+function listValues(values) {
+  return values.map(value => `"${value}"`).join(', ');
+}
+
+/**
+ * Schema helpers
+ */
+const schema = {
+  /**
+   * Check a schema for mistakes in its own definition
+   * @param {SettingsSchema} settingsSchema - Schema to check
+   * @return {string[]} Problems found (empty when the schema is usable)
+   */
+  check(settingsSchema) {
+    const problems = [];
+
+    for (const [name, field] of Object.entries(settingsSchema || {})) {
+      if (!field || !FIELD_TYPES.includes(field.type)) {
+        problems.push(`"${name}" has unknown type "${field && field.type}"`);
+        continue;
+      }
+
+      if (field.type === 'enum' && !(Array.isArray(field.values) && field.values.length > 0)) {
+        problems.push(`"${name}" is an enum without values`);
+      }
+
+      const error = validation.validateField(field, field.default);
+      if (error) {
+        problems.push(`"${name}" default ${error}`);
+      }
+    }
+
+    return problems;
+  },
+
+  /**
+   * Get the default settings a schema describes
+   * @param {SettingsSchema} settingsSchema - Schema
+   * @return {Object} Default settings
+   */
+  getDefaults(settingsSchema) {
+    const defaults = {};
+
+    for (const [name, field] of Object.entries(settingsSchema || {})) {
+      // Copy arrays and objects so callers can't change the schema
+      defaults[name] = field.default !== null && typeof field.default === 'object' ?
+        JSON.parse(JSON.stringify(field.default)) :
+        field.default;
+    }
+
+    return defaults;
+  },
+
+  /**
+   * Get the display label of a value
+   * @param {SettingField} field - Field
+   * @param {string} value - Enum value or list item
+   * @return {string} Label
+   */
+  getValueLabel(field, value) {
+    if (field.labels && field.labels[value]) return field.labels[value];
+    return String(value).charAt(0).toUpperCase() + String(value).slice(1);
+  }
+};
+
+/**
+ * Value validation
+ */
+const validation = {
+  /**
+   * Validate one value against its field
+   * @param {SettingField} field - Field
+   * @param {any} value - Value to check
+   * @return {string|null} Error message, or null if the value is valid
+   */
+  validateField(field, value) {
+    switch (field.type) {
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+
+      case 'number':
+      case 'integer': {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+        if (field.type === 'integer' && !Number.isInteger(value)) return 'must be a whole number';
+        if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+        if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+        return null;
+      }
+
+      case 'string':
+        if (typeof value !== 'string') return 'must be text';
+        if (field.maxLength !== undefined && value.length > field.maxLength) {
+          return `must be at most ${field.maxLength} characters`;
+        }
+        return null;
+
+      case 'color':
+        return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ?
+          null : 'must be a color like #1a2b3c';
+
+      case 'enum':
+        return field.values.includes(value) ? null : `must be one of ${listValues(field.values)}`;
+
+      case 'list': {
+        if (!Array.isArray(value)) return 'must be a list';
+
+        for (const item of value) {
+          if (field.values ? !field.values.includes(item) : typeof item !== 'string') {
+            return field.values ?
+              `can only contain ${listValues(field.values)}` :
+              'can only contain text';
+          }
+
+          if (field.maxLength !== undefined && String(item).length > field.maxLength) {
+            return `items must be at most ${field.maxLength} characters`;
+          }
+        }
+        return null;
+      }
+
+      case 'map': {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+
+        for (const item of Object.values(value)) {
+          if (typeof item !== 'string') return 'can only contain text values';
+          if (field.maxLength !== undefined && item.length > field.maxLength) {
+            return `values must be at most ${field.maxLength} characters`;
+          }
+        }
+        return null;
+      }
+    }
+
+    return `has unknown type "${field.type}"`;
+  },
+
+  /**
+   * Validate settings against a schema
+   * @param {SettingsSchema} settingsSchema - Schema
+   * @param {Object} settings - Settings to check
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.partial=true] - Allow settings to be missing (updates)
+   * @return {{valid: boolean, errors: Object<string, string>}} Result with messages keyed by setting
+   */
+  validate(settingsSchema, settings, { partial = true } = {}) {
+    const errors = {};
+    const fields = settingsSchema || {};
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { valid: false, errors: { settings: 'must be an object' } };
+    }
+
+    for (const [name, value] of Object.entries(settings)) {
+      const field = fields[name];
+      const error = field ? this.validateField(field, value) : 'is not a known setting';
+      if (error) errors[name] = error;
+    }
+
+    if (!partial) {
+      for (const name of Object.keys(fields)) {
+        if (!(name in settings)) errors[name] = 'is required';
+      }
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+  },
+
+  /**
+   * Validate settings, throwing on invalid input
+   * @param {SettingsSchema} settingsSchema - Schema
+   * @param {Object} settings - Settings to check
+   * @param {string} [context] - What is being validated, for the error message
+   * @throws {SettingsValidationError} If any setting is invalid
+   */
+  assertValid(settingsSchema, settings, context) {
+    const { valid, errors } = this.validate(settingsSchema, settings);
+    if (!valid) {
+      throw new SettingsValidationError(errors, context);
+    }
+  },
+
+  /**
+   * Drop stored values that no longer fit the schema (e.g. after an update changed it)
+   * @param {SettingsSchema} settingsSchema - Schema
+   * @param {Object} settings - Stored settings
+   * @return {Object} Settings with invalid values replaced by their defaults
+   */
+  repair(settingsSchema, settings) {
+    const repaired = { ...schema.getDefaults(settingsSchema) };
+
+    for (const [name, value] of Object.entries(settings || {})) {
+      const field = settingsSchema[name];
+      if (field && !this.validateField(field, value)) {
+        repaired[name] = value;
+      }
+    }
+
+    return repaired;
+  }
+};
+
+/**
+ * Combined schema utilities
+ */
+const schemaUtils = {
+  // Schema helpers
+  schema,
+
+  // Value validation
+  validation,
+
+  // Error class
+  SettingsValidationError
+};
+
+export default schemaUtils;
@@ -0,0 +1,172 @@
+/**
+ * Site Utilities
+ * URL patterns for per-site feature rules. Shared by the background and the
+ * content script, so it has no dependencies.
+ *
+ * Patterns are a host with an optional path:
+ *   "docs.google.com"     - that host only
+ *   "*.github.com"        - github.com and all of its subdomains
+ *   "example.com/blog/*"  - pages under /blog on example.com
+ */
+
+/**
+ * Site rule interface
+ * @typedef {Object} SiteRule
+ * @property {string} pattern - URL pattern (see above)
+ * @property {string} featureId - Feature the rule applies to
+ * @property {boolean} [enabled] - Force the feature on or off; omitted to keep the global state
+ * @property {Object} [settings] - Feature settings overridden on matching pages
+ */
+
+/**
+ * Site decision for one feature, merged from all matching rules
+ * @typedef {Object} SiteDecision
+ * @property {boolean} [enabled] - Whether the feature is forced on or off
+ * @property {Object} settings - Settings overrides
+ */
+
+/**
+ * Pattern helpers
+ */
+const sitePatterns = {
+  /**
+   * Normalize a pattern typed by the user
+   * Schemes and trailing slashes are dropped, so "https://GitHub.com/" becomes "github.com".
+   * @param {string} pattern - Pattern
+   * @return {string} Normalized pattern
+   */
+  normalize(pattern) {
+    return String(pattern)
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z-]+:\/\//, '')
+      .replace(/\/+$/, '');
+  },
+
+  /**
+   * Check whether a pattern is well-formed
+   * @param {string} pattern - Pattern
+   * @return {boolean} Whether the pattern can match URLs
+   */
+  isValid(pattern) {
+    return /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?(\/\S*)?$/.test(this.normalize(pattern));
+  },
+
+  /**
+   * Get the pattern for a whole site
+   * @param {string} url - Page URL
+   * @return {string|null} Hostname pattern, or null for anything but web pages
+   */
+  forUrl(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      if (!/^https?:$/.test(protocol) || !hostname) return null;
+      return hostname.replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Check whether a URL matches a pattern
+   * @param {string} pattern - Pattern
+   * @param {string} url - Page URL
+   * @return {boolean} Whether the URL matches
+   */
+  matches(pattern, url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    const normalized = this.normalize(pattern);
+    const slash = normalized.indexOf('/');
+    const hostPattern = slash === -1 ? normalized : normalized.slice(0, slash);
+    const pathPattern = slash === -1 ? '' : normalized.slice(slash);
+    const host = parsed.hostname.toLowerCase();
+
+    // "example.com" also covers "www.example.com"
+    let hostMatches;
+    if (hostPattern.startsWith('*.')) {
+      const domain = hostPattern.slice(2);
+      hostMatches = host === domain || host.endsWith(`.${domain}`);
+    } else {
+      hostMatches = host === hostPattern || host === `www.${hostPattern}`;
+    }
+
+    if (!hostMatches) return false;
+    if (!pathPattern) return true;
+
+    const path = parsed.pathname.toLowerCase();
+    const prefix = pathPattern.replace(/\*$/, '');
+    return pathPattern.endsWith('*') ? path.startsWith(prefix) : path === prefix;
+  },
+
+  /**
+   * Rank a pattern so more specific rules override broader ones
+   * Paths beat hosts, exact hosts beat wildcards, and deeper hosts beat shallower ones.
+   * @param {string} pattern - Pattern
+   * @return {number} Specificity (higher is more specific)
+   */
+  specificity(pattern) {
+    const normalized = this.normalize(pattern);
+    const slash = normalized.indexOf('/');
+    const host = slash === -1 ? normalized : normalized.slice(0, slash);
+    const path = slash === -1 ? '' : normalized.slice(slash).replace(/\*$/, '');
+
+    const wildcard = host.startsWith('*.');
+
+    // The wildcard isn't a label: "*.github.com" ranks below "github.com"
+    return path.length * 1000 +
+      (wildcard ? host.slice(2) : host).split('.').length * 10 +
+      (wildcard ? 0 : 5);
+  }
+};
+
+/**
+ * Rule evaluation
+ */
+const siteRules = {
+  /**
+   * Resolve the rules that apply to a URL
+   * Broad rules are applied first, so more specific ones override them.
+   * @param {SiteRule[]} rules - All site rules
+   * @param {string} url - Page URL
+   * @return {Object<string, SiteDecision>} Decisions keyed by feature ID
+   */
+  resolve(rules, url) {
+    const decisions = {};
+
+    const matching = (rules || [])
+      .filter(rule => rule && rule.featureId && sitePatterns.matches(rule.pattern, url))
+      .sort((a, b) => sitePatterns.specificity(a.pattern) - sitePatterns.specificity(b.pattern));
+
+    for (const rule of matching) {
+      const decision = decisions[rule.featureId] || { settings: {} };
+
+      if (typeof rule.enabled === 'boolean') {
+        decision.enabled = rule.enabled;
+      }
+
+      Object.assign(decision.settings, rule.settings || {});
+      decisions[rule.featureId] = decision;
+    }
+
+    return decisions;
+  }
+};
+
+/**
+ * Combined site utilities
+ */
+const siteUtils = {
+  // URL patterns
+  patterns: sitePatterns,
+
+  // Rule evaluation
+  rules: siteRules
+};
+
+export default siteUtils;
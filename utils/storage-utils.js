@@ -5,7 +5,7 @@
  */
 
 // Current schema version, increment when structure changes
-const SCHEMA_VERSION = 1;
+const SCHEMA_VERSION = 2;
 
 // Default configuration
 const DEFAULT_CONFIG = {
@@ -15,6 +15,118 @@ const DEFAULT_CONFIG = {
   quotaWarningThreshold: 0.8 // 80% of quota
 };
 
+// Keys never written to sync storage: credentials stay on this device
+// (see background/credential-vault.js)
+const LOCAL_ONLY_KEYS = ['credentialVault', 'apiKeys'];
+
+// Values too large for one sync storage item are split: the value's key holds
+// a manifest, the pieces go under `${key}${CHUNK_SEPARATOR}${index}`
+const CHUNK_SEPARATOR = '__chunk_';
+
+// Room left in each sync item for the JSON quotes of a piece
+const CHUNK_OVERHEAD = 16;
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @return {string} Base64
+ */
+function toBase64(bytes) {
+  const array = new Uint8Array(bytes);
+  let binary = '';
+  
+  // String.fromCharCode takes a limited number of arguments
+  for (let i = 0; i < array.length; i += 0x8000) {
+    binary += String.fromCharCode(...array.subarray(i, i + 0x8000));
+  }
+  
+  return btoa(binary);
+}
+
+/**
+ * Decode base64
+ * @param {string} base64 - Base64
+ * @return {Uint8Array} Bytes
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Encode a value as a string safe to split: gzipped JSON in base64, or plain
+ * base64 JSON where CompressionStream is missing
+ * @param {any} value - JSON-serializable value
+ * @return {Promise<{encoding: string, data: string}>} Encoded value
+ */
+async function encodeValue(value) {
+  const json = new TextEncoder().encode(JSON.stringify(value));
+  
+  if (typeof CompressionStream === 'undefined') {
+    return { encoding: 'base64', data: toBase64(json) };
+  }
+  
+  const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+  return { encoding: 'gzip', data: toBase64(await new Response(stream).arrayBuffer()) };
+}
+
+/**
+ * Decode a value encoded by encodeValue
+ * @param {string} encoding - 'gzip' or 'base64'
+ * @param {string} data - Encoded value
+ * @return {Promise<any>} Value
+ */
+async function decodeValue(encoding, data) {
+  let bytes = fromBase64(data);
+  
+  if (encoding === 'gzip') {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Check whether a stored value is a chunk manifest
+ * @param {any} value - Stored value
+ * @return {boolean} Whether it is one
+ */
+function isChunked(value) {
+  return !!value && typeof value === 'object' && value._chunked === true;
+}
+
+/**
+ * Check whether a stored value is compressed (see processForStorage)
+ * @param {any} value - Stored value
+ * @return {boolean} Whether it is
+ */
+function isCompressed(value) {
+  return !!value && typeof value === 'object' && value._compressed === true &&
+    typeof value.encoding === 'string' && typeof value.data === 'string';
+}
+
+/**
+ * Check whether a stored value is the `{_compressed: false, data}` wrapper earlier
+ * versions put around large values without compressing them; objects with other
+ * keys are user data
+ * @param {any} value - Stored value
+ * @return {boolean} Whether it is
+ */
+function isLegacyWrapper(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    value._compressed === false && Object.keys(value).length === 2 && 'data' in value;
+}
+
+/**
+ * Get the keys of a chunked value's pieces
+ * @param {string} key - Value key
+ * @param {number} count - Number of pieces
+ * @return {string[]} Piece keys
+ */
+function getChunkKeys(key, count) {
+  return Array.from({ length: count }, (_, index) => `${key}${CHUNK_SEPARATOR}${index}`);
+}
+
 /**
  * Initialize Dexie.js database with proper schema versioning
  */
@@ -45,6 +157,11 @@ class StorageDatabase {
         clipboard: 'id, timestamp, type'
       });
       
+      // v2: command palette history, keyed by domain and command
+      this.db.version(2).stores({
+        commandHistory: 'id, domain, lastUsed'
+      });
+      
       // Open connection
       await this.db.open();
       this.initialized = true;
@@ -92,7 +209,7 @@ class StorageDatabase {
     }
     
     // Add future migration steps here
-    // if (fromVersion < 2 && toVersion >= 2) { ... }
+    // if (fromVersion < 3 && toVersion >= 3) { ... }
     
     // Update stored version
     await chrome.storage.local.set({ schemaVersion: toVersion });
@@ -120,6 +237,7 @@ const dbInstance = new StorageDatabase();
 const chromeStorage = {
   /**
    * Get items from chrome.storage with error handling and retries
+   * Compressed and chunked values (see processForStorage) come back as stored.
    * @param {string|string[]|Object} keys - Keys to retrieve
    * @param {Object} options - Options
    * @param {boolean} [options.sync=false] - Use sync storage instead of local
@@ -137,7 +255,7 @@ const chromeStorage = {
     
     while (attempts <= retries) {
       try {
-        return await storage.get(keys);
+        return await this.restoreFromStorage(storage, await storage.get(keys));
       } catch (error) {
         attempts++;
         
@@ -154,12 +272,14 @@ const chromeStorage = {
   
   /**
    * Set items in chrome.storage with error handling and retries
+   * In sync storage, values too large for one item are split across several.
    * @param {Object} items - Items to store
    * @param {Object} options - Options
    * @param {boolean} [options.sync=false] - Use sync storage instead of local
    * @param {number} [options.retries=DEFAULT_CONFIG.retryAttempts] - Number of retry attempts
-   * @param {boolean} [options.compress=false] - Compress large values
+   * @param {boolean} [options.compress=false] - Gzip values over the compression threshold
    * @return {Promise<void>}
+   * @throws {Error} If local-only keys would be written to sync storage
    */
   async set(items, options = {}) {
     const { 
@@ -168,19 +288,35 @@ const chromeStorage = {
       compress = false
     } = options;
     
-    // Check for quota limits before setting
-    await this.checkQuota(items, sync);
+    if (sync) {
+      const localOnly = Object.keys(items).filter(key => LOCAL_ONLY_KEYS.includes(key));
+      if (localOnly.length > 0) {
+        throw new Error(`Refusing to sync local-only storage keys: ${localOnly.join(', ')}`);
+      }
+    }
+    
+    const storage = sync ? chrome.storage.sync : chrome.storage.local;
     
     // Process items for storage
-    const processedItems = compress ? 
-      await this.processForStorage(items) : items;
+    const processedItems = compress || sync ?
+      await this.processForStorage(items, { compress, chunk: sync }) : items;
+    
+    // Check for quota limits before setting
+    await this.checkQuota(processedItems, sync);
     
-    const storage = sync ? chrome.storage.sync : chrome.storage.local;
     let attempts = 0;
     
     while (attempts <= retries) {
       try {
+        // Pieces of earlier, longer versions of the values (only sync storage has any)
+        const staleChunkKeys = sync ? await this.getChunkKeys(storage, Object.keys(items)) : [];
+        
         await storage.set(processedItems);
+        
+        const unused = staleChunkKeys.filter(key => !(key in processedItems));
+        if (unused.length > 0) {
+          await storage.remove(unused);
+        }
         return;
       } catch (error) {
         attempts++;
@@ -197,7 +333,7 @@ const chromeStorage = {
   },
   
   /**
-   * Remove items from chrome.storage
+   * Remove items from chrome.storage, with the pieces of chunked values
    * @param {string|string[]} keys - Keys to remove
    * @param {Object} options - Options
    * @param {boolean} [options.sync=false] - Use sync storage instead of local
@@ -213,9 +349,12 @@ const chromeStorage = {
     const storage = sync ? chrome.storage.sync : chrome.storage.local;
     let attempts = 0;
     
+    const keyList = Array.isArray(keys) ? keys : [keys];
+    
     while (attempts <= retries) {
       try {
-        await storage.remove(keys);
+        const chunkKeys = sync ? await this.getChunkKeys(storage, keyList) : [];
+        await storage.remove([...keyList, ...chunkKeys]);
         return;
       } catch (error) {
         attempts++;
@@ -330,33 +469,100 @@ const chromeStorage = {
   },
   
   /**
-   * Process items for storage (compression for large items)
+   * Process items for storage
+   * Compressed values are stored as `{_compressed: true, encoding, data}`.
+   * Chunked values leave a manifest `{_chunked: true, encoding, chunks}` under
+   * their key, their encoded data split across the piece keys.
    * @param {Object} items - Items to process
-   * @return {Object} Processed items
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.compress=false] - Gzip values over the compression threshold
+   * @param {boolean} [options.chunk=false] - Split values over the sync storage item quota
+   * @return {Promise<Object>} Processed items, with the pieces of chunked values
    */
-  async processForStorage(items) {
+  async processForStorage(items, { compress = false, chunk = false } = {}) {
     const processed = {};
+    const itemQuota = chrome.storage.sync.QUOTA_BYTES_PER_ITEM;
+    
+    for (const [key, value] of Object.entries(items)) {
+      if (value === undefined) continue;
+      
+      // Quota counts the UTF-8 bytes of the key and the JSON of the value
+      const json = JSON.stringify(value);
+      const jsonLength = json.length;
+      const fitsItem = new TextEncoder().encode(key + json).byteLength <= itemQuota;
+      
+      if ((!compress || jsonLength <= DEFAULT_CONFIG.compressionThreshold) && (!chunk || fitsItem)) {
+        processed[key] = value;
+        continue;
+      }
+      
+      const { encoding, data } = await encodeValue(value);
+      
+      if (!chunk || key.length + data.length + CHUNK_OVERHEAD <= itemQuota) {
+        processed[key] = { _compressed: true, encoding, data };
+        continue;
+      }
+      
+      // Longest piece key, so every piece fits
+      const chunkSize = itemQuota - CHUNK_OVERHEAD - `${key}${CHUNK_SEPARATOR}${data.length}`.length;
+      const chunkKeys = getChunkKeys(key, Math.ceil(data.length / chunkSize));
+      
+      chunkKeys.forEach((chunkKey, index) => {
+        processed[chunkKey] = data.slice(index * chunkSize, (index + 1) * chunkSize);
+      });
+      processed[key] = { _chunked: true, encoding, chunks: chunkKeys.length };
+      
+      console.log(`Split ${key} (${jsonLength} bytes) into ${chunkKeys.length} items`);
+    }
+    
+    return processed;
+  },
+  
+  /**
+   * Restore items processed by processForStorage
+   * @param {Object} storage - chrome.storage area the items were read from
+   * @param {Object} items - Items as stored
+   * @return {Promise<Object>} Items as they were set
+   */
+  async restoreFromStorage(storage, items) {
+    const restored = { ...items };
     
     for (const [key, value] of Object.entries(items)) {
-      if (value !== undefined) {
-        // For large objects, consider compression
-        const jsonValue = JSON.stringify(value);
+      if (isChunked(value)) {
+        const chunkKeys = getChunkKeys(key, value.chunks);
+        const pieces = await storage.get(chunkKeys);
         
-        if (jsonValue.length > DEFAULT_CONFIG.compressionThreshold) {
-          // In a real implementation, we would compress the data here
-          // For now, we'll just mark it as potentially needing compression
-          processed[key] = {
-            _compressed: false, // Would be true if we implemented compression
-            data: value
-          };
-          console.log(`Large object detected (${jsonValue.length} bytes): ${key}`);
-        } else {
-          processed[key] = value;
+        if (chunkKeys.some(chunkKey => typeof pieces[chunkKey] !== 'string')) {
+          // Another device is halfway through writing the value
+          throw new Error(`Chunked storage value "${key}" is incomplete`);
         }
+        
+        restored[key] = await decodeValue(value.encoding, chunkKeys.map(chunkKey => pieces[chunkKey]).join(''));
+        
+        // Reading everything returns the pieces too
+        chunkKeys.forEach(chunkKey => delete restored[chunkKey]);
+      } else if (isCompressed(value)) {
+        restored[key] = await decodeValue(value.encoding, value.data);
+      } else if (isLegacyWrapper(value)) {
+        restored[key] = value.data;
       }
     }
     
-    return processed;
+    return restored;
+  },
+  
+  /**
+   * Get the piece keys of the chunked values among some keys
+   * @param {Object} storage - chrome.storage area
+   * @param {string[]} keys - Value keys
+   * @return {Promise<string[]>} Piece keys
+   */
+  async getChunkKeys(storage, keys) {
+    const stored = await storage.get(keys);
+    
+    return Object.entries(stored)
+      .filter(([, value]) => isChunked(value))
+      .flatMap(([key, value]) => getChunkKeys(key, value.chunks));
   }
 };
 
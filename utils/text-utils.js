@@ -547,9 +547,8 @@ const textExtractor = {
    * @return {string} Extracted content
    */
   extractContent(html) {
-    // Create a virtual DOM element
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
+    // Parse into a detached document, so nothing in the HTML loads or runs
+    const tempDiv = new DOMParser().parseFromString(html, 'text/html').body;
     
     // Remove unwanted elements
     const elementsToRemove = [
@@ -673,6 +672,60 @@ const textComparer = {
     return parseFloat(similarity.toFixed(2));
   },
 
+  /**
+   * Fuzzy match a query against a target string (characters in order, gaps allowed)
+   * @param {string} query - Search query
+   * @param {string} target - Text to match against
+   * @return {{score: number, indices: number[]}|null} Match score (higher is better) and
+   *   matched character positions in target, or null if query doesn't match
+   */
+  fuzzyMatch(query, target) {
+    query = String(query).toLowerCase().replace(/\s+/g, '');
+    target = String(target);
+
+    if (!query) return { score: 0, indices: [] };
+
+    const lowerTarget = target.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let queryIndex = 0;
+    let previousIndex = -1;
+
+    for (let i = 0; i < lowerTarget.length && queryIndex < query.length; i++) {
+      if (lowerTarget[i] !== query[queryIndex]) continue;
+
+      let charScore = 1;
+
+      // Consecutive characters are worth more
+      if (previousIndex === i - 1) charScore += 2;
+
+      // Characters at the start of a word are worth more
+      if (i === 0 || /[\s\-_.:/]/.test(target[i - 1]) ||
+          (target[i] !== lowerTarget[i] && target[i - 1] === lowerTarget[i - 1])) {
+        charScore += 3;
+      }
+
+      // Penalize gaps between matched characters
+      if (previousIndex !== -1) {
+        charScore -= Math.min(i - previousIndex - 1, 3) * 0.2;
+      }
+
+      score += charScore;
+      indices.push(i);
+      previousIndex = i;
+      queryIndex++;
+    }
+
+    // All query characters must match
+    if (queryIndex < query.length) return null;
+
+    // Prefer shorter targets and earlier matches
+    score -= indices[0] * 0.1;
+    score -= (target.length - query.length) * 0.01;
+
+    return { score: parseFloat(score.toFixed(2)), indices };
+  },
+
   /**
    * Find differences between two strings
    * @param {string} oldText - Original text
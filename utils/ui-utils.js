@@ -5,6 +5,7 @@
  */
 
 import domUtils from './dom-utils.js';
+import schemaUtils from './schema-utils.js';
 
 /**
  * Viewport and responsive design utilities
@@ -889,6 +890,239 @@ const animation = {
   }
 };
 
+/**
+ * Settings forms generated from settings schemas (see schema-utils.js)
+ */
+const forms = {
+  /**
+   * Create a form for a settings schema
+   * @param {SettingsSchema} schema - Settings schema
+   * @param {Object} values - Current settings
+   * @param {Object} [options] - Form options
+   * @param {string} [options.idPrefix='setting'] - Prefix for input IDs, unique per page
+   * @param {string} [options.submitLabel='Save'] - Submit button label
+   * @param {Function} [options.onSubmit] - Called with the settings read from the form
+   *   once they pass validation; may return a promise
+   * @param {Function} [options.onReset] - Called when the reset button is clicked;
+   *   no reset button is shown without it
+   * @return {HTMLFormElement} Form element
+   */
+  createSettingsForm(schema, values, options = {}) {
+    const {
+      idPrefix = 'setting',
+      submitLabel = 'Save',
+      onSubmit,
+      onReset
+    } = options;
+    
+    const fields = Object.entries(schema || {}).map(([name, field]) =>
+      this._createField(name, field, values[name], `${idPrefix}-${name}`)
+    );
+    
+    const buttons = [domUtils.create('button', { type: 'submit', text: submitLabel })];
+    if (onReset) {
+      buttons.push(domUtils.create('button', {
+        type: 'button',
+        class: 'secondary',
+        text: 'Reset to defaults',
+        events: { click: onReset }
+      }));
+    }
+    
+    const form = domUtils.create('form', { class: 'settings-form', novalidate: 'novalidate' }, [
+      ...fields,
+      domUtils.create('div', { class: 'settings-actions' }, buttons)
+    ]);
+    
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      
+      const { settings, errors } = this.readSettings(form, schema);
+      this.showErrors(form, errors);
+      if (Object.keys(errors).length > 0 || !onSubmit) return;
+      
+      await onSubmit(settings);
+    });
+    
+    return form;
+  },
+  
+  /**
+   * Create the input for one setting
+   * @private
+   * @param {string} name - Setting name
+   * @param {SettingField} field - Field definition
+   * @param {any} value - Current value
+   * @param {string} id - Input ID
+   * @return {Element} Field wrapper
+   */
+  _createField(name, field, value, id) {
+    const current = value === undefined ? field.default : value;
+    const describedBy = `${id}-error${field.description ? ` ${id}-help` : ''}`;
+    let input;
+    
+    switch (field.type) {
+      case 'boolean':
+        input = domUtils.create('input', { type: 'checkbox', id });
+        input.checked = current === true;
+        break;
+        
+      case 'number':
+      case 'integer':
+        input = domUtils.create('input', {
+          type: 'number',
+          id,
+          min: field.min,
+          max: field.max,
+          step: field.step || (field.type === 'integer' ? 1 : 'any')
+        });
+        input.value = current;
+        break;
+        
+      case 'color':
+        input = domUtils.create('input', { type: 'color', id });
+        input.value = current;
+        break;
+        
+      case 'enum':
+        input = domUtils.create('select', { id }, field.values.map(option =>
+          domUtils.create('option', {
+            value: option,
+            text: schemaUtils.schema.getValueLabel(field, option)
+          })
+        ));
+        input.value = current;
+        break;
+        
+      case 'list':
+        if (field.values) {
+          // One checkbox per allowed value
+          input = domUtils.create('div', { id, class: 'settings-choices', role: 'group' },
+            field.values.map(option => {
+              const checkbox = domUtils.create('input', { type: 'checkbox', value: option });
+              checkbox.checked = (current || []).includes(option);
+              return domUtils.create('label', {}, [
+                checkbox,
+                document.createTextNode(` ${schemaUtils.schema.getValueLabel(field, option)}`)
+              ]);
+            })
+          );
+        } else {
+          input = domUtils.create('textarea', { id, rows: 3, placeholder: 'One per line' });
+          input.value = (current || []).join('\n');
+        }
+        break;
+        
+      case 'map':
+        input = domUtils.create('textarea', { id, rows: 6, class: 'code', spellcheck: 'false' });
+        input.value = JSON.stringify(current || {}, null, 2);
+        break;
+        
+      default:
+        input = domUtils.create('input', { type: 'text', id, maxlength: field.maxLength });
+        input.value = current;
+    }
+    
+    input.setAttribute('aria-describedby', describedBy);
+    
+    // Checkbox groups are labelled by their heading instead
+    const label = field.type === 'list' && field.values ?
+      domUtils.create('span', { id: `${id}-label`, class: 'settings-label', text: field.label || name }) :
+      domUtils.create('label', { for: id, class: 'settings-label', text: field.label || name });
+    if (field.type === 'list' && field.values) {
+      input.setAttribute('aria-labelledby', `${id}-label`);
+    }
+    const parts = field.type === 'boolean' ? [input, label] : [label, input];
+    
+    if (field.description) {
+      parts.push(domUtils.create('small', { id: `${id}-help`, class: 'settings-help', text: field.description }));
+    }
+    parts.push(domUtils.create('span', { id: `${id}-error`, class: 'settings-error', role: 'alert' }));
+    
+    return domUtils.create('div', {
+      class: ['settings-field', `settings-${field.type}`],
+      data: { setting: name }
+    }, parts);
+  },
+  
+  /**
+   * Read and validate the settings entered in a form
+   * @param {HTMLFormElement} form - Form created by createSettingsForm
+   * @param {SettingsSchema} schema - Settings schema
+   * @return {{settings: Object, errors: Object<string, string>}} Settings and messages keyed by setting
+   */
+  readSettings(form, schema) {
+    const settings = {};
+    const errors = {};
+    
+    for (const [name, field] of Object.entries(schema || {})) {
+      const wrapper = form.querySelector(`[data-setting="${name}"]`);
+      const input = wrapper && wrapper.querySelector('input, select, textarea');
+      if (!input) continue;
+      
+      switch (field.type) {
+        case 'boolean':
+          settings[name] = input.checked;
+          break;
+          
+        case 'number':
+        case 'integer':
+          // Empty or malformed input becomes NaN, which validation reports
+          settings[name] = input.value.trim() === '' ? NaN : Number(input.value);
+          break;
+          
+        case 'list':
+          settings[name] = field.values ?
+            Array.from(wrapper.querySelectorAll('input:checked'), checkbox => checkbox.value) :
+            input.value.split('\n').map(line => line.trim()).filter(Boolean);
+          break;
+          
+        case 'map':
+          try {
+            settings[name] = JSON.parse(input.value || '{}');
+          } catch (error) {
+            errors[name] = 'must be valid JSON';
+            continue;
+          }
+          break;
+          
+        default:
+          settings[name] = input.value;
+      }
+    }
+    
+    const result = schemaUtils.validation.validate(schema, settings);
+    return { settings, errors: { ...result.errors, ...errors } };
+  },
+  
+  /**
+   * Show validation messages next to their inputs, clearing the others
+   * @param {HTMLFormElement} form - Form created by createSettingsForm
+   * @param {Object<string, string>} [errors] - Messages keyed by setting
+   */
+  showErrors(form, errors = {}) {
+    let first = null;
+    
+    for (const wrapper of form.querySelectorAll('[data-setting]')) {
+      const name = wrapper.dataset.setting;
+      const input = wrapper.querySelector('input, select, textarea');
+      const message = errors[name] || '';
+      const label = wrapper.querySelector('.settings-label');
+      
+      wrapper.querySelector('.settings-error').textContent =
+        message ? `${label ? label.textContent : name} ${message}` : '';
+      wrapper.classList.toggle('invalid', !!message);
+      
+      if (input) {
+        input.setAttribute('aria-invalid', message ? 'true' : 'false');
+        if (message && !first) first = input;
+      }
+    }
+    
+    if (first) first.focus();
+  }
+};
+
 /**
  * Combined UI utilities
  */
@@ -908,6 +1142,9 @@ const uiUtils = {
   // Animation utilities
   animation,
   
+  // Settings forms
+  forms,
+  
   /**
    * Initialize UI utilities
    */
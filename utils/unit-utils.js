@@ -0,0 +1,261 @@
+/**
+ * Unit Utilities
+ * Unit conversion and safe arithmetic evaluation for the unit converter.
+ * Units are converted through a base unit per dimension; temperatures use offsets.
+ */
+
+/**
+ * Unit definitions grouped by dimension
+ * `factor` converts one unit into the dimension's base unit.
+ */
+const UNITS = {
+  length: {
+    m: { factor: 1, names: ['m', 'meter', 'meters', 'metre', 'metres'] },
+    km: { factor: 1000, names: ['km', 'kilometer', 'kilometers', 'kilometre', 'kilometres'] },
+    cm: { factor: 0.01, names: ['cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'] },
+    mm: { factor: 0.001, names: ['mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres'] },
+    mi: { factor: 1609.344, names: ['mi', 'mile', 'miles'] },
+    yd: { factor: 0.9144, names: ['yd', 'yard', 'yards'] },
+    ft: { factor: 0.3048, names: ['ft', 'foot', 'feet'] },
+    in: { factor: 0.0254, names: ['inch', 'inches'] }
+  },
+  mass: {
+    kg: { factor: 1, names: ['kg', 'kilogram', 'kilograms', 'kilo', 'kilos'] },
+    g: { factor: 0.001, names: ['g', 'gram', 'grams'] },
+    mg: { factor: 0.000001, names: ['mg', 'milligram', 'milligrams'] },
+    t: { factor: 1000, names: ['t', 'tonne', 'tonnes'] },
+    lb: { factor: 0.45359237, names: ['lb', 'lbs', 'pound', 'pounds'] },
+    oz: { factor: 0.028349523125, names: ['oz', 'ounce', 'ounces'] }
+  },
+  volume: {
+    l: { factor: 1, names: ['l', 'liter', 'liters', 'litre', 'litres'] },
+    ml: { factor: 0.001, names: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+    gal: { factor: 3.785411784, names: ['gal', 'gallon', 'gallons'] },
+    qt: { factor: 0.946352946, names: ['qt', 'quart', 'quarts'] },
+    pt: { factor: 0.473176473, names: ['pt', 'pint', 'pints'] },
+    cup: { factor: 0.2365882365, names: ['cup', 'cups'] },
+    floz: { factor: 0.0295735295625, names: ['floz', 'fl-oz'] }
+  },
+  speed: {
+    kmh: { factor: 1 / 3.6, names: ['kmh', 'kph', 'km/h'] },
+    mph: { factor: 0.44704, names: ['mph'] },
+    ms: { factor: 1, names: ['m/s', 'mps'] },
+    kn: { factor: 0.514444, names: ['kn', 'knot', 'knots'] }
+  },
+  data: {
+    b: { factor: 1, names: ['b', 'byte', 'bytes'] },
+    kb: { factor: 1024, names: ['kb', 'kilobyte', 'kilobytes'] },
+    mb: { factor: 1024 ** 2, names: ['mb', 'megabyte', 'megabytes'] },
+    gb: { factor: 1024 ** 3, names: ['gb', 'gigabyte', 'gigabytes'] },
+    tb: { factor: 1024 ** 4, names: ['tb', 'terabyte', 'terabytes'] }
+  },
+  temperature: {
+    c: { names: ['c', '°c', 'celsius', 'centigrade'] },
+    f: { names: ['f', '°f', 'fahrenheit'] },
+    k: { names: ['k', 'kelvin', 'kelvins'] }
+  }
+};
+
+/**
+ * Unit lookup by name, built once from UNITS
+ * @type {Map<string, {dimension: string, unit: string}>}
+ */
+const UNIT_NAMES = new Map();
+for (const [dimension, units] of Object.entries(UNITS)) {
+  for (const [unit, { names }] of Object.entries(units)) {
+    for (const name of names) {
+      UNIT_NAMES.set(name, { dimension, unit });
+    }
+  }
+}
+
+/**
+ * Temperature conversions to and from Celsius
+ */
+const TEMPERATURE = {
+  c: { toBase: value => value, fromBase: value => value },
+  f: { toBase: value => (value - 32) * 5 / 9, fromBase: value => value * 9 / 5 + 32 },
+  k: { toBase: value => value - 273.15, fromBase: value => value + 273.15 }
+};
+
+/**
+ * Unit conversion utilities
+ */
+const unitConverter = {
+  /**
+   * Find a unit by any of its names
+   * @param {string} name - Unit name or abbreviation (e.g. "km", "miles")
+   * @return {{dimension: string, unit: string}|null} Unit or null if unknown
+   */
+  findUnit(name) {
+    return UNIT_NAMES.get(String(name).toLowerCase()) || null;
+  },
+
+  /**
+   * Get all unit names
+   * @return {string[]} Known unit names
+   */
+  getUnitNames() {
+    return Array.from(UNIT_NAMES.keys());
+  },
+
+  /**
+   * Convert a value between units of the same dimension
+   * @param {number} value - Value to convert
+   * @param {string} from - Source unit name
+   * @param {string} to - Target unit name
+   * @return {{value: number, from: string, to: string, dimension: string}} Conversion result
+   */
+  convert(value, from, to) {
+    const source = this.findUnit(from);
+    const target = this.findUnit(to);
+
+    if (!source) throw new Error(`Unknown unit: ${from}`);
+    if (!target) throw new Error(`Unknown unit: ${to}`);
+
+    if (source.dimension !== target.dimension) {
+      throw new Error(`Can't convert ${source.dimension} to ${target.dimension}`);
+    }
+
+    let converted;
+    if (source.dimension === 'temperature') {
+      converted = TEMPERATURE[target.unit].fromBase(TEMPERATURE[source.unit].toBase(value));
+    } else {
+      const units = UNITS[source.dimension];
+      converted = value * units[source.unit].factor / units[target.unit].factor;
+    }
+
+    return {
+      value: converted,
+      from: source.unit,
+      to: target.unit,
+      dimension: source.dimension
+    };
+  }
+};
+
+/**
+ * Arithmetic utilities
+ * Expressions are parsed by a small recursive-descent parser, never eval'd.
+ */
+const mathEvaluator = {
+  /**
+   * Evaluate an arithmetic expression
+   * Supports + - * / % ^, parentheses, unary minus and decimals.
+   * @param {string} expression - Expression (e.g. "(12 + 3) * 4 ^ 2")
+   * @return {number} Result
+   */
+  evaluate(expression) {
+    const tokens = String(expression).replace(/×/g, '*').replace(/÷/g, '/')
+      .match(/\d+(?:\.\d+)?|\.\d+|[-+*/%^()]|\S/g) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+
+    const parsePrimary = () => {
+      const token = next();
+
+      if (token === '(') {
+        const value = parseSum();
+        if (next() !== ')') throw new Error('Missing closing parenthesis');
+        return value;
+      }
+
+      if (token !== undefined && /^(?:\d|\.\d)/.test(token)) {
+        return parseFloat(token);
+      }
+
+      throw new Error(token === undefined ? 'Unexpected end of expression' : `Unexpected "${token}"`);
+    };
+
+    // Exponentiation is right-associative and binds tighter than a leading sign
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (peek() === '^') {
+        next();
+        return base ** parseUnary();
+      }
+      return base;
+    };
+
+    // -2 ^ 2 is -(2 ^ 2), as in written maths
+    const parseUnary = () => {
+      if (peek() === '-') {
+        next();
+        return -parseUnary();
+      }
+      if (peek() === '+') {
+        next();
+        return parseUnary();
+      }
+      return parsePower();
+    };
+
+    const parseProduct = () => {
+      let value = parseUnary();
+      while (['*', '/', '%'].includes(peek())) {
+        const operator = next();
+        const operand = parseUnary();
+        if (operator === '*') value *= operand;
+        else if (operator === '/') value /= operand;
+        else value %= operand;
+      }
+      return value;
+    };
+
+    const parseSum = () => {
+      let value = parseProduct();
+      while (['+', '-'].includes(peek())) {
+        value = next() === '+' ? value + parseProduct() : value - parseProduct();
+      }
+      return value;
+    };
+
+    const result = parseSum();
+
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${tokens[position]}"`);
+    }
+
+    if (!Number.isFinite(result)) {
+      throw new Error('Result is not a finite number');
+    }
+
+    return result;
+  },
+
+  /**
+   * Check whether text looks like an arithmetic expression
+   * @param {string} text - Text to check
+   * @return {boolean} Whether text only contains numbers and at least one operator
+   */
+  isExpression(text) {
+    return /^[\d\s.+\-*/%^()×÷]+$/.test(text) && /\d\s*[-+*/%^×÷]\s*[-+]?[\d(.]/.test(text);
+  },
+
+  /**
+   * Format a number for display
+   * @param {number} value - Number
+   * @param {number} [maxDecimals=4] - Maximum decimal places
+   * @return {string} Formatted number without trailing zeros
+   */
+  format(value, maxDecimals = 4) {
+    return Number(value.toFixed(maxDecimals)).toLocaleString('en-US', {
+      maximumFractionDigits: maxDecimals
+    });
+  }
+};
+
+/**
+ * Combined unit utilities
+ */
+const unitUtils = {
+  // Unit conversion
+  convert: unitConverter,
+
+  // Arithmetic
+  math: mathEvaluator
+};
+
+export default unitUtils;